@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/**
+ * Command line entrypoint for the Kinect streaming service
+ * Loads layered configuration (see config-loader.js), starts the service and
+ * owns process-level concerns the library leaves alone: signal handling,
+ * uncaught exceptions and the exit code.
+ *
+ * Usage: kinect-service [--config <file>] [--preset <name>]
+ */
+const { KinectService } = require('./services/kinect-service');
+const { loadConfig } = require('./services/config-loader');
+
+async function main() {
+    let config;
+    try {
+        config = loadConfig();
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+        return;
+    }
+
+    const service = new KinectService(config);
+    let stopping = null;
+
+    const shutdown = () => {
+        stopping ??= service.stop().catch(error => {
+            console.error('Failed to stop service:', error);
+            process.exitCode = 1;
+        });
+        return stopping;
+    };
+
+    // A second signal falls through to the default handler and terminates immediately
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+    process.on('uncaughtException', error => {
+        console.error('Uncaught exception:', error);
+        process.exitCode = 1;
+        shutdown();
+    });
+
+    try {
+        await service.start();
+    } catch (error) {
+        console.error('Failed to start service:', error.message);
+        process.exitCode = 1;
+        await shutdown();
+    }
+}
+
+main();
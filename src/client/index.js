@@ -1,5 +1,6 @@
 const WebSocket = require('ws');
 const EventEmitter = require('events');
+const { PROTOCOL_VERSION, decodeMessage } = require('../services/frame-protocol');
 
 /**
  * Client for connecting to the Kinect WebSocket service
@@ -12,6 +13,7 @@ class KinectClient extends EventEmitter {
     #clientId;
     #sessionId;
     #connected = false;
+    #subscriptions = new Map();
 
     constructor(config) {
         super();
@@ -41,6 +43,203 @@ class KinectClient extends EventEmitter {
         this.#connected = false;
     }
 
+    /**
+     * Subscribe to a stream; subscriptions are restored after reconnecting
+     * @param {string} stream - Stream name (depth, color, body, infrared, frameSync, movement, gesture)
+     * @param {Object} [options] - Subscription options
+     * @param {number} [options.maxFps] - Maximum frames per second to receive
+     * @param {string} [options.format] - Wire format: 'binary' or 'json'
+     */
+    subscribe(stream, options = {}) {
+        this.#subscriptions.set(stream, options);
+        this.#send({
+            type: 'subscribe',
+            stream,
+            options
+        });
+    }
+
+    /**
+     * Unsubscribe from a stream
+     * @param {string} stream - Stream name
+     */
+    unsubscribe(stream) {
+        this.#subscriptions.delete(stream);
+        this.#send({
+            type: 'unsubscribe',
+            stream
+        });
+    }
+
+    /**
+     * Request the service configuration; the reply is emitted as 'config'
+     * @param {string} [path] - Dotted path of a section, e.g. 'sensors.depth'
+     */
+    getConfig(path = '') {
+        this.#send({
+            type: 'getConfig',
+            path
+        });
+    }
+
+    /**
+     * Change a sensor's processing or performance settings without restarting
+     * the service. Every client is notified through 'configChanged'.
+     * @param {string} sensorType - Sensor to configure (depth, color, body, infrared)
+     * @param {string} section - 'processing' or 'performance'
+     * @param {Object} patch - Values to merge into the section
+     */
+    setConfig(sensorType, section, patch) {
+        this.#send({
+            type: 'setConfig',
+            sensorType,
+            section,
+            patch
+        });
+    }
+
+    /**
+     * Ask the service to write its effective configuration to disk; the reply
+     * is emitted as 'configSaved'
+     */
+    saveConfig() {
+        this.#send({ type: 'saveConfig' });
+    }
+
+    /**
+     * Request the available presets; the reply is emitted as 'presets'
+     */
+    listPresets() {
+        this.#send({ type: 'listPresets' });
+    }
+
+    /**
+     * Apply a named preset; every client is notified through 'presetApplied'
+     * @param {string} name - Preset name
+     */
+    applyPreset(name) {
+        this.#send({
+            type: 'applyPreset',
+            name
+        });
+    }
+
+    /**
+     * Save the service's current sensor and network settings as a preset
+     * @param {string} name - Preset name
+     * @param {string} [description] - Shown when listing presets
+     */
+    savePreset(name, description) {
+        this.#send({
+            type: 'savePreset',
+            name,
+            description
+        });
+    }
+
+    /**
+     * Save the point cloud of the latest depth frame on the service; the reply
+     * is emitted as 'snapshotSaved'
+     * @param {Object} [options={}] - Snapshot options
+     * @param {string} [options.format] - ply, pcd or xyz
+     * @param {string} [options.encoding] - ascii or binary
+     * @param {boolean} [options.color] - Color the points from registered color
+     * @param {string} [options.name] - File name prefix
+     * @param {boolean} [options.inline] - Also send the file contents back, base64 encoded
+     */
+    snapshot(options = {}) {
+        this.#send({
+            type: 'snapshot',
+            ...options
+        });
+    }
+
+    /**
+     * Start recording a gesture template from a tracked body; every client is
+     * notified through 'gestureRecordingStatus'
+     * @param {string} name - Template name
+     * @param {Object} [options={}] - Recording options
+     * @param {string[]} [options.joints] - Joints to record (default: both hands and elbows)
+     * @param {number} [options.trackingId] - Body to record (default: the first tracked body)
+     * @param {string} [options.description] - Template description
+     * @param {boolean} [options.mirror] - Also recognise the gesture made with the other side
+     * @param {boolean} [options.replace] - Overwrite a saved template of the same name
+     */
+    startGestureRecording(name, options = {}) {
+        this.#send({
+            type: 'startGestureRecording',
+            ...options,
+            name
+        });
+    }
+
+    /**
+     * Stop the gesture recording and save the template; the reply is emitted
+     * as 'gestureSaved'
+     * @param {Object} [options={}]
+     * @param {boolean} [options.cancel] - Discard the recording instead
+     */
+    stopGestureRecording(options = {}) {
+        this.#send({
+            type: 'stopGestureRecording',
+            ...options
+        });
+    }
+
+    /**
+     * Request the gesture templates in use; the reply is emitted as 'gestures'
+     */
+    listGestures() {
+        this.#send({ type: 'listGestures' });
+    }
+
+    /**
+     * Delete a saved gesture template; every client is notified through
+     * 'gesturesChanged'
+     * @param {string} name - Template name
+     */
+    deleteGesture(name) {
+        this.#send({
+            type: 'deleteGesture',
+            name
+        });
+    }
+
+    /**
+     * Rename a saved gesture template; every client is notified through
+     * 'gesturesChanged'
+     * @param {string} name - Current name
+     * @param {string} newName - New name
+     */
+    renameGesture(name, newName) {
+        this.#send({
+            type: 'renameGesture',
+            name,
+            newName
+        });
+    }
+
+    /**
+     * Score a live body against a gesture template; scores are emitted as
+     * 'gestureScore' every body frame until stopGestureTest()
+     * @param {string} name - Template name
+     * @param {number} [trackingId] - Body to score (default: the first tracked body)
+     */
+    testGesture(name, trackingId) {
+        this.#send({
+            type: 'testGesture',
+            name,
+            trackingId
+        });
+    }
+
+    /**
+     * Stop scoring gestures
+     */
+    stopGestureTest() {
+        this.#send({ type: 'stopGestureTest' });
+    }
+
     /**
      * Start a sensor stream
      * @param {string} sensorType - Type of sensor to start (depth, color, body)
@@ -71,9 +270,10 @@ class KinectClient extends EventEmitter {
             this.emit('connected');
         });
 
-        this.#ws.on('message', data => {
+        this.#ws.on('message', (data, isBinary) => {
             try {
-                const message = JSON.parse(data);
+                // Frames arrive as binary envelopes with their typed arrays intact
+                const message = isBinary ? decodeMessage(data) : JSON.parse(data);
                 this.#handleMessage(message);
             } catch (error) {
                 this.emit('error', error);
@@ -104,12 +304,23 @@ class KinectClient extends EventEmitter {
             case 'welcome':
                 this.#sessionId = message.sessionId;
                 this.#connected = true;
+                for (const [stream, options] of this.#subscriptions) {
+                    this.#send({ type: 'subscribe', stream, options });
+                }
                 this.emit('ready', {
                     sessionId: message.sessionId,
                     serverVersion: message.serverVersion
                 });
                 break;
 
+            case 'subscribed':
+                this.emit('subscribed', message.stream, message.options);
+                break;
+
+            case 'unsubscribed':
+                this.emit('unsubscribed', message.stream);
+                break;
+
             case 'frame':
                 this.emit('frame', message.sensorType, message.data);
                 break;
@@ -122,6 +333,96 @@ class KinectClient extends EventEmitter {
                 this.emit('stats', message.stats);
                 break;
 
+            case 'config':
+                this.emit('config', message.config, message.path);
+                break;
+
+            case 'configSaved':
+                this.emit('configSaved', message.file);
+                break;
+
+            case 'presets':
+                this.emit('presets', message.presets, message.active);
+                break;
+
+            case 'presetApplied':
+                this.emit('presetApplied', message.name, message.restartRequired);
+                break;
+
+            case 'presetSaved':
+                this.emit('presetSaved', message.name);
+                break;
+
+            case 'configChanged':
+                this.emit('configChanged', {
+                    sensorType: message.sensorType,
+                    section: message.section,
+                    config: message.config
+                });
+                break;
+
+            case 'snapshotSaved':
+                this.emit('snapshotSaved', {
+                    file: message.file,
+                    format: message.format,
+                    points: message.points,
+                    bytes: message.bytes,
+                    frameNumber: message.frameNumber,
+                    data: message.data ? Buffer.from(message.data, 'base64') : undefined
+                });
+                break;
+
+            case 'workerUnhealthy':
+                this.emit('workerUnhealthy', {
+                    sensorType: message.sensorType,
+                    workerIndex: message.workerIndex,
+                    reason: message.reason,
+                    error: message.error,
+                    restartIn: message.restartIn
+                });
+                break;
+
+            case 'workerRecovered':
+                this.emit('workerRecovered', {
+                    sensorType: message.sensorType,
+                    workerIndex: message.workerIndex
+                });
+                break;
+
+            case 'gestureRecordingStatus':
+                this.emit('gestureRecordingStatus', message.status);
+                break;
+
+            case 'gestureSaved':
+                this.emit('gestureSaved', {
+                    name: message.name,
+                    file: message.file,
+                    frames: message.frames,
+                    duration: message.duration
+                });
+                break;
+
+            case 'gestures':
+                this.emit('gestures', message.gestures, message.recording);
+                break;
+
+            case 'gesturesChanged':
+                this.emit('gesturesChanged', message.gestures);
+                break;
+
+            case 'gestureScore':
+                this.emit('gestureScore', {
+                    gesture: message.gesture,
+                    trackingId: message.trackingId,
+                    confidence: message.confidence,
+                    best: message.best,
+                    mirrored: message.mirrored,
+                    matched: message.matched,
+                    threshold: message.threshold,
+                    timestamp: message.timestamp
+                });
+                break;
+
             default:
                 this.emit('message', message);
         }
@@ -135,7 +436,8 @@ class KinectClient extends EventEmitter {
             platform: process.platform,
             capabilities: {
                 sensors: ['depth', 'color', 'body'],
-                features: ['frameProcessing']
+                features: ['frameProcessing'],
+                binaryFrames: PROTOCOL_VERSION
             }
         });
     }
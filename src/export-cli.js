@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * Command line exporter for point clouds in recorded sessions
+ * Writes one file per depth frame of a capture (see point-cloud-export.js).
+ *
+ * Usage: kinect-export <capture.kncap> [--format ply|pcd|xyz] [--encoding ascii|binary]
+ *        [--source sensor|raw|sync] [--color] [--every <n>] [--limit <n>] [--out <directory>]
+ */
+const { exportCapture } = require('./services/export/point-cloud-export');
+
+const VALUE_FLAGS = ['--format', '--encoding', '--source', '--every', '--limit', '--out'];
+const USAGE = 'Usage: kinect-export <capture.kncap> [--format ply|pcd|xyz] [--encoding ascii|binary] ' +
+    '[--source sensor|raw|sync] [--color] [--every <n>] [--limit <n>] [--out <directory>]';
+
+/**
+ * Split the arguments into the capture path and flag values
+ * @param {string[]} argv - Command line arguments
+ * @returns {{capture: string, flags: Object}} Parsed arguments
+ * @throws {Error} On unknown flags, missing values or a missing capture path
+ */
+function parseArguments(argv) {
+    const flags = {};
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+        if (flag === '--color') {
+            flags.color = true;
+        } else if (VALUE_FLAGS.includes(flag)) {
+            const value = inlineValue ?? argv[++i];
+            if (!value || value.startsWith('--')) {
+                throw new Error(`${flag} requires a value`);
+            }
+            flags[flag.slice(2)] = value;
+        } else if (flag.startsWith('--')) {
+            throw new Error(`Unknown option: ${flag}`);
+        } else {
+            positional.push(argv[i]);
+        }
+    }
+
+    if (positional.length !== 1) {
+        throw new Error(USAGE);
+    }
+    return { capture: positional[0], flags };
+}
+
+async function main() {
+    try {
+        const { capture, flags } = parseArguments(process.argv.slice(2));
+        const written = await exportCapture(capture, {
+            directory: flags.out,
+            format: flags.format,
+            encoding: flags.encoding,
+            source: flags.source,
+            color: flags.color,
+            every: flags.every === undefined ? undefined : Number(flags.every),
+            limit: flags.limit === undefined ? undefined : Number(flags.limit)
+        });
+
+        for (const { file, points } of written) {
+            console.log(`${file} (${points} points)`);
+        }
+        console.log(`Exported ${written.length} point cloud${written.length === 1 ? '' : 's'}`);
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+main();
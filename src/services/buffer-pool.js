@@ -1,4 +1,6 @@
 const EventEmitter = require('events');
+const { SharedFrameRing } = require('./shared-frame-ring');
+const { JOINT_COUNT } = require('./joint-topology');
 
 /**
  * Buffer pool manager for efficient memory reuse and allocation.
@@ -27,14 +29,15 @@ class BufferPool extends EventEmitter {
             description: 'Infrared sensor frame buffer (512x424 16-bit)'
         },
         body: {
-            create: () => new Float32Array(25 * 3),
-            size: 25 * 3 * 4, // 4 bytes per float
-            description: 'Body tracking data buffer (25 joints x 3 coordinates)'
+            create: () => new Float32Array(JOINT_COUNT * 3),
+            size: JOINT_COUNT * 3 * 4, // 4 bytes per float
+            description: `Body tracking data buffer (${JOINT_COUNT} joints x 3 coordinates)`
         }
     };
 
     // Private instance fields
     #pools = new Map();
+    #rings = new Set();
     #config;
     #maxPoolSize;
     #initialSize; 
@@ -57,6 +60,7 @@ class BufferPool extends EventEmitter {
      * @param {number} [config.expandSize=2] - Number of buffers to add when expanding
      * @param {boolean} [config.clearOnRelease=true] - Whether to zero buffers on release
      * @param {boolean} [config.trackStats=true] - Whether to track detailed usage statistics
+     * @param {boolean} [config.sharedFrames=true] - Whether sensors hand frames to workers through shared memory rings
      * @throws {TypeError} If configuration is invalid
      */
     constructor(config = {}) {
@@ -84,7 +88,8 @@ class BufferPool extends EventEmitter {
 
         this.#config = {
             clearOnRelease: config.clearOnRelease !== false,
-            trackStats: config.trackStats !== false
+            trackStats: config.trackStats !== false,
+            sharedFrames: config.sharedFrames !== false
         };
         this.#maxPoolSize = maxPoolSize;
         this.#initialSize = initialSize;
@@ -220,6 +225,42 @@ class BufferPool extends EventEmitter {
         });
     }
 
+    /**
+     * Whether sensors should use shared memory rings (config.sharedFrames)
+     * @returns {boolean}
+     */
+    get sharedFrames() {
+        return this.#config.sharedFrames;
+    }
+
+    /**
+     * Create a shared memory ring whose slots hold one frame of a buffer type.
+     * Rings live outside the per-type pools and count towards the stats until
+     * they are released.
+     * @param {string} type - Buffer type ('depth', 'color', 'infrared')
+     * @param {number} slotCount - Frames the ring can hold at once
+     * @returns {SharedFrameRing} New ring
+     * @throws {Error} If buffer type is invalid
+     */
+    createRing(type, slotCount) {
+        const pool = this.#pools.get(type);
+        if (!pool) {
+            throw new Error(`Unknown buffer type: ${type}`);
+        }
+
+        const ring = new SharedFrameRing({ slotCount, slotSize: pool.size });
+        this.#rings.add(ring);
+        return ring;
+    }
+
+    /**
+     * Stop tracking a ring once its sensor no longer uses it
+     * @param {SharedFrameRing} ring - Ring from createRing
+     */
+    releaseRing(ring) {
+        this.#rings.delete(ring);
+    }
+
     /**
      * Get current pool statistics
      * @returns {Object} Pool statistics
@@ -236,9 +277,17 @@ class BufferPool extends EventEmitter {
             };
         }
 
+        let ringSlots = 0;
+        let ringBytes = 0;
+        for (const ring of this.#rings) {
+            ringSlots += ring.slotCount;
+            ringBytes += ring.byteLength;
+        }
+
         return {
             ...this.#stats,
             pools: poolStats,
+            sharedRings: { count: this.#rings.size, slots: ringSlots, byteLength: ringBytes },
             memoryUsage: this.#calculateMemoryUsage(poolStats),
             timestamp: Date.now()
         };
@@ -0,0 +1,241 @@
+const fs = require('fs');
+
+/**
+ * Factory intrinsics of the Kinect v2 cameras at native resolution. Lens
+ * distortion follows the Brown-Conrady model used by OpenCV: radial k1, k2,
+ * k3 and tangential p1, p2.
+ */
+const KINECT_V2_INTRINSICS = {
+    depth: {
+        width: 512,
+        height: 424,
+        fx: 365.456,
+        fy: 365.456,
+        cx: 254.878,
+        cy: 205.395,
+        distortion: { k1: 0.0905474, k2: -0.26819, k3: 0.0950862, p1: 0, p2: 0 }
+    },
+    color: {
+        width: 1920,
+        height: 1080,
+        fx: 1081.37,
+        fy: 1081.37,
+        cx: 959.5,
+        cy: 539.5,
+        distortion: { k1: 0, k2: 0, k3: 0, p1: 0, p2: 0 }
+    }
+};
+
+const DISTORTION_KEYS = ['k1', 'k2', 'k3', 'p1', 'p2'];
+
+// Fixed-point iterations used to invert the distortion model
+const UNDISTORT_ITERATIONS = 10;
+
+/**
+ * Pinhole camera model with lens distortion.
+ *
+ * Points are in camera space, in metres: x to the right of the image, y up
+ * and z along the optical axis, the convention of Kinect joint positions.
+ * Pixel coordinates have their origin at the top left.
+ */
+class CameraIntrinsics {
+    #rays = null;
+
+    /**
+     * @param {Object} values - Intrinsics
+     * @param {number} values.width - Image width the values apply to
+     * @param {number} values.height - Image height the values apply to
+     * @param {number} values.fx - Horizontal focal length in pixels
+     * @param {number} values.fy - Vertical focal length in pixels
+     * @param {number} values.cx - Principal point in pixels
+     * @param {number} values.cy - Principal point in pixels
+     * @param {Object} [values.distortion] - k1, k2, k3, p1 and p2; missing terms are 0
+     * @throws {TypeError} If a value is missing or out of range
+     */
+    constructor({ width, height, fx, fy, cx, cy, distortion = {} } = {}) {
+        for (const [key, value] of Object.entries({ width, height })) {
+            if (!Number.isInteger(value) || value < 1) {
+                throw new TypeError(`Invalid intrinsics: ${key} must be a positive integer, got ${value}`);
+            }
+        }
+        for (const [key, value] of Object.entries({ fx, fy })) {
+            if (!Number.isFinite(value) || value <= 0) {
+                throw new TypeError(`Invalid intrinsics: ${key} must be a positive number, got ${value}`);
+            }
+        }
+        for (const [key, value] of Object.entries({ cx, cy, ...distortion })) {
+            if (!Number.isFinite(value)) {
+                throw new TypeError(`Invalid intrinsics: ${key} must be a finite number, got ${value}`);
+            }
+        }
+        const unknown = Object.keys(distortion).find(key => !DISTORTION_KEYS.includes(key));
+        if (unknown) {
+            throw new TypeError(`Invalid intrinsics: unknown distortion term ${unknown}`);
+        }
+
+        this.width = width;
+        this.height = height;
+        this.fx = fx;
+        this.fy = fy;
+        this.cx = cx;
+        this.cy = cy;
+        this.distortion = Object.fromEntries(DISTORTION_KEYS.map(key => [key, distortion[key] ?? 0]));
+        Object.freeze(this.distortion);
+    }
+
+    /**
+     * Kinect v2 defaults for a camera, overlaid with device-specific values.
+     * Later overrides win; distortion terms are merged individually.
+     * @param {string} camera - depth or color
+     * @param {...Object} overrides - Partial intrinsics; null and undefined are skipped
+     * @returns {CameraIntrinsics} Intrinsics
+     * @throws {TypeError} If the camera is unknown or a value is invalid
+     */
+    static forCamera(camera, ...overrides) {
+        const defaults = KINECT_V2_INTRINSICS[camera];
+        if (!defaults) {
+            throw new TypeError(`Unknown camera: ${camera} (expected ${Object.keys(KINECT_V2_INTRINSICS).join(' or ')})`);
+        }
+
+        const values = overrides.filter(Boolean).reduce((merged, override) => ({
+            ...merged,
+            ...override,
+            distortion: { ...merged.distortion, ...override.distortion }
+        }), defaults);
+        return new CameraIntrinsics(values);
+    }
+
+    /**
+     * The same camera at another resolution, such as a downscaled frame
+     * @param {number} width - Target width
+     * @param {number} height - Target height
+     * @returns {CameraIntrinsics} Scaled intrinsics, or this one if the size matches
+     */
+    scale(width, height) {
+        if (width === this.width && height === this.height) {
+            return this;
+        }
+
+        const sx = width / this.width;
+        const sy = height / this.height;
+        return new CameraIntrinsics({
+            width,
+            height,
+            fx: this.fx * sx,
+            fy: this.fy * sy,
+            // Scale pixel centres rather than pixel corners
+            cx: (this.cx + 0.5) * sx - 0.5,
+            cy: (this.cy + 0.5) * sy - 0.5,
+            distortion: this.distortion
+        });
+    }
+
+    /**
+     * Project a camera space point onto the image
+     * @param {number} x - Metres to the right
+     * @param {number} y - Metres up
+     * @param {number} z - Metres ahead
+     * @returns {number[]|null} [u, v] in pixels, or null for points behind the camera
+     */
+    project(x, y, z) {
+        if (!(z > 0)) return null;
+
+        const [xd, yd] = this.#distort(x / z, -y / z);
+        return [this.cx + this.fx * xd, this.cy + this.fy * yd];
+    }
+
+    /**
+     * Camera space point seen at a pixel
+     * @param {number} u - Column in pixels
+     * @param {number} v - Row in pixels
+     * @param {number} depth - Distance along the optical axis in metres
+     * @returns {number[]} [x, y, z] in metres
+     */
+    deproject(u, v, depth) {
+        const [xn, yn] = this.#undistort((u - this.cx) / this.fx, (v - this.cy) / this.fy);
+        return [xn * depth, -yn * depth, depth];
+    }
+
+    /**
+     * Per-pixel undistorted rays, built once: x and y of the point at depth 1
+     * for each pixel in row-major order
+     * @returns {Float32Array} width * height * 2 values
+     */
+    rays() {
+        if (!this.#rays) {
+            this.#rays = new Float32Array(this.width * this.height * 2);
+            for (let v = 0; v < this.height; v++) {
+                for (let u = 0; u < this.width; u++) {
+                    const [x, y] = this.deproject(u, v, 1);
+                    const index = (v * this.width + u) * 2;
+                    this.#rays[index] = x;
+                    this.#rays[index + 1] = y;
+                }
+            }
+        }
+        return this.#rays;
+    }
+
+    /**
+     * Plain values, as accepted by the constructor
+     * @returns {Object}
+     */
+    toJSON() {
+        const { width, height, fx, fy, cx, cy } = this;
+        return { width, height, fx, fy, cx, cy, distortion: { ...this.distortion } };
+    }
+
+    #distort(x, y) {
+        const { k1, k2, k3, p1, p2 } = this.distortion;
+        const r2 = x * x + y * y;
+        const radial = 1 + r2 * (k1 + r2 * (k2 + r2 * k3));
+        return [
+            x * radial + 2 * p1 * x * y + p2 * (r2 + 2 * x * x),
+            y * radial + p1 * (r2 + 2 * y * y) + 2 * p2 * x * y
+        ];
+    }
+
+    #undistort(xd, yd) {
+        const { k1, k2, k3, p1, p2 } = this.distortion;
+        let x = xd;
+        let y = yd;
+        for (let i = 0; i < UNDISTORT_ITERATIONS; i++) {
+            const r2 = x * x + y * y;
+            const radial = 1 + r2 * (k1 + r2 * (k2 + r2 * k3));
+            const nextX = (xd - 2 * p1 * x * y - p2 * (r2 + 2 * x * x)) / radial;
+            y = (yd - p1 * (r2 + 2 * y * y) - 2 * p2 * x * y) / radial;
+            x = nextX;
+        }
+        return [x, y];
+    }
+}
+
+/**
+ * Read device-specific intrinsics from a JSON file keyed by camera, such as
+ * { "depth": { "fx": 366.1, "cx": 256.2, "distortion": { "k1": 0.09 } } }.
+ * Values may be partial; they are overlaid on the Kinect v2 defaults.
+ * @param {string} file - JSON file
+ * @returns {Promise<Object>} Partial intrinsics by camera
+ * @throws {Error} If the file cannot be read or is not keyed by camera
+ */
+async function readIntrinsicsFile(file) {
+    let contents;
+    try {
+        contents = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read intrinsics file ${file}: ${error.message}`);
+    }
+
+    const isObject = Boolean(contents) && typeof contents === 'object' && !Array.isArray(contents);
+    const unknown = isObject && Object.keys(contents).find(camera => !KINECT_V2_INTRINSICS[camera]);
+    if (!isObject || unknown) {
+        throw new Error(`Intrinsics file ${file} must map depth and color to intrinsics${unknown ? `, got ${unknown}` : ''}`);
+    }
+    return contents;
+}
+
+module.exports = {
+    CameraIntrinsics,
+    KINECT_V2_INTRINSICS,
+    readIntrinsicsFile
+};
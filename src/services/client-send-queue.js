@@ -0,0 +1,225 @@
+const WebSocket = require('ws');
+const EventEmitter = require('events');
+
+/**
+ * What to do with stream frames while a client cannot keep up
+ */
+const POLICIES = {
+    DROP_OLDEST: 'dropOldest', // Keep up to maxQueuedFrames per stream, dropping the oldest
+    LATEST: 'latest', // Keep only the newest frame per stream
+    DISCONNECT: 'disconnect' // Queue everything, disconnect past disconnectThreshold
+};
+
+const DEFAULT_OPTIONS = {
+    policy: POLICIES.DROP_OLDEST,
+    highWaterMark: 1024 * 1024,
+    maxQueuedFrames: 4,
+    disconnectThreshold: 16 * 1024 * 1024
+};
+
+/**
+ * Outbound queue for a single WebSocket client. Messages are written straight
+ * to the socket while its bufferedAmount is below the high water mark; beyond
+ * that they wait here and are flushed as earlier writes complete. Stream frames
+ * are subject to the backpressure policy, control messages (no stream) are
+ * never dropped.
+ * @extends EventEmitter
+ * @fires ClientSendQueue#dropped - When a queued frame is discarded
+ * @fires ClientSendQueue#overflow - When the disconnect threshold is exceeded
+ * @fires ClientSendQueue#error - When a write fails
+ */
+class ClientSendQueue extends EventEmitter {
+    #ws;
+    #options;
+    #control = [];
+    #streams = new Map();
+    #sequence = 0;
+    #queuedBytes = 0;
+    #overflowed = false;
+    #stats = {
+        sent: 0,
+        dropped: 0,
+        droppedByStream: {}
+    };
+
+    /**
+     * @param {WebSocket} ws - Client socket
+     * @param {Object} [options] - Backpressure options (see resolveOptions)
+     */
+    constructor(ws, options) {
+        super();
+        this.#ws = ws;
+        this.#options = ClientSendQueue.resolveOptions(options);
+    }
+
+    /**
+     * Validate backpressure options and apply defaults
+     * @param {Object} [options={}] - config.network.websocket.backpressure
+     * @param {string} [options.policy='dropOldest'] - One of POLICIES
+     * @param {number} [options.highWaterMark] - Socket buffered bytes before queueing
+     * @param {number} [options.maxQueuedFrames] - Frames kept per stream by dropOldest
+     * @param {number} [options.disconnectThreshold] - Buffered plus queued bytes before disconnecting
+     * @returns {Object} Resolved options
+     * @throws {TypeError} If an option is invalid
+     */
+    static resolveOptions(options = {}) {
+        const resolved = { ...DEFAULT_OPTIONS, ...options };
+
+        if (!Object.values(POLICIES).includes(resolved.policy)) {
+            throw new TypeError(`Unknown backpressure policy: ${resolved.policy} (available: ${Object.values(POLICIES).join(', ')})`);
+        }
+        for (const key of ['highWaterMark', 'maxQueuedFrames', 'disconnectThreshold']) {
+            if (!Number.isInteger(resolved[key]) || resolved[key] < 0) {
+                throw new TypeError(`Backpressure ${key} must be a non-negative integer`);
+            }
+        }
+        if (resolved.maxQueuedFrames === 0) {
+            throw new TypeError('Backpressure maxQueuedFrames must be at least 1');
+        }
+        return resolved;
+    }
+
+    /**
+     * Send a message now or queue it behind the socket buffer
+     * @param {string|Buffer} message - Encoded message
+     * @param {string|null} [stream=null] - Stream the frame belongs to; null for control messages
+     */
+    send(message, stream = null) {
+        if (this.#overflowed) return;
+
+        if (this.queued === 0 && this.#canWrite()) {
+            this.#write(message);
+            return;
+        }
+
+        const entry = { message, stream, sequence: this.#sequence++, bytes: ClientSendQueue.#byteLength(message) };
+        if (stream === null) {
+            this.#control.push(entry);
+        } else {
+            this.#enqueueFrame(entry);
+        }
+        this.#queuedBytes += entry.bytes;
+
+        this.#checkOverflow();
+        this.#flush();
+    }
+
+    /**
+     * Discard everything still queued
+     */
+    clear() {
+        this.#control = [];
+        this.#streams.clear();
+        this.#queuedBytes = 0;
+    }
+
+    /**
+     * Number of queued messages
+     */
+    get queued() {
+        let count = this.#control.length;
+        for (const entries of this.#streams.values()) {
+            count += entries.length;
+        }
+        return count;
+    }
+
+    /**
+     * Get queue statistics
+     * @returns {Object} Queue depth, bytes and delivery counters
+     */
+    getStats() {
+        return {
+            policy: this.#options.policy,
+            queued: this.queued,
+            queuedBytes: this.#queuedBytes,
+            bufferedAmount: this.#ws.bufferedAmount || 0,
+            sent: this.#stats.sent,
+            dropped: this.#stats.dropped,
+            droppedByStream: { ...this.#stats.droppedByStream }
+        };
+    }
+
+    // Private helpers
+
+    #enqueueFrame(entry) {
+        if (!this.#streams.has(entry.stream)) {
+            this.#streams.set(entry.stream, []);
+        }
+
+        const entries = this.#streams.get(entry.stream);
+        entries.push(entry);
+
+        const limit = {
+            [POLICIES.DROP_OLDEST]: this.#options.maxQueuedFrames,
+            [POLICIES.LATEST]: 1,
+            [POLICIES.DISCONNECT]: Infinity
+        }[this.#options.policy];
+
+        while (entries.length > limit) {
+            this.#drop(entries.shift());
+        }
+    }
+
+    #drop(entry) {
+        this.#queuedBytes -= entry.bytes;
+        this.#stats.dropped++;
+        this.#stats.droppedByStream[entry.stream] = (this.#stats.droppedByStream[entry.stream] || 0) + 1;
+        this.emit('dropped', entry.stream);
+    }
+
+    #checkOverflow() {
+        if (this.#options.policy !== POLICIES.DISCONNECT) return;
+
+        const pending = (this.#ws.bufferedAmount || 0) + this.#queuedBytes;
+        if (pending > this.#options.disconnectThreshold) {
+            this.#overflowed = true;
+            this.clear();
+            this.emit('overflow', pending);
+        }
+    }
+
+    #canWrite() {
+        return (this.#ws.bufferedAmount || 0) <= this.#options.highWaterMark;
+    }
+
+    /**
+     * Write queued messages in their original order while the socket has room
+     */
+    #flush() {
+        while (this.queued > 0 && this.#canWrite()) {
+            let next = this.#control;
+            for (const entries of this.#streams.values()) {
+                if (entries.length && (!next.length || entries[0].sequence < next[0].sequence)) {
+                    next = entries;
+                }
+            }
+
+            const entry = next.shift();
+            this.#queuedBytes -= entry.bytes;
+            this.#write(entry.message);
+        }
+    }
+
+    #write(message) {
+        if (this.#ws.readyState !== WebSocket.OPEN) return;
+
+        this.#stats.sent++;
+        this.#ws.send(message, error => {
+            if (error) {
+                this.emit('error', error);
+            } else {
+                this.#flush();
+            }
+        });
+    }
+
+    static #byteLength(message) {
+        return typeof message === 'string' ? Buffer.byteLength(message) : message.length;
+    }
+}
+
+module.exports = {
+    ClientSendQueue,
+    POLICIES
+};
@@ -0,0 +1,116 @@
+/**
+ * Streams a client can subscribe to
+ */
+const STREAMS = ['depth', 'color', 'body', 'infrared', 'frameSync', 'movement', 'gesture'];
+
+/**
+ * Wire formats a subscription can request; null uses the client's capabilities
+ */
+const WIRE_FORMATS = ['binary', 'json'];
+
+/**
+ * Fraction of the frame interval that must have elapsed before the next frame
+ * is sent, so jitter in the source rate does not halve the delivered rate
+ */
+const INTERVAL_TOLERANCE = 0.9;
+
+/**
+ * Stream subscriptions of a single WebSocket client, with per-stream rate
+ * limiting and wire format options
+ */
+class ClientSubscriptions {
+    #subscriptions = new Map();
+
+    /**
+     * Subscribe to a stream, replacing the options of an existing subscription
+     * @param {string} stream - Stream name (see STREAMS)
+     * @param {Object} [options={}] - Subscription options
+     * @param {number} [options.maxFps] - Maximum frames per second to deliver
+     * @param {string} [options.format] - Wire format: 'binary' or 'json'
+     * @returns {Object} Normalised subscription options
+     * @throws {TypeError} If the stream or options are invalid
+     */
+    subscribe(stream, options = {}) {
+        if (!STREAMS.includes(stream)) {
+            throw new TypeError(`Unknown stream: ${stream} (available: ${STREAMS.join(', ')})`);
+        }
+
+        const { maxFps = null, format = null } = options || {};
+        if (maxFps !== null && (typeof maxFps !== 'number' || !(maxFps > 0) || !Number.isFinite(maxFps))) {
+            throw new TypeError('maxFps must be a positive number');
+        }
+        if (format !== null && !WIRE_FORMATS.includes(format)) {
+            throw new TypeError(`Unknown format: ${format} (available: ${WIRE_FORMATS.join(', ')})`);
+        }
+
+        this.#subscriptions.set(stream, {
+            maxFps,
+            format,
+            minInterval: maxFps ? (1000 / maxFps) * INTERVAL_TOLERANCE : 0,
+            lastSent: -Infinity
+        });
+        return { maxFps, format };
+    }
+
+    /**
+     * @param {string} stream - Stream name
+     * @returns {boolean} True if the stream was subscribed
+     */
+    unsubscribe(stream) {
+        return this.#subscriptions.delete(stream);
+    }
+
+    /**
+     * Remove every subscription
+     * @returns {string[]} Streams that were subscribed
+     */
+    clear() {
+        const streams = this.streams();
+        this.#subscriptions.clear();
+        return streams;
+    }
+
+    /**
+     * @param {string} stream - Stream name
+     * @returns {boolean} True if subscribed to the stream
+     */
+    has(stream) {
+        return this.#subscriptions.has(stream);
+    }
+
+    /**
+     * @returns {string[]} Subscribed stream names
+     */
+    streams() {
+        return Array.from(this.#subscriptions.keys());
+    }
+
+    /**
+     * Decide whether a frame of a stream should be delivered now; accepting a
+     * frame counts against the subscription's rate limit
+     * @param {string} stream - Stream name
+     * @param {number} [now=Date.now()] - Current time in milliseconds
+     * @returns {Object|null} Subscription options if the frame should be sent
+     */
+    accept(stream, now = Date.now()) {
+        const subscription = this.#subscriptions.get(stream);
+        if (!subscription || now - subscription.lastSent < subscription.minInterval) {
+            return null;
+        }
+
+        subscription.lastSent = now;
+        return { maxFps: subscription.maxFps, format: subscription.format };
+    }
+
+    toJSON() {
+        return Object.fromEntries(Array.from(this.#subscriptions.entries()).map(([stream, { maxFps, format }]) => [
+            stream,
+            { maxFps, format }
+        ]));
+    }
+}
+
+module.exports = {
+    ClientSubscriptions,
+    STREAMS
+};
@@ -0,0 +1,231 @@
+const fs = require('fs');
+const path = require('path');
+const { defaultConfig } = require('./service-config');
+const { ConfigError, getSchema, validate, validateConfig } = require('./config-schema');
+const { PresetStore } = require('./config-presets');
+
+const ENV_PREFIX = 'KINECT_';
+const ENV_SEPARATOR = '__';
+const CONFIG_ENV = 'KINECT_CONFIG';
+const PRESET_ENV = 'KINECT_PRESET';
+const DEFAULT_CONFIG_FILE = 'config.json';
+
+/**
+ * Build the service configuration from layered sources, later layers winning:
+ *   1. defaultConfig from service-config.js
+ *   2. A JSON config file: --config <path>, then KINECT_CONFIG, then ./config.json if present
+ *   3. A named preset: --preset <name>, then KINECT_PRESET, then persistence.preset
+ *   4. Environment overrides, e.g. KINECT_NETWORK__WEBSOCKET__PORT=9000
+ * @param {Object} [options={}] - Sources, for testing and embedding
+ * @param {string[]} [options.argv=process.argv.slice(2)] - Command line arguments
+ * @param {Object} [options.env=process.env] - Environment variables
+ * @param {string} [options.cwd=process.cwd()] - Directory relative paths are resolved against
+ * @returns {Object} Merged and validated configuration
+ * @throws {ConfigError} If a source cannot be read or the result does not match the schema
+ */
+function loadConfig({ argv = process.argv.slice(2), env = process.env, cwd = process.cwd() } = {}) {
+    const fileConfig = readConfigFile(resolveConfigPath(argv, env, cwd));
+    const envConfig = parseEnvOverrides(env);
+
+    const { persistence } = mergeConfig(defaultConfig, fileConfig, envConfig);
+    const presetName = readFlag(argv, '--preset') || env[PRESET_ENV] || persistence.preset;
+    let presetConfig = {};
+    if (presetName) {
+        try {
+            presetConfig = PresetStore.loadSync(path.resolve(cwd, persistence.presetsDir), presetName).config;
+        } catch (error) {
+            throw error instanceof ConfigError ? error : new ConfigError([`persistence.preset: ${error.message}`]);
+        }
+    }
+
+    const config = mergeConfig(defaultConfig, fileConfig, presetConfig, envConfig);
+    config.persistence.preset = presetName || null;
+
+    validateConfig(config);
+    return config;
+}
+
+/**
+ * Find the config file named on the command line or in the environment
+ * @returns {{path: string, required: boolean}} Config file location
+ */
+function resolveConfigPath(argv, env, cwd) {
+    const flagValue = readFlag(argv, '--config');
+    if (flagValue) {
+        return { path: path.resolve(cwd, flagValue), required: true };
+    }
+
+    if (env[CONFIG_ENV]) {
+        return { path: path.resolve(cwd, env[CONFIG_ENV]), required: true };
+    }
+
+    return { path: path.resolve(cwd, DEFAULT_CONFIG_FILE), required: false };
+}
+
+/**
+ * Read the value of a command line flag given as `--flag value` or `--flag=value`
+ * @returns {string|null} Flag value, or null if the flag is absent
+ * @throws {ConfigError} If the flag is present without a value
+ */
+function readFlag(argv, flag) {
+    const index = argv.findIndex(arg => arg === flag || arg.startsWith(`${flag}=`));
+    if (index === -1) return null;
+
+    const arg = argv[index];
+    const value = arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : argv[index + 1];
+    if (!value || value.startsWith('--')) {
+        throw new ConfigError([`${flag} requires a value`]);
+    }
+    return value;
+}
+
+function readConfigFile({ path: filePath, required }) {
+    let text;
+    try {
+        text = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT' && !required) return {};
+        throw new ConfigError([`Cannot read config file ${filePath}: ${error.message}`]);
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        throw new ConfigError([`Config file ${filePath} is not valid JSON: ${error.message}`]);
+    }
+
+    if (!isPlainObject(parsed)) {
+        throw new ConfigError([`Config file ${filePath} must contain a JSON object`]);
+    }
+    return parsed;
+}
+
+/**
+ * Turn KINECT_SECTION__KEY__SUBKEY variables into a config fragment. Segments
+ * match keys of the defaults case-insensitively, and values are parsed as JSON
+ * where possible so numbers and booleans keep their types.
+ * @param {Object} env - Environment variables
+ * @returns {Object} Config fragment
+ * @throws {ConfigError} If a variable does not name a known key
+ */
+function parseEnvOverrides(env) {
+    const overrides = {};
+    const errors = [];
+
+    for (const [name, raw] of Object.entries(env)) {
+        if (!name.startsWith(ENV_PREFIX) || name === CONFIG_ENV || name === PRESET_ENV || raw === undefined) continue;
+
+        const segments = name.slice(ENV_PREFIX.length).split(ENV_SEPARATOR);
+        const keys = [];
+        let schema = defaultConfig;
+
+        for (const segment of segments) {
+            const key = isPlainObject(schema)
+                ? Object.keys(schema).find(candidate => candidate.toLowerCase() === segment.toLowerCase())
+                : undefined;
+            if (!key) {
+                keys.length = 0;
+                break;
+            }
+            keys.push(key);
+            schema = schema[key];
+        }
+
+        if (keys.length === 0) {
+            errors.push(`${name} does not match a configuration key`);
+            continue;
+        }
+
+        let target = overrides;
+        for (const key of keys.slice(0, -1)) {
+            target = target[key] ||= {};
+        }
+        target[keys[keys.length - 1]] = parseEnvValue(raw);
+    }
+
+    if (errors.length) {
+        throw new ConfigError(errors);
+    }
+    return overrides;
+}
+
+function parseEnvValue(raw) {
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return raw;
+    }
+}
+
+/**
+ * Deep-merge configuration layers into a new object. Plain objects are merged
+ * key by key; arrays and other values replace what came before.
+ * @param {...Object} layers - Configuration layers, lowest precedence first
+ * @returns {Object} Merged configuration
+ */
+function mergeConfig(...layers) {
+    const merge = (base, layer) => {
+        if (!isPlainObject(base) || !isPlainObject(layer)) {
+            return clone(layer);
+        }
+        const result = { ...base };
+        for (const [key, value] of Object.entries(layer)) {
+            result[key] = key in base ? merge(base[key], value) : clone(value);
+        }
+        return result;
+    };
+
+    return layers.reduce((merged, layer) => merge(merged, layer || {}), {});
+}
+
+/**
+ * Merge a patch into one section of a configuration and validate the result.
+ * The configuration itself is left untouched.
+ * @param {Object} config - Current configuration
+ * @param {string} keyPath - Section to patch, e.g. 'sensors.depth.processing'
+ * @param {Object} patch - Values to merge into the section
+ * @returns {Object} New contents of the section
+ * @throws {ConfigError} If the section is unknown or the result is invalid
+ */
+function patchSection(config, keyPath, patch) {
+    const schema = getSchema(keyPath);
+    if (!schema || schema.type !== 'object') {
+        throw new ConfigError([`${keyPath}: not a configuration section`]);
+    }
+    if (!isPlainObject(patch)) {
+        throw new ConfigError([`${keyPath}: patch must be an object`]);
+    }
+
+    const current = keyPath.split('.').reduce((value, key) => value?.[key], config);
+    const section = mergeConfig(current, patch);
+
+    const errors = validate(section, schema, keyPath);
+    if (errors.length) {
+        throw new ConfigError(errors);
+    }
+    return section;
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function isPlainObject(value) {
+    return typeOf(value) === 'object';
+}
+
+function clone(value) {
+    // Configuration is plain JSON, so a JSON round trip is a complete deep copy
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+    ConfigError,
+    loadConfig,
+    mergeConfig,
+    parseEnvOverrides,
+    patchSection
+};
@@ -0,0 +1,249 @@
+const fs = require('fs');
+const path = require('path');
+const { ConfigError, configSchema, validate } = require('./config-schema');
+
+/**
+ * Top-level configuration sections a preset may overlay
+ */
+const PRESET_SECTIONS = ['sensors', 'network'];
+
+const PRESET_NAME = /^[a-z0-9][a-z0-9_-]*$/i;
+const PRESET_EXTENSION = '.json';
+
+/**
+ * Presets shipped with the service. Each overlays the configuration it is
+ * applied to; keys it does not mention keep their current values.
+ */
+const BUILTIN_PRESETS = {
+    'low-bandwidth': {
+        description: 'Reduced frame rates and smaller JPEG color frames for remote or wireless clients',
+        config: {
+            sensors: {
+                depth: { performance: { fps: 15 } },
+                color: {
+                    processing: { compression: { enabled: true, format: 'jpeg', quality: 0.5, scale: 0.5 } },
+                    performance: { fps: 15 }
+                },
+                body: { performance: { fps: 15 } },
+                infrared: { enabled: false }
+            },
+            network: {
+                websocket: { backpressure: { policy: 'latest' } }
+            }
+        }
+    },
+    'body-only': {
+        description: 'Body tracking only; image sensors are disabled',
+        config: {
+            sensors: {
+                depth: { enabled: false },
+                color: { enabled: false },
+                body: { enabled: true },
+                infrared: { enabled: false }
+            }
+        }
+    },
+    'high-fidelity-depth': {
+        description: 'Full rate, unnormalised depth with point clouds; color is disabled',
+        config: {
+            sensors: {
+                depth: {
+                    enabled: true,
+                    processing: { normalize: false, gammaCorrection: false, generatePointCloud: true },
+                    performance: { fps: 30, skipFrames: 0 }
+                },
+                color: { enabled: false }
+            },
+            network: {
+                websocket: { backpressure: { policy: 'dropOldest', maxQueuedFrames: 8 } }
+            }
+        }
+    }
+};
+
+/**
+ * Check that a preset only overlays preset sections with valid values
+ * @param {Object} preset - Preset to check
+ * @param {string} name - Preset name, used in messages
+ * @throws {ConfigError} Listing every problem
+ */
+function validatePreset(preset, name) {
+    if (!preset || typeof preset !== 'object' || !preset.config || typeof preset.config !== 'object') {
+        throw new ConfigError([`preset ${name}: must be an object with a config property`]);
+    }
+
+    const errors = [];
+    for (const [section, values] of Object.entries(preset.config)) {
+        if (!PRESET_SECTIONS.includes(section)) {
+            errors.push(`preset ${name}: ${section}: presets may only change ${PRESET_SECTIONS.join(', ')}`);
+        } else {
+            errors.push(...validate(values, configSchema.properties[section], section)
+                .map(error => `preset ${name}: ${error}`));
+        }
+    }
+
+    if (errors.length) {
+        throw new ConfigError(errors);
+    }
+}
+
+function validateName(name) {
+    if (typeof name !== 'string' || !PRESET_NAME.test(name)) {
+        throw new TypeError(`Invalid preset name: ${name} (use letters, digits, '-' and '_')`);
+    }
+}
+
+/**
+ * Write JSON through a temporary file so readers never see a partial file
+ * @param {string} filePath - Destination
+ * @param {*} data - JSON-serialisable data
+ */
+async function writeJsonFile(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, `${JSON.stringify(data, null, 4)}\n`);
+    await fs.promises.rename(tempPath, filePath);
+}
+
+/**
+ * Named configuration presets: the built-in set plus user presets stored as
+ * one JSON file each in a directory (config.persistence.presetsDir)
+ */
+class PresetStore {
+    #directory;
+
+    /**
+     * @param {string} directory - Directory holding user presets
+     * @throws {TypeError} If the directory is missing
+     */
+    constructor(directory) {
+        if (!directory || typeof directory !== 'string') {
+            throw new TypeError('Preset directory is required');
+        }
+        this.#directory = directory;
+    }
+
+    /**
+     * Look up a preset synchronously, for use while loading configuration
+     * @param {string} directory - Directory holding user presets
+     * @param {string} name - Preset name
+     * @returns {Object} Validated preset
+     * @throws {Error} If the preset does not exist or is invalid
+     */
+    static loadSync(directory, name) {
+        validateName(name);
+        if (BUILTIN_PRESETS[name]) {
+            return BUILTIN_PRESETS[name];
+        }
+
+        let text;
+        try {
+            text = fs.readFileSync(path.join(directory, `${name}${PRESET_EXTENSION}`), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`Unknown preset: ${name}`);
+            }
+            throw error;
+        }
+        return PresetStore.#parse(text, name);
+    }
+
+    static #parse(text, name) {
+        let preset;
+        try {
+            preset = JSON.parse(text);
+        } catch (error) {
+            throw new ConfigError([`preset ${name}: not valid JSON: ${error.message}`]);
+        }
+        validatePreset(preset, name);
+        return preset;
+    }
+
+    /**
+     * List available presets; user presets appear after the built-in ones
+     * @returns {Promise<Array<{name: string, description: string, builtin: boolean}>>} Presets
+     */
+    async list() {
+        const presets = Object.entries(BUILTIN_PRESETS)
+            .map(([name, { description }]) => ({ name, description, builtin: true }));
+
+        let files = [];
+        try {
+            files = await fs.promises.readdir(this.#directory);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        for (const file of files.filter(f => f.endsWith(PRESET_EXTENSION)).sort()) {
+            const name = path.basename(file, PRESET_EXTENSION);
+            if (!PRESET_NAME.test(name) || BUILTIN_PRESETS[name]) continue;
+            try {
+                const { description = '' } = await this.get(name);
+                presets.push({ name, description, builtin: false });
+            } catch {
+                // Unreadable or invalid presets are skipped; applying them reports the problem
+            }
+        }
+
+        return presets;
+    }
+
+    /**
+     * Load a preset by name
+     * @param {string} name - Preset name
+     * @returns {Promise<Object>} Validated preset
+     * @throws {Error} If the preset does not exist or is invalid
+     */
+    async get(name) {
+        validateName(name);
+        if (BUILTIN_PRESETS[name]) {
+            return BUILTIN_PRESETS[name];
+        }
+
+        let text;
+        try {
+            text = await fs.promises.readFile(this.#filePath(name), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`Unknown preset: ${name}`);
+            }
+            throw error;
+        }
+        return PresetStore.#parse(text, name);
+    }
+
+    /**
+     * Save a user preset, replacing any earlier preset of the same name
+     * @param {string} name - Preset name
+     * @param {Object} preset - Preset to save
+     * @param {string} [preset.description] - Shown when listing presets
+     * @param {Object} preset.config - Overlay of the sensors and network sections
+     * @returns {Promise<string>} Path of the saved file
+     * @throws {Error} If the name is taken by a built-in preset or the preset is invalid
+     */
+    async save(name, { description = '', config } = {}) {
+        validateName(name);
+        if (BUILTIN_PRESETS[name]) {
+            throw new Error(`Cannot overwrite built-in preset: ${name}`);
+        }
+
+        const preset = { description, config };
+        validatePreset(preset, name);
+
+        const filePath = this.#filePath(name);
+        await writeJsonFile(filePath, preset);
+        return filePath;
+    }
+
+    #filePath(name) {
+        return path.join(this.#directory, `${name}${PRESET_EXTENSION}`);
+    }
+}
+
+module.exports = {
+    BUILTIN_PRESETS,
+    PRESET_SECTIONS,
+    PresetStore,
+    validatePreset,
+    writeJsonFile
+};
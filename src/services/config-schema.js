@@ -0,0 +1,546 @@
+/**
+ * Configuration Schema
+ * Declarative description of every configuration section. Each node states the
+ * expected type and range of a value; object nodes list their keys and may add
+ * rules that relate sibling values to each other.
+ */
+
+const { POLICIES } = require('./client-send-queue');
+const { COLOR_MAPS } = require('./workers/colormap');
+const { IMAGE_FORMATS } = require('./workers/image-encoder');
+const { POINT_CLOUD_FORMATS } = require('./export/point-cloud-formats');
+const { DISPATCH_STRATEGIES } = require('./worker-pool');
+const { stageRegistry } = require('./workers/pipeline');
+const { FILTER_TYPES } = require('./workers/joint-filters');
+const { JOINT_GROUPS } = require('./joint-topology');
+
+/**
+ * Log levels understood by LoggingService
+ */
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+/**
+ * Raised when configuration cannot be loaded or does not match the schema
+ */
+class ConfigError extends Error {
+    /**
+     * @param {string[]} errors - One message per problem, each naming the offending key
+     */
+    constructor(errors) {
+        super(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+// Schema node builders
+
+const object = (properties, { rules = [], hint, open = false } = {}) => ({ type: 'object', properties, rules, hint, open });
+const array = (items, { nullable = false, minItems, maxItems } = {}) => ({ type: 'array', items, nullable, minItems, maxItems });
+const number = ({ min, max, exclusiveMin, integer = false } = {}) => ({ type: 'number', min, max, exclusiveMin, integer });
+const integer = (options = {}) => number({ ...options, integer: true });
+const boolean = () => ({ type: 'boolean' });
+const string = ({ values, nullable = false, nonEmpty = false } = {}) => ({ type: 'string', values, nullable, nonEmpty });
+
+/**
+ * Rule requiring one numeric key to be at least another. Skipped when either
+ * key is absent, as in a partial patch.
+ * @param {string} key - Key that must be the larger value
+ * @param {string} other - Key it is compared against
+ */
+const atLeast = (key, other) => ({
+    key,
+    check: value => value[key] === undefined || value[other] === undefined || value[key] >= value[other],
+    message: `must be at least ${other}`
+});
+
+/**
+ * Processing pipeline: an ordered list of built-in stages for the sensor, or
+ * stage modules loaded by path. Stage options are checked by the stage itself
+ * when the worker builds the pipeline.
+ * @param {string} sensorType - Sensor whose stages may be named
+ */
+const pipeline = sensorType => array(object({
+    stage: string({ nonEmpty: true }),
+    module: string({ nonEmpty: true }),
+    options: object({}, { open: true })
+}, {
+    rules: [{
+        key: 'stage',
+        check: entry => entry.module !== undefined || stageRegistry.names(sensorType).includes(entry.stage),
+        message: `must be a ${sensorType} stage (available: ${stageRegistry.names(sensorType).join(', ')}) or come with a module`
+    }]
+}), { nullable: true });
+
+/**
+ * RGB colour, or RGBA when alpha is allowed, with byte channels
+ * @param {Object} [options]
+ * @param {boolean} [options.alpha=false] - Accept a fourth, alpha channel
+ */
+const color = ({ alpha = false } = {}) => array(integer({ min: 0, max: 255 }), { minItems: 3, maxItems: alpha ? 4 : 3 });
+
+/**
+ * Partial camera intrinsics, overlaid on the Kinect v2 defaults
+ */
+const intrinsics = () => object({
+    width: integer({ min: 1 }),
+    height: integer({ min: 1 }),
+    fx: number({ exclusiveMin: 0 }),
+    fy: number({ exclusiveMin: 0 }),
+    cx: number(),
+    cy: number(),
+    distortion: object({
+        k1: number(),
+        k2: number(),
+        k3: number(),
+        p1: number(),
+        p2: number()
+    })
+});
+
+/**
+ * Transform from depth to color camera space
+ */
+const extrinsics = () => object({
+    rotation: array(number(), { minItems: 9, maxItems: 9 }),
+    translation: array(number(), { minItems: 3, maxItems: 3 })
+});
+
+/**
+ * Joint filter choice and parameters, for all joints or one joint group
+ * @param {Object} [extra] - Additional properties
+ */
+const jointFilter = (extra = {}) => object({
+    filter: string({ values: FILTER_TYPES }),
+    smoothing: number({ min: 0, max: 1 }),
+    correction: number({ min: 0, max: 1 }),
+    prediction: number({ min: 0, max: 1 }),
+    jitterRadius: number({ min: 0 }),
+    maxDeviationRadius: number({ min: 0 }),
+    oneEuro: object({
+        minCutoff: number({ exclusiveMin: 0 }),
+        beta: number({ min: 0 }),
+        derivativeCutoff: number({ exclusiveMin: 0 })
+    }),
+    ...extra
+});
+
+const frameSize = () => object({
+    width: integer({ min: 1 }),
+    height: integer({ min: 1 })
+});
+
+const performance = (extra = {}) => object({
+    fps: number({ exclusiveMin: 0, max: 120 }),
+    maxQueueSize: integer({ min: 1 }),
+    maxWorkers: integer({ min: 1 }),
+    dispatchStrategy: string({ values: Object.values(DISPATCH_STRATEGIES) }),
+    skipFrames: integer({ min: 0 }),
+    ...extra
+});
+
+const bufferPool = (extra = {}) => object({
+    maxPoolSize: integer({ min: 1 }),
+    initialSize: integer({ min: 0 }),
+    expandSize: integer({ min: 1 }),
+    clearOnRelease: boolean(),
+    ...extra
+}, { rules: [atLeast('maxPoolSize', 'initialSize')] });
+
+const workers = () => object({
+    maxRestarts: integer({ min: 0 }),
+    healthCheckInterval: integer({ min: 0 }),
+    healthCheckTimeout: integer({ min: 0 }),
+    frameTimeout: integer({ min: 1 }),
+    restartDelay: integer({ min: 0 }),
+    maxRestartDelay: integer({ min: 0 })
+}, { rules: [atLeast('maxRestartDelay', 'restartDelay')] });
+
+const configSchema = object({
+    baseSensor: object({
+        bufferPool: bufferPool({ trackStats: boolean() }),
+        worker: workers()
+    }),
+
+    service: object({
+        bufferPool: bufferPool({ sharedFrames: boolean() }),
+        metrics: object({
+            enabled: boolean(),
+            logInterval: integer({ min: 1 }),
+            trackDelays: boolean(),
+            calculateProcessingTime: boolean()
+        }),
+        workers: workers()
+    }),
+
+    sensors: object({
+        depth: object({
+            enabled: boolean(),
+            frameSize: frameSize(),
+            processing: object({
+                normalize: boolean(),
+                colorize: boolean(),
+                colorMap: string({ values: COLOR_MAPS }),
+                customColors: array(color(), { minItems: 2, nullable: true }),
+                colorRange: object({
+                    auto: boolean(),
+                    min: integer({ min: 0 }),
+                    max: integer({ min: 1 })
+                }, {
+                    rules: [{
+                        key: 'max',
+                        check: ({ min, max }) => min === undefined || max === undefined || max > min,
+                        message: 'must be greater than min'
+                    }]
+                }),
+                invalidColor: color({ alpha: true }),
+                gammaCorrection: boolean(),
+                generatePointCloud: boolean(),
+                pointCloudOutput: string({ values: ['packed', 'organized', 'both'] }),
+                confidenceThreshold: number({ min: 0, max: 1 }),
+                pipeline: pipeline('depth')
+            }, {
+                rules: [{
+                    key: 'customColors',
+                    check: value => value.colorMap !== 'custom' || Array.isArray(value.customColors),
+                    message: 'is required when colorMap is custom'
+                }]
+            }),
+            performance: performance({ batchSize: integer({ min: 1 }) }),
+            calibration: object({
+                minReliableDistance: integer({ min: 0 }),
+                maxReliableDistance: integer({ min: 1 }),
+                intrinsics: intrinsics(),
+                intrinsicsFile: string({ nullable: true, nonEmpty: true })
+            }, {
+                rules: [{
+                    key: 'maxReliableDistance',
+                    check: ({ minReliableDistance: min, maxReliableDistance: max }) =>
+                        min === undefined || max === undefined || max > min,
+                    message: 'must be greater than minReliableDistance'
+                }]
+            })
+        }),
+
+        color: object({
+            enabled: boolean(),
+            frameSize: frameSize(),
+            processing: object({
+                format: string({ values: ['rgba'] }),
+                forceOpacity: boolean(),
+                compression: object({
+                    enabled: boolean(),
+                    quality: number({ exclusiveMin: 0, max: 1 }),
+                    format: string({ values: IMAGE_FORMATS }),
+                    scale: number({ exclusiveMin: 0, max: 1 })
+                }),
+                pipeline: pipeline('color')
+            }),
+            performance: performance(),
+            calibration: object({
+                intrinsics: intrinsics()
+            })
+        }),
+
+        body: object({
+            enabled: boolean(),
+            processing: object({
+                smoothing: jointFilter({
+                    groups: object(Object.fromEntries(Object.keys(JOINT_GROUPS).map(group => [group, jointFilter()])))
+                }),
+                tracking: object({
+                    confidenceThreshold: number({ min: 0, max: 1 }),
+                    timeout: integer({ min: 0 }),
+                    jointFilter: object({
+                        minTrackingState: integer({ min: 0, max: 2 })
+                    }, { hint: 'use a filter spec such as { "minTrackingState": 1 }' })
+                }),
+                movement: object({
+                    threshold: number({ min: 0 }),
+                    minConfidence: number({ min: 0, max: 1 }),
+                    smoothingFactor: number({ min: 0, max: 1 }),
+                    velocityWindow: integer({ min: 1 })
+                }),
+                metrics: object({
+                    calculateBoundingBox: boolean(),
+                    calculateCenterOfMass: boolean(),
+                    calculateConfidence: boolean(),
+                    trackVelocity: boolean()
+                })
+            }),
+            gestures: object({
+                enabled: boolean(),
+                builtIn: boolean(),
+                directory: string({ nullable: true }),
+                threshold: number({ exclusiveMin: 0, max: 1 }),
+                cooldown: integer({ min: 0 }),
+                tolerance: number({ exclusiveMin: 0 }),
+                startAt: number({ exclusiveMin: 0, max: 1 })
+            }),
+            performance: performance()
+        }),
+
+        infrared: object({
+            enabled: boolean(),
+            frameSize: frameSize(),
+            processing: object({
+                gammaCorrection: boolean(),
+                format: string({ values: ['uint16'] }),
+                pipeline: pipeline('infrared')
+            }),
+            performance: performance()
+        })
+    }),
+
+    device: object({
+        type: string({ nonEmpty: true }),
+        simulation: object({
+            fps: object({
+                depth: number({ exclusiveMin: 0 }),
+                color: number({ exclusiveMin: 0 }),
+                body: number({ exclusiveMin: 0 }),
+                infrared: number({ exclusiveMin: 0 })
+            }),
+            bodies: integer({ min: 0, max: 6 }),
+            seed: integer(),
+            depthNoise: number({ min: 0 }),
+            dropoutRate: number({ min: 0, max: 1 }),
+            jointNoise: number({ min: 0 }),
+            scene: object({
+                wallDistance: number({ exclusiveMin: 0 }),
+                sensorHeight: number()
+            })
+        }),
+        playback: object({
+            file: string({ nullable: true }),
+            speed: number({ exclusiveMin: 0 }),
+            loop: boolean(),
+            autoPlay: boolean()
+        }),
+        features: object({
+            led: object({
+                enabled: boolean(),
+                defaultState: string({ values: ['off', 'green', 'red', 'yellow', 'blinkGreen'] })
+            }),
+            irEmitter: object({
+                enabled: boolean(),
+                defaultState: boolean()
+            }),
+            tilt: object({
+                enabled: boolean(),
+                defaultAngle: number({ min: -27, max: 27 })
+            })
+        }),
+        monitoring: object({
+            statusInterval: integer({ min: 1 }),
+            enableLogging: boolean()
+        })
+    }, {
+        rules: [{
+            key: 'playback.file',
+            check: value => value.type !== 'playback' || Boolean(value.playback?.file),
+            message: 'is required when device.type is playback'
+        }]
+    }),
+
+    frameSync: object({
+        enabled: boolean(),
+        useMultiSourceReader: boolean(),
+        syncWindow: integer({ min: 1 }),
+        maxDelay: integer({ min: 0 }),
+        dropAfter: integer({ min: 1 }),
+        bufferSize: integer({ min: 1 }),
+        registration: object({
+            enabled: boolean(),
+            registeredColor: boolean(),
+            registeredDepth: boolean(),
+            extrinsics: extrinsics()
+        }),
+        pipeline: pipeline('frameSync'),
+        stats: object({
+            enabled: boolean(),
+            logInterval: integer({ min: 1 }),
+            trackDelays: boolean()
+        })
+    }, { rules: [atLeast('dropAfter', 'syncWindow')] }),
+
+    network: object({
+        websocket: object({
+            port: integer({ min: 0, max: 65535 }),
+            host: string({ nonEmpty: true }),
+            reconnect: object({
+                delay: integer({ min: 0 }),
+                maxAttempts: integer({ min: 0 })
+            }),
+            backpressure: object({
+                policy: string({ values: Object.values(POLICIES) }),
+                highWaterMark: integer({ min: 0 }),
+                maxQueuedFrames: integer({ min: 1 }),
+                disconnectThreshold: integer({ min: 1 })
+            }, { rules: [atLeast('disconnectThreshold', 'highWaterMark')] })
+        })
+    }),
+
+    recording: object({
+        directory: string({ nonEmpty: true }),
+        includeRaw: boolean(),
+        maxPendingBytes: integer({ min: 1 })
+    }),
+
+    export: object({
+        directory: string({ nonEmpty: true }),
+        format: string({ values: Object.keys(POINT_CLOUD_FORMATS) }),
+        encoding: string({ values: ['ascii', 'binary'] })
+    }, {
+        rules: [{
+            key: 'encoding',
+            check: value => !value.format || !value.encoding || POINT_CLOUD_FORMATS[value.format].includes(value.encoding),
+            message: 'is not supported by the export format'
+        }]
+    }),
+
+    persistence: object({
+        configFile: string({ nonEmpty: true }),
+        presetsDir: string({ nonEmpty: true }),
+        preset: string({ nullable: true, nonEmpty: true })
+    }),
+
+    debug: object({
+        logLevel: string({ values: LOG_LEVELS }),
+        performance: object({
+            showStats: boolean(),
+            showSensorStats: boolean(),
+            logFrameData: boolean(),
+            logProcessingTime: boolean()
+        }),
+        logging: object({
+            saveImmediately: boolean(),
+            maxLogSize: integer({ min: 1 }),
+            maxLogFiles: integer({ min: 1 }),
+            maxMemoryEntries: integer({ min: 1 }),
+            logsDir: string({ nonEmpty: true })
+        })
+    })
+});
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+const join = (keyPath, key) => (keyPath ? `${keyPath}.${key}` : key);
+
+/**
+ * Collect every schema violation in a value. Keys may be omitted; objects
+ * are checked against the keys they contain, so partial patches validate too.
+ * @param {*} value - Value to check
+ * @param {Object} [schema=configSchema] - Schema node the value should match
+ * @param {string} [keyPath=''] - Location of the value, used in messages
+ * @returns {string[]} Error messages, each prefixed with the offending key
+ */
+function validate(value, schema = configSchema, keyPath = '') {
+    const errors = [];
+    const fail = message => errors.push(`${keyPath || '(root)'}: ${message}`);
+    const actualType = typeOf(value);
+
+    if (schema.nullable && value === null) {
+        return errors;
+    }
+    if (actualType !== schema.type) {
+        fail(`expected ${schema.type}, got ${actualType}${schema.hint ? ` (${schema.hint})` : ''}`);
+        return errors;
+    }
+
+    switch (schema.type) {
+        case 'object': {
+            for (const [key, entry] of Object.entries(value)) {
+                if (!(key in schema.properties)) {
+                    if (!schema.open) errors.push(`${join(keyPath, key)}: unknown key`);
+                } else {
+                    errors.push(...validate(entry, schema.properties[key], join(keyPath, key)));
+                }
+            }
+
+            // Cross-field rules only run once their inputs are individually valid
+            if (errors.length === 0) {
+                for (const rule of schema.rules) {
+                    if (!rule.check(value)) {
+                        errors.push(`${join(keyPath, rule.key)}: ${rule.message}`);
+                    }
+                }
+            }
+            break;
+        }
+        case 'array': {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                fail(`must have at least ${schema.minItems} items, got ${value.length}`);
+            } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                fail(`must have at most ${schema.maxItems} items, got ${value.length}`);
+            }
+            value.forEach((item, index) => {
+                errors.push(...validate(item, schema.items, `${keyPath}[${index}]`));
+            });
+            break;
+        }
+        case 'number': {
+            if (!Number.isFinite(value)) {
+                fail('expected a finite number');
+            } else if (schema.integer && !Number.isInteger(value)) {
+                fail(`expected an integer, got ${value}`);
+            } else if (schema.min !== undefined && value < schema.min) {
+                fail(`must be at least ${schema.min}, got ${value}`);
+            } else if (schema.exclusiveMin !== undefined && value <= schema.exclusiveMin) {
+                fail(`must be greater than ${schema.exclusiveMin}, got ${value}`);
+            } else if (schema.max !== undefined && value > schema.max) {
+                fail(`must be at most ${schema.max}, got ${value}`);
+            }
+            break;
+        }
+        case 'string': {
+            if (schema.values && !schema.values.includes(value)) {
+                fail(`must be one of ${schema.values.join(', ')}, got "${value}"`);
+            } else if (schema.nonEmpty && value.length === 0) {
+                fail('must not be empty');
+            }
+            break;
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Look up the schema node for a dotted key path
+ * @param {string} keyPath - e.g. 'sensors.depth.processing'
+ * @returns {Object|null} Schema node, or null if the path is not part of the schema
+ */
+function getSchema(keyPath) {
+    let node = configSchema;
+    for (const key of keyPath.split('.').filter(Boolean)) {
+        node = node.type === 'object' ? node.properties[key] : undefined;
+        if (!node) return null;
+    }
+    return node;
+}
+
+/**
+ * Validate a complete configuration
+ * @param {Object} config - Configuration to check
+ * @throws {ConfigError} Listing every offending key
+ */
+function validateConfig(config) {
+    const errors = validate(config);
+    if (errors.length) {
+        throw new ConfigError(errors);
+    }
+}
+
+module.exports = {
+    COLOR_MAPS,
+    ConfigError,
+    configSchema,
+    getSchema,
+    validate,
+    validateConfig
+};
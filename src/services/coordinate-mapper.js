@@ -0,0 +1,325 @@
+const { CameraIntrinsics, readIntrinsicsFile } = require('./camera-intrinsics');
+
+/**
+ * Approximate Kinect v2 extrinsics: the transform from depth camera space to
+ * color camera space. The color camera sits about 5.2 cm beside the depth
+ * camera with parallel optical axes.
+ */
+const KINECT_V2_EXTRINSICS = {
+    rotation: [1, 0, 0, 0, 1, 0, 0, 0, 1],
+    translation: [-0.052, 0, 0]
+};
+
+/**
+ * Maps between the depth and color cameras of one device.
+ *
+ * Camera space is the depth camera's, in metres, as used by joint positions
+ * and point clouds (see CameraIntrinsics). Depths are in millimetres, as in
+ * depth frames, with 0 marking pixels without a reading. Color images are
+ * RGBA, 4 bytes per pixel.
+ */
+class CoordinateMapper {
+    #rotation;
+    #translation;
+
+    /**
+     * @param {Object} calibration - Cameras and the transform between them
+     * @param {CameraIntrinsics} calibration.depth - Depth camera at the depth frame size
+     * @param {CameraIntrinsics} calibration.color - Color camera at the color frame size
+     * @param {Object} [calibration.extrinsics=KINECT_V2_EXTRINSICS] - Depth to color camera transform
+     * @param {number[]} calibration.extrinsics.rotation - Row-major 3x3 rotation matrix
+     * @param {number[]} calibration.extrinsics.translation - Translation in metres
+     * @throws {TypeError} If a camera or the transform is invalid
+     */
+    constructor({ depth, color, extrinsics = KINECT_V2_EXTRINSICS } = {}) {
+        for (const [camera, intrinsics] of Object.entries({ depth, color })) {
+            if (!(intrinsics instanceof CameraIntrinsics)) {
+                throw new TypeError(`${camera} intrinsics must be a CameraIntrinsics`);
+            }
+        }
+        const { rotation, translation } = extrinsics ?? {};
+        if (!Array.isArray(rotation) || rotation.length !== 9 || !rotation.every(Number.isFinite)) {
+            throw new TypeError('Invalid extrinsics: rotation must be 9 numbers, a row-major 3x3 matrix');
+        }
+        if (!Array.isArray(translation) || translation.length !== 3 || !translation.every(Number.isFinite)) {
+            throw new TypeError('Invalid extrinsics: translation must be 3 numbers in metres');
+        }
+
+        this.depth = depth;
+        this.color = color;
+        this.#rotation = Float64Array.from(rotation);
+        this.#translation = Float64Array.from(translation);
+    }
+
+    /**
+     * Depth camera space point in color camera space
+     * @param {number} x - Metres to the right
+     * @param {number} y - Metres up
+     * @param {number} z - Metres ahead
+     * @returns {number[]} [x, y, z] in metres
+     */
+    depthToColorSpace(x, y, z) {
+        const r = this.#rotation;
+        const t = this.#translation;
+        return [
+            r[0] * x + r[1] * y + r[2] * z + t[0],
+            r[3] * x + r[4] * y + r[5] * z + t[1],
+            r[6] * x + r[7] * y + r[8] * z + t[2]
+        ];
+    }
+
+    /**
+     * Color camera space point in depth camera space. The rotation is
+     * assumed orthonormal, so its transpose is its inverse.
+     * @param {number} x - Metres to the right
+     * @param {number} y - Metres up
+     * @param {number} z - Metres ahead
+     * @returns {number[]} [x, y, z] in metres
+     */
+    colorToDepthSpace(x, y, z) {
+        const r = this.#rotation;
+        const t = this.#translation;
+        const dx = x - t[0];
+        const dy = y - t[1];
+        const dz = z - t[2];
+        return [
+            r[0] * dx + r[3] * dy + r[6] * dz,
+            r[1] * dx + r[4] * dy + r[7] * dz,
+            r[2] * dx + r[5] * dy + r[8] * dz
+        ];
+    }
+
+    /**
+     * Depth frame pixel of a camera space point, such as a joint position
+     * @param {number} x - Metres to the right
+     * @param {number} y - Metres up
+     * @param {number} z - Metres ahead
+     * @returns {number[]|null} [u, v], or null for points behind the camera
+     */
+    cameraToDepth(x, y, z) {
+        return this.depth.project(x, y, z);
+    }
+
+    /**
+     * Color frame pixel of a camera space point, such as a joint position
+     * @param {number} x - Metres to the right
+     * @param {number} y - Metres up
+     * @param {number} z - Metres ahead
+     * @returns {number[]|null} [u, v], or null for points behind the color camera
+     */
+    cameraToColor(x, y, z) {
+        return this.color.project(...this.depthToColorSpace(x, y, z));
+    }
+
+    /**
+     * Color frame pixel seen by a depth pixel
+     * @param {number} u - Depth column
+     * @param {number} v - Depth row
+     * @param {number} depth - Depth at the pixel in mm
+     * @returns {number[]|null} [u, v] in the color frame, or null without a reading
+     */
+    depthToColor(u, v, depth) {
+        if (!(depth > 0)) return null;
+        return this.cameraToColor(...this.depth.deproject(u, v, depth / 1000));
+    }
+
+    /**
+     * Depth frame pixel seen by a color pixel. Needs the depth in color space,
+     * as produced by registerDepth, to know how far away the color pixel is.
+     * @param {number} u - Color column
+     * @param {number} v - Color row
+     * @param {Uint16Array} registeredDepth - Depth frame resampled into color space
+     * @returns {number[]|null} [u, v] in the depth frame, or null where the depth camera saw nothing
+     * @throws {RangeError} If registeredDepth does not match the color frame size
+     */
+    colorToDepth(u, v, registeredDepth) {
+        this.#checkSize(registeredDepth.length, this.color, 'Registered depth frame', 'pixels');
+        const column = Math.round(u);
+        const row = Math.round(v);
+        if (column < 0 || row < 0 || column >= this.color.width || row >= this.color.height) return null;
+
+        const depth = registeredDepth[row * this.color.width + column];
+        if (depth === 0) return null;
+        return this.depth.project(...this.colorToDepthSpace(...this.color.deproject(u, v, depth / 1000)));
+    }
+
+    /**
+     * Resample a color frame into depth space: the color of every depth pixel,
+     * sampled at the nearest color pixel, so depth and color line up (RGB-D)
+     * @param {ArrayBufferView} depths - Depth frame in mm
+     * @param {ArrayBufferView} color - RGBA color frame
+     * @returns {Buffer} RGBA image at the depth frame size; transparent where
+     *     there is no reading or the color camera does not see the point
+     * @throws {RangeError} If a frame does not match its camera
+     */
+    registerColor(depths, color) {
+        const pixels = this.#depthPixels(depths);
+        const rgba = CoordinateMapper.#bytes(color);
+        this.#checkSize(rgba.length, this.color, 'Color frame', 'bytes', 4);
+
+        const registered = Buffer.alloc(pixels.length * 4);
+        const { width, height } = this.color;
+        this.#forEachPoint(pixels, (index, u, v) => {
+            const column = Math.round(u);
+            const row = Math.round(v);
+            if (column < 0 || row < 0 || column >= width || row >= height) return;
+
+            const offset = (row * width + column) * 4;
+            registered[index * 4] = rgba[offset];
+            registered[index * 4 + 1] = rgba[offset + 1];
+            registered[index * 4 + 2] = rgba[offset + 2];
+            registered[index * 4 + 3] = 255;
+        });
+        return registered;
+    }
+
+    /**
+     * Resample a depth frame into color space. Each depth pixel covers the
+     * color pixels of its footprint, so the sparser depth frame leaves no
+     * gaps; where footprints overlap the nearest depth wins.
+     * @param {ArrayBufferView} depths - Depth frame in mm
+     * @returns {Uint16Array} Distances from the color camera in mm at the
+     *     color frame size, 0 where there is no reading
+     * @throws {RangeError} If the depth frame does not match the depth camera
+     */
+    registerDepth(depths) {
+        const pixels = this.#depthPixels(depths);
+        const { width, height } = this.color;
+        const registered = new Uint16Array(width * height);
+        // Size of one depth pixel in color pixels at equal distance
+        const scaleU = this.color.fx / this.depth.fx / 2;
+        const scaleV = this.color.fy / this.depth.fy / 2;
+
+        this.#forEachPoint(pixels, (index, u, v, depthZ, colorZ) => {
+            const halfU = scaleU * depthZ / colorZ;
+            const halfV = scaleV * depthZ / colorZ;
+            const [left, right] = CoordinateMapper.#footprint(u, halfU, width);
+            const [top, bottom] = CoordinateMapper.#footprint(v, halfV, height);
+            const mm = Math.min(65535, Math.round(colorZ * 1000));
+
+            for (let row = top; row <= bottom; row++) {
+                for (let column = left; column <= right; column++) {
+                    const offset = row * width + column;
+                    if (registered[offset] === 0 || mm < registered[offset]) {
+                        registered[offset] = mm;
+                    }
+                }
+            }
+        });
+        return registered;
+    }
+
+    /**
+     * Plain calibration values, as accepted by fromCalibration
+     * @returns {Object} { depth, color, extrinsics }
+     */
+    toJSON() {
+        return {
+            depth: this.depth.toJSON(),
+            color: this.color.toJSON(),
+            extrinsics: { rotation: [...this.#rotation], translation: [...this.#translation] }
+        };
+    }
+
+    /**
+     * Mapper from plain calibration values
+     * @param {Object} calibration - { depth, color, extrinsics } as written by toJSON
+     * @returns {CoordinateMapper} Mapper
+     * @throws {TypeError} If a value is invalid
+     */
+    static fromCalibration({ depth, color, extrinsics } = {}) {
+        return new CoordinateMapper({
+            depth: new CameraIntrinsics(depth),
+            color: new CameraIntrinsics(color),
+            extrinsics: extrinsics ?? undefined
+        });
+    }
+
+    /**
+     * Call back with the color pixel of every depth pixel that has a reading
+     * and lies in front of the color camera
+     * @param {Uint16Array} depths - Depth frame in mm
+     * @param {function(number, number, number, number, number): void} visit -
+     *     Called with the depth pixel index, color u and v, and the distance
+     *     from each camera in metres
+     */
+    #forEachPoint(depths, visit) {
+        const rays = this.depth.rays();
+        for (let i = 0; i < depths.length; i++) {
+            if (depths[i] === 0) continue;
+
+            const z = depths[i] / 1000;
+            const [x, y, colorZ] = this.depthToColorSpace(rays[i * 2] * z, rays[i * 2 + 1] * z, z);
+            const pixel = this.color.project(x, y, colorZ);
+            if (pixel) {
+                visit(i, pixel[0], pixel[1], z, colorZ);
+            }
+        }
+    }
+
+    #depthPixels(depths) {
+        const bytes = CoordinateMapper.#bytes(depths);
+        // Frames copied out of a larger buffer can start at an odd offset
+        const pixels = bytes.byteOffset % 2 === 0
+            ? new Uint16Array(bytes.buffer, bytes.byteOffset, bytes.byteLength / 2)
+            : new Uint16Array(bytes.slice().buffer);
+        this.#checkSize(pixels.length, this.depth, 'Depth frame', 'pixels');
+        return pixels;
+    }
+
+    #checkSize(length, camera, name, unit, bytesPerPixel = 1) {
+        if (length !== camera.width * camera.height * bytesPerPixel) {
+            throw new RangeError(`${name} of ${length} ${unit} does not match the ${camera.width}x${camera.height} intrinsics`);
+        }
+    }
+
+    static #bytes(view) {
+        if (!ArrayBuffer.isView(view)) {
+            throw new TypeError('Frame must be a Buffer or typed array');
+        }
+        return new Uint8Array(view.buffer, view.byteOffset, view.byteLength);
+    }
+
+    /**
+     * Pixels whose centres fall within center ± half, clamped to the image;
+     * at least the nearest pixel
+     * @returns {number[]} [first, last], empty (first > last) outside the image
+     */
+    static #footprint(center, half, size) {
+        let first = Math.ceil(center - half);
+        let last = Math.floor(center + half);
+        if (last < first) {
+            first = last = Math.round(center);
+        }
+        return [Math.max(0, first), Math.min(size - 1, last)];
+    }
+}
+
+/**
+ * Calibration of the cameras whose raw frames the device delivers: Kinect v2
+ * defaults, overlaid in turn with the device's own values, the depth
+ * sensor's calibration.intrinsicsFile and each sensor's calibration.intrinsics
+ * @param {BaseDevice} device - Device backend
+ * @param {Object} config - Service configuration
+ * @param {Object} [extrinsics] - Depth to color transform, replacing the Kinect v2 default
+ * @returns {Promise<Object>} { depth, color, extrinsics } as accepted by CoordinateMapper.fromCalibration
+ * @throws {Error} If the intrinsics file cannot be read or a value is invalid
+ */
+async function loadCalibration(device, config, extrinsics) {
+    const { intrinsicsFile } = config.sensors?.depth?.calibration ?? {};
+    const fromFile = intrinsicsFile ? await readIntrinsicsFile(intrinsicsFile) : {};
+    const intrinsics = camera => CameraIntrinsics.forCamera(camera,
+        device.getIntrinsics?.(camera), fromFile[camera], config.sensors?.[camera]?.calibration?.intrinsics);
+
+    return new CoordinateMapper({
+        depth: intrinsics('depth'),
+        color: intrinsics('color'),
+        extrinsics: { ...KINECT_V2_EXTRINSICS, ...device.getExtrinsics?.(), ...extrinsics }
+    }).toJSON();
+}
+
+module.exports = {
+    CoordinateMapper,
+    KINECT_V2_EXTRINSICS,
+    loadCalibration
+};
@@ -0,0 +1,163 @@
+const EventEmitter = require('events');
+
+/**
+ * Frame source flags used by openMultiSourceReader, matching Kinect2.FrameType
+ */
+const FRAME_TYPES = {
+    none: 0,
+    color: 0x1,
+    infrared: 0x2,
+    longExposureInfrared: 0x4,
+    depth: 0x8,
+    bodyIndex: 0x10,
+    body: 0x20
+};
+
+/**
+ * Event names emitted for each single-source reader
+ */
+const FRAME_EVENTS = {
+    depth: 'depth',
+    color: 'colorFrame',
+    body: 'bodyFrame',
+    infrared: 'infraredFrame',
+    multiSource: 'multiSourceFrame'
+};
+
+/**
+ * Base class for Kinect device backends. Sensors and the MultiSourceReader only
+ * talk to this interface, so a backend can be real hardware, a simulation or a
+ * recorded capture.
+ * @abstract
+ * @extends EventEmitter
+ * @fires BaseDevice#depth - When a depth frame is available
+ * @fires BaseDevice#colorFrame - When a color frame is available
+ * @fires BaseDevice#bodyFrame - When a body frame is available
+ * @fires BaseDevice#infraredFrame - When an infrared frame is available
+ * @fires BaseDevice#multiSourceFrame - When a multi-source frame is available
+ * @fires BaseDevice#error - When a device error occurs
+ */
+class BaseDevice extends EventEmitter {
+    /**
+     * @param {Object} [options={}] - Backend specific options
+     */
+    constructor(options = {}) {
+        super();
+        this.options = options;
+        this.isOpen = false;
+        this.ledState = 'off';
+        this.irEmitterEnabled = false;
+    }
+
+    /**
+     * Open the device
+     * @abstract
+     * @returns {boolean|Promise<boolean>} Whether the device opened
+     */
+    open() {
+        throw new Error('open must be implemented by subclass');
+    }
+
+    /**
+     * Close the device and all open readers
+     * @abstract
+     * @async
+     */
+    async close() {
+        throw new Error('close must be implemented by subclass');
+    }
+
+    /**
+     * Describe the device backend
+     * @returns {Object} Device information
+     */
+    getInfo() {
+        return {
+            type: this.constructor.type || 'unknown',
+            isOpen: this.isOpen,
+            led: this.ledState,
+            irEmitter: this.irEmitterEnabled
+        };
+    }
+
+    /**
+     * Device-specific camera intrinsics, overlaid on the Kinect v2 defaults
+     * @param {string} camera - depth or color
+     * @returns {Object|null} Partial intrinsics (see CameraIntrinsics), or null to use the defaults
+     */
+    getIntrinsics(camera) {
+        return null;
+    }
+
+    /**
+     * Device-specific transform from depth to color camera space
+     * @returns {Object|null} { rotation, translation } (see CoordinateMapper), or null to use the defaults
+     */
+    getExtrinsics() {
+        return null;
+    }
+
+    /**
+     * Set the device LED state
+     * @param {string} color - LED state (off, green, red, yellow, blinkGreen)
+     */
+    setLed(color) {
+        this.ledState = color;
+    }
+
+    /**
+     * Enable or disable the IR emitter
+     * @param {boolean} enabled - Emitter state
+     */
+    setIrEmitter(enabled) {
+        this.irEmitterEnabled = Boolean(enabled);
+    }
+
+    // Reader methods (to be implemented by subclasses)
+
+    openDepthReader() {
+        throw new Error('openDepthReader must be implemented by subclass');
+    }
+
+    async closeDepthReader() {
+        throw new Error('closeDepthReader must be implemented by subclass');
+    }
+
+    openColorReader() {
+        throw new Error('openColorReader must be implemented by subclass');
+    }
+
+    async closeColorReader() {
+        throw new Error('closeColorReader must be implemented by subclass');
+    }
+
+    openBodyReader() {
+        throw new Error('openBodyReader must be implemented by subclass');
+    }
+
+    async closeBodyReader() {
+        throw new Error('closeBodyReader must be implemented by subclass');
+    }
+
+    openInfraredReader() {
+        throw new Error('openInfraredReader must be implemented by subclass');
+    }
+
+    async closeInfraredReader() {
+        throw new Error('closeInfraredReader must be implemented by subclass');
+    }
+
+    /**
+     * @param {Object} options - Reader options
+     * @param {number} options.frameTypes - Bitmask of FRAME_TYPES
+     */
+    openMultiSourceReader(options) {
+        throw new Error('openMultiSourceReader must be implemented by subclass');
+    }
+
+    async closeMultiSourceReader() {
+        throw new Error('closeMultiSourceReader must be implemented by subclass');
+    }
+}
+
+module.exports = { BaseDevice, FRAME_TYPES, FRAME_EVENTS };
@@ -0,0 +1,57 @@
+const Kinect2Device = require('./kinect2-device');
+const SimulatedDevice = require('./simulated-device');
+const PlaybackDevice = require('./playback-device');
+
+/**
+ * Registered device backends keyed by config.device.type
+ */
+const deviceTypes = new Map([
+    [Kinect2Device.type, config => new Kinect2Device(config.device?.kinect2)],
+    [SimulatedDevice.type, config => new SimulatedDevice({
+        ...config.device?.simulation,
+        frameSizes: {
+            depth: config.sensors?.depth?.frameSize,
+            color: config.sensors?.color?.frameSize,
+            infrared: config.sensors?.infrared?.frameSize
+        }
+    })],
+    [PlaybackDevice.type, config => new PlaybackDevice(config.device?.playback)]
+]);
+
+/**
+ * Register a device backend so it can be selected through config.device.type
+ * @param {string} type - Backend name
+ * @param {Function} factory - Called with the service config, returns a BaseDevice
+ * @throws {TypeError} If arguments are invalid
+ */
+function registerDeviceType(type, factory) {
+    if (!type || typeof type !== 'string') {
+        throw new TypeError('Device type must be a non-empty string');
+    }
+    if (typeof factory !== 'function') {
+        throw new TypeError('Device factory must be a function');
+    }
+    deviceTypes.set(type, factory);
+}
+
+/**
+ * Create the device backend selected by config.device.type (defaults to kinect2)
+ * @param {Object} config - Service configuration
+ * @returns {BaseDevice} Device backend
+ * @throws {Error} If the device type is not registered
+ */
+function createDevice(config) {
+    const type = config?.device?.type || Kinect2Device.type;
+    const factory = deviceTypes.get(type);
+
+    if (!factory) {
+        throw new Error(`Unknown device type: ${type} (available: ${[...deviceTypes.keys()].join(', ')})`);
+    }
+
+    return factory(config);
+}
+
+module.exports = {
+    createDevice,
+    registerDeviceType
+};
@@ -0,0 +1,103 @@
+const { BaseDevice, FRAME_EVENTS } = require('./base-device');
+
+/**
+ * Native kinect2 event names mapped to the device event names sensors listen for
+ */
+const NATIVE_EVENTS = {
+    depthFrame: FRAME_EVENTS.depth,
+    colorFrame: FRAME_EVENTS.color,
+    bodyFrame: FRAME_EVENTS.body,
+    infraredFrame: FRAME_EVENTS.infrared,
+    multiSourceFrame: FRAME_EVENTS.multiSource
+};
+
+/**
+ * Device backend for a physical Kinect v2 through the kinect2 native module.
+ * The module is only loaded when this backend is constructed, so the rest of
+ * the service runs on machines without the Kinect SDK.
+ * @extends BaseDevice
+ */
+class Kinect2Device extends BaseDevice {
+    static type = 'kinect2';
+
+    /**
+     * @param {Object} [options={}] - Backend options
+     * @param {Object} [options.kinect] - Existing Kinect2 instance to wrap
+     */
+    constructor(options = {}) {
+        super(options);
+        this.kinect = options.kinect || Kinect2Device.#createNative();
+
+        for (const [nativeEvent, event] of Object.entries(NATIVE_EVENTS)) {
+            this.kinect.on(nativeEvent, frame => this.emit(event, frame));
+        }
+        this.kinect.on('error', error => this.emit('error', error));
+    }
+
+    open() {
+        this.isOpen = Boolean(this.kinect.open());
+        return this.isOpen;
+    }
+
+    async close() {
+        await this.kinect.close();
+        this.isOpen = false;
+    }
+
+    setLed(color) {
+        super.setLed(color);
+        this.kinect.setLed?.(color);
+    }
+
+    setIrEmitter(enabled) {
+        super.setIrEmitter(enabled);
+        this.kinect.setIrEmitter?.(enabled);
+    }
+
+    openDepthReader() {
+        return this.kinect.openDepthReader();
+    }
+
+    async closeDepthReader() {
+        return this.kinect.closeDepthReader();
+    }
+
+    openColorReader() {
+        return this.kinect.openColorReader();
+    }
+
+    async closeColorReader() {
+        return this.kinect.closeColorReader();
+    }
+
+    openBodyReader() {
+        return this.kinect.openBodyReader();
+    }
+
+    async closeBodyReader() {
+        return this.kinect.closeBodyReader();
+    }
+
+    openInfraredReader() {
+        return this.kinect.openInfraredReader();
+    }
+
+    async closeInfraredReader() {
+        return this.kinect.closeInfraredReader();
+    }
+
+    openMultiSourceReader(options) {
+        return this.kinect.openMultiSourceReader({ ...options });
+    }
+
+    async closeMultiSourceReader() {
+        return this.kinect.closeMultiSourceReader();
+    }
+
+    static #createNative() {
+        const Kinect2 = require('kinect2');
+        return new Kinect2();
+    }
+}
+
+module.exports = Kinect2Device;
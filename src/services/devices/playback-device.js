@@ -0,0 +1,362 @@
+const { BaseDevice, FRAME_TYPES, FRAME_EVENTS } = require('./base-device');
+const CaptureReader = require('../recording/capture-reader');
+const { RECORD_KINDS } = require('../recording/capture-format');
+
+/**
+ * Capture streams mapped to the device events they are replayed as
+ */
+const STREAM_EVENTS = {
+    depth: FRAME_EVENTS.depth,
+    color: FRAME_EVENTS.color,
+    body: FRAME_EVENTS.body,
+    infrared: FRAME_EVENTS.infrared,
+    frameSync: FRAME_EVENTS.multiSource
+};
+
+/**
+ * Device backend that replays a recorded capture file through the pipeline with
+ * the original frame timing. Raw device frames are replayed as recorded; for
+ * captures made without raw frames, synchronized frames are replayed as
+ * multi-source frames.
+ * @extends BaseDevice
+ * @fires PlaybackDevice#ended - When the end of the capture is reached
+ * @fires PlaybackDevice#looped - When playback wraps around to the start
+ * @fires PlaybackDevice#position - After each replayed frame
+ */
+class PlaybackDevice extends BaseDevice {
+    static type = 'playback';
+
+    #reader = null;
+    #entries = [];
+    #cursor = 0;
+    #openStreams = new Set();
+    #multiSourceTypes = [];
+    #playing = false;
+    #speed;
+    #loop;
+    #timer = null;
+    #anchor = null;
+    #generation = 0;
+    #position = null;
+
+    /**
+     * @param {Object} options - Playback options (config.device.playback)
+     * @param {string} options.file - Capture file to replay
+     * @param {number} [options.speed=1] - Playback rate multiplier
+     * @param {boolean} [options.loop=false] - Restart from the beginning at the end
+     * @param {boolean} [options.autoPlay=true] - Start playing when the device opens
+     * @throws {TypeError} If no capture file is configured
+     */
+    constructor(options = {}) {
+        super(options);
+        if (!options.file || typeof options.file !== 'string') {
+            throw new TypeError('Playback device requires a capture file');
+        }
+        this.#speed = PlaybackDevice.#validateSpeed(options.speed ?? 1);
+        this.#loop = Boolean(options.loop);
+    }
+
+    async open() {
+        if (this.isOpen) return true;
+
+        this.#reader = await CaptureReader.open(this.options.file);
+        this.#entries = this.#selectEntries(this.#reader.index);
+        this.#cursor = 0;
+        this.#position = this.#entries[0]?.timestamp ?? null;
+        this.isOpen = true;
+
+        if (this.options.autoPlay !== false) {
+            this.play();
+        }
+        return true;
+    }
+
+    async close() {
+        this.pause();
+        this.#openStreams.clear();
+        this.isOpen = false;
+        if (this.#reader) {
+            await this.#reader.close();
+            this.#reader = null;
+        }
+    }
+
+    getInfo() {
+        return {
+            ...super.getInfo(),
+            playback: this.getStatus(),
+            recordedDevice: this.#reader?.header?.device || null
+        };
+    }
+
+    /**
+     * Session header of the capture being replayed
+     */
+    get header() {
+        return this.#reader?.header || null;
+    }
+
+    /**
+     * Intrinsics of the recorded device, when the capture was registered
+     * @param {string} camera - depth or color
+     * @returns {Object|null} Intrinsics, or null to use the defaults
+     */
+    getIntrinsics(camera) {
+        return this.header?.registration?.[camera] ?? null;
+    }
+
+    /**
+     * Depth to color transform of the recorded device, when the capture was registered
+     * @returns {Object|null} { rotation, translation }, or null to use the defaults
+     */
+    getExtrinsics() {
+        return this.header?.registration?.extrinsics ?? null;
+    }
+
+    // Playback controls
+
+    /**
+     * Start or resume playback
+     */
+    play() {
+        if (!this.isOpen || this.#playing) return;
+        this.#playing = true;
+        this.#anchor = null;
+        this.#schedule(0);
+    }
+
+    /**
+     * Pause playback at the current frame
+     */
+    pause() {
+        this.#playing = false;
+        this.#generation++;
+        clearTimeout(this.#timer);
+        this.#timer = null;
+    }
+
+    /**
+     * Pause and replay exactly one frame
+     * @returns {Promise<boolean>} False if the end of the capture was reached
+     */
+    async step() {
+        this.pause();
+        if (!this.#advanceCursor()) return false;
+        await this.#emitEntry(this.#entries[this.#cursor++], this.#generation);
+        return true;
+    }
+
+    /**
+     * Move to the first frame at or after a capture timestamp
+     * @param {number} timestamp - Capture timestamp in milliseconds
+     */
+    seek(timestamp) {
+        if (typeof timestamp !== 'number' || Number.isNaN(timestamp)) {
+            throw new TypeError('Seek timestamp must be a number');
+        }
+
+        let low = 0;
+        let high = this.#entries.length;
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (this.#entries[mid].timestamp < timestamp) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+
+        this.#cursor = low;
+        this.#position = this.#entries[low]?.timestamp ?? this.#position;
+        this.#restartIfPlaying();
+    }
+
+    /**
+     * @param {number} speed - Playback rate multiplier (2 = twice realtime)
+     */
+    setSpeed(speed) {
+        this.#speed = PlaybackDevice.#validateSpeed(speed);
+        this.#restartIfPlaying();
+    }
+
+    /**
+     * @param {boolean} loop - Whether to restart at the end of the capture
+     */
+    setLoop(loop) {
+        this.#loop = Boolean(loop);
+    }
+
+    /**
+     * Get the playback state
+     * @returns {Object} Position, progress and settings
+     */
+    getStatus() {
+        const first = this.#entries[0]?.timestamp ?? null;
+        const last = this.#entries[this.#entries.length - 1]?.timestamp ?? null;
+        return {
+            file: this.options.file,
+            playing: this.#playing,
+            speed: this.#speed,
+            loop: this.#loop,
+            position: this.#position,
+            frame: this.#cursor,
+            frames: this.#entries.length,
+            startTime: first,
+            endTime: last
+        };
+    }
+
+    // Readers
+
+    openDepthReader() {
+        return this.#openStream('depth');
+    }
+
+    async closeDepthReader() {
+        this.#openStreams.delete('depth');
+    }
+
+    openColorReader() {
+        return this.#openStream('color');
+    }
+
+    async closeColorReader() {
+        this.#openStreams.delete('color');
+    }
+
+    openBodyReader() {
+        return this.#openStream('body');
+    }
+
+    async closeBodyReader() {
+        this.#openStreams.delete('body');
+    }
+
+    openInfraredReader() {
+        return this.#openStream('infrared');
+    }
+
+    async closeInfraredReader() {
+        this.#openStreams.delete('infrared');
+    }
+
+    /**
+     * @param {Object} options - Reader options
+     * @param {number} options.frameTypes - Bitmask of FRAME_TYPES
+     */
+    openMultiSourceReader(options = {}) {
+        this.#multiSourceTypes = ['depth', 'color', 'body', 'infrared']
+            .filter(type => options.frameTypes & FRAME_TYPES[type]);
+        return this.#openStream('frameSync');
+    }
+
+    async closeMultiSourceReader() {
+        this.#openStreams.delete('frameSync');
+    }
+
+    // Private helpers
+
+    #openStream(stream) {
+        if (!this.isOpen) return false;
+        this.#openStreams.add(stream);
+        return true;
+    }
+
+    /**
+     * Pick the records to replay: raw frames, or synchronized frames as a
+     * multi-source fallback when the capture has no raw multi-source frames
+     */
+    #selectEntries(index) {
+        const raw = index.filter(entry => entry.kind === RECORD_KINDS.RAW_FRAME);
+        if (raw.some(entry => entry.stream === 'frameSync')) {
+            return raw;
+        }
+
+        const sync = index.filter(entry => entry.kind === RECORD_KINDS.SYNC_FRAME);
+        return [...raw, ...sync].sort((a, b) => a.sequence - b.sequence);
+    }
+
+    #advanceCursor() {
+        if (this.#cursor < this.#entries.length) return true;
+        if (!this.#loop || this.#entries.length === 0) return false;
+
+        this.#cursor = 0;
+        this.#anchor = null;
+        this.emit('looped');
+        return true;
+    }
+
+    #schedule(delay) {
+        const generation = this.#generation;
+        this.#timer = setTimeout(() => this.#playNext(generation), delay);
+    }
+
+    async #playNext(generation) {
+        if (!this.#playing || generation !== this.#generation) return;
+
+        if (!this.#advanceCursor()) {
+            this.#playing = false;
+            this.emit('ended', this.getStatus());
+            return;
+        }
+
+        const entry = this.#entries[this.#cursor++];
+        this.#anchor ||= { wall: Date.now(), capture: entry.timestamp };
+        await this.#emitEntry(entry, generation);
+
+        if (!this.#playing || generation !== this.#generation) return;
+
+        const next = this.#entries[this.#cursor];
+        if (!next || next.timestamp < entry.timestamp) {
+            // Re-anchor at the end of the capture or when it wraps around
+            this.#anchor = null;
+            this.#schedule(0);
+            return;
+        }
+
+        const due = this.#anchor.wall + (next.timestamp - this.#anchor.capture) / this.#speed;
+        this.#schedule(Math.max(0, due - Date.now()));
+    }
+
+    async #emitEntry(entry, generation) {
+        try {
+            const record = await this.#reader.readRecord(entry);
+            if (generation !== this.#generation) return;
+
+            this.#position = entry.timestamp;
+            if (this.#openStreams.has(entry.stream)) {
+                this.emit(STREAM_EVENTS[entry.stream], this.#toDeviceFrame(record));
+            }
+            this.emit('position', { timestamp: entry.timestamp, frame: this.#cursor });
+        } catch (error) {
+            this.emit('error', error);
+        }
+    }
+
+    #toDeviceFrame(record) {
+        if (record.kind !== RECORD_KINDS.SYNC_FRAME) {
+            return record.frame;
+        }
+
+        // Synchronized frames carry the raw frames of every recorded type
+        const frames = record.frame.frames || {};
+        return Object.fromEntries(this.#multiSourceTypes
+            .filter(type => frames[type] !== undefined)
+            .map(type => [type, frames[type]]));
+    }
+
+    #restartIfPlaying() {
+        if (!this.#playing) return;
+        this.pause();
+        this.play();
+    }
+
+    static #validateSpeed(speed) {
+        if (typeof speed !== 'number' || !(speed > 0) || !Number.isFinite(speed)) {
+            throw new RangeError('Playback speed must be a positive number');
+        }
+        return speed;
+    }
+}
+
+module.exports = PlaybackDevice;
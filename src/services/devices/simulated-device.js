@@ -0,0 +1,554 @@
+const { BaseDevice, FRAME_TYPES, FRAME_EVENTS } = require('./base-device');
+const { BONES, JOINT_TYPES } = require('../joint-topology');
+
+/**
+ * Default simulation settings, overridden by config.device.simulation
+ */
+const DEFAULTS = {
+    fps: { depth: 30, color: 15, body: 30, infrared: 30 },
+    bodies: 1,
+    seed: 1,
+    depthNoise: 0.002, // Standard deviation as a fraction of distance
+    dropoutRate: 0.01, // Fraction of depth pixels reported as invalid
+    jointNoise: 0.004, // Joint position jitter in metres
+    scene: {
+        wallDistance: 4.0, // Back wall distance in metres
+        sensorHeight: 0.8 // Sensor height above the floor in metres
+    },
+    frameSizes: {
+        depth: { width: 512, height: 424 },
+        color: { width: 1920, height: 1080 },
+        infrared: { width: 512, height: 424 }
+    }
+};
+
+/**
+ * Kinect v2 focal lengths in pixels at native resolution, used to project the scene
+ */
+const FOCAL_LENGTH = {
+    depth: { fx: 365.456, fy: 365.456, width: 512 },
+    color: { fx: 1081.37, fy: 1081.37, width: 1920 }
+};
+
+const MAX_BODIES = 6;
+const HAND_STATE = { open: 2, closed: 3 };
+const TRACKING_STATE_TRACKED = 2;
+
+/**
+ * Rest pose joint offsets from spineBase in metres, indexed by Kinect2.JointType
+ * (see JOINT_NAMES)
+ */
+const REST_POSE = [
+    [0, 0, 0], // spineBase
+    [0, 0.30, 0], // spineMid
+    [0, 0.58, 0], // neck
+    [0, 0.72, 0], // head
+    [-0.18, 0.52, 0], // shoulderLeft
+    [-0.25, 0.25, 0], // elbowLeft
+    [-0.28, 0.02, 0], // wristLeft
+    [-0.29, -0.06, 0], // handLeft
+    [0.18, 0.52, 0], // shoulderRight
+    [0.25, 0.25, 0], // elbowRight
+    [0.28, 0.02, 0], // wristRight
+    [0.29, -0.06, 0], // handRight
+    [-0.09, -0.02, 0], // hipLeft
+    [-0.10, -0.45, 0], // kneeLeft
+    [-0.10, -0.85, 0], // ankleLeft
+    [-0.10, -0.90, -0.08], // footLeft
+    [0.09, -0.02, 0], // hipRight
+    [0.10, -0.45, 0], // kneeRight
+    [0.10, -0.85, 0], // ankleRight
+    [0.10, -0.90, -0.08], // footRight
+    [0, 0.52, 0], // spineShoulder
+    [-0.30, -0.14, 0], // handTipLeft
+    [-0.26, -0.08, -0.03], // thumbLeft
+    [0.30, -0.14, 0], // handTipRight
+    [0.26, -0.08, -0.03] // thumbRight
+];
+
+/**
+ * Limb chains animated by rotating around their pivot joint
+ */
+const LIMBS = {
+    rightArm: { pivot: 'shoulderRight', joints: ['elbowRight', 'wristRight', 'handRight', 'handTipRight', 'thumbRight'] },
+    leftArm: { pivot: 'shoulderLeft', joints: ['elbowLeft', 'wristLeft', 'handLeft', 'handTipLeft', 'thumbLeft'] },
+    leftLeg: { pivot: 'hipLeft', joints: ['kneeLeft', 'ankleLeft', 'footLeft'] },
+    rightLeg: { pivot: 'hipRight', joints: ['kneeRight', 'ankleRight', 'footRight'] }
+};
+
+/**
+ * Joint type pairs rendered as limbs in the synthetic depth and color images
+ */
+const BONE_JOINT_TYPES = BONES.map(([parent, child]) => [JOINT_TYPES[parent], JOINT_TYPES[child]]);
+
+const BODY_RADIUS = 0.07; // Limb thickness in metres
+const HIP_HEIGHT = 0.95; // spineBase height above the floor in metres
+
+/**
+ * Device backend that synthesises depth, color, infrared and body frames so the
+ * service can run without a Kinect. The scene is a floor and back wall with
+ * animated skeletons walking and waving in front of the sensor, rendered with
+ * distance dependent noise and dropouts.
+ * @extends BaseDevice
+ */
+class SimulatedDevice extends BaseDevice {
+    static type = 'simulated';
+
+    #settings;
+    #timers = new Map();
+    #openedAt = 0;
+    #random;
+    #background = new Map();
+
+    /**
+     * @param {Object} [options={}] - Simulation settings (see DEFAULTS)
+     */
+    constructor(options = {}) {
+        super(options);
+        this.#settings = {
+            ...DEFAULTS,
+            ...options,
+            fps: { ...DEFAULTS.fps, ...options.fps },
+            scene: { ...DEFAULTS.scene, ...options.scene },
+            frameSizes: Object.fromEntries(Object.entries(DEFAULTS.frameSizes)
+                .map(([type, size]) => [type, options.frameSizes?.[type] || size]))
+        };
+
+        if (!Number.isInteger(this.#settings.bodies) ||
+            this.#settings.bodies < 0 || this.#settings.bodies > MAX_BODIES) {
+            throw new RangeError(`Simulated body count must be an integer between 0 and ${MAX_BODIES}`);
+        }
+
+        this.#random = SimulatedDevice.#createRandom(this.#settings.seed);
+    }
+
+    open() {
+        this.isOpen = true;
+        this.#openedAt = Date.now();
+        return true;
+    }
+
+    async close() {
+        for (const timer of this.#timers.values()) {
+            clearInterval(timer);
+        }
+        this.#timers.clear();
+        this.isOpen = false;
+    }
+
+    getInfo() {
+        return {
+            ...super.getInfo(),
+            simulated: true,
+            bodies: this.#settings.bodies,
+            fps: { ...this.#settings.fps }
+        };
+    }
+
+    /**
+     * The simulated scene is rendered through an ideal pinhole camera
+     * @param {string} camera - depth or color
+     * @returns {Object|null} Intrinsics at the simulated frame size
+     */
+    getIntrinsics(camera) {
+        if (!FOCAL_LENGTH[camera]) return null;
+
+        const { width, height } = this.#settings.frameSizes[camera];
+        return {
+            width,
+            height,
+            ...this.#getFocalLength(camera),
+            cx: width / 2,
+            cy: height / 2,
+            distortion: { k1: 0, k2: 0, k3: 0, p1: 0, p2: 0 }
+        };
+    }
+
+    /**
+     * Both simulated cameras render the scene from the same point
+     * @returns {Object} Identity transform
+     */
+    getExtrinsics() {
+        return { rotation: [1, 0, 0, 0, 1, 0, 0, 0, 1], translation: [0, 0, 0] };
+    }
+
+    openDepthReader() {
+        return this.#openReader('depth', this.#settings.fps.depth,
+            () => this.emit(FRAME_EVENTS.depth, this.generateFrame('depth')));
+    }
+
+    async closeDepthReader() {
+        this.#closeReader('depth');
+    }
+
+    openColorReader() {
+        return this.#openReader('color', this.#settings.fps.color,
+            () => this.emit(FRAME_EVENTS.color, this.generateFrame('color')));
+    }
+
+    async closeColorReader() {
+        this.#closeReader('color');
+    }
+
+    openBodyReader() {
+        return this.#openReader('body', this.#settings.fps.body,
+            () => this.emit(FRAME_EVENTS.body, this.generateFrame('body')));
+    }
+
+    async closeBodyReader() {
+        this.#closeReader('body');
+    }
+
+    openInfraredReader() {
+        return this.#openReader('infrared', this.#settings.fps.infrared,
+            () => this.emit(FRAME_EVENTS.infrared, this.generateFrame('infrared')));
+    }
+
+    async closeInfraredReader() {
+        this.#closeReader('infrared');
+    }
+
+    /**
+     * Open a reader that emits all requested frame types generated at the same instant
+     * @param {Object} options - Reader options
+     * @param {number} options.frameTypes - Bitmask of FRAME_TYPES
+     */
+    openMultiSourceReader(options = {}) {
+        const types = ['depth', 'color', 'body', 'infrared']
+            .filter(type => options.frameTypes & FRAME_TYPES[type]);
+
+        if (types.length === 0) return false;
+
+        const fps = Math.max(...types.map(type => this.#settings.fps[type]));
+        return this.#openReader('multiSource', fps, () => {
+            const time = Date.now();
+            const frame = {};
+            for (const type of types) {
+                frame[type] = this.generateFrame(type, time);
+            }
+            this.emit(FRAME_EVENTS.multiSource, frame);
+        });
+    }
+
+    async closeMultiSourceReader() {
+        this.#closeReader('multiSource');
+    }
+
+    /**
+     * Render a single synthetic frame
+     * @param {string} type - Frame type (depth, color, body, infrared)
+     * @param {number} [time=Date.now()] - Wall clock time of the frame
+     * @returns {Buffer|Object} Raw frame in the same layout the device emits
+     */
+    generateFrame(type, time = Date.now()) {
+        const seconds = (time - this.#openedAt) / 1000;
+        const bodies = this.#animateBodies(seconds);
+
+        switch (type) {
+            case 'depth':
+                return Buffer.from(this.#renderDepth(bodies).buffer);
+            case 'infrared':
+                return Buffer.from(this.#renderInfrared(this.#renderDepth(bodies)).buffer);
+            case 'color':
+                return this.#renderColor(bodies);
+            case 'body':
+                return this.#createBodyFrame(bodies);
+            default:
+                throw new Error(`Unknown frame type: ${type}`);
+        }
+    }
+
+    // Reader management
+
+    #openReader(name, fps, tick) {
+        if (!this.isOpen) return false;
+        if (!(fps > 0)) {
+            throw new RangeError(`Simulated ${name} fps must be a positive number`);
+        }
+
+        this.#closeReader(name);
+        this.#timers.set(name, setInterval(() => {
+            try {
+                tick();
+            } catch (error) {
+                this.emit('error', error);
+            }
+        }, 1000 / fps));
+        return true;
+    }
+
+    #closeReader(name) {
+        const timer = this.#timers.get(name);
+        if (timer) {
+            clearInterval(timer);
+            this.#timers.delete(name);
+        }
+    }
+
+    // Scene animation
+
+    #animateBodies(seconds) {
+        const { bodies, scene } = this.#settings;
+        const result = [];
+
+        for (let index = 0; index < bodies; index++) {
+            const phase = index * 2.1;
+            const t = seconds + phase;
+            const root = [
+                (index - (bodies - 1) / 2) * 0.8 + 0.6 * Math.sin(t * 0.4),
+                HIP_HEIGHT - scene.sensorHeight,
+                2.2 + 0.5 * Math.sin(t * 0.25)
+            ];
+
+            const joints = REST_POSE.map(offset => [...offset]);
+            const wave = (Math.PI / 2) * (0.5 + 0.5 * Math.sin(t * 1.7));
+            const swing = 0.4 * Math.sin(t * 2);
+
+            SimulatedDevice.#rotateLimb(joints, LIMBS.rightArm, 'z', wave);
+            SimulatedDevice.#rotateLimb(joints, LIMBS.leftArm, 'x', swing);
+            SimulatedDevice.#rotateLimb(joints, LIMBS.leftLeg, 'x', -swing * 0.75);
+            SimulatedDevice.#rotateLimb(joints, LIMBS.rightLeg, 'x', swing * 0.75);
+
+            result.push({
+                index,
+                trackingId: 0x100000000 + index,
+                handRaised: wave > Math.PI / 4,
+                joints: joints.map(([x, y, z]) => [x + root[0], y + root[1], z + root[2]])
+            });
+        }
+
+        return result;
+    }
+
+    static #rotateLimb(joints, limb, axis, angle) {
+        const [px, py, pz] = joints[JOINT_TYPES[limb.pivot]];
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+
+        for (const joint of limb.joints.map(name => JOINT_TYPES[name])) {
+            const dx = joints[joint][0] - px;
+            const dy = joints[joint][1] - py;
+            const dz = joints[joint][2] - pz;
+
+            joints[joint] = axis === 'z'
+                ? [px + dx * cos - dy * sin, py + dx * sin + dy * cos, pz + dz]
+                : [px + dx, py + dy * cos - dz * sin, pz + dy * sin + dz * cos];
+        }
+    }
+
+    // Frame rendering
+
+    #renderDepth(bodies) {
+        const { width, height } = this.#settings.frameSizes.depth;
+        const { depthNoise, dropoutRate } = this.#settings;
+        const depth = new Uint16Array(width * height);
+        depth.set(this.#getBackground('depth'));
+
+        this.#drawBodies(bodies, 'depth', (index, z) => {
+            const mm = z * 1000;
+            if (depth[index] === 0 || mm < depth[index]) {
+                depth[index] = mm;
+            }
+        });
+
+        for (let i = 0; i < depth.length; i++) {
+            if (this.#random() < dropoutRate) {
+                depth[i] = 0;
+            } else if (depth[i] > 0) {
+                depth[i] += this.#noise() * depthNoise * depth[i];
+            }
+        }
+
+        return depth;
+    }
+
+    #renderInfrared(depth) {
+        const infrared = new Uint16Array(depth.length);
+        for (let i = 0; i < depth.length; i++) {
+            const metres = depth[i] / 1000;
+            infrared[i] = metres > 0
+                ? Math.min(65535, (12000 / (metres * metres)) * (1 + this.#noise() * 0.05))
+                : 0;
+        }
+        return infrared;
+    }
+
+    #renderColor(bodies) {
+        const background = this.#getBackground('color');
+        const frame = Buffer.allocUnsafe(background.length);
+        background.copy(frame);
+
+        for (const body of bodies) {
+            const shade = [90 + 40 * body.index, 140, 200 - 30 * body.index];
+            this.#drawBodies([body], 'color', index => {
+                const offset = index * 4;
+                frame[offset] = shade[0];
+                frame[offset + 1] = shade[1];
+                frame[offset + 2] = shade[2];
+            });
+        }
+
+        return frame;
+    }
+
+    #createBodyFrame(bodies) {
+        const { jointNoise, scene } = this.#settings;
+        const buffer = new Float32Array(bodies.length * REST_POSE.length * 3);
+
+        const slots = Array.from({ length: MAX_BODIES }, (_, bodyIndex) => ({
+            bodyIndex,
+            tracked: false
+        }));
+
+        for (const body of bodies) {
+            const joints = body.joints.map(([x, y, z], jointType) => {
+                const position = {
+                    x: x + this.#noise() * jointNoise,
+                    y: y + this.#noise() * jointNoise,
+                    z: z + this.#noise() * jointNoise
+                };
+                buffer.set([position.x, position.y, position.z],
+                    (body.index * REST_POSE.length + jointType) * 3);
+
+                return {
+                    jointType,
+                    position,
+                    trackingState: TRACKING_STATE_TRACKED,
+                    confidence: 1
+                };
+            });
+
+            const rightHandState = body.handRaised ? HAND_STATE.open : HAND_STATE.closed;
+            slots[body.index] = {
+                bodyIndex: body.index,
+                tracked: true,
+                trackingId: body.trackingId,
+                joints,
+                handStates: { leftHandState: HAND_STATE.closed, rightHandState }
+            };
+        }
+
+        return {
+            buffer,
+            bodies: slots,
+            floorClipPlane: { x: 0, y: 1, z: 0, w: scene.sensorHeight }
+        };
+    }
+
+    /**
+     * Rasterise every bone of the given bodies as a chain of discs
+     * @param {Array} bodies - Animated bodies
+     * @param {string} camera - Camera to project into (depth or color)
+     * @param {Function} plot - Called with pixel index and camera space z
+     */
+    #drawBodies(bodies, camera, plot) {
+        const { width, height } = this.#settings.frameSizes[camera];
+        const { fx, fy } = this.#getFocalLength(camera);
+        const cx = width / 2;
+        const cy = height / 2;
+
+        for (const body of bodies) {
+            for (const [from, to] of BONE_JOINT_TYPES) {
+                const a = body.joints[from];
+                const b = body.joints[to];
+                const length = Math.hypot(b[0] - a[0], b[1] - a[1], b[2] - a[2]);
+                const steps = Math.max(1, Math.ceil(length / (BODY_RADIUS / 2)));
+
+                for (let step = 0; step <= steps; step++) {
+                    const f = step / steps;
+                    const x = a[0] + (b[0] - a[0]) * f;
+                    const y = a[1] + (b[1] - a[1]) * f;
+                    const z = a[2] + (b[2] - a[2]) * f;
+                    if (z <= 0) continue;
+
+                    const u = Math.round(cx + fx * x / z);
+                    const v = Math.round(cy - fy * y / z);
+                    const radius = Math.max(1, Math.round(fx * BODY_RADIUS / z));
+
+                    for (let py = Math.max(0, v - radius); py <= Math.min(height - 1, v + radius); py++) {
+                        for (let px = Math.max(0, u - radius); px <= Math.min(width - 1, u + radius); px++) {
+                            if ((px - u) ** 2 + (py - v) ** 2 <= radius * radius) {
+                                plot(py * width + px, z);
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Static floor and wall image for a camera, rendered once per device
+     * @param {string} camera - depth or color
+     * @returns {Uint16Array|Buffer} Background frame
+     */
+    #getBackground(camera) {
+        if (this.#background.has(camera)) {
+            return this.#background.get(camera);
+        }
+
+        const { width, height } = this.#settings.frameSizes[camera];
+        const { fy } = this.#getFocalLength(camera);
+        const { wallDistance, sensorHeight } = this.#settings.scene;
+        const cy = height / 2;
+        const background = camera === 'depth'
+            ? new Uint16Array(width * height)
+            : Buffer.alloc(width * height * 4);
+
+        for (let v = 0; v < height; v++) {
+            // Ray slope below the optical axis; the floor is hit before the wall once it is steep enough
+            const slope = (v - cy) / fy;
+            const floorDistance = slope > 0 ? sensorHeight / slope : Infinity;
+            const onFloor = floorDistance < wallDistance;
+
+            for (let u = 0; u < width; u++) {
+                const index = v * width + u;
+                if (camera === 'depth') {
+                    background[index] = Math.round(Math.min(floorDistance, wallDistance) * 1000);
+                } else {
+                    const offset = index * 4;
+                    const shade = Math.round(40 * v / height);
+                    background[offset] = onFloor ? 110 + shade : 200 - shade;
+                    background[offset + 1] = onFloor ? 90 + shade : 195 - shade;
+                    background[offset + 2] = onFloor ? 70 + shade : 185 - shade;
+                    background[offset + 3] = 255;
+                }
+            }
+        }
+
+        this.#background.set(camera, background);
+        return background;
+    }
+
+    #getFocalLength(camera) {
+        const { fx, fy, width } = FOCAL_LENGTH[camera];
+        const scale = this.#settings.frameSizes[camera].width / width;
+        return { fx: fx * scale, fy: fy * scale };
+    }
+
+    /**
+     * Zero mean noise with unit standard deviation (triangular approximation)
+     * @returns {number} Noise sample
+     */
+    #noise() {
+        return (this.#random() + this.#random() - 1) * 2.449;
+    }
+
+    /**
+     * Seeded mulberry32 generator so simulated sessions are reproducible
+     * @param {number} seed - Generator seed
+     * @returns {Function} Generator returning values in [0, 1)
+     */
+    static #createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+module.exports = SimulatedDevice;
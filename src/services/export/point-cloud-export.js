@@ -0,0 +1,218 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { CameraIntrinsics } = require('../camera-intrinsics');
+const CaptureReader = require('../recording/capture-reader');
+const { RECORD_KINDS } = require('../recording/capture-format');
+const { encodePointCloud } = require('./point-cloud-formats');
+
+/**
+ * Depth records a capture can be exported from, by source name
+ */
+const CAPTURE_SOURCES = {
+    sensor: RECORD_KINDS.SENSOR_FRAME, // Processed frames with pointCloud or organizedPointCloud
+    raw: RECORD_KINDS.RAW_FRAME, // Raw device depth, deprojected with the recorded intrinsics
+    sync: RECORD_KINDS.SYNC_FRAME // Synchronized frames, the only source with registered color
+};
+
+/**
+ * Deproject raw depths into camera space
+ * @param {ArrayBufferView} raw - Depths in mm, 2 bytes per pixel
+ * @param {CameraIntrinsics} intrinsics - Depth camera intrinsics at the frame size
+ * @returns {{points: Float32Array, pixels: Uint32Array}} Points in metres and the pixel of each
+ * @throws {RangeError} If the frame does not match the intrinsics
+ */
+function deprojectDepth(raw, intrinsics) {
+    // Decoded capture payloads can start at an odd offset; copy those
+    const depths = raw.byteOffset % 2 === 0
+        ? new Uint16Array(raw.buffer, raw.byteOffset, raw.byteLength / 2)
+        : new Uint16Array(new Uint8Array(raw.buffer, raw.byteOffset, raw.byteLength).slice().buffer);
+    if (depths.length !== intrinsics.width * intrinsics.height) {
+        throw new RangeError(`Depth frame of ${depths.length} pixels does not match the ${intrinsics.width}x${intrinsics.height} intrinsics`);
+    }
+
+    const rays = intrinsics.rays();
+    const pixels = [];
+    for (let i = 0; i < depths.length; i++) {
+        if (depths[i] > 0) pixels.push(i);
+    }
+
+    const points = new Float32Array(pixels.length * 3);
+    pixels.forEach((pixel, index) => {
+        const z = depths[pixel] / 1000;
+        points[index * 3] = rays[pixel * 2] * z;
+        points[index * 3 + 1] = rays[pixel * 2 + 1] * z;
+        points[index * 3 + 2] = z;
+    });
+    return { points, pixels: Uint32Array.from(pixels) };
+}
+
+/**
+ * Valid points of an organized point cloud
+ * @param {Float32Array} organized - One [x, y, z] per pixel
+ * @param {Uint8Array} validity - 1 for pixels with a point
+ * @returns {{points: Float32Array, pixels: Uint32Array}} Packed points and the pixel of each
+ */
+function packOrganized(organized, validity) {
+    const pixels = [];
+    for (let i = 0; i < validity.length; i++) {
+        if (validity[i]) pixels.push(i);
+    }
+
+    const points = new Float32Array(pixels.length * 3);
+    pixels.forEach((pixel, index) => points.set(organized.subarray(pixel * 3, pixel * 3 + 3), index * 3));
+    return { points, pixels: Uint32Array.from(pixels) };
+}
+
+/**
+ * Point cloud of a depth frame, ready for encodePointCloud. Accepts frames
+ * emitted by DepthSensor, raw device depth frames and synchronized frames
+ * ({ frames: { depth } }).
+ *
+ * Colours come from registeredColor, an RGBA image in depth space (4 bytes
+ * per depth pixel) carried by the frame. They need to know which pixel each
+ * point came from, so a frame with only a packed pointCloud cannot be
+ * coloured.
+ * @param {Object|ArrayBufferView} frame - Depth frame
+ * @param {Object} [options={}] - Export options
+ * @param {CameraIntrinsics} [options.intrinsics] - Needed to deproject raw depth
+ * @param {boolean} [options.color=false] - Attach per-point colours
+ * @returns {{points: Float32Array, colors?: Uint8Array}} Point cloud
+ * @throws {Error} If the frame holds no depth or the requested colours are unavailable
+ */
+function pointCloudFromFrame(frame, { intrinsics, color = false } = {}) {
+    const raw = ArrayBuffer.isView(frame) ? frame : frame?.frames?.depth;
+    let cloud;
+
+    if (ArrayBuffer.isView(raw)) {
+        if (!intrinsics) {
+            throw new TypeError('Intrinsics are required to deproject raw depth');
+        }
+        cloud = deprojectDepth(raw, intrinsics);
+    } else if (frame?.organizedPointCloud && frame.pointValidity) {
+        cloud = packOrganized(frame.organizedPointCloud, frame.pointValidity);
+    } else if (frame?.pointCloud) {
+        cloud = { points: frame.pointCloud, pixels: null };
+    } else {
+        throw new Error('Depth frame has no point cloud; enable generatePointCloud or export raw depth');
+    }
+
+    if (!color) {
+        return { points: cloud.points };
+    }
+
+    const registered = frame.registeredColor;
+    if (!registered) {
+        throw new Error('Depth frame has no registered color image to color the points with');
+    }
+    if (!cloud.pixels) {
+        throw new Error('A packed point cloud cannot be colored; use the organized output or raw depth');
+    }
+
+    const colors = new Uint8Array(cloud.pixels.length * 3);
+    cloud.pixels.forEach((pixel, index) => colors.set(registered.subarray(pixel * 4, pixel * 4 + 3), index * 3));
+    return { points: cloud.points, colors };
+}
+
+/**
+ * Encode a point cloud and write it to a file
+ * @param {string} filePath - Output file
+ * @param {Object} cloud - Point cloud
+ * @param {Object} [options] - Format options for encodePointCloud
+ * @returns {Promise<{file: string, points: number, bytes: number}>} What was written
+ */
+async function writePointCloud(filePath, cloud, options) {
+    const contents = encodePointCloud(cloud, options);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, contents);
+    return { file: filePath, points: cloud.points.length / 3, bytes: contents.length };
+}
+
+/**
+ * Depth intrinsics a capture was recorded with: the resolved values from the
+ * depth sensor status when present, otherwise the configured calibration.
+ * Raw and synchronized frames hold device frames, so for those the
+ * registration calibration, made for device frames, is preferred.
+ * @param {Object} header - Capture header
+ * @param {number} [kind=RECORD_KINDS.SENSOR_FRAME] - Kind of the records to deproject
+ * @returns {CameraIntrinsics} Intrinsics at the recorded frame size
+ */
+function captureIntrinsics(header, kind = RECORD_KINDS.SENSOR_FRAME) {
+    if (kind !== RECORD_KINDS.SENSOR_FRAME && header.registration?.depth) {
+        return new CameraIntrinsics(header.registration.depth);
+    }
+
+    const depth = header.config?.sensors?.depth;
+    const intrinsics = CameraIntrinsics.forCamera('depth',
+        header.sensors?.depth?.status?.intrinsics ?? depth?.calibration?.intrinsics);
+    const { width, height } = depth?.frameSize ?? intrinsics;
+    return intrinsics.scale(width, height);
+}
+
+/**
+ * Export the depth frames of a capture file as point cloud files named
+ * <capture>_<sequence>.<format>
+ * @param {string} capturePath - Capture file written by SessionRecorder
+ * @param {Object} [options={}] - Export options
+ * @param {string} [options.directory] - Output directory (default: next to the capture)
+ * @param {string} [options.format='ply'] - ply, pcd or xyz
+ * @param {string} [options.encoding] - ascii or binary (default: binary, ascii for xyz)
+ * @param {string} [options.source] - sensor, raw or sync (default: the first the capture has)
+ * @param {boolean} [options.color=false] - Color the points from registered color
+ * @param {number} [options.every=1] - Export every nth frame
+ * @param {number} [options.limit=Infinity] - Stop after this many files
+ * @returns {Promise<Object[]>} One { file, points, bytes } per exported frame
+ * @throws {Error} If the capture has no usable depth frames or a frame cannot be exported
+ */
+async function exportCapture(capturePath, {
+    directory = path.dirname(capturePath),
+    format = 'ply',
+    encoding,
+    source,
+    color = false,
+    every = 1,
+    limit = Infinity
+} = {}) {
+    if (source !== undefined && !CAPTURE_SOURCES[source]) {
+        throw new TypeError(`Unknown capture source: ${source} (available: ${Object.keys(CAPTURE_SOURCES).join(', ')})`);
+    }
+    if (!Number.isInteger(every) || every < 1) {
+        throw new TypeError(`Invalid every: ${every}`);
+    }
+
+    const reader = await CaptureReader.open(capturePath);
+    try {
+        const streamOf = kind => (kind === RECORD_KINDS.SYNC_FRAME ? 'frameSync' : 'depth');
+        const kind = source
+            ? CAPTURE_SOURCES[source]
+            : Object.values(CAPTURE_SOURCES).find(candidate =>
+                reader.index.some(entry => entry.kind === candidate && entry.stream === streamOf(candidate)));
+        if (kind === undefined) {
+            throw new Error(`Capture ${capturePath} has no depth frames`);
+        }
+
+        const intrinsics = captureIntrinsics(reader.header, kind);
+        const base = path.basename(capturePath, path.extname(capturePath));
+        const written = [];
+        let seen = 0;
+
+        for await (const record of reader.records({ kinds: [kind], streams: [streamOf(kind)] })) {
+            if (written.length >= limit) break;
+            if (seen++ % every !== 0) continue;
+
+            const cloud = pointCloudFromFrame(record.frame, { intrinsics, color });
+            const file = path.join(directory, `${base}_${record.sequence}.${format}`);
+            written.push(await writePointCloud(file, cloud, { format, encoding }));
+        }
+        return written;
+    } finally {
+        await reader.close();
+    }
+}
+
+module.exports = {
+    CAPTURE_SOURCES,
+    captureIntrinsics,
+    exportCapture,
+    pointCloudFromFrame,
+    writePointCloud
+};
@@ -0,0 +1,161 @@
+/**
+ * Encoders for point cloud files read by MeshLab, CloudCompare and PCL.
+ *
+ * A point cloud is { points, colors }: points holds packed [x, y, z] triples
+ * in metres, colors optionally holds one [r, g, b] byte triple per point.
+ */
+
+/**
+ * File formats and the encodings each supports
+ */
+const POINT_CLOUD_FORMATS = {
+    ply: ['ascii', 'binary'],
+    pcd: ['ascii', 'binary'],
+    xyz: ['ascii']
+};
+
+// Digits kept for ASCII coordinates: sub-millimetre precision in metres
+const ASCII_DIGITS = 5;
+
+/**
+ * Check a point cloud and count its points
+ * @param {Object} cloud - Point cloud
+ * @returns {number} Number of points
+ * @throws {TypeError} If the points or colors are malformed
+ */
+function countPoints({ points, colors }) {
+    if (!(points instanceof Float32Array) || points.length % 3 !== 0) {
+        throw new TypeError('Point cloud points must be a Float32Array of [x, y, z] triples');
+    }
+    const count = points.length / 3;
+    if (colors && (!(colors instanceof Uint8Array) || colors.length !== count * 3)) {
+        throw new TypeError(`Point cloud colors must be a Uint8Array of ${count} [r, g, b] triples`);
+    }
+    return count;
+}
+
+function plyHeader(count, binary, hasColor) {
+    return [
+        'ply',
+        `format ${binary ? 'binary_little_endian' : 'ascii'} 1.0`,
+        'comment kinect-node point cloud, metres, y up',
+        `element vertex ${count}`,
+        'property float x',
+        'property float y',
+        'property float z',
+        ...(hasColor ? ['property uchar red', 'property uchar green', 'property uchar blue'] : []),
+        'end_header',
+        ''
+    ].join('\n');
+}
+
+function pcdHeader(count, binary, hasColor) {
+    return [
+        '# .PCD v0.7 - Point Cloud Data file format',
+        'VERSION 0.7',
+        `FIELDS x y z${hasColor ? ' rgb' : ''}`,
+        `SIZE 4 4 4${hasColor ? ' 4' : ''}`,
+        `TYPE F F F${hasColor ? ' U' : ''}`,
+        `COUNT 1 1 1${hasColor ? ' 1' : ''}`,
+        `WIDTH ${count}`,
+        'HEIGHT 1',
+        'VIEWPOINT 0 0 0 1 0 0 0',
+        `POINTS ${count}`,
+        `DATA ${binary ? 'binary' : 'ascii'}`,
+        ''
+    ].join('\n');
+}
+
+/**
+ * One line of text per point
+ * @param {Object} cloud - Point cloud
+ * @param {number} count - Number of points
+ * @param {function(number, number, number): string} formatColor - Text for a point's colour
+ * @returns {string} Lines, each ending in a newline
+ */
+function asciiBody({ points, colors }, count, formatColor) {
+    const lines = new Array(count);
+    for (let i = 0; i < count; i++) {
+        const xyz = `${+points[i * 3].toFixed(ASCII_DIGITS)} ${+points[i * 3 + 1].toFixed(ASCII_DIGITS)} ${+points[i * 3 + 2].toFixed(ASCII_DIGITS)}`;
+        lines[i] = colors ? `${xyz} ${formatColor(colors[i * 3], colors[i * 3 + 1], colors[i * 3 + 2])}\n` : `${xyz}\n`;
+    }
+    return lines.join('');
+}
+
+/**
+ * Packed little endian records: three floats, then the colour bytes
+ * @param {Object} cloud - Point cloud
+ * @param {number} count - Number of points
+ * @param {number} colorBytes - Bytes of colour per point, 0 without colours
+ * @param {function(Buffer, number, number, number, number): void} writeColor - Writes a colour at an offset
+ * @returns {Buffer} Records
+ */
+function binaryBody({ points, colors }, count, colorBytes, writeColor) {
+    const stride = 12 + colorBytes;
+    const body = Buffer.alloc(count * stride);
+    for (let i = 0; i < count; i++) {
+        const offset = i * stride;
+        body.writeFloatLE(points[i * 3], offset);
+        body.writeFloatLE(points[i * 3 + 1], offset + 4);
+        body.writeFloatLE(points[i * 3 + 2], offset + 8);
+        if (colorBytes) {
+            writeColor(body, offset + 12, colors[i * 3], colors[i * 3 + 1], colors[i * 3 + 2]);
+        }
+    }
+    return body;
+}
+
+// PCL packs colours as a single 32-bit 0x00RRGGBB value
+const packRgb = (r, g, b) => ((r << 16) | (g << 8) | b) >>> 0;
+
+const ENCODERS = {
+    ply(cloud, count, binary) {
+        const hasColor = Boolean(cloud.colors);
+        const header = Buffer.from(plyHeader(count, binary, hasColor), 'latin1');
+        const body = binary
+            ? binaryBody(cloud, count, hasColor ? 3 : 0, (buffer, offset, r, g, b) => buffer.set([r, g, b], offset))
+            : Buffer.from(asciiBody(cloud, count, (r, g, b) => `${r} ${g} ${b}`), 'latin1');
+        return Buffer.concat([header, body]);
+    },
+
+    pcd(cloud, count, binary) {
+        const hasColor = Boolean(cloud.colors);
+        const header = Buffer.from(pcdHeader(count, binary, hasColor), 'latin1');
+        const body = binary
+            ? binaryBody(cloud, count, hasColor ? 4 : 0, (buffer, offset, r, g, b) => buffer.writeUInt32LE(packRgb(r, g, b), offset))
+            : Buffer.from(asciiBody(cloud, count, (r, g, b) => String(packRgb(r, g, b))), 'latin1');
+        return Buffer.concat([header, body]);
+    },
+
+    xyz(cloud, count) {
+        return Buffer.from(asciiBody(cloud, count, (r, g, b) => `${r} ${g} ${b}`), 'latin1');
+    }
+};
+
+/**
+ * Encode a point cloud as a file
+ * @param {Object} cloud - Point cloud
+ * @param {Float32Array} cloud.points - Packed [x, y, z] in metres
+ * @param {Uint8Array} [cloud.colors] - Packed [r, g, b] per point
+ * @param {Object} [options={}] - File options
+ * @param {string} [options.format='ply'] - ply, pcd or xyz
+ * @param {string} [options.encoding='binary'] - ascii or binary; xyz is always ascii
+ * @returns {Buffer} File contents
+ * @throws {TypeError} If the cloud is malformed or the format does not support the encoding
+ */
+function encodePointCloud(cloud, { format = 'ply', encoding = format === 'xyz' ? 'ascii' : 'binary' } = {}) {
+    const encodings = POINT_CLOUD_FORMATS[format];
+    if (!encodings) {
+        throw new TypeError(`Unknown point cloud format: ${format} (available: ${Object.keys(POINT_CLOUD_FORMATS).join(', ')})`);
+    }
+    if (!encodings.includes(encoding)) {
+        throw new TypeError(`Point cloud format ${format} does not support ${encoding} encoding (available: ${encodings.join(', ')})`);
+    }
+
+    return ENCODERS[format](cloud, countPoints(cloud), encoding === 'binary');
+}
+
+module.exports = {
+    POINT_CLOUD_FORMATS,
+    encodePointCloud
+};
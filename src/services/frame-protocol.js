@@ -0,0 +1,227 @@
+/**
+ * Binary envelope for frame messages sent over the WebSocket connection.
+ *
+ * Layout (little endian):
+ *   Header   MAGIC (4) | version u8 | message type u8 | sensor type u8 | data type u8 |
+ *            fields u16 | format u8 | reserved u8 | frame number u32 | timestamp f64 |
+ *            width u16 | height u16 | meta length u32 | data length u32 | chunks length u32
+ *   Body     meta JSON | data | chunks
+ *
+ * The frame's pixel data travels as raw bytes and is rebuilt as the original
+ * typed array. Header fields are only used when the frame has them (see the
+ * fields bitmask); everything else stays in the meta JSON, where any nested
+ * typed arrays are stored as descriptors into the chunks section.
+ */
+
+const { encodeFrame, decodeFrame } = require('./recording/capture-format');
+
+const MAGIC = Buffer.from('KNFE', 'latin1');
+const PROTOCOL_VERSION = 1;
+const HEADER_SIZE = 40;
+
+/**
+ * Message types carried in the envelope and the message key holding the frame
+ */
+const ENVELOPES = {
+    frame: { code: 1, frameKey: 'data' },
+    frameSync: { code: 2, frameKey: 'frame' }
+};
+
+/**
+ * Lookup tables; the stored code is the position + 1, 0 means absent
+ */
+const SENSOR_TYPES = ['depth', 'color', 'body', 'infrared'];
+const DATA_TYPES = [
+    'Buffer',
+    'Uint8Array',
+    'Uint8ClampedArray',
+    'Int8Array',
+    'Uint16Array',
+    'Int16Array',
+    'Uint32Array',
+    'Int32Array',
+    'Float32Array',
+    'Float64Array'
+];
+const PIXEL_FORMATS = ['uint16', 'uint8', 'float32', 'rgba', 'bgra', 'yuy2', 'jpeg', 'png'];
+
+/**
+ * Bits of the fields bitmask marking which frame fields live in the header
+ */
+const FIELDS = {
+    frameNumber: 1,
+    timestamp: 2,
+    width: 4,
+    height: 8,
+    format: 16,
+    data: 32
+};
+
+const TYPED_ARRAYS = {
+    Uint8Array,
+    Uint8ClampedArray,
+    Int8Array,
+    Uint16Array,
+    Int16Array,
+    Uint32Array,
+    Int32Array,
+    Float32Array,
+    Float64Array
+};
+
+const isUint = (value, max) => Number.isInteger(value) && value >= 0 && value <= max;
+
+/**
+ * Check whether a message can be sent in the binary envelope
+ * @param {Object} message - Outgoing message
+ * @returns {boolean} True for frame messages with a frame object and a known sensor type
+ */
+function isBinaryMessage(message) {
+    if (!message || !Object.hasOwn(ENVELOPES, message.type)) return false;
+
+    const frame = message[ENVELOPES[message.type].frameKey];
+    return Boolean(frame) && typeof frame === 'object' && !Array.isArray(frame) && !ArrayBuffer.isView(frame) &&
+        (message.sensorType === undefined || SENSOR_TYPES.includes(message.sensorType));
+}
+
+/**
+ * Encode a frame message into a binary envelope
+ * @param {Object} message - Message accepted by isBinaryMessage
+ * @returns {Buffer} Encoded envelope
+ * @throws {Error} If the message cannot be encoded
+ */
+function encodeMessage(message) {
+    if (!isBinaryMessage(message)) {
+        throw new Error(`Message cannot be sent as a binary frame: ${message?.type}`);
+    }
+
+    const envelope = ENVELOPES[message.type];
+    const rest = { ...message[envelope.frameKey] };
+
+    let fields = 0;
+    const take = (key, valid) => {
+        if (!valid(rest[key])) return 0;
+        const value = rest[key];
+        fields |= FIELDS[key];
+        delete rest[key];
+        return value;
+    };
+
+    const frameNumber = take('frameNumber', value => isUint(value, 0xFFFFFFFF));
+    const timestamp = take('timestamp', value => typeof value === 'number');
+    const width = take('width', value => isUint(value, 0xFFFF));
+    const height = take('height', value => isUint(value, 0xFFFF));
+    const format = take('format', value => PIXEL_FORMATS.includes(value));
+    const data = take('data', value => ArrayBuffer.isView(value) && !(value instanceof DataView));
+
+    const dataBytes = data ? Buffer.from(data.buffer, data.byteOffset, data.byteLength) : null;
+    const { meta, chunks, byteLength } = encodeFrame(rest);
+    const metaBytes = Buffer.from(JSON.stringify(meta), 'utf8');
+
+    const header = Buffer.alloc(HEADER_SIZE);
+    MAGIC.copy(header, 0);
+    header.writeUInt8(PROTOCOL_VERSION, 4);
+    header.writeUInt8(envelope.code, 5);
+    header.writeUInt8(SENSOR_TYPES.indexOf(message.sensorType) + 1, 6);
+    header.writeUInt8(data ? DATA_TYPES.indexOf(Buffer.isBuffer(data) ? 'Buffer' : data.constructor.name) + 1 : 0, 7);
+    header.writeUInt16LE(fields, 8);
+    header.writeUInt8(format ? PIXEL_FORMATS.indexOf(format) + 1 : 0, 10);
+    header.writeUInt32LE(frameNumber, 12);
+    header.writeDoubleLE(timestamp, 16);
+    header.writeUInt16LE(width, 24);
+    header.writeUInt16LE(height, 26);
+    header.writeUInt32LE(metaBytes.length, 28);
+    header.writeUInt32LE(dataBytes ? dataBytes.length : 0, 32);
+    header.writeUInt32LE(byteLength, 36);
+
+    return Buffer.concat([header, metaBytes, ...(dataBytes ? [dataBytes] : []), ...chunks]);
+}
+
+/**
+ * Decode a binary envelope back into a message with typed arrays
+ * @param {Buffer|ArrayBuffer|ArrayBufferView} input - Received binary message
+ * @returns {Object} Decoded message
+ * @throws {Error} If the envelope is malformed or has an unsupported version
+ */
+function decodeMessage(input) {
+    const buffer = toBuffer(input);
+    if (buffer.length < HEADER_SIZE || !buffer.subarray(0, MAGIC.length).equals(MAGIC)) {
+        throw new Error('Invalid binary frame envelope');
+    }
+
+    const version = buffer.readUInt8(4);
+    if (version !== PROTOCOL_VERSION) {
+        throw new Error(`Unsupported binary frame version: ${version}`);
+    }
+
+    const messageType = Object.keys(ENVELOPES).find(type => ENVELOPES[type].code === buffer.readUInt8(5));
+    if (!messageType) {
+        throw new Error(`Unknown binary message type: ${buffer.readUInt8(5)}`);
+    }
+
+    const metaLength = buffer.readUInt32LE(28);
+    const dataLength = buffer.readUInt32LE(32);
+    const chunksLength = buffer.readUInt32LE(36);
+    const dataStart = HEADER_SIZE + metaLength;
+    const chunksStart = dataStart + dataLength;
+    if (chunksStart + chunksLength > buffer.length) {
+        throw new Error('Truncated binary frame envelope');
+    }
+
+    const meta = JSON.parse(buffer.toString('utf8', HEADER_SIZE, dataStart));
+    const frame = decodeFrame(meta, buffer.subarray(chunksStart, chunksStart + chunksLength));
+    const fields = buffer.readUInt16LE(8);
+
+    if (fields & FIELDS.frameNumber) frame.frameNumber = buffer.readUInt32LE(12);
+    if (fields & FIELDS.timestamp) frame.timestamp = buffer.readDoubleLE(16);
+    if (fields & FIELDS.width) frame.width = buffer.readUInt16LE(24);
+    if (fields & FIELDS.height) frame.height = buffer.readUInt16LE(26);
+    if (fields & FIELDS.format) frame.format = PIXEL_FORMATS[buffer.readUInt8(10) - 1];
+    if (fields & FIELDS.data) {
+        frame.data = toTypedArray(DATA_TYPES[buffer.readUInt8(7) - 1], buffer, dataStart, dataLength);
+    }
+
+    const message = { type: messageType };
+    const sensorType = SENSOR_TYPES[buffer.readUInt8(6) - 1];
+    if (sensorType) {
+        message.sensorType = sensorType;
+    }
+    message[ENVELOPES[messageType].frameKey] = frame;
+    return message;
+}
+
+function toBuffer(input) {
+    if (Buffer.isBuffer(input)) return input;
+    if (input instanceof ArrayBuffer) return Buffer.from(input);
+    if (ArrayBuffer.isView(input)) return Buffer.from(input.buffer, input.byteOffset, input.byteLength);
+    throw new TypeError('Binary frame must be a Buffer, ArrayBuffer or typed array');
+}
+
+/**
+ * View the data section as its original array type, copying only when the
+ * section is not aligned for the element size
+ */
+function toTypedArray(dataType, buffer, start, length) {
+    if (dataType === 'Buffer') {
+        return buffer.subarray(start, start + length);
+    }
+
+    const ArrayType = TYPED_ARRAYS[dataType];
+    if (!ArrayType) {
+        throw new Error(`Unsupported binary frame data type: ${dataType}`);
+    }
+
+    const byteOffset = buffer.byteOffset + start;
+    if (byteOffset % ArrayType.BYTES_PER_ELEMENT === 0) {
+        return new ArrayType(buffer.buffer, byteOffset, length / ArrayType.BYTES_PER_ELEMENT);
+    }
+    return new ArrayType(new Uint8Array(buffer.subarray(start, start + length)).buffer);
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    HEADER_SIZE,
+    isBinaryMessage,
+    encodeMessage,
+    decodeMessage
+};
@@ -0,0 +1,238 @@
+/**
+ * Authoring gesture templates from live bodies: recording a performance into a
+ * template and scoring a body against a template while it moves, so gestures
+ * can be added and tuned without writing code.
+ */
+
+const { jointType } = require('../joint-topology');
+const {
+    DEFAULT_SETTINGS,
+    TemplateMatcher,
+    extractFeatures,
+    frameDistance,
+    mirrorTemplate
+} = require('./gesture-engine');
+const { validateTemplate, validateTemplateName } = require('./gesture-templates');
+
+/**
+ * Joints recorded when a recording does not name its own
+ */
+const DEFAULT_JOINTS = ['handLeft', 'handRight', 'elbowLeft', 'elbowRight'];
+
+/**
+ * Frames a recording is resampled to
+ */
+const DEFAULT_FRAMES = 20;
+
+/**
+ * Longest recording kept, in milliseconds; later frames are ignored
+ */
+const MAX_RECORDING_DURATION = 10000;
+
+/**
+ * Movement, in torso lengths, below which the start and end of a recording
+ * count as standing still and are trimmed
+ */
+const STILL_DISTANCE = 0.05;
+
+/**
+ * The body to follow in a body frame
+ * @param {Object[]} bodies - Processed bodies
+ * @param {*} [trackingId] - Tracking id to follow; the first tracked body when omitted
+ * @returns {Object|undefined} Body
+ */
+function selectBody(bodies = [], trackingId) {
+    return trackingId === undefined || trackingId === null
+        ? bodies.find(body => body.tracked)
+        : bodies.find(body => body.trackingId === trackingId);
+}
+
+/**
+ * Turn recorded features into a template: the still start and end are
+ * trimmed and the movement is resampled to evenly spaced frames
+ * @param {Object[]} samples - Recorded { timestamp, features }
+ * @param {Object} options - Template fields
+ * @param {string} options.name - Template name
+ * @param {string[]} options.joints - Joints the features belong to
+ * @param {number} [options.frames=20] - Frames of the template
+ * @returns {Object} Validated template
+ * @throws {Error} If the recording holds no movement
+ */
+function createTemplate(samples, { name, joints, frames = DEFAULT_FRAMES, ...fields }) {
+    const moving = index => frameDistance(samples[index].features, samples[0].features) > STILL_DISTANCE;
+    const settled = index => frameDistance(samples[index].features, samples[samples.length - 1].features) > STILL_DISTANCE;
+    const first = samples.findIndex((sample, index) => moving(index));
+    const last = samples.findLastIndex((sample, index) => settled(index));
+    if (first === -1 || last === -1 || last <= first) {
+        throw new Error(`Gesture recording ${name} has no movement; keep the body in view and perform the gesture while recording`);
+    }
+
+    // Keep the last still frame before the movement and the first one after it
+    const movement = samples.slice(first - 1, last + 2);
+    const start = movement[0].timestamp;
+    const duration = movement[movement.length - 1].timestamp - start;
+
+    let segment = 0;
+    const resampled = Array.from({ length: frames }, (unused, index) => {
+        const time = start + (duration * index) / (frames - 1);
+        while (segment < movement.length - 2 && movement[segment + 1].timestamp < time) segment++;
+
+        const from = movement[segment];
+        const to = movement[segment + 1];
+        const t = to.timestamp > from.timestamp ? Math.min(1, (time - from.timestamp) / (to.timestamp - from.timestamp)) : 0;
+        return from.features.map((value, feature) => Math.round((value + (to.features[feature] - value) * t) * 1000) / 1000);
+    });
+
+    return validateTemplate({ ...fields, name, joints, duration: Math.round(duration), frames: resampled });
+}
+
+/**
+ * Records the features of one body between start and finish
+ */
+class GestureRecording {
+    /**
+     * @param {Object} options - Recording options
+     * @param {string} options.name - Name of the template to record
+     * @param {string[]} [options.joints] - Joints to record (default: both hands and elbows)
+     * @param {*} [options.trackingId] - Body to record; the first tracked body when omitted
+     * @param {number} [options.frames=20] - Frames of the template
+     * @param {string} [options.description] - Template description
+     * @param {boolean} [options.mirror] - Also match the gesture made with the other side
+     * @param {number} [options.threshold] - Template threshold
+     * @param {number} [options.cooldown] - Template cooldown in milliseconds
+     * @throws {TypeError} If the name, a joint or the frame count is invalid
+     */
+    constructor({ name, joints = DEFAULT_JOINTS, trackingId, frames = DEFAULT_FRAMES, description, mirror, threshold, cooldown }) {
+        validateTemplateName(name);
+        if (!Array.isArray(joints) || joints.length === 0) {
+            throw new TypeError('Gesture joints must be a non-empty array of joint names');
+        }
+        joints.forEach(jointType);
+        if (!(Number.isInteger(frames) && frames >= 2)) {
+            throw new TypeError(`Invalid gesture frames: ${frames} (expected an integer of at least 2)`);
+        }
+
+        this.name = name;
+        this.joints = [...joints];
+        this.trackingId = trackingId ?? null;
+        this.frames = frames;
+        this.fields = { description, mirror, threshold, cooldown };
+        this.samples = [];
+    }
+
+    /**
+     * Record a body frame
+     * @param {Object[]} bodies - Processed bodies with joints by name
+     * @param {number} timestamp - Frame time in milliseconds
+     * @returns {boolean} Whether the frame was recorded
+     */
+    addFrame(bodies, timestamp) {
+        const body = selectBody(bodies, this.trackingId);
+        const features = body && extractFeatures(body.joints, this.joints);
+        if (!features || timestamp - (this.samples[0]?.timestamp ?? timestamp) > MAX_RECORDING_DURATION) {
+            return false;
+        }
+
+        // Follow the first body recorded for the rest of the recording
+        this.trackingId = body.trackingId;
+        this.samples.push({ timestamp, features });
+        return true;
+    }
+
+    /**
+     * Template of what was recorded
+     * @returns {Object} Validated template
+     * @throws {Error} If the recording holds no movement
+     */
+    finish() {
+        return createTemplate(this.samples, { name: this.name, joints: this.joints, frames: this.frames, ...this.fields });
+    }
+
+    /**
+     * @returns {Object} { name, joints, trackingId, frames, duration }
+     */
+    getStatus() {
+        const duration = this.samples.length > 0 ? this.samples[this.samples.length - 1].timestamp - this.samples[0].timestamp : 0;
+        return { name: this.name, joints: this.joints, trackingId: this.trackingId, frames: this.samples.length, duration };
+    }
+}
+
+/**
+ * Scores a live body against one template every frame, so a designer can see
+ * how closely they perform it and tune its threshold and tolerance
+ */
+class GestureTest {
+    /**
+     * @param {Object} template - Template to score against
+     * @param {Object} [options]
+     * @param {*} [options.trackingId] - Body to score; the first tracked body when omitted
+     * @param {Object} [options.settings] - sensors.body.gestures, for templates without their own threshold or tolerance
+     */
+    constructor(template, { trackingId, settings = {} } = {}) {
+        this.template = template;
+        this.requestedId = trackingId ?? null;
+        this.trackingId = this.requestedId;
+        this.threshold = template.threshold ?? settings.threshold ?? DEFAULT_SETTINGS.threshold;
+        this.tolerance = template.tolerance ?? settings.tolerance ?? DEFAULT_SETTINGS.tolerance;
+        this.matchers = [
+            new TemplateMatcher(template, false),
+            ...(template.mirror ? [new TemplateMatcher(mirrorTemplate(template), true)] : [])
+        ];
+        this.best = 0;
+    }
+
+    /**
+     * Score a body frame
+     * @param {Object[]} bodies - Processed bodies with joints by name
+     * @param {number} timestamp - Frame time in milliseconds
+     * @returns {Object|null} { gesture, trackingId, confidence, best, mirrored, matched, threshold },
+     *  or null while the body is out of view
+     */
+    update(bodies, timestamp) {
+        let body = selectBody(bodies, this.trackingId);
+        if (!body && this.requestedId === null) {
+            // The followed body left; start over with whoever is in view
+            body = selectBody(bodies);
+            this.#restart();
+        }
+        if (!body) return null;
+        this.trackingId = body.trackingId;
+
+        let score = { confidence: 0, mirrored: false };
+        for (const matcher of this.matchers) {
+            const features = extractFeatures(body.joints, matcher.template.joints);
+            if (!features) continue;
+
+            matcher.update(features, timestamp);
+            const { confidence } = matcher.match(this.template.frames.length, this.tolerance);
+            if (confidence > score.confidence) {
+                score = { confidence, mirrored: matcher.mirrored };
+            }
+        }
+        this.best = Math.max(this.best, score.confidence);
+
+        return {
+            gesture: this.template.name,
+            trackingId: this.trackingId,
+            ...score,
+            best: this.best,
+            matched: score.confidence >= this.threshold,
+            threshold: this.threshold
+        };
+    }
+
+    #restart() {
+        this.matchers.forEach(matcher => matcher.reset());
+        this.best = 0;
+    }
+}
+
+module.exports = {
+    DEFAULT_FRAMES,
+    DEFAULT_JOINTS,
+    GestureRecording,
+    GestureTest,
+    MAX_RECORDING_DURATION,
+    createTemplate,
+    selectBody
+};
@@ -0,0 +1,334 @@
+/**
+ * Template based gesture recognition. Joint positions are turned into
+ * body-relative features and matched against recorded templates with dynamic
+ * time warping, so one engine recognises any gesture that has a template.
+ */
+
+const { JOINT_MIRRORS } = require('../joint-topology');
+
+/**
+ * Gestures may be performed between half and twice the speed of their template
+ */
+const MIN_SPEED = 0.5;
+const MAX_SPEED = 2;
+
+/**
+ * Joints that define the body frame features are measured in
+ */
+const REFERENCE_JOINTS = ['spineBase', 'spineShoulder', 'shoulderLeft', 'shoulderRight'];
+
+const GESTURE_EVENTS = {
+    STARTED: 'gestureStarted',
+    COMPLETED: 'gestureCompleted',
+    CANCELLED: 'gestureCancelled'
+};
+
+/**
+ * Default engine settings, overridden by sensors.body.gestures
+ */
+const DEFAULT_SETTINGS = {
+    threshold: 0.7,
+    cooldown: 1000,
+    tolerance: 0.35,
+    startAt: 0.4
+};
+
+/**
+ * Positions of the given joints relative to the body: measured from
+ * spineShoulder, turned so the shoulders lie along x, and in units of torso
+ * length (spineBase to spineShoulder). The same movement gives the same
+ * features wherever the person stands, however tall they are and whichever
+ * way they face.
+ * @param {Object} joints - Joints by name, each with a position in metres
+ * @param {string[]} names - Joints to extract
+ * @returns {number[]|null} x, y, z of each joint in turn, or null when a
+ *  joint is missing or the torso cannot be measured
+ */
+function extractFeatures(joints, names) {
+    const position = name => joints[name]?.position;
+    if (![...REFERENCE_JOINTS, ...names].every(position)) {
+        return null;
+    }
+
+    const origin = position('spineShoulder');
+    const base = position('spineBase');
+    const scale = Math.hypot(origin.x - base.x, origin.y - base.y, origin.z - base.z);
+    if (!(scale > 0)) {
+        return null;
+    }
+
+    const left = position('shoulderLeft');
+    const right = position('shoulderRight');
+    const yaw = Math.atan2(right.z - left.z, right.x - left.x);
+    const cos = Math.cos(yaw);
+    const sin = Math.sin(yaw);
+
+    return names.flatMap(name => {
+        const { x, y, z } = position(name);
+        const dx = x - origin.x;
+        const dz = z - origin.z;
+        return [(dx * cos + dz * sin) / scale, (y - origin.y) / scale, (dz * cos - dx * sin) / scale];
+    });
+}
+
+/**
+ * The same gesture performed with the other side of the body
+ * @param {Object} template - Gesture template
+ * @returns {Object} Template on the mirrored joints with x negated
+ */
+function mirrorTemplate(template) {
+    return {
+        ...template,
+        joints: template.joints.map(name => JOINT_MIRRORS[name]),
+        frames: template.frames.map(frame => frame.map((value, index) => (index % 3 === 0 ? -value : value)))
+    };
+}
+
+/**
+ * Mean distance between the joints of two feature frames
+ * @param {number[]} a - Features of some joints
+ * @param {number[]} b - Features of the same joints
+ * @returns {number} Distance in torso lengths
+ */
+function frameDistance(a, b) {
+    let total = 0;
+    for (let i = 0; i < a.length; i += 3) {
+        total += Math.hypot(a[i] - b[i], a[i + 1] - b[i + 1], a[i + 2] - b[i + 2]);
+    }
+    return total / (a.length / 3);
+}
+
+/**
+ * Streaming subsequence DTW of one template against the frames of one body.
+ * Each frame updates one column of the warping matrix, so a match may start
+ * at any earlier frame without keeping a window of past frames. Every
+ * template frame weighs the same in a match, however many frames of the
+ * performance it was matched with, so holding a pose cannot dilute the
+ * distance to the rest of the template. Paths older than the slowest allowed
+ * performance are dropped.
+ */
+class TemplateMatcher {
+    /**
+     * @param {Object} template - Gesture template (see gesture-templates)
+     * @param {boolean} mirrored - Whether the template is the mirrored variant
+     */
+    constructor(template, mirrored) {
+        this.template = template;
+        this.mirrored = mirrored;
+        this.maxDuration = template.duration / MIN_SPEED;
+        this.minDuration = template.duration / MAX_SPEED;
+        this.reset();
+    }
+
+    /**
+     * Forget every partial match
+     */
+    reset() {
+        this.cells = this.#column();
+    }
+
+    /**
+     * Add a frame of features
+     * @param {number[]} features - Features of the template's joints
+     * @param {number} timestamp - Frame time in milliseconds
+     */
+    update(features, timestamp) {
+        const { frames } = this.template;
+        const previous = this.cells;
+        const cells = this.#column();
+
+        for (let i = 1; i <= frames.length; i++) {
+            const distance = frameDistance(frames[i - 1], features);
+            // Stay on a template frame, advance both, or advance the template only
+            const stay = {
+                cost: previous[i].cost,
+                rowSum: previous[i].rowSum + distance,
+                rowCount: previous[i].rowCount + 1,
+                start: previous[i].start
+            };
+            // The first template frame may start a match at any frame
+            const advance = from => ({
+                cost: i > 1 ? score(from) : 0,
+                rowSum: distance,
+                rowCount: 1,
+                start: i > 1 ? from.start : timestamp
+            });
+            const candidates = [stay, advance(previous[i - 1]), advance(cells[i - 1])]
+                .filter(cell => cell.start !== null && timestamp - cell.start <= this.maxDuration);
+
+            if (candidates.length > 0) {
+                cells[i] = candidates.reduce((best, cell) => (score(cell) < score(best) ? cell : best));
+            }
+        }
+
+        this.cells = cells;
+    }
+
+    /**
+     * Best match of the first rows of the template ending at the last frame
+     * @param {number} rows - Template frames to match
+     * @param {number} tolerance - Mean feature distance at which confidence drops to 0
+     * @returns {Object} { confidence, startedAt }
+     */
+    match(rows, tolerance) {
+        const cell = this.cells[rows];
+        if (cell.start === null) {
+            return { confidence: 0, startedAt: null };
+        }
+        return {
+            confidence: Math.max(0, 1 - score(cell) / rows / tolerance),
+            startedAt: cell.start
+        };
+    }
+
+    #column() {
+        return Array.from({ length: this.template.frames.length + 1 }, () => ({ cost: 0, rowSum: 0, rowCount: 0, start: null }));
+    }
+}
+
+/**
+ * Summed distance of a warping path, counting each template frame once
+ */
+function score(cell) {
+    return cell.cost + cell.rowSum / cell.rowCount;
+}
+
+/**
+ * Recognises template gestures per tracked body. Each frame may produce
+ * gestureStarted once the first startAt of a template matches,
+ * gestureCompleted once all of it matches, and gestureCancelled when a
+ * started gesture is not completed in time. A completed gesture is not
+ * reported again for the same body until its cooldown has passed.
+ */
+class GestureEngine {
+    /**
+     * @param {Object[]} templates - Validated gesture templates
+     * @param {Object} [settings] - Defaults for templates that do not set their own
+     * @param {number} [settings.threshold=0.7] - Confidence a match needs (0-1]
+     * @param {number} [settings.cooldown=1000] - Milliseconds before a body can repeat a gesture
+     * @param {number} [settings.tolerance=0.35] - Mean feature distance, in torso lengths, at which confidence drops to 0
+     * @param {number} [settings.startAt=0.4] - Fraction of a template matched before gestureStarted
+     */
+    constructor(templates, settings = {}) {
+        this.settings = { ...DEFAULT_SETTINGS, ...settings };
+        this.templates = templates.map(template => ({
+            threshold: this.settings.threshold,
+            cooldown: this.settings.cooldown,
+            tolerance: this.settings.tolerance,
+            ...template
+        }));
+        this.bodies = new Map();
+    }
+
+    /**
+     * Match a body's joints against every template
+     * @param {*} trackingId - Tracking id of the body
+     * @param {Object} joints - Joints by name
+     * @param {number} timestamp - Frame time in milliseconds
+     * @returns {Object[]} Gesture events, each { type, gesture, trackingId, confidence, mirrored, timestamp }
+     */
+    update(trackingId, joints, timestamp) {
+        const body = this.#getBody(trackingId);
+        body.lastSeen = timestamp;
+
+        const events = [];
+        for (const gesture of body.gestures) {
+            events.push(...this.#updateGesture(gesture, trackingId, joints, timestamp));
+        }
+        return events;
+    }
+
+    /**
+     * Forget bodies not seen within the timeout
+     * @param {number} timestamp - Current frame time in milliseconds
+     * @param {number} timeout - Milliseconds to keep the state of unseen bodies
+     */
+    prune(timestamp, timeout) {
+        for (const [trackingId, body] of this.bodies) {
+            if (timestamp - body.lastSeen > timeout) {
+                this.bodies.delete(trackingId);
+            }
+        }
+    }
+
+    #getBody(trackingId) {
+        let body = this.bodies.get(trackingId);
+        if (!body) {
+            body = {
+                lastSeen: 0,
+                gestures: this.templates.map(template => ({
+                    template,
+                    matchers: [
+                        new TemplateMatcher(template, false),
+                        ...(template.mirror ? [new TemplateMatcher(mirrorTemplate(template), true)] : [])
+                    ],
+                    active: null,
+                    cooldownUntil: -Infinity
+                }))
+            };
+            this.bodies.set(trackingId, body);
+        }
+        return body;
+    }
+
+    #updateGesture(gesture, trackingId, joints, timestamp) {
+        const { template } = gesture;
+        const event = (type, fields) => ({ type, gesture: template.name, trackingId, ...fields, timestamp });
+        const events = [];
+
+        for (const matcher of gesture.matchers) {
+            const features = extractFeatures(joints, matcher.template.joints);
+            if (features) {
+                matcher.update(features, timestamp);
+            }
+        }
+        if (timestamp < gesture.cooldownUntil) {
+            return events;
+        }
+
+        const rows = template.frames.length;
+        const startRows = Math.max(1, Math.round(rows * this.settings.startAt));
+        for (const matcher of gesture.matchers) {
+            if (gesture.active && gesture.active.matcher !== matcher) continue;
+
+            const prefix = matcher.match(startRows, template.tolerance);
+            const full = matcher.match(rows, template.tolerance);
+            const completed = full.confidence >= template.threshold && timestamp - full.startedAt >= matcher.minDuration;
+
+            // A gesture matched in full is always reported as started first
+            if (!gesture.active && (prefix.confidence >= template.threshold || completed)) {
+                const started = completed ? full : prefix;
+                gesture.active = { matcher, startedAt: started.startedAt };
+                events.push(event(GESTURE_EVENTS.STARTED, { confidence: started.confidence, mirrored: matcher.mirrored }));
+            }
+
+            if (gesture.active?.matcher === matcher && completed) {
+                events.push(event(GESTURE_EVENTS.COMPLETED, {
+                    confidence: full.confidence,
+                    mirrored: matcher.mirrored,
+                    duration: timestamp - full.startedAt
+                }));
+                gesture.active = null;
+                gesture.cooldownUntil = timestamp + template.cooldown;
+                gesture.matchers.forEach(each => each.reset());
+                return events;
+            }
+        }
+
+        if (gesture.active && timestamp - gesture.active.startedAt > gesture.active.matcher.maxDuration) {
+            events.push(event(GESTURE_EVENTS.CANCELLED, { confidence: 0, mirrored: gesture.active.matcher.mirrored }));
+            gesture.active = null;
+        }
+        return events;
+    }
+}
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    GESTURE_EVENTS,
+    GestureEngine,
+    TemplateMatcher,
+    extractFeatures,
+    frameDistance,
+    mirrorTemplate
+};
@@ -0,0 +1,173 @@
+/**
+ * Gesture templates saved by clients: one JSON file per template in
+ * sensors.body.gestures.directory, the directory BodySensor loads and watches.
+ * Built-in templates are read-only; a saved template of the same name
+ * replaces one.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { writeJsonFile } = require('../config-presets');
+const {
+    BUILT_IN_DIRECTORY,
+    TEMPLATE_EXTENSION,
+    loadTemplates,
+    readTemplate,
+    validateTemplate,
+    validateTemplateName
+} = require('./gesture-templates');
+
+class GestureStore {
+    #directory;
+    #builtIn;
+
+    /**
+     * @param {string} directory - Directory holding saved templates
+     * @param {Object} [options]
+     * @param {boolean} [options.builtIn=true] - Whether the built-in templates are in use
+     * @throws {TypeError} If the directory is missing
+     */
+    constructor(directory, { builtIn = true } = {}) {
+        if (!directory || typeof directory !== 'string') {
+            throw new TypeError('Gesture directory is required');
+        }
+        this.#directory = directory;
+        this.#builtIn = builtIn;
+    }
+
+    /**
+     * List the templates in use; saved templates appear after the built-in
+     * ones they do not replace
+     * @returns {Promise<Object[]>} { name, description, joints, duration, frames, mirror, builtIn }
+     */
+    async list() {
+        // Invalid files are left out here; BodySensor logs them when it loads
+        const saved = (await loadTemplates([this.#directory])).templates;
+        const builtIn = this.#builtIn ? (await loadTemplates([BUILT_IN_DIRECTORY])).templates : [];
+        const savedNames = new Set(saved.map(template => template.name));
+
+        return [
+            ...builtIn.filter(template => !savedNames.has(template.name)).map(template => summarise(template, true)),
+            ...saved.map(template => summarise(template, false))
+        ];
+    }
+
+    /**
+     * Load a template by name, preferring a saved template to a built-in one
+     * @param {string} name - Template name
+     * @returns {Promise<Object>} Validated template
+     * @throws {Error} If there is no such template
+     */
+    async get(name) {
+        validateTemplateName(name);
+        const files = [this.#filePath(name), ...(this.#builtIn ? [path.join(BUILT_IN_DIRECTORY, `${name}${TEMPLATE_EXTENSION}`)] : [])];
+
+        for (const file of files) {
+            try {
+                return await readTemplate(file);
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+        throw new Error(`Unknown gesture: ${name}`);
+    }
+
+    /**
+     * Whether a template of this name is saved
+     * @param {string} name - Template name
+     * @returns {Promise<boolean>} True for saved templates, false for built-in or unknown ones
+     */
+    has(name) {
+        validateTemplateName(name);
+        return exists(this.#filePath(name));
+    }
+
+    /**
+     * Save a template
+     * @param {Object} template - Template to save
+     * @param {Object} [options]
+     * @param {boolean} [options.replace=false] - Overwrite a saved template of the same name
+     * @returns {Promise<string>} Path of the saved file
+     * @throws {Error} If the template is invalid or the name is taken
+     */
+    async save(template, { replace = false } = {}) {
+        const validated = validateTemplate(template);
+        const filePath = this.#filePath(validated.name);
+        if (!replace && await exists(filePath)) {
+            throw new Error(`Gesture already exists: ${validated.name}`);
+        }
+
+        await writeJsonFile(filePath, validated);
+        return filePath;
+    }
+
+    /**
+     * Delete a saved template. A built-in template it replaced is used again.
+     * @param {string} name - Template name
+     * @throws {Error} If there is no saved template of that name
+     */
+    async delete(name) {
+        validateTemplateName(name);
+        try {
+            await fs.unlink(this.#filePath(name));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw await this.#missingError(name, 'delete');
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Rename a saved template
+     * @param {string} name - Current name
+     * @param {string} newName - New name, not yet taken by a saved template
+     * @returns {Promise<string>} Path of the renamed file
+     * @throws {Error} If there is no saved template of that name or the new name is taken
+     */
+    async rename(name, newName) {
+        validateTemplateName(name);
+        validateTemplateName(newName);
+
+        let template;
+        try {
+            template = await readTemplate(this.#filePath(name));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw await this.#missingError(name, 'rename');
+            }
+            throw error;
+        }
+
+        const filePath = await this.save({ ...template, name: newName });
+        await fs.unlink(this.#filePath(name));
+        return filePath;
+    }
+
+    async #missingError(name, action) {
+        const builtIn = this.#builtIn && await exists(path.join(BUILT_IN_DIRECTORY, `${name}${TEMPLATE_EXTENSION}`));
+        return new Error(builtIn ? `Cannot ${action} built-in gesture: ${name}` : `Unknown gesture: ${name}`);
+    }
+
+    #filePath(name) {
+        return path.join(this.#directory, `${name}${TEMPLATE_EXTENSION}`);
+    }
+}
+
+/**
+ * Template as listed to clients, without its frames
+ */
+function summarise({ name, description = '', joints, duration, frames, mirror = false }, builtIn) {
+    return { name, description, joints, duration, frames: frames.length, mirror, builtIn };
+}
+
+async function exists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+module.exports = GestureStore;
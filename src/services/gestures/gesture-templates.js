@@ -0,0 +1,146 @@
+/**
+ * Gesture templates: named joint trajectories stored as JSON, one file per
+ * gesture. Frames hold the body-relative features of extractFeatures for the
+ * template's joints, so a template can be recorded from one person and
+ * matched against anyone.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { JOINT_TYPES } = require('../joint-topology');
+
+/**
+ * Templates shipped with the service
+ */
+const BUILT_IN_DIRECTORY = path.join(__dirname, 'templates');
+
+const NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const TEMPLATE_EXTENSION = '.json';
+
+/**
+ * Check a template name before it is used as a file name
+ * @param {string} name - Template name
+ * @throws {TypeError} If the name is not letters, digits, _ or -
+ */
+function validateTemplateName(name) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+        throw new TypeError(`Invalid gesture name: ${name} (use letters, digits, '-' and '_')`);
+    }
+}
+
+/**
+ * Check a template and keep only the fields the engine uses
+ * @param {Object} template - Parsed template
+ * @returns {Object} Template
+ * @throws {TypeError} Listing every problem with the template
+ */
+function validateTemplate(template) {
+    if (!template || typeof template !== 'object' || Array.isArray(template)) {
+        throw new TypeError('Invalid gesture template: expected an object');
+    }
+
+    const { name, joints, frames, duration, threshold, cooldown, tolerance, mirror, description } = template;
+    const errors = [];
+
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+        errors.push('name must be letters, digits, _ or -');
+    }
+    if (!Array.isArray(joints) || joints.length === 0) {
+        errors.push('joints must be a non-empty array of joint names');
+    } else {
+        const unknown = joints.filter(joint => !Object.hasOwn(JOINT_TYPES, joint));
+        if (unknown.length > 0) {
+            errors.push(`unknown joints: ${unknown.join(', ')}`);
+        }
+    }
+    const width = Array.isArray(joints) ? joints.length * 3 : 0;
+    if (!Array.isArray(frames) || frames.length < 2) {
+        errors.push('frames must have at least 2 frames');
+    } else if (!frames.every(frame => Array.isArray(frame) && frame.length === width && frame.every(Number.isFinite))) {
+        errors.push(`every frame must be ${width} numbers, x, y and z of each joint`);
+    }
+    if (!(Number.isFinite(duration) && duration > 0)) {
+        errors.push('duration must be a positive number of milliseconds');
+    }
+    if (threshold !== undefined && !(threshold > 0 && threshold <= 1)) {
+        errors.push('threshold must be in (0, 1]');
+    }
+    if (cooldown !== undefined && !(Number.isFinite(cooldown) && cooldown >= 0)) {
+        errors.push('cooldown must be a non-negative number of milliseconds');
+    }
+    if (tolerance !== undefined && !(Number.isFinite(tolerance) && tolerance > 0)) {
+        errors.push('tolerance must be a positive number');
+    }
+    if (mirror !== undefined && typeof mirror !== 'boolean') {
+        errors.push('mirror must be a boolean');
+    }
+
+    if (errors.length > 0) {
+        const label = typeof name === 'string' && name ? ` ${name}` : '';
+        throw new TypeError(`Invalid gesture template${label}: ${errors.join('; ')}`);
+    }
+
+    const optional = { threshold, cooldown, tolerance, mirror, description };
+    return {
+        name,
+        joints: [...joints],
+        frames: frames.map(frame => [...frame]),
+        duration,
+        ...Object.fromEntries(Object.entries(optional).filter(([, value]) => value !== undefined))
+    };
+}
+
+/**
+ * Read a template file
+ * @param {string} file - Path of the JSON file
+ * @returns {Promise<Object>} Validated template
+ * @throws {Error} If the file cannot be read or parsed, or the template is invalid
+ */
+async function readTemplate(file) {
+    const template = JSON.parse(await fs.readFile(file, 'utf8'));
+    return validateTemplate(template);
+}
+
+/**
+ * Read the templates of several directories. A template replaces any earlier
+ * one of the same name, so later directories override earlier ones.
+ * Directories that do not exist are skipped; files that fail to load are
+ * reported in errors rather than failing the others.
+ * @param {string[]} directories - Directories of .json templates
+ * @returns {Promise<Object>} { templates, errors }, errors as { file, message }
+ */
+async function loadTemplates(directories) {
+    const templates = new Map();
+    const errors = [];
+
+    for (const directory of directories) {
+        let files;
+        try {
+            files = (await fs.readdir(directory)).filter(file => file.endsWith(TEMPLATE_EXTENSION)).sort();
+        } catch (error) {
+            if (error.code === 'ENOENT') continue;
+            throw error;
+        }
+
+        for (const file of files) {
+            const filePath = path.join(directory, file);
+            try {
+                const template = await readTemplate(filePath);
+                templates.set(template.name, template);
+            } catch (error) {
+                errors.push({ file: filePath, message: error.message });
+            }
+        }
+    }
+
+    return { templates: [...templates.values()], errors };
+}
+
+module.exports = {
+    BUILT_IN_DIRECTORY,
+    TEMPLATE_EXTENSION,
+    loadTemplates,
+    readTemplate,
+    validateTemplate,
+    validateTemplateName
+};
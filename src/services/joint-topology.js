@@ -0,0 +1,151 @@
+/**
+ * Kinect v2 skeleton topology: the 25 joints in the order of the SDK's
+ * JointType enumeration, the bone hierarchy rooted at spineBase and the
+ * left/right mirror of each joint. Body frames are keyed by these names.
+ */
+
+/**
+ * Joint names, indexed by Kinect2.JointType
+ */
+const JOINT_NAMES = Object.freeze([
+    'spineBase', 'spineMid', 'neck', 'head',
+    'shoulderLeft', 'elbowLeft', 'wristLeft', 'handLeft',
+    'shoulderRight', 'elbowRight', 'wristRight', 'handRight',
+    'hipLeft', 'kneeLeft', 'ankleLeft', 'footLeft',
+    'hipRight', 'kneeRight', 'ankleRight', 'footRight',
+    'spineShoulder', 'handTipLeft', 'thumbLeft', 'handTipRight', 'thumbRight'
+]);
+
+const JOINT_COUNT = JOINT_NAMES.length;
+
+/**
+ * Joint type of each joint name
+ */
+const JOINT_TYPES = Object.freeze(Object.fromEntries(JOINT_NAMES.map((name, jointType) => [name, jointType])));
+
+/**
+ * Parent of each joint in the bone hierarchy; spineBase is the root
+ */
+const JOINT_PARENTS = Object.freeze({
+    spineBase: null,
+    spineMid: 'spineBase',
+    spineShoulder: 'spineMid',
+    neck: 'spineShoulder',
+    head: 'neck',
+    shoulderLeft: 'spineShoulder',
+    elbowLeft: 'shoulderLeft',
+    wristLeft: 'elbowLeft',
+    handLeft: 'wristLeft',
+    handTipLeft: 'handLeft',
+    thumbLeft: 'wristLeft',
+    shoulderRight: 'spineShoulder',
+    elbowRight: 'shoulderRight',
+    wristRight: 'elbowRight',
+    handRight: 'wristRight',
+    handTipRight: 'handRight',
+    thumbRight: 'wristRight',
+    hipLeft: 'spineBase',
+    kneeLeft: 'hipLeft',
+    ankleLeft: 'kneeLeft',
+    footLeft: 'ankleLeft',
+    hipRight: 'spineBase',
+    kneeRight: 'hipRight',
+    ankleRight: 'kneeRight',
+    footRight: 'ankleRight'
+});
+
+/**
+ * Children of each joint, in joint type order
+ */
+const JOINT_CHILDREN = Object.freeze(Object.fromEntries(JOINT_NAMES.map(name => [
+    name,
+    Object.freeze(JOINT_NAMES.filter(child => JOINT_PARENTS[child] === name))
+])));
+
+/**
+ * Bones as [parent, child] pairs, one per joint other than the root
+ */
+const BONES = Object.freeze(JOINT_NAMES
+    .filter(name => JOINT_PARENTS[name])
+    .map(name => Object.freeze([JOINT_PARENTS[name], name])));
+
+/**
+ * The joint on the other side of the body; joints on the centre line mirror themselves
+ */
+const JOINT_MIRRORS = Object.freeze(Object.fromEntries(JOINT_NAMES.map(name => [
+    name,
+    name.replace(/(Left|Right)$/, side => (side === 'Left' ? 'Right' : 'Left'))
+])));
+
+/**
+ * Joints by group, so parts of the body can be treated differently
+ */
+const JOINT_GROUPS = Object.freeze({
+    head: Object.freeze(['neck', 'head']),
+    torso: Object.freeze(['spineBase', 'spineMid', 'spineShoulder', 'shoulderLeft', 'shoulderRight', 'hipLeft', 'hipRight']),
+    arms: Object.freeze(['elbowLeft', 'wristLeft', 'elbowRight', 'wristRight']),
+    hands: Object.freeze(['handLeft', 'handTipLeft', 'thumbLeft', 'handRight', 'handTipRight', 'thumbRight']),
+    legs: Object.freeze(['kneeLeft', 'ankleLeft', 'footLeft', 'kneeRight', 'ankleRight', 'footRight'])
+});
+
+/**
+ * Group of each joint
+ */
+const JOINT_GROUP_OF = Object.freeze(Object.fromEntries(Object.entries(JOINT_GROUPS)
+    .flatMap(([group, names]) => names.map(name => [name, group]))));
+
+/**
+ * Name of a Kinect joint type
+ * @param {number} jointType - Kinect2.JointType
+ * @returns {string} Joint name
+ * @throws {RangeError} If the joint type is unknown
+ */
+function jointName(jointType) {
+    const name = JOINT_NAMES[jointType];
+    if (name === undefined || !Number.isInteger(jointType)) {
+        throw new RangeError(`Unknown joint type: ${jointType} (expected 0 to ${JOINT_COUNT - 1})`);
+    }
+    return name;
+}
+
+/**
+ * Kinect joint type of a joint name
+ * @param {string} name - Joint name
+ * @returns {number} Kinect2.JointType
+ * @throws {TypeError} If the joint name is unknown
+ */
+function jointType(name) {
+    if (!Object.hasOwn(JOINT_TYPES, name)) {
+        throw new TypeError(`Unknown joint: ${name}`);
+    }
+    return JOINT_TYPES[name];
+}
+
+/**
+ * The topology as plain data, as sent to clients
+ * @returns {Object} { joints, parents, bones, mirrors, groups }
+ */
+function getTopology() {
+    return {
+        joints: [...JOINT_NAMES],
+        parents: { ...JOINT_PARENTS },
+        bones: BONES.map(bone => [...bone]),
+        mirrors: { ...JOINT_MIRRORS },
+        groups: Object.fromEntries(Object.entries(JOINT_GROUPS).map(([group, names]) => [group, [...names]]))
+    };
+}
+
+module.exports = {
+    BONES,
+    JOINT_CHILDREN,
+    JOINT_COUNT,
+    JOINT_GROUP_OF,
+    JOINT_GROUPS,
+    JOINT_MIRRORS,
+    JOINT_NAMES,
+    JOINT_PARENTS,
+    JOINT_TYPES,
+    getTopology,
+    jointName,
+    jointType
+};
@@ -2,21 +2,35 @@
  * KinectService for managing Kinect device and sensor interactions
  * @extends EventEmitter
  * @fires KinectService#initialized - When service is fully initialized
+ * @fires KinectService#stopped - When the service has shut down
  * @fires KinectService#error - When an error occurs
  * @fires KinectService#frame - When a frame is received from any sensor
  * @fires KinectService#stats - When performance stats are updated
+ * @fires KinectService#configChanged - When a client changes sensor settings at runtime
  */
 const EventEmitter = require('events');
-const Kinect2 = require('kinect2');
+const fs = require('fs').promises;
 const { performance } = require('perf_hooks');
 const path = require('path');
+const { isDeepStrictEqual } = require('util');
 
 // Service dependencies
-const config = require('./service-config');
+const { mergeConfig, patchSection } = require('./config-loader');
+const { defaultConfig } = require('./service-config');
+const { validateConfig } = require('./config-schema');
+const { PresetStore, writeJsonFile } = require('./config-presets');
 const WebSocketService = require('./websocket-service');
 const LoggingService = require('./logging-service');
 const MultiSourceReader = require('./multi-source-reader');
 const BufferPool = require('./buffer-pool');
+const { createDevice } = require('./devices/device-factory');
+const PlaybackDevice = require('./devices/playback-device');
+const SessionRecorder = require('./recording/session-recorder');
+const { CameraIntrinsics } = require('./camera-intrinsics');
+const { pointCloudFromFrame, writePointCloud } = require('./export/point-cloud-export');
+const { POINT_CLOUD_FORMATS } = require('./export/point-cloud-formats');
+const GestureStore = require('./gestures/gesture-store');
+const { GestureRecording, GestureTest } = require('./gestures/gesture-authoring');
 
 // Sensor dependencies
 const BaseSensor = require('./sensors/base-sensor');
@@ -38,6 +52,37 @@ const MESSAGE_TYPES = {
     STOP_SENSOR: 'stopSensor',
     SET_LED: 'setLED',
     SET_IR_EMITTER: 'setIREmitter',
+    START_RECORDING: 'startRecording',
+    STOP_RECORDING: 'stopRecording',
+    RECORDING_STATUS: 'recordingStatus',
+    PLAYBACK_CONTROL: 'playbackControl',
+    PLAYBACK_STATUS: 'playbackStatus',
+    GET_CONFIG: 'getConfig',
+    SET_CONFIG: 'setConfig',
+    CONFIG: 'config',
+    CONFIG_CHANGED: 'configChanged',
+    SAVE_CONFIG: 'saveConfig',
+    CONFIG_SAVED: 'configSaved',
+    LIST_PRESETS: 'listPresets',
+    PRESETS: 'presets',
+    APPLY_PRESET: 'applyPreset',
+    PRESET_APPLIED: 'presetApplied',
+    SAVE_PRESET: 'savePreset',
+    PRESET_SAVED: 'presetSaved',
+    SNAPSHOT: 'snapshot',
+    SNAPSHOT_SAVED: 'snapshotSaved',
+    START_GESTURE_RECORDING: 'startGestureRecording',
+    STOP_GESTURE_RECORDING: 'stopGestureRecording',
+    GESTURE_RECORDING_STATUS: 'gestureRecordingStatus',
+    GESTURE_SAVED: 'gestureSaved',
+    LIST_GESTURES: 'listGestures',
+    GESTURES: 'gestures',
+    DELETE_GESTURE: 'deleteGesture',
+    RENAME_GESTURE: 'renameGesture',
+    GESTURES_CHANGED: 'gesturesChanged',
+    TEST_GESTURE: 'testGesture',
+    STOP_GESTURE_TEST: 'stopGestureTest',
+    GESTURE_SCORE: 'gestureScore',
     FRAME: 'frame',
     STATUS: 'status',
     STATS: 'stats',
@@ -46,9 +91,28 @@ const MESSAGE_TYPES = {
     FRAME_SYNC: 'frameSync',
     SENSOR_STATUS: 'sensorStatus',
     MOVEMENT: 'movement',
-    GESTURE: 'gesture'
+    GESTURE: 'gesture',
+    WORKER_UNHEALTHY: 'workerUnhealthy',
+    WORKER_RECOVERED: 'workerRecovered'
 };
 
+/**
+ * Sensor each subscribable stream depends on
+ */
+const STREAM_SENSORS = {
+    depth: FRAME_TYPES.DEPTH,
+    color: FRAME_TYPES.COLOR,
+    body: FRAME_TYPES.BODY,
+    infrared: FRAME_TYPES.IR,
+    movement: FRAME_TYPES.BODY,
+    gesture: FRAME_TYPES.BODY
+};
+
+/**
+ * Sensor configuration sections that clients may change at runtime
+ */
+const RUNTIME_SECTIONS = ['processing', 'performance'];
+
 /**
  * Main service class for managing Kinect device and sensor interactions
  * @extends EventEmitter
@@ -61,23 +125,48 @@ class KinectService extends EventEmitter {
     #wsService;
     #bufferPool;
     #multiSourceReader;
+    #recorder;
+    #presets;
+    #gestureStore;
+    #gestureRecording = null;
+    #gestureTests = new Map();
     #sensors = new Map();
+    #sensorTransitions = new Map();
+    #latestDepthFrame = null;
+    #latestRegisteredFrame = null;
     #isInitialized = false;
     #performanceStats;
     #lastFrameTime;
 
-    constructor() {
+    /**
+     * Constructing the service has no side effects beyond creating its
+     * components; nothing is opened until start() and the process is never
+     * exited or hooked. Use createKinectService() to start from the defaults.
+     * @param {Object} config - Complete, validated service configuration
+     * @param {Object} [options={}] - Dependencies
+     * @param {BaseDevice} [options.device] - Device backend (default: created from config.device.type)
+     * @throws {TypeError} If config is missing
+     */
+    constructor(config, { device } = {}) {
         super();
-        
-        // Load default configuration
-        this.#config = require('./service-config').defaultConfig;
+
+        if (!config || typeof config !== 'object') {
+            throw new TypeError('Service configuration is required');
+        }
+        this.#config = config;
 
         // Initialize core services
-        this.#kinect = new Kinect2();
-        this.#logger = new LoggingService(this.#config);
+        this.#kinect = device || createDevice(this.#config);
+        this.#logger = new LoggingService({
+            logLevel: this.#config.debug.logLevel,
+            ...this.#config.debug.logging
+        });
         this.#wsService = new WebSocketService(this.#config);
         this.#bufferPool = new BufferPool(this.#config.service.bufferPool);
         this.#multiSourceReader = this.#initializeMultiSourceReader();
+        this.#recorder = new SessionRecorder(this.#config.recording);
+        this.#presets = new PresetStore(path.resolve(this.#config.persistence.presetsDir));
+        this.#gestureStore = this.#createGestureStore();
 
         this.#performanceStats = this.#createInitialStats();
         this.#lastFrameTime = performance.now();
@@ -86,12 +175,20 @@ class KinectService extends EventEmitter {
         this.#setupEventHandlers();
     }
 
-    async initialize() {
+    /**
+     * Open the device and start serving clients
+     * @returns {Promise<void>} Resolves once the service is ready
+     * @fires KinectService#initialized
+     * @throws {Error} If the device or server fails to start
+     */
+    async start() {
         if (this.#isInitialized) return;
 
         try {
-            await this.#kinect.open();
-            this.#logger.log('info', 'Kinect device opened successfully');
+            if (!await this.#kinect.open()) {
+                throw new Error('Failed to open Kinect device');
+            }
+            this.#logger.log('info', 'Kinect device opened successfully', this.#kinect.getInfo());
 
             await this.#wsService.start();
             this.#logger.log('info', 'WebSocket server started');
@@ -110,8 +207,17 @@ class KinectService extends EventEmitter {
         }
     }
 
-    async cleanup() {
+    /**
+     * Stop sensors, disconnect clients and close the device. Never exits the
+     * process; the returned promise rejects if shutdown fails.
+     * @returns {Promise<void>} Resolves once everything is closed
+     * @fires KinectService#stopped
+     */
+    async stop() {
         try {
+            await this.#recorder.stop();
+            this.#gestureRecording = null;
+            this.#gestureTests.clear();
             await Promise.all([
                 ...Array.from(this.#sensors.values()).map(sensor => sensor.cleanup()),
                 this.#wsService.stop(),
@@ -119,14 +225,233 @@ class KinectService extends EventEmitter {
             ]);
 
             this.#bufferPool.clear();
-            this.#kinect.close();
-            
-            this.#logger.log('info', 'KinectService cleanup completed');
-            process.exit(0);
+            await this.#kinect.close();
+            this.#isInitialized = false;
+
+            this.#logger.log('info', 'KinectService stopped');
+            await this.#logger.cleanup();
+            this.emit('stopped');
         } catch (error) {
-            this.#logger.log('error', 'Error during cleanup', { error });
-            process.exit(1);
+            this.#logger.log('error', 'Error during shutdown', { error });
+            throw error;
+        }
+    }
+
+    /**
+     * @deprecated Use start()
+     */
+    initialize() {
+        return this.start();
+    }
+
+    /**
+     * @deprecated Use stop()
+     */
+    cleanup() {
+        return this.stop();
+    }
+
+    /**
+     * List the built-in and saved presets
+     * @returns {Promise<Array<{name: string, description: string, builtin: boolean}>>} Presets
+     */
+    listPresets() {
+        return this.#presets.list();
+    }
+
+    /**
+     * Overlay a named preset on the running configuration. Sensor processing
+     * and performance settings apply immediately; anything else the preset
+     * changes is stored and takes effect after a restart.
+     * @param {string} name - Preset name
+     * @returns {Promise<{name: string, restartRequired: string[]}>} Keys that need a restart
+     * @fires KinectService#configChanged
+     * @throws {Error} If the preset is unknown or invalid
+     */
+    async applyPreset(name) {
+        const preset = await this.#presets.get(name);
+        const next = mergeConfig(this.#config, preset.config);
+        validateConfig(next);
+
+        const restartRequired = [];
+        if (!isDeepStrictEqual(next.network, this.#config.network)) {
+            restartRequired.push('network');
+            this.#config.network = next.network;
+        }
+
+        for (const [sensorType, sensorConfig] of Object.entries(next.sensors)) {
+            for (const [key, values] of Object.entries(sensorConfig)) {
+                if (isDeepStrictEqual(values, this.#config.sensors[sensorType][key])) continue;
+
+                if (RUNTIME_SECTIONS.includes(key)) {
+                    this.#applySensorSection(sensorType, key, values);
+                } else {
+                    restartRequired.push(`sensors.${sensorType}.${key}`);
+                    this.#config.sensors[sensorType][key] = values;
+                }
+            }
+        }
+
+        this.#config.persistence.preset = name;
+        this.#logger.log('info', `Preset applied: ${name}`, { restartRequired });
+        return { name, restartRequired };
+    }
+
+    /**
+     * Save the current sensor and network settings as a named preset
+     * @param {string} name - Preset name
+     * @param {string} [description] - Shown when listing presets
+     * @returns {Promise<string>} Path of the saved preset
+     */
+    savePreset(name, description) {
+        return this.#presets.save(name, {
+            description,
+            config: mergeConfig({ sensors: this.#config.sensors, network: this.#config.network })
+        });
+    }
+
+    /**
+     * Write the effective configuration to persistence.configFile so runtime
+     * changes survive a restart
+     * @returns {Promise<string>} Path of the saved file
+     */
+    async saveConfig() {
+        const filePath = path.resolve(this.#config.persistence.configFile);
+        const config = mergeConfig(this.#config, { persistence: { preset: null } });
+
+        // Preset values are already part of the effective configuration
+        await writeJsonFile(filePath, config);
+        this.#logger.log('info', `Configuration saved: ${filePath}`);
+        return filePath;
+    }
+
+    /**
+     * Write the point cloud of the latest depth frame to export.directory.
+     * The depth sensor must be running with generatePointCloud enabled.
+     * Colored snapshots deproject the latest registered synchronized frame
+     * instead, which needs frameSync.registration.
+     * @param {Object} [options={}] - Snapshot options
+     * @param {string} [options.format] - ply, pcd or xyz (default: export.format)
+     * @param {string} [options.encoding] - ascii or binary (default: export.encoding where the format supports it)
+     * @param {boolean} [options.color=false] - Color the points from the registered color frame
+     * @param {string} [options.name='snapshot'] - File name prefix
+     * @returns {Promise<Object>} { file, points, bytes, frameNumber, timestamp }
+     * @throws {Error} If there is no suitable frame yet or it cannot be exported
+     */
+    async snapshot({ format, encoding, color = false, name = 'snapshot' } = {}) {
+        const frame = color ? this.#latestRegisteredFrame : this.#latestDepthFrame;
+        if (!frame) {
+            throw new Error(color
+                ? 'No registered color frame to snapshot; enable frameSync.registration'
+                : 'No depth frame to snapshot; subscribe to depth first');
+        }
+
+        const defaults = this.#config.export;
+        const fileFormat = format ?? defaults.format;
+        const fileEncoding = encoding ??
+            (POINT_CLOUD_FORMATS[fileFormat]?.includes(defaults.encoding) ? defaults.encoding : undefined);
+        const cloud = pointCloudFromFrame(frame, {
+            color,
+            intrinsics: color ? new CameraIntrinsics(this.#multiSourceReader.calibration.depth) : undefined
+        });
+
+        // Synchronized frames have no frame number
+        const prefix = String(name).replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 64) || 'snapshot';
+        const label = [prefix, frame.frameNumber, Date.now()].filter(part => part !== undefined).join('_');
+        const filePath = path.resolve(defaults.directory, `${label}.${fileFormat}`);
+        const result = await writePointCloud(filePath, cloud, { format: fileFormat, encoding: fileEncoding });
+
+        this.#logger.log('info', `Point cloud snapshot saved: ${filePath}`, { points: result.points });
+        return { ...result, frameNumber: frame.frameNumber ?? null, timestamp: frame.timestamp };
+    }
+
+    /**
+     * List the gesture templates in use, built-in and saved
+     * @returns {Promise<Object[]>} { name, description, joints, duration, frames, mirror, builtIn }
+     * @throws {Error} If sensors.body.gestures.directory is not set
+     */
+    listGestures() {
+        return this.#requireGestureStore().list();
+    }
+
+    /**
+     * Start recording a gesture template from a tracked body. The body sensor
+     * must be running; the template is saved by stopGestureRecording().
+     * @param {Object} options - Recording options (see GestureRecording)
+     * @param {string} options.name - Template name
+     * @param {boolean} [options.replace=false] - Overwrite a saved template of the same name
+     * @returns {Promise<Object>} Recording status
+     * @throws {Error} If a recording is running, the name is taken or the body sensor is not running
+     */
+    async startGestureRecording({ replace = false, ...options } = {}) {
+        const store = this.#requireGestureStore();
+        this.#requireBodySensor();
+
+        const recording = new GestureRecording(options);
+        if (!replace && await store.has(recording.name)) {
+            throw new Error(`Gesture already exists: ${recording.name}`);
+        }
+        if (this.#gestureRecording) {
+            throw new Error(`A gesture recording is already running: ${this.#gestureRecording.recording.name}`);
+        }
+
+        this.#gestureRecording = { recording, replace };
+        this.#logger.log('info', `Gesture recording started: ${recording.name}`, { joints: recording.joints });
+        return this.#getGestureRecordingStatus();
+    }
+
+    /**
+     * Stop the gesture recording and save it as a template, which the body
+     * sensor starts recognising straight away
+     * @param {Object} [options={}]
+     * @param {boolean} [options.cancel=false] - Discard the recording instead
+     * @returns {Promise<Object|null>} { name, file, frames, duration }, or null when cancelled
+     * @throws {Error} If no recording is running or it holds no movement
+     */
+    async stopGestureRecording({ cancel = false } = {}) {
+        const current = this.#gestureRecording;
+        if (!current) {
+            throw new Error('No gesture recording is running');
+        }
+        this.#gestureRecording = null;
+
+        if (cancel) {
+            this.#logger.log('info', `Gesture recording cancelled: ${current.recording.name}`);
+            return null;
         }
+
+        const template = current.recording.finish();
+        const file = await this.#gestureStore.save(template, { replace: current.replace });
+        await this.#reloadGestures();
+
+        this.#logger.log('info', `Gesture saved: ${file}`, { frames: template.frames.length, duration: template.duration });
+        return { name: template.name, file, frames: template.frames.length, duration: template.duration };
+    }
+
+    /**
+     * Delete a saved gesture template
+     * @param {string} name - Template name
+     * @returns {Promise<void>} Resolves once the body sensor no longer recognises it
+     * @throws {Error} If there is no saved template of that name
+     */
+    async deleteGesture(name) {
+        await this.#requireGestureStore().delete(name);
+        await this.#reloadGestures();
+        this.#logger.log('info', `Gesture deleted: ${name}`);
+    }
+
+    /**
+     * Rename a saved gesture template
+     * @param {string} name - Current name
+     * @param {string} newName - New name
+     * @returns {Promise<string>} Path of the renamed file
+     * @throws {Error} If there is no saved template of that name or the new name is taken
+     */
+    async renameGesture(name, newName) {
+        const file = await this.#requireGestureStore().rename(name, newName);
+        await this.#reloadGestures();
+        this.#logger.log('info', `Gesture renamed: ${name} to ${newName}`);
+        return file;
     }
 
     // Private initialization methods
@@ -136,13 +461,13 @@ class KinectService extends EventEmitter {
             depth: DepthSensor,
             color: ColorSensor,
             body: BodySensor,
-            ir: IRSensor
+            infrared: IRSensor
         };
 
         for (const [type, SensorClass] of Object.entries(sensorConfigs)) {
             if (this.#config.sensors[type]?.enabled) {
                 try {
-                    const sensor = new SensorClass(this.#config, this.#kinect);
+                    const sensor = new SensorClass(this.#config, this.#kinect, { bufferPool: this.#bufferPool });
                     this.#sensors.set(type, sensor);
                     this.#setupSensorHandlers(type, sensor);
                     this.#logger.log('info', `Initialized ${type} sensor`);
@@ -153,13 +478,21 @@ class KinectService extends EventEmitter {
         }
     }
 
+    #createGestureStore() {
+        const { directory, builtIn } = this.#config.sensors.body?.gestures ?? {};
+        return directory ? new GestureStore(path.resolve(directory), { builtIn }) : null;
+    }
+
     #initializeMultiSourceReader() {
         if (!this.#config.frameSync.enabled) return null;
 
         const reader = new MultiSourceReader(this.#kinect, this.#config);
         
         reader.on('synchronizedFrame', frame => {
-            this.#wsService.broadcast({
+            if (frame.registeredColor) {
+                this.#latestRegisteredFrame = frame;
+            }
+            this.#wsService.publish(MESSAGE_TYPES.FRAME_SYNC, {
                 type: MESSAGE_TYPES.FRAME_SYNC,
                 frame
             });
@@ -177,16 +510,10 @@ class KinectService extends EventEmitter {
         this.#wsService.on('message', this.#handleClientMessage.bind(this));
         this.#wsService.on('clientConnected', this.#handleClientConnected.bind(this));
         this.#wsService.on('clientDisconnected', this.#handleClientDisconnected.bind(this));
+        this.#wsService.on('subscribed', this.#handleSubscriptionChange.bind(this));
+        this.#wsService.on('unsubscribed', this.#handleSubscriptionChange.bind(this));
         this.#wsService.on('log', (level, message, meta) => this.#logger.log(level, message, meta));
 
-        // Process handlers
-        process.on('SIGINT', () => this.cleanup());
-        process.on('SIGTERM', () => this.cleanup());
-        process.on('uncaughtException', error => {
-            this.#logger.log('error', 'Uncaught exception', { error });
-            this.cleanup();
-        });
-
         // Kinect handlers
         this.#kinect.on('error', error => {
             this.#logger.log('error', 'Kinect device error', { error });
@@ -206,11 +533,27 @@ class KinectService extends EventEmitter {
         this.#bufferPool.on('poolResized', data => {
             this.#logger.log('info', 'Buffer pool resized', data);
         });
+
+        // Recorder handlers
+        this.#recorder.on('started', data => {
+            this.#logger.log('info', 'Recording started', data);
+        });
+
+        this.#recorder.on('stopped', stats => {
+            this.#logger.log('info', 'Recording stopped', stats);
+        });
+
+        this.#recorder.on('error', error => {
+            this.#logger.log('error', 'Recording error', { error });
+        });
     }
 
     #setupSensorHandlers(type, sensor) {
         sensor.on('frame', frameData => {
-            this.#wsService.broadcast({
+            if (type === FRAME_TYPES.DEPTH) {
+                this.#latestDepthFrame = frameData;
+            }
+            this.#wsService.publish(type, {
                 type: MESSAGE_TYPES.FRAME,
                 sensorType: type,
                 data: frameData
@@ -222,20 +565,37 @@ class KinectService extends EventEmitter {
             this.#logger.log('error', `Sensor error: ${type}`, { error });
         });
 
+        // Every client hears about worker failures, whatever it subscribed to
+        sensor.on('workerUnhealthy', data => {
+            this.#logger.log('warn', `Worker unhealthy: ${type}`, data);
+            this.#wsService.broadcast({ ...data, type: MESSAGE_TYPES.WORKER_UNHEALTHY, sensorType: type });
+        });
+
+        sensor.on('workerRecovered', data => {
+            this.#logger.log('info', `Worker recovered: ${type}`, data);
+            this.#wsService.broadcast({ ...data, type: MESSAGE_TYPES.WORKER_RECOVERED, sensorType: type });
+        });
+
         if (type === FRAME_TYPES.BODY) {
             sensor.on('movement', data => {
-                this.#wsService.broadcast({
+                this.#wsService.publish(MESSAGE_TYPES.MOVEMENT, {
                     type: MESSAGE_TYPES.MOVEMENT,
                     data
                 });
             });
 
             sensor.on('gesture', data => {
-                this.#wsService.broadcast({
+                this.#wsService.publish(MESSAGE_TYPES.GESTURE, {
                     type: MESSAGE_TYPES.GESTURE,
                     data
                 });
             });
+
+            sensor.on('frame', frameData => this.#updateGestureAuthoring(frameData));
+
+            sensor.on('gesturesChanged', gestures => {
+                this.#wsService.broadcast({ type: MESSAGE_TYPES.GESTURES_CHANGED, gestures });
+            });
         }
     }
 
@@ -265,7 +625,8 @@ class KinectService extends EventEmitter {
                 ...this.#performanceStats,
                 ...sensorStats,
                 bufferStats: this.#bufferPool.getStats(),
-                multiSourceStats: this.#multiSourceReader?.getStats()
+                multiSourceStats: this.#multiSourceReader?.getStats(),
+                networkStats: this.#wsService.getStats()
             };
 
             this.#logger.logStats(stats);
@@ -277,10 +638,11 @@ class KinectService extends EventEmitter {
         try {
             switch (message.type) {
                 case MESSAGE_TYPES.START_SENSOR:
-                    this.#startSensor(message.sensorType);
+                    // Legacy control: equivalent to subscribing to the sensor's stream
+                    this.#wsService.subscribe(clientId, message.sensorType);
                     break;
                 case MESSAGE_TYPES.STOP_SENSOR:
-                    this.#stopSensor(message.sensorType);
+                    this.#wsService.unsubscribe(clientId, message.sensorType);
                     break;
                 case MESSAGE_TYPES.SET_LED:
                     this.#kinect.setLed(message.color);
@@ -288,6 +650,39 @@ class KinectService extends EventEmitter {
                 case MESSAGE_TYPES.SET_IR_EMITTER:
                     this.#kinect.setIrEmitter(message.enabled);
                     break;
+                case MESSAGE_TYPES.START_RECORDING:
+                    this.#startRecording(message.name, clientId);
+                    break;
+                case MESSAGE_TYPES.STOP_RECORDING:
+                    this.#stopRecording(clientId);
+                    break;
+                case MESSAGE_TYPES.PLAYBACK_CONTROL:
+                    this.#handlePlaybackControl(message, clientId);
+                    break;
+                case MESSAGE_TYPES.GET_CONFIG:
+                    this.#sendConfig(message.path, clientId);
+                    break;
+                case MESSAGE_TYPES.SET_CONFIG:
+                    this.#setSensorConfig(message, clientId);
+                    break;
+                case MESSAGE_TYPES.SAVE_CONFIG:
+                case MESSAGE_TYPES.LIST_PRESETS:
+                case MESSAGE_TYPES.APPLY_PRESET:
+                case MESSAGE_TYPES.SAVE_PRESET:
+                    this.#handlePersistenceCommand(message, clientId);
+                    break;
+                case MESSAGE_TYPES.SNAPSHOT:
+                    this.#handleSnapshot(message, clientId);
+                    break;
+                case MESSAGE_TYPES.START_GESTURE_RECORDING:
+                case MESSAGE_TYPES.STOP_GESTURE_RECORDING:
+                case MESSAGE_TYPES.LIST_GESTURES:
+                case MESSAGE_TYPES.DELETE_GESTURE:
+                case MESSAGE_TYPES.RENAME_GESTURE:
+                case MESSAGE_TYPES.TEST_GESTURE:
+                case MESSAGE_TYPES.STOP_GESTURE_TEST:
+                    this.#handleGestureCommand(message, clientId);
+                    break;
                 default:
                     this.#logger.log('warn', `Unknown message type: ${message.type}`, { clientId });
             }
@@ -306,6 +701,7 @@ class KinectService extends EventEmitter {
             type: MESSAGE_TYPES.DEVICE_INFO,
             info: {
                 initialized: this.#isInitialized,
+                device: this.#kinect.getInfo(),
                 sensors: Object.fromEntries(
                     Array.from(this.#sensors.entries()).map(([type, sensor]) => [
                         type,
@@ -318,41 +714,348 @@ class KinectService extends EventEmitter {
     }
 
     #handleClientDisconnected(clientId) {
+        // Subscriptions are released through 'unsubscribed' events
+        this.#gestureTests.delete(clientId);
         this.#logger.log('info', 'Client disconnected', { clientId });
-        if (this.#wsService.clientCount === 0) {
-            this.#stopAllSensors();
+    }
+
+    #handleSubscriptionChange(clientId, stream) {
+        const sensorType = STREAM_SENSORS[stream];
+        if (sensorType) {
+            this.#syncSensor(sensorType);
         }
     }
 
-    async #startSensor(sensorType) {
+    /**
+     * Start or stop a sensor to match the subscriptions that depend on it.
+     * Transitions of a sensor are serialised so rapid subscribe/unsubscribe
+     * sequences settle on the final demand.
+     */
+    #syncSensor(sensorType) {
         const sensor = this.#sensors.get(sensorType);
-        if (sensor) {
-            await sensor.start();
-            this.#logger.log('info', `Started sensor: ${sensorType}`);
+        if (!sensor) return;
+
+        const previous = this.#sensorTransitions.get(sensorType) || Promise.resolve();
+        const transition = previous.then(async () => {
+            const demand = Object.entries(STREAM_SENSORS)
+                .filter(([, type]) => type === sensorType)
+                .reduce((total, [stream]) => total + this.#wsService.getSubscriberCount(stream), 0);
+
+            if (demand > 0 && !sensor.isRunning) {
+                await sensor.start();
+                this.#logger.log('info', `Started sensor: ${sensorType}`, { subscribers: demand });
+            } else if (demand === 0 && sensor.isRunning) {
+                await sensor.stop();
+                this.#logger.log('info', `Stopped sensor: ${sensorType}`);
+            }
+        }).catch(error => {
+            this.#logger.log('error', `Failed to update sensor: ${sensorType}`, { error });
+        });
+
+        this.#sensorTransitions.set(sensorType, transition);
+    }
+
+    #sendConfig(keyPath = '', clientId) {
+        const config = keyPath.split('.').filter(Boolean)
+            .reduce((value, key) => value?.[key], this.#config);
+        if (config === undefined) {
+            throw new Error(`Unknown configuration path: ${keyPath}`);
         }
+
+        this.#wsService.send(clientId, {
+            type: MESSAGE_TYPES.CONFIG,
+            path: keyPath,
+            config
+        });
     }
 
-    async #stopSensor(sensorType) {
-        const sensor = this.#sensors.get(sensorType);
-        if (sensor) {
-            await sensor.stop();
-            this.#logger.log('info', `Stopped sensor: ${sensorType}`);
+    /**
+     * Apply a client's patch to a sensor's processing or performance section.
+     * The merged section is validated before anything changes, then handed to
+     * the sensor, which forwards it to its running worker.
+     */
+    #setSensorConfig({ sensorType, section, patch }, clientId) {
+        if (!this.#config.sensors[sensorType]) {
+            throw new Error(`Unknown sensor type: ${sensorType}`);
+        }
+        if (!RUNTIME_SECTIONS.includes(section)) {
+            throw new Error(`Section cannot be changed at runtime: ${section} (available: ${RUNTIME_SECTIONS.join(', ')})`);
+        }
+
+        const values = patchSection(this.#config, `sensors.${sensorType}.${section}`, patch);
+        this.#logger.log('info', `Configuration changed: sensors.${sensorType}.${section}`, { clientId, patch });
+        this.#applySensorSection(sensorType, section, values, clientId);
+    }
+
+    #applySensorSection(sensorType, section, values, clientId = null) {
+        this.#config.sensors[sensorType][section] = values;
+        this.#sensors.get(sensorType)?.updateConfig(section, values);
+
+        this.emit('configChanged', { sensorType, section, config: values });
+        this.#wsService.broadcast({
+            type: MESSAGE_TYPES.CONFIG_CHANGED,
+            sensorType,
+            section,
+            config: values,
+            clientId
+        });
+    }
+
+    async #handlePersistenceCommand(message, clientId) {
+        try {
+            switch (message.type) {
+                case MESSAGE_TYPES.SAVE_CONFIG:
+                    this.#wsService.send(clientId, {
+                        type: MESSAGE_TYPES.CONFIG_SAVED,
+                        file: await this.saveConfig()
+                    });
+                    break;
+                case MESSAGE_TYPES.LIST_PRESETS:
+                    this.#wsService.send(clientId, {
+                        type: MESSAGE_TYPES.PRESETS,
+                        presets: await this.listPresets(),
+                        active: this.#config.persistence.preset
+                    });
+                    break;
+                case MESSAGE_TYPES.APPLY_PRESET:
+                    this.#wsService.broadcast({
+                        type: MESSAGE_TYPES.PRESET_APPLIED,
+                        ...await this.applyPreset(message.name),
+                        clientId
+                    });
+                    break;
+                case MESSAGE_TYPES.SAVE_PRESET:
+                    await this.savePreset(message.name, message.description);
+                    this.#wsService.send(clientId, {
+                        type: MESSAGE_TYPES.PRESET_SAVED,
+                        name: message.name
+                    });
+                    break;
+            }
+        } catch (error) {
+            this.#logger.log('error', `Failed to handle ${message.type}`, { error, clientId });
+            this.#wsService.send(clientId, {
+                type: MESSAGE_TYPES.ERROR,
+                error: error.message
+            });
+        }
+    }
+
+    async #handleGestureCommand(message, clientId) {
+        try {
+            switch (message.type) {
+                case MESSAGE_TYPES.START_GESTURE_RECORDING: {
+                    const { name, joints, trackingId, frames, description, mirror, threshold, cooldown, replace } = message;
+                    await this.startGestureRecording({
+                        name, joints, trackingId, frames, description, mirror, threshold, cooldown, replace
+                    });
+                    this.#broadcastGestureRecordingStatus();
+                    break;
+                }
+                case MESSAGE_TYPES.STOP_GESTURE_RECORDING: {
+                    const saved = await this.stopGestureRecording({ cancel: message.cancel });
+                    this.#broadcastGestureRecordingStatus();
+                    if (saved) {
+                        this.#wsService.send(clientId, { type: MESSAGE_TYPES.GESTURE_SAVED, ...saved });
+                    }
+                    break;
+                }
+                case MESSAGE_TYPES.LIST_GESTURES:
+                    this.#wsService.send(clientId, {
+                        type: MESSAGE_TYPES.GESTURES,
+                        gestures: await this.listGestures(),
+                        recording: this.#getGestureRecordingStatus()
+                    });
+                    break;
+                case MESSAGE_TYPES.DELETE_GESTURE:
+                    await this.deleteGesture(message.name);
+                    break;
+                case MESSAGE_TYPES.RENAME_GESTURE:
+                    await this.renameGesture(message.name, message.newName);
+                    break;
+                case MESSAGE_TYPES.TEST_GESTURE: {
+                    this.#requireBodySensor();
+                    const template = await this.#requireGestureStore().get(message.name);
+                    this.#gestureTests.set(clientId, new GestureTest(template, {
+                        trackingId: message.trackingId,
+                        settings: this.#config.sensors.body.gestures
+                    }));
+                    break;
+                }
+                case MESSAGE_TYPES.STOP_GESTURE_TEST:
+                    this.#gestureTests.delete(clientId);
+                    break;
+            }
+        } catch (error) {
+            this.#logger.log('error', `Failed to handle ${message.type}`, { error, clientId });
+            this.#wsService.send(clientId, {
+                type: MESSAGE_TYPES.ERROR,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Feed a processed body frame to the running gesture recording and tests
+     */
+    #updateGestureAuthoring({ bodies, timestamp }) {
+        this.#gestureRecording?.recording.addFrame(bodies, timestamp);
+
+        for (const [clientId, test] of this.#gestureTests) {
+            const score = test.update(bodies, timestamp);
+            if (score) {
+                this.#wsService.send(clientId, { type: MESSAGE_TYPES.GESTURE_SCORE, ...score, timestamp });
+            }
+        }
+    }
+
+    async #reloadGestures() {
+        await this.#sensors.get(FRAME_TYPES.BODY)?.reloadGestureTemplates();
+    }
+
+    #requireGestureStore() {
+        if (!this.#gestureStore) {
+            throw new Error('Gesture templates cannot be saved without sensors.body.gestures.directory');
+        }
+        return this.#gestureStore;
+    }
+
+    #requireBodySensor() {
+        if (!this.#sensors.get(FRAME_TYPES.BODY)?.isRunning) {
+            throw new Error('Body sensor is not running; subscribe to body or gesture first');
+        }
+    }
+
+    #getGestureRecordingStatus() {
+        return this.#gestureRecording
+            ? { recording: true, ...this.#gestureRecording.recording.getStatus() }
+            : { recording: false };
+    }
+
+    #broadcastGestureRecordingStatus() {
+        this.#wsService.broadcast({
+            type: MESSAGE_TYPES.GESTURE_RECORDING_STATUS,
+            status: this.#getGestureRecordingStatus()
+        });
+    }
+
+    async #handleSnapshot({ format, encoding, color, name, inline = false }, clientId) {
+        try {
+            const result = await this.snapshot({ format, encoding, color, name });
+            this.#wsService.send(clientId, {
+                type: MESSAGE_TYPES.SNAPSHOT_SAVED,
+                ...result,
+                format: path.extname(result.file).slice(1),
+                ...(inline ? { data: (await fs.readFile(result.file)).toString('base64') } : {})
+            });
+        } catch (error) {
+            this.#logger.log('error', 'Failed to save snapshot', { error, clientId });
+            this.#wsService.send(clientId, {
+                type: MESSAGE_TYPES.ERROR,
+                error: error.message
+            });
+        }
+    }
+
+    async #startRecording(name, clientId) {
+        try {
+            await this.#recorder.start({
+                config: this.#config,
+                sensors: this.#sensors,
+                multiSourceReader: this.#multiSourceReader,
+                device: this.#kinect,
+                name
+            });
+            this.#broadcastRecordingStatus();
+        } catch (error) {
+            this.#logger.log('error', 'Failed to start recording', { error, clientId });
+            this.#wsService.send(clientId, {
+                type: MESSAGE_TYPES.ERROR,
+                error: error.message
+            });
         }
     }
 
-    async #stopAllSensors() {
-        await Promise.all(
-            Array.from(this.#sensors.values()).map(sensor => sensor.stop())
-        );
-        this.#logger.log('info', 'Stopped all sensors');
+    async #stopRecording(clientId) {
+        try {
+            await this.#recorder.stop();
+            this.#broadcastRecordingStatus();
+        } catch (error) {
+            this.#logger.log('error', 'Failed to stop recording', { error, clientId });
+            this.#wsService.send(clientId, {
+                type: MESSAGE_TYPES.ERROR,
+                error: error.message
+            });
+        }
+    }
+
+    async #handlePlaybackControl(message, clientId) {
+        try {
+            if (!(this.#kinect instanceof PlaybackDevice)) {
+                throw new Error('Playback controls require the playback device');
+            }
+
+            switch (message.action) {
+                case 'play':
+                    this.#kinect.play();
+                    break;
+                case 'pause':
+                    this.#kinect.pause();
+                    break;
+                case 'step':
+                    await this.#kinect.step();
+                    break;
+                case 'seek':
+                    this.#kinect.seek(message.timestamp);
+                    break;
+                case 'speed':
+                    this.#kinect.setSpeed(message.speed);
+                    break;
+                case 'loop':
+                    this.#kinect.setLoop(message.loop);
+                    break;
+                default:
+                    throw new Error(`Unknown playback action: ${message.action}`);
+            }
+
+            this.#wsService.broadcast({
+                type: MESSAGE_TYPES.PLAYBACK_STATUS,
+                status: this.#kinect.getStatus()
+            });
+        } catch (error) {
+            this.#logger.log('error', 'Playback control failed', { error, clientId });
+            this.#wsService.send(clientId, {
+                type: MESSAGE_TYPES.ERROR,
+                error: error.message
+            });
+        }
+    }
+
+    #broadcastRecordingStatus() {
+        this.#wsService.broadcast({
+            type: MESSAGE_TYPES.RECORDING_STATUS,
+            status: this.#recorder.getStatus()
+        });
     }
 }
 
-// Service instance creation and initialization
-const service = new KinectService();
-service.initialize().catch(error => {
-    console.error('Failed to initialize service:', error);
-    process.exit(1);
-});
+/**
+ * Create a service from the defaults plus overrides. Does not read config
+ * files, the environment or the command line; see loadConfig() for that.
+ * @param {Object} [options={}] - Service options
+ * @param {Object} [options.config={}] - Overrides deep-merged onto the defaults
+ * @param {BaseDevice} [options.device] - Device backend (default: created from config.device.type)
+ * @returns {KinectService} Service, not yet started
+ * @throws {ConfigError} If the merged configuration is invalid
+ */
+function createKinectService({ config = {}, device } = {}) {
+    const merged = mergeConfig(defaultConfig, config);
+    validateConfig(merged);
+    return new KinectService(merged, { device });
+}
 
-module.exports = service;
\ No newline at end of file
+module.exports = {
+    KinectService,
+    createKinectService,
+    MESSAGE_TYPES
+};
\ No newline at end of file
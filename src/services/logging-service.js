@@ -2,7 +2,7 @@ const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
 const EventEmitter = require('events');
-const config = require('./service-config');
+const { defaultConfig } = require('./service-config');
 
 /**
  * Service for handling application logging with file rotation and stats display
@@ -22,11 +22,12 @@ class LoggingService extends EventEmitter {
 
     // Default configuration
     static DEFAULTS = {
-        logLevel: config.debug.logLevel || 'info',
-        maxLogSize: config.debug.logging.maxLogSize || 10 * 1024 * 1024, // 10MB
-        maxLogFiles: config.debug.logging.maxLogFiles || 10,
-        maxMemoryEntries: config.debug.logging.maxMemoryEntries || 1000,
-        logsDir: config.debug.logging.logsDir || path.join(__dirname, '../../../logs/service')
+        logLevel: defaultConfig.debug.logLevel || 'info',
+        saveImmediately: defaultConfig.debug.logging.saveImmediately,
+        maxLogSize: defaultConfig.debug.logging.maxLogSize || 10 * 1024 * 1024, // 10MB
+        maxLogFiles: defaultConfig.debug.logging.maxLogFiles || 10,
+        maxMemoryEntries: defaultConfig.debug.logging.maxMemoryEntries || 1000,
+        logsDir: defaultConfig.debug.logging.logsDir || path.join(__dirname, '../../../logs/service')
     };
 
     // Private fields
@@ -72,7 +73,7 @@ class LoggingService extends EventEmitter {
         this.#logToConsole(logEntry);
         this.emit('log', logEntry);
 
-        if (config.debug.logging.saveImmediately) {
+        if (this.#config.saveImmediately) {
             await this.saveSessionLog();
         }
     }
@@ -121,7 +122,7 @@ class LoggingService extends EventEmitter {
     }
 
     setLogLevel(level) {
-        if (!LoggingService.LOG_LEVELS[level]) {
+        if (!(level in LoggingService.LOG_LEVELS)) {
             throw new Error(`Invalid log level: ${level}`);
         }
         this.#currentLogLevel = level;
@@ -195,7 +196,7 @@ class LoggingService extends EventEmitter {
     }
 
     #shouldLog(level) {
-        if (!LoggingService.LOG_LEVELS[level]) {
+        if (!(level in LoggingService.LOG_LEVELS)) {
             console.warn(`Invalid log level: ${level}`);
             return false;
         }
@@ -1,8 +1,14 @@
 const EventEmitter = require('events');
-const Kinect2 = require('kinect2');
+const { FRAME_TYPES } = require('./devices/base-device');
+const { loadCalibration } = require('./coordinate-mapper');
+const { Pipeline } = require('./workers/pipeline');
 
 /**
- * MultiSourceReader for synchronized frame capture from multiple Kinect sensors
+ * MultiSourceReader for synchronized frame capture from multiple Kinect sensors.
+ *
+ * Synchronized frames pass through frameSync.pipeline before they are
+ * emitted, or through the registration stage when frameSync.registration is
+ * enabled (see stages/sync-stages.js).
  * @extends EventEmitter
  * @fires MultiSourceReader#started - When reader starts successfully
  * @fires MultiSourceReader#stopped - When reader stops successfully
@@ -24,6 +30,8 @@ class MultiSourceReader extends EventEmitter {
     // Runtime state
     #kinect;
     #running = false;
+    #pipeline = null;
+    #calibration = null;
     #frameBuffer;
     #lastSyncTime = 0;
 
@@ -40,7 +48,7 @@ class MultiSourceReader extends EventEmitter {
 
     /**
      * Create a new MultiSourceReader instance
-     * @param {Kinect2} kinect - Kinect device instance
+     * @param {BaseDevice} kinect - Kinect device backend
      * @param {Object} config - Configuration object
      * @throws {TypeError} If parameters are invalid
      */
@@ -53,7 +61,6 @@ class MultiSourceReader extends EventEmitter {
         this.#frameBuffer = new Map();
 
         this.#initializeConfiguration();
-        this.#setupCleanupHandlers();
     }
 
     /**
@@ -68,7 +75,8 @@ class MultiSourceReader extends EventEmitter {
 
         try {
             this.#resetState();
-            
+            this.#pipeline = await this.#createPipeline();
+
             if (!this.#kinect.openMultiSourceReader({ frameTypes: this.#frameTypes })) {
                 throw new Error('Failed to open multi-source reader');
             }
@@ -115,10 +123,20 @@ class MultiSourceReader extends EventEmitter {
             bufferSize: this.#frameBuffer.size,
             bufferOverflows: this.#stats.bufferOverflows,
             syncAttempts: this.#stats.syncAttempts,
+            pipeline: this.#pipeline?.stages ?? [],
             running: this.#running
         };
     }
 
+    /**
+     * Camera calibration the pipeline stages were built with, set by start
+     * when there is a pipeline
+     * @returns {Object|null} { depth, color, extrinsics } (see CoordinateMapper.fromCalibration)
+     */
+    get calibration() {
+        return this.#calibration;
+    }
+
     // Private initialization methods
 
     #initializeConfiguration() {
@@ -135,10 +153,10 @@ class MultiSourceReader extends EventEmitter {
 
     #configureFrameTypes() {
         const frameTypeMap = {
-            depth: Kinect2.FrameType.depth,
-            color: Kinect2.FrameType.color,
-            body: Kinect2.FrameType.body,
-            infrared: Kinect2.FrameType.infrared
+            depth: FRAME_TYPES.depth,
+            color: FRAME_TYPES.color,
+            body: FRAME_TYPES.body,
+            infrared: FRAME_TYPES.infrared
         };
 
         this.#frameTypes = Object.entries(this.#config.sensors)
@@ -155,6 +173,32 @@ class MultiSourceReader extends EventEmitter {
         }
     }
 
+    async #createPipeline() {
+        const { pipeline, registration } = this.#config.frameSync ?? {};
+        const definition = pipeline ?? this.#getDefaultPipeline(registration);
+        if (definition.length === 0) {
+            this.#calibration = null;
+            return null;
+        }
+
+        this.#calibration = await loadCalibration(this.#kinect, this.#config, registration?.extrinsics ?? undefined);
+        return new Pipeline(definition, {
+            sensorType: 'frameSync',
+            config: { ...this.#config.frameSync, calibration: this.#calibration }
+        });
+    }
+
+    #getDefaultPipeline(registration) {
+        if (!registration?.enabled) return [];
+
+        const { registeredColor = true, registeredDepth = false } = registration;
+        const required = registeredColor ? ['depth', 'color'] : ['depth'];
+        if (!required.every(type => this.#requiredFrameTypes.has(type))) {
+            throw new Error(`Registration needs the ${required.join(' and ')} sensors enabled`);
+        }
+        return [{ stage: 'registration', options: { registeredColor, registeredDepth } }];
+    }
+
     // Frame processing methods
 
     #handleMultiSourceFrame(frame) {
@@ -213,7 +257,7 @@ class MultiSourceReader extends EventEmitter {
     // Helper methods
 
     #validateConstructorParams(kinect, config) {
-        if (!kinect || !(kinect instanceof Kinect2)) {
+        if (!kinect || typeof kinect.openMultiSourceReader !== 'function') {
             throw new TypeError('Valid Kinect device instance required');
         }
         if (!config || typeof config !== 'object') {
@@ -246,7 +290,22 @@ class MultiSourceReader extends EventEmitter {
 
         this.#updateSyncStats(timestamp);
         this.#frameBuffer.clear();
-        this.emit('synchronizedFrame', syncedFrame);
+
+        if (!this.#pipeline) {
+            this.emit('synchronizedFrame', syncedFrame);
+            return;
+        }
+
+        this.#pipeline.run(syncedFrame).then(
+            frame => {
+                if (this.#running) this.emit('synchronizedFrame', frame);
+            },
+            error => this.emit('error', {
+                message: 'Frame processing error',
+                timestamp,
+                error
+            })
+        );
     }
 
     #updateSyncStats(timestamp) {
@@ -286,11 +345,6 @@ class MultiSourceReader extends EventEmitter {
         });
         this.#lastSyncTime = 0;
     }
-
-    #setupCleanupHandlers() {
-        process.on('exit', () => this.stop());
-        process.on('SIGINT', () => this.stop());
-    }
 }
 
 module.exports = MultiSourceReader;
\ No newline at end of file
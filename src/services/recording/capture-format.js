@@ -0,0 +1,257 @@
+/**
+ * Capture file format shared by CaptureWriter and CaptureReader.
+ *
+ * Layout (little endian):
+ *   File header   MAGIC (8) | version u16 | reserved u16 | header length u32 | header JSON
+ *   Records       RECORD_MAGIC (4) | kind u8 | stream u8 | flags u16 | timestamp f64 |
+ *                 sequence u32 | meta length u32 | payload length u32 | reserved u32 |
+ *                 meta JSON | payload
+ *   Index         JSON array of index entries
+ *   Footer        INDEX_MAGIC (4) | index length u32 | index offset f64
+ *
+ * Frames are split into a JSON meta tree and a binary payload; every typed array
+ * or Buffer in the frame is replaced in the meta tree by a descriptor pointing
+ * into the payload, so frames round-trip with their original array types.
+ */
+
+const MAGIC = Buffer.from('KNCAPTR\0', 'latin1');
+const RECORD_MAGIC = Buffer.from('FRAM', 'latin1');
+const INDEX_MAGIC = Buffer.from('KNIX', 'latin1');
+const VERSION = 1;
+
+const FILE_HEADER_SIZE = 16;
+const RECORD_HEADER_SIZE = 32;
+const FOOTER_SIZE = 16;
+
+/**
+ * Record kinds
+ */
+const RECORD_KINDS = {
+    SENSOR_FRAME: 1, // Processed frame emitted by a sensor
+    SYNC_FRAME: 2, // Synchronized frame emitted by the MultiSourceReader
+    RAW_FRAME: 3 // Raw frame emitted by the device backend
+};
+
+/**
+ * Stream names in record order; the stored stream code is the position + 1
+ */
+const STREAMS = ['depth', 'color', 'body', 'infrared', 'frameSync'];
+
+const TYPED_ARRAYS = {
+    Int8Array,
+    Uint8Array,
+    Uint8ClampedArray,
+    Int16Array,
+    Uint16Array,
+    Int32Array,
+    Uint32Array,
+    Float32Array,
+    Float64Array
+};
+
+/**
+ * Get the stored code for a stream name
+ * @param {string} stream - Stream name
+ * @returns {number} Stream code
+ * @throws {Error} If the stream is unknown
+ */
+function streamCode(stream) {
+    const index = STREAMS.indexOf(stream);
+    if (index === -1) {
+        throw new Error(`Unknown capture stream: ${stream}`);
+    }
+    return index + 1;
+}
+
+/**
+ * Get the stream name for a stored code
+ * @param {number} code - Stream code
+ * @returns {string} Stream name
+ */
+function streamName(code) {
+    return STREAMS[code - 1] || 'unknown';
+}
+
+/**
+ * Split a frame into a JSON-safe meta tree and binary chunks
+ * @param {*} frame - Frame data
+ * @returns {{meta: *, chunks: Buffer[], byteLength: number}} Encoded frame
+ */
+function encodeFrame(frame) {
+    const chunks = [];
+    let byteLength = 0;
+
+    const encode = value => {
+        if (ArrayBuffer.isView(value)) {
+            const bytes = Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+            const descriptor = {
+                $binary: Buffer.isBuffer(value) ? 'Buffer' : value.constructor.name,
+                offset: byteLength,
+                length: bytes.length
+            };
+            chunks.push(bytes);
+            byteLength += bytes.length;
+            return descriptor;
+        }
+        if (Array.isArray(value)) {
+            return value.map(encode);
+        }
+        if (value && typeof value === 'object') {
+            const result = {};
+            for (const [key, entry] of Object.entries(value)) {
+                if (typeof entry !== 'function') {
+                    result[key] = encode(entry);
+                }
+            }
+            return result;
+        }
+        return typeof value === 'bigint' ? value.toString() : value;
+    };
+
+    return { meta: encode(frame), chunks, byteLength };
+}
+
+/**
+ * Rebuild a frame from its meta tree and payload
+ * @param {*} meta - Meta tree produced by encodeFrame
+ * @param {Buffer} payload - Binary payload
+ * @returns {*} Decoded frame
+ */
+function decodeFrame(meta, payload) {
+    const decode = value => {
+        if (Array.isArray(value)) {
+            return value.map(decode);
+        }
+        if (value && typeof value === 'object') {
+            if (typeof value.$binary === 'string') {
+                // Copy into a fresh ArrayBuffer so typed array views are aligned
+                const bytes = payload.subarray(value.offset, value.offset + value.length);
+                if (value.$binary === 'Buffer') {
+                    return Buffer.from(bytes);
+                }
+                const ArrayType = TYPED_ARRAYS[value.$binary];
+                if (!ArrayType) {
+                    throw new Error(`Unsupported binary type in capture: ${value.$binary}`);
+                }
+                const copy = new Uint8Array(bytes).buffer;
+                return new ArrayType(copy);
+            }
+            return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, decode(entry)]));
+        }
+        return value;
+    };
+
+    return decode(meta);
+}
+
+/**
+ * Build the fixed size file header
+ * @param {number} headerLength - Length of the header JSON in bytes
+ * @returns {Buffer} File header prefix
+ */
+function writeFileHeader(headerLength) {
+    const buffer = Buffer.alloc(FILE_HEADER_SIZE);
+    MAGIC.copy(buffer, 0);
+    buffer.writeUInt16LE(VERSION, 8);
+    buffer.writeUInt32LE(headerLength, 12);
+    return buffer;
+}
+
+/**
+ * Parse the fixed size file header
+ * @param {Buffer} buffer - First FILE_HEADER_SIZE bytes of the file
+ * @returns {{version: number, headerLength: number}} Parsed header prefix
+ * @throws {Error} If the file is not a capture or its version is unsupported
+ */
+function readFileHeader(buffer) {
+    if (buffer.length < FILE_HEADER_SIZE || !buffer.subarray(0, 8).equals(MAGIC)) {
+        throw new Error('Not a kinect-node capture file');
+    }
+    const version = buffer.readUInt16LE(8);
+    if (version > VERSION) {
+        throw new Error(`Unsupported capture version: ${version}`);
+    }
+    return { version, headerLength: buffer.readUInt32LE(12) };
+}
+
+/**
+ * Build a record header
+ * @param {Object} record - Record fields
+ * @returns {Buffer} Record header
+ */
+function writeRecordHeader({ kind, stream, timestamp, sequence, metaLength, payloadLength }) {
+    const buffer = Buffer.alloc(RECORD_HEADER_SIZE);
+    RECORD_MAGIC.copy(buffer, 0);
+    buffer.writeUInt8(kind, 4);
+    buffer.writeUInt8(streamCode(stream), 5);
+    buffer.writeDoubleLE(timestamp, 8);
+    buffer.writeUInt32LE(sequence, 16);
+    buffer.writeUInt32LE(metaLength, 20);
+    buffer.writeUInt32LE(payloadLength, 24);
+    return buffer;
+}
+
+/**
+ * Parse a record header
+ * @param {Buffer} buffer - RECORD_HEADER_SIZE bytes
+ * @returns {Object|null} Record fields, or null if the bytes are not a record
+ */
+function readRecordHeader(buffer) {
+    if (buffer.length < RECORD_HEADER_SIZE || !buffer.subarray(0, 4).equals(RECORD_MAGIC)) {
+        return null;
+    }
+    return {
+        kind: buffer.readUInt8(4),
+        stream: streamName(buffer.readUInt8(5)),
+        timestamp: buffer.readDoubleLE(8),
+        sequence: buffer.readUInt32LE(16),
+        metaLength: buffer.readUInt32LE(20),
+        payloadLength: buffer.readUInt32LE(24)
+    };
+}
+
+/**
+ * Build the file footer pointing at the index
+ * @param {number} indexOffset - Byte offset of the index JSON
+ * @param {number} indexLength - Length of the index JSON in bytes
+ * @returns {Buffer} Footer
+ */
+function writeFooter(indexOffset, indexLength) {
+    const buffer = Buffer.alloc(FOOTER_SIZE);
+    INDEX_MAGIC.copy(buffer, 0);
+    buffer.writeUInt32LE(indexLength, 4);
+    buffer.writeDoubleLE(indexOffset, 8);
+    return buffer;
+}
+
+/**
+ * Parse the file footer
+ * @param {Buffer} buffer - Last FOOTER_SIZE bytes of the file
+ * @returns {{indexOffset: number, indexLength: number}|null} Footer, or null if missing
+ */
+function readFooter(buffer) {
+    if (buffer.length < FOOTER_SIZE || !buffer.subarray(0, 4).equals(INDEX_MAGIC)) {
+        return null;
+    }
+    return {
+        indexLength: buffer.readUInt32LE(4),
+        indexOffset: buffer.readDoubleLE(8)
+    };
+}
+
+module.exports = {
+    VERSION,
+    FILE_HEADER_SIZE,
+    RECORD_HEADER_SIZE,
+    FOOTER_SIZE,
+    RECORD_KINDS,
+    STREAMS,
+    encodeFrame,
+    decodeFrame,
+    writeFileHeader,
+    readFileHeader,
+    writeRecordHeader,
+    readRecordHeader,
+    writeFooter,
+    readFooter
+};
@@ -0,0 +1,198 @@
+const fs = require('fs').promises;
+const {
+    FILE_HEADER_SIZE,
+    RECORD_HEADER_SIZE,
+    FOOTER_SIZE,
+    decodeFrame,
+    readFileHeader,
+    readRecordHeader,
+    readFooter
+} = require('./capture-format');
+
+/**
+ * Random access reader for capture files written by CaptureWriter. If the
+ * recording was interrupted before the index was written, the index is rebuilt
+ * by scanning the records.
+ */
+class CaptureReader {
+    #handle;
+    #filePath;
+    #header = null;
+    #index = [];
+    #recovered = false;
+
+    /**
+     * @param {string} filePath - Capture file to read
+     */
+    constructor(filePath) {
+        if (!filePath || typeof filePath !== 'string') {
+            throw new TypeError('Capture file path is required');
+        }
+        this.#filePath = filePath;
+    }
+
+    /**
+     * Open a capture file and load its header and index
+     * @param {string} filePath - Capture file to read
+     * @returns {Promise<CaptureReader>} Opened reader
+     */
+    static async open(filePath) {
+        const reader = new CaptureReader(filePath);
+        await reader.open();
+        return reader;
+    }
+
+    /**
+     * Load the header and index
+     * @throws {Error} If the file is not a valid capture
+     */
+    async open() {
+        this.#handle = await fs.open(this.#filePath, 'r');
+
+        try {
+            const { size } = await this.#handle.stat();
+            const prefix = await this.#read(0, FILE_HEADER_SIZE);
+            const { headerLength } = readFileHeader(prefix);
+            this.#header = JSON.parse((await this.#read(FILE_HEADER_SIZE, headerLength)).toString());
+
+            const dataStart = FILE_HEADER_SIZE + headerLength;
+            const footer = size - dataStart >= FOOTER_SIZE
+                ? readFooter(await this.#read(size - FOOTER_SIZE, FOOTER_SIZE))
+                : null;
+
+            if (footer) {
+                this.#index = JSON.parse((await this.#read(footer.indexOffset, footer.indexLength)).toString());
+            } else {
+                this.#index = await this.#scanRecords(dataStart, size);
+                this.#recovered = true;
+            }
+        } catch (error) {
+            await this.close();
+            throw error;
+        }
+    }
+
+    /**
+     * Session header written when the recording started
+     */
+    get header() {
+        return this.#header;
+    }
+
+    /**
+     * Index entries ordered by sequence
+     */
+    get index() {
+        return this.#index;
+    }
+
+    /**
+     * Whether the index had to be rebuilt from an interrupted recording
+     */
+    get recovered() {
+        return this.#recovered;
+    }
+
+    /**
+     * Summarise the recorded streams
+     * @returns {Object} Frame counts and time range per stream and overall
+     */
+    getSummary() {
+        const streams = {};
+        for (const entry of this.#index) {
+            const key = `${entry.kind}:${entry.stream}`;
+            const stream = streams[key] ||= {
+                kind: entry.kind,
+                stream: entry.stream,
+                frames: 0,
+                startTime: entry.timestamp,
+                endTime: entry.timestamp
+            };
+            stream.frames++;
+            stream.startTime = Math.min(stream.startTime, entry.timestamp);
+            stream.endTime = Math.max(stream.endTime, entry.timestamp);
+        }
+
+        const ranges = Object.values(streams);
+        return {
+            frames: this.#index.length,
+            startTime: ranges.length ? Math.min(...ranges.map(stream => stream.startTime)) : null,
+            endTime: ranges.length ? Math.max(...ranges.map(stream => stream.endTime)) : null,
+            streams: ranges
+        };
+    }
+
+    /**
+     * Read and decode one record
+     * @param {Object} entry - Index entry
+     * @returns {Promise<Object>} Record fields with the decoded frame
+     */
+    async readRecord(entry) {
+        const data = await this.#read(entry.offset, entry.length);
+        const record = readRecordHeader(data);
+        if (!record) {
+            throw new Error(`Corrupt capture record at offset ${entry.offset}`);
+        }
+
+        const metaEnd = RECORD_HEADER_SIZE + record.metaLength;
+        const meta = JSON.parse(data.subarray(RECORD_HEADER_SIZE, metaEnd).toString());
+        const payload = data.subarray(metaEnd, metaEnd + record.payloadLength);
+
+        return {
+            ...record,
+            frame: decodeFrame(meta, payload)
+        };
+    }
+
+    /**
+     * Iterate over records in recording order
+     * @param {Object} [filter={}] - Optional filter
+     * @param {number[]} [filter.kinds] - Record kinds to include
+     * @param {string[]} [filter.streams] - Streams to include
+     * @yields {Object} Decoded records
+     */
+    async * records(filter = {}) {
+        for (const entry of this.#index) {
+            if (filter.kinds && !filter.kinds.includes(entry.kind)) continue;
+            if (filter.streams && !filter.streams.includes(entry.stream)) continue;
+            yield await this.readRecord(entry);
+        }
+    }
+
+    async close() {
+        if (this.#handle) {
+            await this.#handle.close();
+            this.#handle = null;
+        }
+    }
+
+    async #read(position, length) {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await this.#handle.read(buffer, 0, length, position);
+        return buffer.subarray(0, bytesRead);
+    }
+
+    async #scanRecords(offset, size) {
+        const index = [];
+        while (offset + RECORD_HEADER_SIZE <= size) {
+            const record = readRecordHeader(await this.#read(offset, RECORD_HEADER_SIZE));
+            if (!record) break;
+
+            const length = RECORD_HEADER_SIZE + record.metaLength + record.payloadLength;
+            if (offset + length > size) break; // Truncated final record
+
+            index.push({
+                offset,
+                kind: record.kind,
+                stream: record.stream,
+                timestamp: record.timestamp,
+                sequence: record.sequence,
+                length
+            });
+            offset += length;
+        }
+        return index;
+    }
+}
+
+module.exports = CaptureReader;
@@ -0,0 +1,155 @@
+const fs = require('fs').promises;
+const path = require('path');
+const {
+    FILE_HEADER_SIZE,
+    RECORD_HEADER_SIZE,
+    encodeFrame,
+    writeFileHeader,
+    writeRecordHeader,
+    writeFooter
+} = require('./capture-format');
+
+/**
+ * Writes frames to a capture file. Writes are queued so callers never block on
+ * disk; frames arriving while more than maxPendingBytes are queued are dropped
+ * and counted rather than growing memory without bound.
+ */
+class CaptureWriter {
+    #filePath;
+    #maxPendingBytes;
+    #handle = null;
+    #writeQueue = Promise.resolve();
+    #writeError = null;
+    #offset = 0;
+    #pendingBytes = 0;
+    #sequence = 0;
+    #index = [];
+    #stats = {
+        frames: 0,
+        droppedFrames: 0,
+        bytes: 0
+    };
+
+    /**
+     * @param {string} filePath - Destination file
+     * @param {Object} [options={}] - Writer options
+     * @param {number} [options.maxPendingBytes=268435456] - Queued bytes before frames are dropped
+     */
+    constructor(filePath, options = {}) {
+        if (!filePath || typeof filePath !== 'string') {
+            throw new TypeError('Capture file path is required');
+        }
+        this.#filePath = filePath;
+        this.#maxPendingBytes = options.maxPendingBytes || 256 * 1024 * 1024;
+    }
+
+    /**
+     * Create the file and write the self-describing header
+     * @param {Object} header - Session description stored as JSON
+     */
+    async open(header) {
+        if (this.#handle) {
+            throw new Error('Capture file is already open');
+        }
+
+        await fs.mkdir(path.dirname(this.#filePath), { recursive: true });
+        this.#handle = await fs.open(this.#filePath, 'wx');
+
+        const json = Buffer.from(JSON.stringify(header));
+        const prefix = writeFileHeader(json.length);
+        await this.#handle.write(Buffer.concat([prefix, json]), 0, FILE_HEADER_SIZE + json.length, 0);
+        this.#offset = FILE_HEADER_SIZE + json.length;
+    }
+
+    /**
+     * Queue a frame record
+     * @param {number} kind - Record kind (RECORD_KINDS)
+     * @param {string} stream - Stream name
+     * @param {number} timestamp - Frame timestamp in milliseconds
+     * @param {*} frame - Frame data
+     * @returns {boolean} Whether the frame was queued
+     */
+    write(kind, stream, timestamp, frame) {
+        if (!this.#handle) {
+            throw new Error('Capture file is not open');
+        }
+        if (this.#writeError) {
+            throw this.#writeError;
+        }
+
+        const { meta, chunks, byteLength } = encodeFrame(frame);
+        const metaJson = Buffer.from(JSON.stringify(meta));
+        const recordLength = RECORD_HEADER_SIZE + metaJson.length + byteLength;
+
+        if (this.#pendingBytes + recordLength > this.#maxPendingBytes) {
+            this.#stats.droppedFrames++;
+            return false;
+        }
+
+        const sequence = this.#sequence++;
+        const header = writeRecordHeader({
+            kind,
+            stream,
+            timestamp,
+            sequence,
+            metaLength: metaJson.length,
+            payloadLength: byteLength
+        });
+
+        // Copy now: sensors reuse pooled buffers once the event handler returns
+        const record = Buffer.concat([header, metaJson, ...chunks], recordLength);
+        const offset = this.#offset;
+        this.#offset += recordLength;
+        this.#pendingBytes += recordLength;
+        this.#index.push({ offset, kind, stream, timestamp, sequence, length: recordLength });
+
+        this.#enqueue(async () => {
+            await this.#handle.write(record, 0, recordLength, offset);
+            this.#pendingBytes -= recordLength;
+            this.#stats.frames++;
+            this.#stats.bytes += recordLength;
+        });
+        return true;
+    }
+
+    /**
+     * Flush queued frames, write the index and footer and close the file
+     * @returns {Promise<Object>} Final writer statistics
+     */
+    async close() {
+        if (!this.#handle) return this.getStats();
+
+        await this.#writeQueue;
+        const index = Buffer.from(JSON.stringify(this.#index));
+        const footer = writeFooter(this.#offset, index.length);
+        const tail = Buffer.concat([index, footer]);
+        await this.#handle.write(tail, 0, tail.length, this.#offset);
+        await this.#handle.close();
+        this.#handle = null;
+
+        if (this.#writeError) {
+            throw this.#writeError;
+        }
+        return this.getStats();
+    }
+
+    /**
+     * Get writer statistics
+     * @returns {Object} Frame, drop and byte counts
+     */
+    getStats() {
+        return {
+            path: this.#filePath,
+            ...this.#stats,
+            pendingBytes: this.#pendingBytes
+        };
+    }
+
+    #enqueue(task) {
+        this.#writeQueue = this.#writeQueue.then(task).catch(error => {
+            this.#writeError = this.#writeError || error;
+        });
+    }
+}
+
+module.exports = CaptureWriter;
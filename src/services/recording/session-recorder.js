@@ -0,0 +1,193 @@
+const EventEmitter = require('events');
+const path = require('path');
+const CaptureWriter = require('./capture-writer');
+const { RECORD_KINDS } = require('./capture-format');
+const { FRAME_EVENTS } = require('../devices/base-device');
+
+const FORMAT_NAME = 'kinect-node-capture';
+const FILE_EXTENSION = '.kncap';
+
+/**
+ * Records a session to a capture file by subscribing to sensor frames,
+ * synchronized frames and (optionally) raw device frames.
+ * @extends EventEmitter
+ * @fires SessionRecorder#started - When a recording starts
+ * @fires SessionRecorder#stopped - When a recording is finalised
+ * @fires SessionRecorder#error - When writing fails
+ */
+class SessionRecorder extends EventEmitter {
+    #options;
+    #writer = null;
+    #subscriptions = [];
+    #startedAt = null;
+
+    /**
+     * @param {Object} [options={}] - Recording configuration (config.recording)
+     * @param {string} [options.directory='./recordings'] - Directory for capture files
+     * @param {boolean} [options.includeRaw=true] - Also record raw device frames for playback
+     * @param {number} [options.maxPendingBytes] - Queued bytes before frames are dropped
+     */
+    constructor(options = {}) {
+        super();
+        this.#options = {
+            directory: './recordings',
+            includeRaw: true,
+            ...options
+        };
+    }
+
+    get isRecording() {
+        return Boolean(this.#writer);
+    }
+
+    /**
+     * Start recording
+     * @param {Object} sources - Event sources and session description
+     * @param {Object} sources.config - Active service configuration
+     * @param {Map<string, BaseSensor>} [sources.sensors] - Sensors keyed by type
+     * @param {MultiSourceReader} [sources.multiSourceReader] - Synchronized frame source
+     * @param {BaseDevice} [sources.device] - Device backend for raw frames
+     * @param {string} [sources.name='session'] - File name prefix
+     * @returns {Promise<string>} Path of the capture file
+     * @throws {Error} If a recording is already in progress
+     */
+    async start({ config, sensors = new Map(), multiSourceReader = null, device = null, name = 'session' }) {
+        if (this.#writer) {
+            throw new Error('Recording already in progress');
+        }
+
+        const startedAt = new Date();
+        const filePath = path.join(
+            this.#options.directory,
+            `${SessionRecorder.#sanitizeName(name)}_${startedAt.toISOString().replace(/[:.]/g, '-')}${FILE_EXTENSION}`
+        );
+
+        const writer = new CaptureWriter(filePath, { maxPendingBytes: this.#options.maxPendingBytes });
+        await writer.open(this.#createHeader(startedAt, config, sensors, device, multiSourceReader));
+
+        this.#writer = writer;
+        this.#startedAt = startedAt;
+        this.#subscribeSensors(sensors);
+        this.#subscribe(multiSourceReader, 'synchronizedFrame', frame =>
+            this.#record(RECORD_KINDS.SYNC_FRAME, 'frameSync', frame.timestamp, frame));
+
+        if (this.#options.includeRaw && device) {
+            this.#subscribeDevice(device);
+        }
+
+        this.emit('started', { path: filePath, startedAt: startedAt.toISOString() });
+        return filePath;
+    }
+
+    /**
+     * Stop recording and finalise the capture file
+     * @returns {Promise<Object|null>} Writer statistics, or null if not recording
+     */
+    async stop() {
+        if (!this.#writer) return null;
+
+        const writer = this.#writer;
+        this.#unsubscribeAll();
+        this.#writer = null;
+        this.#startedAt = null;
+
+        const stats = await writer.close();
+        this.emit('stopped', stats);
+        return stats;
+    }
+
+    /**
+     * Get recording status
+     * @returns {Object} Status with writer statistics while recording
+     */
+    getStatus() {
+        return {
+            recording: this.isRecording,
+            startedAt: this.#startedAt?.toISOString() || null,
+            ...(this.#writer ? this.#writer.getStats() : {})
+        };
+    }
+
+    // Private helpers
+
+    #createHeader(startedAt, config, sensors, device, multiSourceReader) {
+        return {
+            format: FORMAT_NAME,
+            createdAt: startedAt.toISOString(),
+            startTime: startedAt.getTime(),
+            includeRaw: this.#options.includeRaw,
+            device: device?.getInfo?.() || null,
+            sensors: Object.fromEntries(Array.from(sensors.entries()).map(([type, sensor]) => [
+                type,
+                {
+                    config: SessionRecorder.#snapshot(config?.sensors?.[type]),
+                    status: sensor.getStatus?.() || null
+                }
+            ])),
+            // Camera calibration synchronized frames were registered with
+            registration: multiSourceReader?.calibration ?? null,
+            config: SessionRecorder.#snapshot(config)
+        };
+    }
+
+    #subscribeSensors(sensors) {
+        for (const [type, sensor] of sensors.entries()) {
+            this.#subscribe(sensor, 'frame', frame =>
+                this.#record(RECORD_KINDS.SENSOR_FRAME, type, frame?.timestamp, frame));
+        }
+    }
+
+    #subscribeDevice(device) {
+        const streams = {
+            depth: FRAME_EVENTS.depth,
+            color: FRAME_EVENTS.color,
+            body: FRAME_EVENTS.body,
+            infrared: FRAME_EVENTS.infrared,
+            frameSync: FRAME_EVENTS.multiSource
+        };
+
+        for (const [stream, event] of Object.entries(streams)) {
+            this.#subscribe(device, event, frame =>
+                this.#record(RECORD_KINDS.RAW_FRAME, stream, Date.now(), frame));
+        }
+    }
+
+    #subscribe(emitter, event, listener) {
+        if (!emitter) return;
+        emitter.on(event, listener);
+        this.#subscriptions.push(() => emitter.removeListener(event, listener));
+    }
+
+    #unsubscribeAll() {
+        for (const unsubscribe of this.#subscriptions) {
+            unsubscribe();
+        }
+        this.#subscriptions = [];
+    }
+
+    #record(kind, stream, timestamp, frame) {
+        if (!this.#writer) return;
+
+        try {
+            this.#writer.write(kind, stream, timestamp || Date.now(), frame);
+        } catch (error) {
+            this.emit('error', error);
+            this.stop().catch(stopError => this.emit('error', stopError));
+        }
+    }
+
+    /**
+     * JSON-safe copy of a configuration object; functions are stored as source
+     */
+    static #snapshot(value) {
+        if (value === undefined) return null;
+        return JSON.parse(JSON.stringify(value, (key, entry) =>
+            typeof entry === 'function' ? entry.toString() : entry));
+    }
+
+    static #sanitizeName(name) {
+        return String(name).replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 64) || 'session';
+    }
+}
+
+module.exports = SessionRecorder;
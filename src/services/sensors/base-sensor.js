@@ -1,25 +1,31 @@
 const EventEmitter = require('events');
 const { performance } = require('perf_hooks');
 const path = require('path');
-const { Worker } = require('worker_threads');
+const { WorkerPool } = require('../worker-pool');
 
 /**
  * Base class for all Kinect sensors providing common functionality
  * @abstract
  * @fires BaseSensor#started - Emitted when sensor starts
  * @fires BaseSensor#stopped - Emitted when sensor stops
- * @fires BaseSensor#frame - Emitted when a frame is processed
- * @fires BaseSensor#frameMissed - Emitted when a frame is dropped
+ * @fires BaseSensor#frame - Emitted when a frame is processed. Frame data may view
+ *     shared memory that is reused once the listeners return; copy it to keep it.
+ * @fires BaseSensor#frameMissed - Emitted when a frame is dropped because every worker is busy
  * @fires BaseSensor#metrics - Emitted with performance metrics
+ * @fires BaseSensor#configChanged - Emitted when a configuration section is replaced
+ * @fires BaseSensor#workerUnhealthy - Emitted when a worker crashed or hung, with the restart delay
+ * @fires BaseSensor#workerRecovered - Emitted when a restarted worker answers again
  * @fires BaseSensor#error - Emitted on errors
  */
 class BaseSensor extends EventEmitter {
     /**
      * @param {Object} config - Sensor configuration
      * @param {Object} kinect - Kinect device instance
+     * @param {Object} [options={}] - Shared services
+     * @param {BufferPool} [options.bufferPool] - Provides shared memory frame rings
      * @throws {TypeError} If config or kinect parameters are invalid
      */
-    constructor(config, kinect) {
+    constructor(config, kinect, { bufferPool = null } = {}) {
         super();
         
         // Validate constructor parameters
@@ -33,6 +39,7 @@ class BaseSensor extends EventEmitter {
         // Initialize core properties
         this.config = config;
         this.kinect = kinect;
+        this.bufferPool = bufferPool;
         this.type = config.type || 'unknown';
         this.logger = config.logger || console;
         
@@ -43,11 +50,17 @@ class BaseSensor extends EventEmitter {
         this.fps = 0;
 
         // Worker management
-        this.worker = null;
+        this.workerPool = null;
+        this.frameRing = null;
+        this.workerPath = path.join(__dirname, `../workers/${this.type}-worker.js`);
         this.workerRestartAttempts = 0;
-        this.maxWorkerRestarts = config.worker?.maxRestarts || 3;
+        this.maxWorkerRestarts = config.worker?.maxRestarts ?? 3;
         this.frameTimeout = config.worker?.frameTimeout || 5000;
-        this.healthCheckInterval = null;
+        this.healthCheckInterval = config.worker?.healthCheckInterval ?? 30000;
+        this.healthCheckTimeout = config.worker?.healthCheckTimeout ?? 5000;
+        this.restartDelay = config.worker?.restartDelay ?? 1000;
+        this.maxRestartDelay = config.worker?.maxRestartDelay ?? 30000;
+        this.pendingRestarts = new Map();
         
         // Initialize performance monitoring
         this.performanceStats = this._createInitialStats();
@@ -115,81 +128,230 @@ class BaseSensor extends EventEmitter {
             await this.stop();
         }
 
-        if (this.worker) {
-            await this.worker.terminate();
-            this.worker = null;
-        }
+        await this._terminateWorkers();
+    }
+
+    /**
+     * Replace a configuration section at runtime. Running workers receive the
+     * new worker data in place, so no frames are lost to a restart, and a new
+     * performance section resizes the worker pool.
+     * @param {string} section - Section name ('processing' or 'performance')
+     * @param {Object} values - New section contents, already validated
+     * @fires BaseSensor#configChanged
+     */
+    updateConfig(section, values) {
+        this.config[section] = values;
+        this._applyConfig(section);
 
-        if (this.healthCheckInterval) {
-            clearInterval(this.healthCheckInterval);
+        if (this.workerPool) {
+            if (section === 'performance') {
+                this.workerPool.configure(this._getPoolOptions());
+            }
+            this.workerPool.broadcast({ type: 'updateConfig', config: this._getWorkerData() });
         }
+
+        this.emit('configChanged', { section, config: values });
     }
 
     // Worker Management Methods
 
     /**
-     * Initialize worker thread
+     * Start the pool of worker threads
      * @protected
      * @async
      */
     async _initializeWorker() {
-        const workerPath = path.join(__dirname, `../workers/${this.type}-worker.js`);
-        
-        this.worker = new Worker(workerPath, {
-            workerData: this.config.processing
+        this.frameRing = this._createFrameRing();
+
+        const workerData = this._getWorkerData();
+        this.workerPool = new WorkerPool(this.workerPath, {
+            ...this._getPoolOptions(),
+            workerData: this.frameRing ? { ...workerData, frameRing: this.frameRing.handle } : workerData
         });
 
         this._setupWorkerEventHandlers();
-        this._startWorkerHealthCheck();
     }
 
+    /**
+     * Worker pool options from the performance section and the worker health
+     * settings
+     * @protected
+     * @returns {Object} Options for WorkerPool
+     */
+    _getPoolOptions() {
+        const { maxWorkers, dispatchStrategy, maxQueueSize } = this.config.performance || {};
+        return {
+            size: maxWorkers,
+            strategy: dispatchStrategy,
+            maxQueueSize,
+            frameTimeout: this.frameTimeout,
+            healthCheckInterval: this.healthCheckInterval,
+            healthCheckTimeout: this.healthCheckTimeout
+        };
+    }
+
+    /**
+     * Create the shared memory ring frames are handed to workers through. It
+     * has a slot for every frame the pool can hold: one per worker plus the
+     * queue.
+     * @protected
+     * @returns {SharedFrameRing|null} Ring, or null to copy frames to workers
+     */
+    _createFrameRing() {
+        if (!this.bufferPool?.sharedFrames) return null;
+
+        const { size, maxQueueSize = 3 } = this._getPoolOptions();
+        return this.bufferPool.createRing(this.type, (size || 1) + maxQueueSize);
+    }
+
+    /**
+     * Send a raw frame to the worker pool, through the shared ring when a slot
+     * is free and by copy otherwise
+     * @protected
+     * @param {ArrayBufferView} buffer - Raw frame bytes
+     */
+    _dispatchFrame(buffer) {
+        const ring = this.frameRing;
+        const slot = ring && buffer.byteLength <= ring.slotSize ? ring.write(buffer) : -1;
+
+        if (slot === -1) {
+            this.workerPool.dispatch({ frame: { buffer } });
+        } else {
+            this.workerPool.dispatch({ frame: {}, slot });
+        }
+    }
+
+    /**
+     * Resolve a shared result before handing a worker message to the sensor,
+     * and free its ring slot afterwards
+     * @private
+     * @param {Object} message - Message from the worker pool
+     */
+    _receiveWorkerMessage(message) {
+        const ring = this.frameRing;
+        if (message.slot === undefined || !ring) {
+            this._handleWorkerMessage(message);
+            return;
+        }
+
+        try {
+            const processedFrame = message.data?.processedFrame;
+            if (processedFrame?.arrayType) {
+                message.data.processedFrame = ring.read(message.slot, processedFrame.arrayType);
+            }
+            this._handleWorkerMessage(message);
+        } catch (error) {
+            this.emit('error', error);
+        } finally {
+            ring.release(message.slot);
+        }
+    }
+
+    /**
+     * Terminate the worker pool and cancel pending worker restarts
+     * @protected
+     * @async
+     */
+    async _terminateWorkers() {
+        for (const timer of this.pendingRestarts.values()) {
+            clearTimeout(timer);
+        }
+        this.pendingRestarts.clear();
+
+        if (this.workerPool) {
+            const pool = this.workerPool;
+            this.workerPool = null;
+            await pool.terminate();
+        }
+
+        if (this.frameRing) {
+            this.bufferPool.releaseRing(this.frameRing);
+            this.frameRing = null;
+        }
+    }
+
+    /**
+     * Data passed to the worker thread
+     * @protected
+     * @returns {Object} Worker data (processing config by default)
+     */
+    _getWorkerData() {
+        return this.config.processing;
+    }
+
+    /**
+     * Refresh values copied out of the configuration after a section changes
+     * @protected
+     * @param {string} section - Section that changed
+     */
+    _applyConfig(section) {}
+
     /**
      * Set up worker event handlers
      * @protected
      */
     _setupWorkerEventHandlers() {
-        this.worker.on('message', this._handleWorkerMessage.bind(this));
-        
-        this.worker.on('error', error => {
+        this.workerPool.on('message', this._receiveWorkerMessage.bind(this));
+
+        this.workerPool.on('frameDropped', ({ id, message }) => {
+            if (message.slot !== undefined) {
+                this.frameRing?.release(message.slot);
+            }
+            this.performanceStats.missedFrames++;
+            this.emit('frameMissed', { type: this.type, id });
+        });
+
+        this.workerPool.on('error', error => {
             this.logger.error(`${this.type} worker error:`, error);
             this.emit('error', error);
-            this._handleWorkerError();
+            this._handleWorkerError(error.workerIndex, error);
+        });
+
+        this.workerPool.on('workerRecovered', ({ index, threadId }) => {
+            this.workerRestartAttempts = 0;
+            this.logger.info(`${this.type} worker ${index} recovered`);
+            this.emit('workerRecovered', { type: this.type, workerIndex: index, threadId });
         });
     }
 
     /**
-     * Handle worker errors and attempt restart
+     * Restart a crashed or hung worker after an exponential backoff delay.
+     * Restart attempts count consecutive failures and reset once a restarted
+     * worker answers again; the sensor stops when they run out.
      * @protected
      * @async
+     * @param {number} workerIndex - Index of the failed worker in the pool
+     * @param {Error} [error] - Failure reported by the pool
+     * @fires BaseSensor#workerUnhealthy
      */
-    async _handleWorkerError() {
+    async _handleWorkerError(workerIndex, error = null) {
+        const details = {
+            type: this.type,
+            workerIndex,
+            reason: error?.reason || 'crashed',
+            error: error?.message
+        };
+
         if (this.workerRestartAttempts >= this.maxWorkerRestarts) {
             this.logger.error('Max worker restart attempts reached');
+            this.emit('workerUnhealthy', { ...details, attempt: null, restartIn: null });
             await this.stop();
             return;
         }
 
         this.workerRestartAttempts++;
-        this.logger.info(`Attempting worker restart (${this.workerRestartAttempts}/${this.maxWorkerRestarts})`);
-        
-        if (this.worker) {
-            await this.worker.terminate();
-        }
-        await this._initializeWorker();
-    }
-
-    /**
-     * Start worker health check interval
-     * @protected
-     */
-    _startWorkerHealthCheck() {
-        if (this.healthCheckInterval) {
-            clearInterval(this.healthCheckInterval);
-        }
-
-        this.healthCheckInterval = setInterval(() => {
-            this.worker.postMessage({ type: 'healthCheck' });
-        }, this.config.worker?.healthCheckInterval || 30000);
+        const delay = Math.min(this.restartDelay * 2 ** (this.workerRestartAttempts - 1), this.maxRestartDelay);
+        this.logger.info(`Restarting ${this.type} worker ${workerIndex} in ${delay} ms (${this.workerRestartAttempts}/${this.maxWorkerRestarts})`);
+        this.emit('workerUnhealthy', { ...details, attempt: this.workerRestartAttempts, restartIn: delay });
+
+        clearTimeout(this.pendingRestarts.get(workerIndex));
+        this.pendingRestarts.set(workerIndex, setTimeout(() => {
+            this.pendingRestarts.delete(workerIndex);
+            this.workerPool?.restartWorker(workerIndex).catch(restartError => {
+                // The pool may have shrunk past the worker in the meantime
+                this.logger.warn(`Could not restart ${this.type} worker ${workerIndex}:`, restartError);
+            });
+        }, delay));
     }
 
     // Performance Monitoring Methods
@@ -227,15 +389,19 @@ class BaseSensor extends EventEmitter {
      * @returns {Object} Status object with metrics
      */
     getStatus() {
+        const workerPool = this.workerPool ? this.workerPool.getStats() : null;
         return {
             type: this.type,
             isRunning: this.isRunning,
             fps: this.fps,
             performanceStats: { ...this.performanceStats },
             workerStatus: {
+                healthy: workerPool ? workerPool.workers.every(worker => worker.alive) : false,
                 restartAttempts: this.workerRestartAttempts,
-                maxRestarts: this.maxWorkerRestarts
-            }
+                maxRestarts: this.maxWorkerRestarts,
+                pendingRestarts: [...this.pendingRestarts.keys()]
+            },
+            workerPool
         };
     }
 
@@ -248,6 +414,16 @@ class BaseSensor extends EventEmitter {
         this.performanceStats = this._createInitialStats();
     }
 
+    /**
+     * Release sensor resources on stop. Subclasses close their reader and call
+     * this to terminate the workers.
+     * @protected
+     * @async
+     */
+    async _cleanupResources() {
+        await this._terminateWorkers();
+    }
+
     // Abstract Methods (to be implemented by subclasses)
     
     /**
@@ -1,33 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
 const { BaseSensor } = require('./base-sensor');
+const { CameraIntrinsics } = require('../camera-intrinsics');
+const { loadCalibration } = require('../coordinate-mapper');
+const { getTopology } = require('../joint-topology');
+const { BUILT_IN_DIRECTORY, loadTemplates } = require('../gestures/gesture-templates');
+
+/**
+ * Milliseconds to wait after a change in the gesture directory before
+ * reloading, so a burst of file events reloads once
+ */
+const GESTURE_RELOAD_DELAY = 200;
 
 /**
  * @extends BaseSensor
  * Handles body tracking sensor data processing and worker thread management
+ * @fires BodySensor#gesturesChanged - Emitted with the recognised gestures after the templates changed
 */
 class BodySensor extends BaseSensor {
     /**
+     * @param {Object} config - Service configuration
+     * @param {Object} config.sensors.body - Body sensor configuration
+     * @param {Object} config.baseSensor - Base sensor configuration
      * @param {Object} kinect - Kinect device instance
-     * @throws {Error} If required kinect instance is missing
+     * @param {Object} [options] - Shared services (see BaseSensor)
+     * @throws {TypeError} If config or kinect parameters are invalid
      */
-    constructor(kinect) {
+    constructor(config, kinect, options) {
+        if (!config?.sensors?.body) {
+            throw new TypeError('Body sensor configuration is required');
+        }
+
         const sensorConfig = {
             ...config.baseSensor,
             ...config.sensors.body,
             type: 'body'
         };
-        super(sensorConfig, kinect);
+        super(sensorConfig, kinect, options);
 
         this.workerPath = path.resolve(__dirname, '../workers/body-worker.js');
         this.processingConfig = config.sensors.body.processing;
+        this.serviceConfig = config;
+        this.calibration = null;
+        this.gestureTemplates = [];
+        this.gestureWatcher = null;
+        this.gestureReloadTimer = null;
     }
 
     /**
-     * Initialize body reader
+     * Initialize body reader, resolve the calibration joints are projected
+     * with and load the gesture templates, watching their directory for
+     * changes while the sensor runs
      * @protected
      * @async
      */
     async _initializeReader() {
         await this.kinect.openBodyReader();
+        this.calibration = await this._loadCalibration();
+        this.gestureTemplates = await this._loadGestureTemplates();
+        this._watchGestureDirectory();
+    }
+
+    /**
+     * Load the gesture templates again and hand them to the running workers,
+     * without a restart. Called when the gesture directory changes.
+     * @async
+     * @returns {Promise<boolean>} Whether the templates changed
+     * @fires BodySensor#gesturesChanged
+     */
+    async reloadGestureTemplates() {
+        if (this.isRunning) {
+            // The directory may only just have been created
+            this._watchGestureDirectory();
+        }
+
+        const templates = await this._loadGestureTemplates();
+        if (isDeepStrictEqual(templates, this.gestureTemplates)) return false;
+
+        this.gestureTemplates = templates;
+        this.workerPool?.broadcast({ type: 'updateConfig', config: this._getWorkerData() });
+        this.logger.info(`Gesture templates reloaded: ${templates.map(template => template.name).join(', ') || 'none'}`);
+        this.emit('gesturesChanged', this._describeGestures());
+        return true;
+    }
+
+    /**
+     * Reload the templates when files in gestures.directory change. A
+     * directory that does not exist yet is watched once reloadGestureTemplates
+     * finds it.
+     * @protected
+     */
+    _watchGestureDirectory() {
+        const { enabled, directory } = this.config.gestures ?? {};
+        if (!enabled || !directory || this.gestureWatcher) return;
+
+        try {
+            this.gestureWatcher = fs.watch(path.resolve(directory), () => this._scheduleGestureReload());
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.warn(`Cannot watch gesture directory ${directory}: ${error.message}`);
+            }
+            return;
+        }
+
+        this.gestureWatcher.on('error', error => {
+            this.logger.warn(`Stopped watching gesture directory ${directory}: ${error.message}`);
+            this._unwatchGestureDirectory();
+        });
+    }
+
+    /**
+     * @protected
+     */
+    _scheduleGestureReload() {
+        clearTimeout(this.gestureReloadTimer);
+        this.gestureReloadTimer = setTimeout(() => {
+            this.gestureReloadTimer = null;
+            this.reloadGestureTemplates().catch(error => {
+                this.logger.warn(`Failed to reload gesture templates: ${error.message}`);
+            });
+        }, GESTURE_RELOAD_DELAY);
+    }
+
+    /**
+     * @protected
+     */
+    _unwatchGestureDirectory() {
+        clearTimeout(this.gestureReloadTimer);
+        this.gestureReloadTimer = null;
+        this.gestureWatcher?.close();
+        this.gestureWatcher = null;
+    }
+
+    /**
+     * Built-in gesture templates, replaced by name with those in
+     * gestures.directory. Templates that fail to load are logged and skipped.
+     * @protected
+     * @async
+     * @returns {Promise<Object[]>} Templates, none when gestures are disabled
+     */
+    async _loadGestureTemplates() {
+        const { enabled, builtIn, directory } = this.config.gestures ?? {};
+        if (!enabled) return [];
+
+        const directories = [builtIn && BUILT_IN_DIRECTORY, directory && path.resolve(directory)].filter(Boolean);
+        const { templates, errors } = await loadTemplates(directories);
+        for (const { file, message } of errors) {
+            this.logger.warn(`Skipping gesture template ${file}: ${message}`);
+        }
+        return templates;
+    }
+
+    /**
+     * Depth and color calibration as used for registration, with each camera
+     * scaled to the frame size its sensor delivers so projected joints land on
+     * the images clients receive
+     * @protected
+     * @async
+     * @returns {Promise<Object>} { depth, color, extrinsics } as accepted by CoordinateMapper.fromCalibration
+     * @throws {Error} If the intrinsics file cannot be read or a value is invalid
+     */
+    async _loadCalibration() {
+        const { sensors, frameSync } = this.serviceConfig;
+        const calibration = await loadCalibration(this.kinect, this.serviceConfig,
+            frameSync?.registration?.extrinsics ?? undefined);
+
+        for (const camera of ['depth', 'color']) {
+            const frameSize = sensors[camera]?.frameSize;
+            if (frameSize) {
+                calibration[camera] = new CameraIntrinsics(calibration[camera])
+                    .scale(frameSize.width, frameSize.height)
+                    .toJSON();
+            }
+        }
+        return calibration;
+    }
+
+    /**
+     * Sensor status with the calibration joints are projected with, the
+     * skeleton topology, so clients can draw bones between named joints, and
+     * the gestures that are recognised
+     * @returns {Object} Status
+     */
+    getStatus() {
+        return {
+            ...super.getStatus(),
+            calibration: this.calibration,
+            topology: getTopology(),
+            gestures: this._describeGestures()
+        };
+    }
+
+    /**
+     * @protected
+     * @returns {Object[]} { name, description } of each recognised gesture
+     */
+    _describeGestures() {
+        return this.gestureTemplates.map(({ name, description }) => ({ name, description }));
+    }
+
+    /**
+     * The body worker reads its settings from a processing section, projects
+     * joints into the depth and color images with the calibration and matches
+     * bodies against the gesture templates
+     * @protected
+     * @returns {Object} Worker data
+     */
+    _getWorkerData() {
+        return {
+            processing: this.config.processing,
+            calibration: this.calibration,
+            gestures: { settings: this.config.gestures, templates: this.gestureTemplates }
+        };
+    }
+
+    /**
+     * Body frames are objects rather than raw buffers, so they are always copied
+     * @protected
+     * @returns {null}
+     */
+    _createFrameRing() {
+        return null;
     }
 
     /**
@@ -36,8 +230,8 @@ class BodySensor extends BaseSensor {
      */
     _setupEventListeners() {
         this.kinect.on('bodyFrame', (frame) => {
-            if (this.worker && this.isRunning) {
-                this.worker.postMessage({ frame });
+            if (this.workerPool && this.isRunning) {
+                this.workerPool.dispatch({ frame });
             }
         });
     }
@@ -50,19 +244,21 @@ class BodySensor extends BaseSensor {
     _handleWorkerMessage(message) {
         const { type, data } = message;
 
+        if (message.error) {
+            this.emit('error', new Error(message.error));
+            return;
+        }
+
         switch (type) {
+            // Frame results arrive untyped from BaseWorker as { data, processTime }
+            case undefined:
+                if (data) {
+                    this._emitFrame({ ...data, processTime: message.processTime });
+                }
+                break;
+
             case 'frameProcessed':
-                this.emit('frame', {
-                    type: 'body',
-                    timestamp: Date.now(),
-                    frameNumber: this.frameCount++,
-                    bodies: data.bodies,
-                    metadata: {
-                        processTime: data.processTime,
-                        metrics: data.metrics
-                    }
-                });
-                this.updateMetrics(data.processTime);
+                this._emitFrame(data);
                 break;
                 
             case 'movement':
@@ -75,6 +271,25 @@ class BodySensor extends BaseSensor {
         }
     }
 
+    /**
+     * Emit a processed body frame
+     * @private
+     * @param {Object} data - Processed frame data from the worker
+     */
+    _emitFrame(data) {
+        this.emit('frame', {
+            type: 'body',
+            timestamp: Date.now(),
+            frameNumber: this.frameCount++,
+            bodies: data.bodies,
+            metadata: {
+                processTime: data.processTime,
+                metrics: data.metrics
+            }
+        });
+        this.updateMetrics(data.processTime);
+    }
+
     /**
      * Clean up resources
      * @protected
@@ -83,13 +298,9 @@ class BodySensor extends BaseSensor {
     async _cleanupResources() {
         // Clean up event listeners
         this.kinect.removeAllListeners('bodyFrame');
+        this._unwatchGestureDirectory();
         await this.kinect.closeBodyReader();
-
-        // Terminate worker
-        if (this.worker) {
-            await this.worker.terminate();
-            this.worker = null;
-        }
+        await super._cleanupResources();
     }
 }
 
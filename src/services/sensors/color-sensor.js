@@ -6,12 +6,24 @@ const { BaseSensor } = require('./base-sensor');
  */
 class ColorSensor extends BaseSensor {
     /**
-     * @param {Object} config - Sensor configuration
+     * @param {Object} config - Service configuration
+     * @param {Object} config.sensors.color - Color sensor configuration
+     * @param {Object} config.baseSensor - Base sensor configuration
      * @param {Object} kinect - Kinect device instance
-     * @throws {Error} If required config or kinect instance is missing
+     * @param {Object} [options] - Shared services (see BaseSensor)
+     * @throws {TypeError} If required config or kinect instance is missing
      */
-    constructor(config, kinect) {
-        super(config, kinect);
+    constructor(config, kinect, options) {
+        if (!config?.sensors?.color) {
+            throw new TypeError('Color sensor configuration is required');
+        }
+
+        const sensorConfig = {
+            ...config.baseSensor,
+            ...config.sensors.color,
+            type: 'color'
+        };
+        super(sensorConfig, kinect, options);
         
         // Initialize processing config
         this.frameWidth = config.sensors?.color?.frameSize?.width;
@@ -32,30 +44,62 @@ class ColorSensor extends BaseSensor {
         }
     }
 
+    /**
+     * The color worker needs the frame size alongside the processing settings
+     * @protected
+     * @returns {Object} Worker data
+     */
+    _getWorkerData() {
+        return {
+            frameSize: this.config.frameSize,
+            processing: this.config.processing
+        };
+    }
+
+    /**
+     * @protected
+     * @param {string} section - Section that changed
+     */
+    _applyConfig(section) {
+        if (section === 'processing') {
+            this.format = this.config.processing.format;
+            this.compression = this.config.processing.compression;
+        }
+    }
+
     /**
      * Handle worker messages
      * @protected
-     * @param {Object} processedFrame - Processed frame data from worker
+     * @param {Object} message - Message from worker
+     * @param {Object} message.data - Processed frame; dimensions and format describe the encoded output
+     * @param {number} message.processTime - Processing time in milliseconds
      */
-    _handleWorkerMessage(processedFrame) {
+    _handleWorkerMessage(message) {
+        if (message.error) {
+            this.emit('error', new Error(message.error));
+            return;
+        }
+        if (!message.data) return;
+
+        const { data: processedFrame, processTime } = message;
         const frameData = {
             type: 'color',
             timestamp: Date.now(),
             frameNumber: this.frameCount++,
-            width: this.frameWidth,
-            height: this.frameHeight,
-            format: this.format,
-            data: processedFrame.data,
+            width: processedFrame.width,
+            height: processedFrame.height,
+            format: processedFrame.format,
+            data: processedFrame.processedFrame,
             metadata: {
-                processTime: processedFrame.processTime,
-                compressed: this.compression?.enabled,
-                compressionFormat: this.compression?.enabled ? this.compression.format : null,
-                quality: this.compression?.enabled ? this.compression.quality : null
+                processTime,
+                compressed: processedFrame.compressed,
+                compressionFormat: processedFrame.compressed ? processedFrame.format : null,
+                quality: processedFrame.compressed ? processedFrame.quality : null
             }
         };
 
         this.emit('frame', frameData);
-        this.updateMetrics(processedFrame.processTime);
+        this.updateMetrics(processTime);
     }
 
     /**
@@ -64,11 +108,8 @@ class ColorSensor extends BaseSensor {
      */
     _setupEventListeners() {
         this.kinect.on('colorFrame', (frame) => {
-            if (this.worker && this.isRunning) {
-                this.worker.postMessage({ 
-                    frame,
-                    timestamp: Date.now()
-                });
+            if (this.workerPool && this.isRunning) {
+                this._dispatchFrame(frame);
             }
         });
     }
@@ -82,12 +123,7 @@ class ColorSensor extends BaseSensor {
         // Clean up event listeners
         this.kinect.removeAllListeners('colorFrame');
         await this.kinect.closeColorReader();
-
-        // Terminate worker
-        if (this.worker) {
-            await this.worker.terminate();
-            this.worker = null;
-        }
+        await super._cleanupResources();
     }
 }
 
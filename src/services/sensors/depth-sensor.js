@@ -1,4 +1,5 @@
 const { BaseSensor } = require('./base-sensor');
+const { CameraIntrinsics, readIntrinsicsFile } = require('../camera-intrinsics');
 
 /**
  * @extends BaseSensor
@@ -10,9 +11,10 @@ class DepthSensor extends BaseSensor {
      * @param {Object} config.sensors.depth - Depth sensor configuration
      * @param {Object} config.baseSensor - Base sensor configuration
      * @param {Object} kinect - Kinect device instance
+     * @param {Object} [options] - Shared services (see BaseSensor)
      * @throws {TypeError} If config or kinect parameters are invalid
      */
-    constructor(config, kinect) {
+    constructor(config, kinect, options) {
         if (!config?.sensors?.depth) {
             throw new TypeError('Depth sensor configuration is required');
         }
@@ -25,20 +27,40 @@ class DepthSensor extends BaseSensor {
             logger: config.baseSensor.logger
         };
 
-        super(baseConfig, kinect);
+        super(baseConfig, kinect, options);
         
         this.config = config.sensors.depth;
-        this.frameQueue = [];
-        this.maxQueueSize = config.sensors.depth.performance.maxQueueSize;
+        this.intrinsics = null;
     }
 
     /**
-     * Initialize sensor-specific reader
+     * Initialize sensor-specific reader and resolve the camera intrinsics
+     * the workers deproject with
      * @protected
      * @async
      */
     async _initializeReader() {
         await this.kinect.openDepthReader();
+        this.intrinsics = await this._loadIntrinsics();
+    }
+
+    /**
+     * Kinect v2 depth intrinsics, overlaid in turn with the device's own
+     * values, calibration.intrinsicsFile and calibration.intrinsics, and
+     * scaled to the frame size
+     * @protected
+     * @async
+     * @returns {Promise<CameraIntrinsics>} Intrinsics
+     * @throws {Error} If the intrinsics file cannot be read or a value is invalid
+     */
+    async _loadIntrinsics() {
+        const { calibration = {}, frameSize } = this.config;
+        const fromFile = calibration.intrinsicsFile
+            ? (await readIntrinsicsFile(calibration.intrinsicsFile)).depth
+            : null;
+
+        return CameraIntrinsics.forCamera('depth', this.kinect.getIntrinsics?.('depth'), fromFile, calibration.intrinsics)
+            .scale(frameSize.width, frameSize.height);
     }
 
     /**
@@ -49,39 +71,77 @@ class DepthSensor extends BaseSensor {
         this.kinect.on('depth', this._processFrame.bind(this));
     }
 
+    /**
+     * Sensor status with the intrinsics points are deprojected with, so
+     * recordings and clients can map depth pixels to camera space
+     * @returns {Object} Status
+     */
+    getStatus() {
+        return {
+            ...super.getStatus(),
+            intrinsics: this.intrinsics?.toJSON() ?? null
+        };
+    }
+
+    /**
+     * The depth worker needs the frame size and calibration alongside the processing settings
+     * @protected
+     * @returns {Object} Worker data
+     */
+    _getWorkerData() {
+        return {
+            frameSize: this.config.frameSize,
+            processing: this.config.processing,
+            calibration: {
+                ...this.config.calibration,
+                intrinsics: this.intrinsics?.toJSON() ?? this.config.calibration?.intrinsics
+            }
+        };
+    }
+
     /**
      * Handle worker messages
      * @protected
      * @param {Object} message - Message from worker
      */
     _handleWorkerMessage(message) {
-        const { type, data } = message;
-        
-        switch (type) {
-            case 'frameProcessed':
-                this.emit('frame', {
-                    type: 'depth',
-                    data: this.currentBuffer,
-                    timestamp: Date.now(),
-                    frameNumber: this.frameCount,
-                    width: this.config.frameSize.width,
-                    height: this.config.frameSize.height,
-                    processTime: data.processTime,
-                    ...data
-                });
-                
-                if (this.currentBuffer) {
-                    this.releaseBuffer('depth', this.currentBuffer);
-                    this.currentBuffer = null;
-                }
-                
-                this.updateMetrics(data.processTime);
-                break;
+        if (message.error) {
+            this.emit('error', new Error(message.error));
+            return;
         }
+
+        // Frame results arrive untyped from BaseWorker as { data, processTime }
+        if (message.type === undefined && message.data) {
+            const { processedFrame, ...metadata } = message.data;
+            this._emitFrame({ data: processedFrame, processTime: message.processTime, ...metadata });
+            return;
+        }
+
+        if (message.type === 'frameProcessed') {
+            this._emitFrame(message.data);
+        }
+    }
+
+    /**
+     * Emit a processed depth frame
+     * @private
+     * @param {Object} data - Processed frame data from the worker
+     */
+    _emitFrame(data) {
+        this.emit('frame', {
+            type: 'depth',
+            timestamp: Date.now(),
+            frameNumber: this.frameCount,
+            width: this.config.frameSize.width,
+            height: this.config.frameSize.height,
+            ...data
+        });
+
+        this.updateMetrics(data.processTime);
     }
 
     /**
-     * Processes incoming depth frames and sends to worker thread
+     * Validates incoming depth frames and sends them to the worker pool
      * @private
      * @param {Buffer} depthFrame - Raw depth frame data
      */
@@ -95,51 +155,24 @@ class DepthSensor extends BaseSensor {
                 throw new Error(`Invalid frame size: ${depthFrame.length}, expected: ${expectedSize}`);
             }
 
-            // Handle backpressure with frame queue
-            if (this.frameQueue.length >= this.maxQueueSize) {
-                this.logger.warn('Frame queue full, dropping oldest frame');
-                const oldFrame = this.frameQueue.shift();
-                this.releaseBuffer('depth', oldFrame);
-                this.performanceStats.missedFrames++;
-                return;
-            }
-
-            // Acquire new buffer for frame data
-            this.currentBuffer = this.acquireBuffer('depth');
-            if (!this.currentBuffer) return;
-
-            // Copy frame data to buffer
-            depthFrame.copy(this.currentBuffer);
-            this.frameQueue.push(this.currentBuffer);
-
-            this.worker.postMessage({
-                type: 'processFrame',
-                buffer: this.currentBuffer,
-                config: this.config.processing
-            }, [this.currentBuffer.buffer]);
-
+            // The pool queues the frame while every worker is busy and drops
+            // the oldest queued frame beyond performance.maxQueueSize
+            this._dispatchFrame(depthFrame);
         } catch (error) {
             this.logger.error('Error processing depth frame:', error);
             this.emit('error', error);
-            if (this.currentBuffer) {
-                this.releaseBuffer('depth', this.currentBuffer);
-                this.currentBuffer = null;
-            }
         }
     }
 
     /**
      * Clean up resources
+     * @protected
      * @async
      */
-    async cleanup() {
-        // Clean up queued frames
-        while (this.frameQueue.length > 0) {
-            const frame = this.frameQueue.shift();
-            this.releaseBuffer('depth', frame);
-        }
-
-        await super.cleanup();
+    async _cleanupResources() {
+        this.kinect.removeAllListeners('depth');
+        await this.kinect.closeDepthReader();
+        await super._cleanupResources();
     }
 }
 
@@ -1,3 +1,4 @@
+const path = require('path');
 const { BaseSensor } = require('./base-sensor');
 
 /**
@@ -10,16 +11,26 @@ const { BaseSensor } = require('./base-sensor');
  */
 class IRSensor extends BaseSensor {
     /**
+     * @param {Object} config - Service configuration
+     * @param {Object} config.sensors.infrared - Infrared sensor configuration
+     * @param {Object} config.baseSensor - Base sensor configuration
      * @param {Object} kinect - Kinect device instance
-     * @throws {TypeError} If kinect parameter is invalid
+     * @param {Object} [options] - Shared services (see BaseSensor)
+     * @throws {TypeError} If config or kinect parameters are invalid
      */
-    constructor(kinect) {
+    constructor(config, kinect, options) {
+        if (!config?.sensors?.infrared) {
+            throw new TypeError('Infrared sensor configuration is required');
+        }
+
         const sensorConfig = {
             ...config.baseSensor,
             ...config.sensors.infrared,
             type: 'infrared'
         };
-        super(sensorConfig, kinect);
+        super(sensorConfig, kinect, options);
+
+        this.workerPath = path.resolve(__dirname, '../workers/ir-worker.js');
 
         // Initialize from config
         this.frameWidth = config.sensors.infrared.frameSize.width;
@@ -30,6 +41,18 @@ class IRSensor extends BaseSensor {
 
     // Protected Methods
 
+    /**
+     * The IR worker needs the frame size alongside the processing settings
+     * @protected
+     * @returns {Object} Worker data
+     */
+    _getWorkerData() {
+        return {
+            frameSize: this.config.frameSize,
+            processing: this.config.processing
+        };
+    }
+
     async _initializeReader() {
         if (!this.kinect.openInfraredReader()) {
             throw new Error('Failed to open IR reader');
@@ -38,8 +61,8 @@ class IRSensor extends BaseSensor {
 
     _setupEventListeners() {
         this.kinect.on('infraredFrame', (frame) => {
-            if (this.worker && this.isRunning) {
-                this.worker.postMessage({ frame });
+            if (this.workerPool && this.isRunning) {
+                this._dispatchFrame(frame);
             }
         });
     }
@@ -18,9 +18,12 @@ const defaultConfig = {
             trackStats: true
         },
         worker: {
-            maxRestarts: 3,
+            maxRestarts: 3, // Consecutive restarts before the sensor stops
             healthCheckInterval: 30000,
-            frameTimeout: 5000
+            healthCheckTimeout: 5000, // Idle workers must answer a health check this fast
+            frameTimeout: 5000, // Workers still on a frame after this are terminated
+            restartDelay: 1000, // Doubles with each consecutive restart
+            maxRestartDelay: 30000
         }
     },
 
@@ -33,7 +36,8 @@ const defaultConfig = {
             maxPoolSize: 20,
             initialSize: 5,
             expandSize: 2,
-            clearOnRelease: true
+            clearOnRelease: true,
+            sharedFrames: true // Hand raw frames to workers through shared memory instead of copying
         },
         metrics: {
             enabled: true,
@@ -44,7 +48,10 @@ const defaultConfig = {
         workers: {
             maxRestarts: 3,
             healthCheckInterval: 30000,
-            frameTimeout: 5000
+            healthCheckTimeout: 5000,
+            frameTimeout: 5000,
+            restartDelay: 1000,
+            maxRestartDelay: 30000
         }
     },
 
@@ -60,21 +67,28 @@ const defaultConfig = {
             processing: {
                 normalize: true,
                 colorize: true,
-                colorMap: 'jet',
+                colorMap: 'jet', // jet, turbo, viridis, inferno, grayscale or custom
+                customColors: null, // [r, g, b] stops from near to far when colorMap is custom
+                colorRange: { auto: false }, // auto stretches each frame; else min/max, default calibration range
+                invalidColor: [0, 0, 0, 0], // RGBA of pixels without a reading
                 gammaCorrection: true,
                 generatePointCloud: true,
+                pointCloudOutput: 'packed', // packed (valid points only), organized (one per pixel) or both
                 confidenceThreshold: 0.7
             },
             performance: {
                 fps: 30,
                 maxQueueSize: 3,
                 maxWorkers: 2,
+                dispatchStrategy: 'roundRobin',
                 batchSize: 1024,
                 skipFrames: 0
             },
             calibration: {
                 minReliableDistance: 500,
-                maxReliableDistance: 4500
+                maxReliableDistance: 4500,
+                // JSON file of device-specific intrinsics keyed by camera; calibration.intrinsics overrides single values
+                intrinsicsFile: null
             }
         },
 
@@ -87,14 +101,16 @@ const defaultConfig = {
                 forceOpacity: true,
                 compression: {
                     enabled: true,
-                    quality: 0.8,
-                    format: 'jpeg'
+                    quality: 0.8, // JPEG quality (0-1]
+                    format: 'jpeg', // jpeg or png (lossless)
+                    scale: 1 // Downscale factor (0-1] applied before encoding
                 }
             },
             performance: {
                 fps: 30,
                 maxQueueSize: 3,
                 maxWorkers: 1,
+                dispatchStrategy: 'roundRobin',
                 skipFrames: 0
             }
         },
@@ -104,15 +120,23 @@ const defaultConfig = {
             enabled: true,
             processing: {
                 smoothing: {
+                    filter: 'holt', // holt (Kinect double exponential), oneEuro or none
+                    smoothing: 0.5,
                     correction: 0.5,
                     prediction: 0.5,
                     jitterRadius: 0.05,
-                    maxDeviationRadius: 0.04
+                    maxDeviationRadius: 0.04,
+                    oneEuro: {
+                        minCutoff: 1.0, // Hz at rest; lower smooths more
+                        beta: 1.0, // Cutoff increase per m/s; higher lags less
+                        derivativeCutoff: 1.0
+                    },
+                    groups: {} // Per joint group overrides: head, torso, arms, hands, legs
                 },
                 tracking: {
                     confidenceThreshold: 0.5,
                     timeout: 5000,
-                    jointFilter: joint => joint.trackingState > 0
+                    jointFilter: { minTrackingState: 1 } // Keep joints tracked at least this well (0 none, 1 inferred, 2 tracked)
                 },
                 movement: {
                     threshold: 0.01,
@@ -127,10 +151,20 @@ const defaultConfig = {
                     trackVelocity: true
                 }
             },
+            gestures: {
+                enabled: true,
+                builtIn: true, // Recognise the templates shipped in src/services/gestures/templates
+                directory: './gestures', // Templates of your own, replacing built-in ones of the same name
+                threshold: 0.7, // Match confidence a gesture needs (0-1]
+                cooldown: 1000, // Milliseconds before a body can repeat a gesture
+                tolerance: 0.35, // Mean distance, in torso lengths, at which confidence drops to 0
+                startAt: 0.4 // Fraction of a template matched before gestureStarted
+            },
             performance: {
                 fps: 30,
                 maxQueueSize: 5,
-                maxWorkers: 2,
+                maxWorkers: 1, // Movement and gesture detection keep per-worker history
+                dispatchStrategy: 'roundRobin',
                 skipFrames: 0
             }
         },
@@ -147,6 +181,7 @@ const defaultConfig = {
                 fps: 30,
                 maxQueueSize: 3,
                 maxWorkers: 1,
+                dispatchStrategy: 'roundRobin',
                 skipFrames: 0
             }
         }
@@ -157,6 +192,25 @@ const defaultConfig = {
      * Physical device settings and monitoring
      */
     device: {
+        type: 'kinect2', // Backends: kinect2, simulated, playback
+        simulation: {
+            fps: { depth: 30, color: 15, body: 30, infrared: 30 },
+            bodies: 1,
+            seed: 1,
+            depthNoise: 0.002,
+            dropoutRate: 0.01,
+            jointNoise: 0.004,
+            scene: {
+                wallDistance: 4.0,
+                sensorHeight: 0.8
+            }
+        },
+        playback: {
+            file: null, // Capture file recorded by SessionRecorder
+            speed: 1, // Playback rate multiplier
+            loop: false,
+            autoPlay: true
+        },
         features: {
             led: {
                 enabled: true,
@@ -188,6 +242,12 @@ const defaultConfig = {
         maxDelay: 100,
         dropAfter: 66, // Drop frames after 2x sync window
         bufferSize: 5,
+        registration: {
+            enabled: false, // Align depth and color on synchronized frames
+            registeredColor: true, // Color resampled into depth space (RGB-D)
+            registeredDepth: false // Depth resampled into color space
+            // extrinsics: { rotation, translation } replaces the Kinect v2 depth to color transform
+        },
         stats: {
             enabled: true,
             logInterval: 1000,
@@ -206,16 +266,52 @@ const defaultConfig = {
             reconnect: {
                 delay: 5000,
                 maxAttempts: 5
+            },
+            backpressure: {
+                policy: 'dropOldest', // dropOldest, latest or disconnect
+                highWaterMark: 1048576, // Socket buffered bytes before frames are queued
+                maxQueuedFrames: 4, // Frames queued per stream (dropOldest)
+                disconnectThreshold: 16777216 // Buffered plus queued bytes before disconnecting (disconnect)
             }
         }
     },
 
+    /**
+     * Session Recording Configuration
+     * Capture files for offline analysis and playback
+     */
+    recording: {
+        directory: './recordings',
+        includeRaw: true, // Record raw device frames so sessions can be replayed
+        maxPendingBytes: 256 * 1024 * 1024 // Drop frames when the disk falls this far behind
+    },
+
+    /**
+     * Point Cloud Export
+     * Defaults for snapshot commands; captures are exported with kinect-export
+     */
+    export: {
+        directory: './exports',
+        format: 'ply', // ply, pcd or xyz
+        encoding: 'binary' // ascii or binary; xyz is always ascii
+    },
+
+    /**
+     * Configuration Persistence
+     * Where runtime changes and named presets are saved
+     */
+    persistence: {
+        configFile: './config.json', // Written by saveConfig; loaded on the next start
+        presetsDir: './presets', // User presets, one JSON file each
+        preset: null // Preset applied at startup (also --preset or KINECT_PRESET)
+    },
+
     /**
      * Debug and Logging Configuration
      * Development and troubleshooting settings
      */
     debug: {
-        logLevel: 'debug', // Levels: error, warn, info, debug, verbose
+        logLevel: 'debug', // Levels: error, warn, info, debug
         performance: {
             showStats: true,
             showSensorStats: true,
@@ -0,0 +1,249 @@
+/**
+ * Lifecycle of a ring slot. Only the owner named in the comment may move a
+ * slot out of a state; every transition goes through Atomics so the frame
+ * bytes written before it are visible to the other thread.
+ */
+const SLOT_STATES = {
+    FREE: 0, // Main thread may claim it
+    WRITING: 1, // Main thread is copying a frame in
+    READY: 2, // Frame handed to a worker
+    PROCESSING: 3, // Worker is reading the frame and writing its result
+    DONE: 4 // Result is ready for the main thread
+};
+
+// Per-slot control words: state, frame length, result length
+const CONTROL_FIELDS = 3;
+const STATE = 0;
+const FRAME_LENGTH = 1;
+const RESULT_LENGTH = 2;
+
+// Slots start on 8 byte boundaries so any typed array view lines up
+const ALIGNMENT = 8;
+
+const ARRAY_TYPES = {
+    Buffer,
+    Uint8Array,
+    Uint16Array,
+    Float32Array
+};
+
+/**
+ * Name of the view type a result can be read back as
+ * @param {*} value - Candidate result
+ * @returns {string|null} Key of ARRAY_TYPES, or null if the value cannot be shared
+ */
+function arrayTypeOf(value) {
+    if (Buffer.isBuffer(value)) return 'Buffer';
+    if (!ArrayBuffer.isView(value)) return null;
+    const name = value.constructor.name;
+    return ARRAY_TYPES[name] === value.constructor ? name : null;
+}
+
+/**
+ * Fixed set of frame slots in shared memory. The main thread copies a frame
+ * into a free slot and sends only the slot index to a worker; the worker
+ * reads the frame and writes its result into the same slot, and the main
+ * thread reads the result before releasing the slot. Frames never cross the
+ * thread boundary by structured clone.
+ *
+ * Create rings through BufferPool#createRing on the main thread and pass
+ * `handle` to workers in workerData; SharedFrameRing.attach rebuilds the
+ * ring on the worker side around the same memory.
+ */
+class SharedFrameRing {
+    #control;
+    #data;
+    #slotCount;
+    #slotSize;
+    #cursor = 0;
+
+    /**
+     * @param {Object} options - Ring size
+     * @param {number} options.slotCount - Number of slots
+     * @param {number} options.slotSize - Largest frame in bytes
+     * @param {SharedArrayBuffer} [options.control] - Existing control words (see attach)
+     * @param {SharedArrayBuffer} [options.data] - Existing slot memory (see attach)
+     * @throws {TypeError} If the size is invalid
+     */
+    constructor({ slotCount, slotSize, control, data } = {}) {
+        if (!Number.isInteger(slotCount) || slotCount < 1) {
+            throw new TypeError(`Invalid slot count: ${slotCount}`);
+        }
+        if (!Number.isInteger(slotSize) || slotSize < 1) {
+            throw new TypeError(`Invalid slot size: ${slotSize}`);
+        }
+
+        this.#slotCount = slotCount;
+        this.#slotSize = Math.ceil(slotSize / ALIGNMENT) * ALIGNMENT;
+        this.#control = new Int32Array(control || new SharedArrayBuffer(slotCount * CONTROL_FIELDS * 4));
+        this.#data = data || new SharedArrayBuffer(slotCount * this.#slotSize);
+    }
+
+    /**
+     * Rebuild a ring around shared memory created by another thread
+     * @param {Object} handle - Value of another ring's handle property
+     * @returns {SharedFrameRing} Ring sharing the same slots
+     */
+    static attach(handle) {
+        return new SharedFrameRing(handle);
+    }
+
+    /**
+     * Structured-clone friendly description of the shared memory
+     * @returns {{slotCount: number, slotSize: number, control: SharedArrayBuffer, data: SharedArrayBuffer}}
+     */
+    get handle() {
+        return {
+            slotCount: this.#slotCount,
+            slotSize: this.#slotSize,
+            control: this.#control.buffer,
+            data: this.#data
+        };
+    }
+
+    get slotCount() {
+        return this.#slotCount;
+    }
+
+    get slotSize() {
+        return this.#slotSize;
+    }
+
+    /**
+     * Bytes of shared memory held by the ring
+     * @returns {number}
+     */
+    get byteLength() {
+        return this.#data.byteLength + this.#control.byteLength;
+    }
+
+    /**
+     * Copy a frame into a free slot and mark it ready for a worker (main thread)
+     * @param {ArrayBufferView} frame - Raw frame
+     * @returns {number} Slot index, or -1 if every slot is in use
+     * @throws {RangeError} If the frame does not fit in a slot
+     */
+    write(frame) {
+        if (frame.byteLength > this.#slotSize) {
+            throw new RangeError(`Frame of ${frame.byteLength} bytes does not fit a ${this.#slotSize} byte slot`);
+        }
+
+        for (let i = 0; i < this.#slotCount; i++) {
+            const slot = (this.#cursor + i) % this.#slotCount;
+            if (this.#transition(slot, SLOT_STATES.FREE, SLOT_STATES.WRITING)) {
+                this.#cursor = (slot + 1) % this.#slotCount;
+                this.#bytes(slot, frame.byteLength)
+                    .set(new Uint8Array(frame.buffer, frame.byteOffset, frame.byteLength));
+                Atomics.store(this.#control, slot * CONTROL_FIELDS + FRAME_LENGTH, frame.byteLength);
+                Atomics.store(this.#control, slot * CONTROL_FIELDS + STATE, SLOT_STATES.READY);
+                return slot;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Take a ready slot for processing (worker thread)
+     * @param {number} slot - Slot index from the frame message
+     * @returns {Buffer} View of the frame bytes; results may be written over it
+     * @throws {Error} If the slot is not ready
+     */
+    acquire(slot) {
+        this.#expect(slot, SLOT_STATES.READY, SLOT_STATES.PROCESSING);
+        const length = Atomics.load(this.#control, slot * CONTROL_FIELDS + FRAME_LENGTH);
+        return this.#bytes(slot, length);
+    }
+
+    /**
+     * Store a result in the slot and hand it back (worker thread). Results
+     * already written over the frame view are not copied again.
+     * @param {number} slot - Slot index
+     * @param {ArrayBufferView|null} result - Result bytes, or null for none
+     * @returns {number} Result length in bytes
+     * @throws {RangeError} If the result does not fit in the slot
+     */
+    complete(slot, result) {
+        const length = result ? result.byteLength : 0;
+        if (length > this.#slotSize) {
+            throw new RangeError(`Result of ${length} bytes does not fit a ${this.#slotSize} byte slot`);
+        }
+
+        const offset = slot * this.#slotSize;
+        if (result && (result.buffer !== this.#data || result.byteOffset !== offset)) {
+            this.#bytes(slot, length).set(new Uint8Array(result.buffer, result.byteOffset, length));
+        }
+
+        Atomics.store(this.#control, slot * CONTROL_FIELDS + RESULT_LENGTH, length);
+        this.#expect(slot, SLOT_STATES.PROCESSING, SLOT_STATES.DONE);
+        return length;
+    }
+
+    /**
+     * View a finished result (main thread). The view is only valid until the
+     * slot is released.
+     * @param {number} slot - Slot index
+     * @param {string} [arrayType='Buffer'] - Typed array to view the result as
+     * @returns {ArrayBufferView} Result view
+     * @throws {Error} If the slot has no result
+     */
+    read(slot, arrayType = 'Buffer') {
+        const ArrayType = ARRAY_TYPES[arrayType];
+        if (!ArrayType) {
+            throw new TypeError(`Unsupported result type: ${arrayType}`);
+        }
+        if (Atomics.load(this.#control, slot * CONTROL_FIELDS + STATE) !== SLOT_STATES.DONE) {
+            throw new Error(`Slot ${slot} has no result`);
+        }
+
+        const length = Atomics.load(this.#control, slot * CONTROL_FIELDS + RESULT_LENGTH);
+        const offset = slot * this.#slotSize;
+        return ArrayType === Buffer
+            ? Buffer.from(this.#data, offset, length)
+            : new ArrayType(this.#data, offset, length / ArrayType.BYTES_PER_ELEMENT);
+    }
+
+    /**
+     * Return a slot to the ring (main thread), whatever state it is in. Only
+     * call this once no worker can still be using the slot.
+     * @param {number} slot - Slot index
+     */
+    release(slot) {
+        Atomics.store(this.#control, slot * CONTROL_FIELDS + STATE, SLOT_STATES.FREE);
+    }
+
+    /**
+     * Slot usage
+     * @returns {{slots: number, free: number, inUse: number}}
+     */
+    getStats() {
+        let free = 0;
+        for (let slot = 0; slot < this.#slotCount; slot++) {
+            if (Atomics.load(this.#control, slot * CONTROL_FIELDS + STATE) === SLOT_STATES.FREE) free++;
+        }
+        return { slots: this.#slotCount, free, inUse: this.#slotCount - free };
+    }
+
+    #bytes(slot, length) {
+        return Buffer.from(this.#data, slot * this.#slotSize, length);
+    }
+
+    #transition(slot, from, to) {
+        return Atomics.compareExchange(this.#control, slot * CONTROL_FIELDS + STATE, from, to) === from;
+    }
+
+    #expect(slot, from, to) {
+        if (!Number.isInteger(slot) || slot < 0 || slot >= this.#slotCount) {
+            throw new RangeError(`Invalid slot: ${slot}`);
+        }
+        if (!this.#transition(slot, from, to)) {
+            const state = Atomics.load(this.#control, slot * CONTROL_FIELDS + STATE);
+            throw new Error(`Slot ${slot} is in state ${state}, expected ${from}`);
+        }
+    }
+}
+
+module.exports = {
+    SLOT_STATES,
+    SharedFrameRing,
+    arrayTypeOf
+};
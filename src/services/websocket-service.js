@@ -1,23 +1,35 @@
 const WebSocket = require('ws');
 const http = require('http');
 const EventEmitter = require('events');
+const { PROTOCOL_VERSION, isBinaryMessage, encodeMessage } = require('./frame-protocol');
+const { ClientSubscriptions } = require('./client-subscriptions');
+const { ClientSendQueue } = require('./client-send-queue');
 
 /**
  * WebSocket service that handles client connections, message routing, and lifecycle management.
  * Implements a simple protocol with client identification and message validation.
+ * Frame messages are sent as binary envelopes (see frame-protocol.js) to clients
+ * that advertise the binaryFrames capability, and as JSON to everyone else.
+ * Clients subscribe to individual streams; published stream data only reaches
+ * subscribers, rate limited to each subscription's maxFps. Every client has an
+ * outbound queue so a slow client only drops its own frames.
  * @extends EventEmitter
  * @fires WebSocketService#log - When logging events occur
  * @fires WebSocketService#clientConnected - When a client successfully connects and identifies
  * @fires WebSocketService#clientDisconnected - When a client disconnects
  * @fires WebSocketService#message - When a valid message is received from an identified client
+ * @fires WebSocketService#subscribed - When a client subscribes to a stream
+ * @fires WebSocketService#unsubscribed - When a client unsubscribes or disconnects
  */
 class WebSocketService extends EventEmitter {
     // Private fields
     #config;
+    #backpressure;
     #sessionId;
     #server;
     #wss;
     #clients = new Set();
+    #clientsById = new Map();
 
     // Constants
     static #DEFAULT_PORT = 8008;
@@ -25,6 +37,7 @@ class WebSocketService extends EventEmitter {
     static #CLOSE_CODES = {
         NORMAL: 1000,
         TIMEOUT: 1002,
+        OVERLOADED: 1013,
         ABNORMAL: 1006
     };
 
@@ -32,13 +45,15 @@ class WebSocketService extends EventEmitter {
      * Creates a new WebSocketService instance
      * @param {Object} config - Configuration object
      * @param {Object} [config.network] - Network configuration
-     * @param {number} [config.network.port] - Port to listen on (default: 8008)
+     * @param {number} [config.network.websocket.port] - Port to listen on (default: 8008)
+     * @param {Object} [config.network.websocket.backpressure] - Per-client send queue options
      * @throws {Error} If config is invalid
      */
     constructor(config) {
         super();
         this.#validateConfig(config);
         this.#config = config;
+        this.#backpressure = ClientSendQueue.resolveOptions(config.network?.websocket?.backpressure);
         this.#sessionId = this.#generateId('session');
     }
 
@@ -49,7 +64,7 @@ class WebSocketService extends EventEmitter {
      * @returns {Promise<number>} Port number the service is listening on
      */
     async start() {
-        const port = this.#config.network?.port || WebSocketService.#DEFAULT_PORT;
+        const port = this.#config.network?.websocket?.port || this.#config.network?.port || WebSocketService.#DEFAULT_PORT;
         return this.#startServer(port);
     }
 
@@ -69,23 +84,115 @@ class WebSocketService extends EventEmitter {
     broadcast(data) {
         if (!this.#wss) return;
 
-        const message = JSON.stringify(data);
+        const encode = this.#createEncoder(data);
         for (const client of this.#clients) {
             if (client.readyState === WebSocket.OPEN) {
-                this.#sendRaw(client, message);
+                this.#sendRaw(client, encode(client));
             }
         }
     }
 
+    /**
+     * Sends stream data to the clients subscribed to the stream
+     * @param {string} stream - Stream name
+     * @param {Object} data - Message to send
+     * @returns {number} Number of clients the message was sent to
+     */
+    publish(stream, data) {
+        if (!this.#wss) return 0;
+
+        const encode = this.#createEncoder(data);
+        let sent = 0;
+        for (const client of this.#clients) {
+            if (client.readyState !== WebSocket.OPEN) continue;
+
+            const subscription = client.subscriptions.accept(stream);
+            if (subscription) {
+                this.#sendRaw(client, encode(client, subscription.format), stream);
+                sent++;
+            }
+        }
+        return sent;
+    }
+
     /**
      * Sends a message to a specific client
-     * @param {WebSocket} client - Client to send to
+     * @param {WebSocket|string} client - Client or client ID to send to
      * @param {Object} data - Message to send
      */
     send(client, data) {
-        if (client.readyState === WebSocket.OPEN) {
-            this.#sendRaw(client, JSON.stringify(data));
+        const ws = typeof client === 'string' ? this.#clientsById.get(client) : client;
+        if (ws?.readyState === WebSocket.OPEN) {
+            this.#sendRaw(ws, this.#createEncoder(data)(ws));
+        }
+    }
+
+    /**
+     * Subscribe an identified client to a stream
+     * @param {string} clientId - Client ID
+     * @param {string} stream - Stream name
+     * @param {Object} [options] - Subscription options (maxFps, format)
+     * @returns {Object} Normalised subscription options
+     * @throws {Error} If the client is unknown or the subscription is invalid
+     */
+    subscribe(clientId, stream, options) {
+        const ws = this.#getClient(clientId);
+        const isNew = !ws.subscriptions.has(stream);
+        const subscription = ws.subscriptions.subscribe(stream, options);
+
+        this.send(ws, { type: 'subscribed', stream, options: subscription });
+        if (isNew) {
+            this.emit('subscribed', clientId, stream, subscription);
+        }
+        return subscription;
+    }
+
+    /**
+     * Unsubscribe a client from a stream
+     * @param {string} clientId - Client ID
+     * @param {string} stream - Stream name
+     * @returns {boolean} True if the client was subscribed
+     * @throws {Error} If the client is unknown
+     */
+    unsubscribe(clientId, stream) {
+        const ws = this.#getClient(clientId);
+        const removed = ws.subscriptions.unsubscribe(stream);
+
+        this.send(ws, { type: 'unsubscribed', stream });
+        if (removed) {
+            this.emit('unsubscribed', clientId, stream);
         }
+        return removed;
+    }
+
+    /**
+     * Count the clients subscribed to a stream
+     * @param {string} stream - Stream name
+     * @returns {number} Subscriber count
+     */
+    getSubscriberCount(stream) {
+        let count = 0;
+        for (const client of this.#clients) {
+            if (client.subscriptions.has(stream)) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Get per-client delivery statistics
+     * @returns {Object} Send queue depth and drop counts keyed by client ID
+     */
+    getStats() {
+        return {
+            clients: Object.fromEntries(Array.from(this.#clients).map(client => [
+                client.clientInfo.id,
+                {
+                    name: client.clientInfo.name,
+                    subscriptions: client.subscriptions.toJSON(),
+                    ...client.sendQueue.getStats()
+                }
+            ]))
+        };
     }
 
     /**
@@ -134,6 +241,10 @@ class WebSocketService extends EventEmitter {
 
     async #closeServer() {
         if (this.#wss) {
+            // Connections that never identified are not tracked as clients
+            for (const ws of this.#wss.clients) {
+                ws.terminate();
+            }
             await new Promise(resolve => this.#wss.close(() => {
                 this.#wss = null;
                 this.emit('log', 'info', 'WebSocket server closed');
@@ -161,6 +272,15 @@ class WebSocketService extends EventEmitter {
             this.#closeConnection(ws, WebSocketService.#CLOSE_CODES.TIMEOUT, 'Client identification timeout');
         }, WebSocketService.#IDENTIFICATION_TIMEOUT);
 
+        ws.sendQueue = new ClientSendQueue(ws, this.#backpressure);
+        ws.sendQueue.on('overflow', pending => {
+            this.emit('log', 'warn', `Client ${clientId} exceeded the send queue threshold`, { pending });
+            this.#closeConnection(ws, WebSocketService.#CLOSE_CODES.OVERLOADED, 'Client too slow');
+        });
+        ws.sendQueue.on('error', error => {
+            this.emit('log', 'error', `Failed to send message to client: ${error.message}`, { clientId, error });
+        });
+
         ws.on('message', message => this.#handleMessage(ws, message, clientId, identificationTimeout));
         ws.on('close', () => this.#handleClientDisconnect(ws, clientId, identificationTimeout));
         ws.on('error', error => this.#handleClientError(ws, clientId, error, identificationTimeout));
@@ -171,7 +291,12 @@ class WebSocketService extends EventEmitter {
     #handleClientDisconnect(ws, clientId, identificationTimeout) {
         clearTimeout(identificationTimeout);
         this.#clients.delete(ws);
+        this.#clientsById.delete(clientId);
+        ws.sendQueue.clear();
         if (ws.clientInfo) {
+            for (const stream of ws.subscriptions.clear()) {
+                this.emit('unsubscribed', clientId, stream);
+            }
             this.emit('clientDisconnected', clientId);
             this.emit('log', 'info', `Client disconnected: ${clientId}`);
         }
@@ -191,6 +316,10 @@ class WebSocketService extends EventEmitter {
             
             if (data.type === 'identify') {
                 this.#handleIdentification(ws, data, clientId, identificationTimeout);
+            } else if (ws.clientInfo && data.type === 'subscribe') {
+                this.subscribe(clientId, data.stream, data.options);
+            } else if (ws.clientInfo && data.type === 'unsubscribe') {
+                this.unsubscribe(clientId, data.stream);
             } else if (ws.clientInfo) {
                 this.emit('message', data, clientId);
             } else {
@@ -212,14 +341,17 @@ class WebSocketService extends EventEmitter {
             capabilities: data.capabilities || {},
             connectedAt: new Date().toISOString()
         };
+        ws.subscriptions = new ClientSubscriptions();
         
         this.#clients.add(ws);
+        this.#clientsById.set(clientId, ws);
         this.emit('log', 'info', `Client identified: ${clientId}`, ws.clientInfo);
         
         this.send(ws, {
             type: 'welcome',
             sessionId: this.#sessionId,
             serverVersion: '2.0',
+            binaryFrames: PROTOCOL_VERSION,
             timestamp: new Date().toISOString()
         });
         
@@ -252,9 +384,37 @@ class WebSocketService extends EventEmitter {
         return data;
     }
 
-    #sendRaw(client, message) {
+    #getClient(clientId) {
+        const ws = this.#clientsById.get(clientId);
+        if (!ws) {
+            throw new Error(`Unknown client: ${clientId}`);
+        }
+        return ws;
+    }
+
+    /**
+     * Create a per-client encoder that serialises the message at most once per
+     * wire format; a subscription format of 'json' overrides binary support
+     */
+    #createEncoder(data) {
+        const binaryCapable = isBinaryMessage(data);
+        let json = null;
+        let binary = null;
+
+        return (client, format = null) => {
+            if (binaryCapable && format !== 'json' &&
+                client.clientInfo?.capabilities?.binaryFrames === PROTOCOL_VERSION) {
+                binary ||= encodeMessage(data);
+                return binary;
+            }
+            json ||= JSON.stringify(data);
+            return json;
+        };
+    }
+
+    #sendRaw(client, message, stream = null) {
         try {
-            client.send(message);
+            client.sendQueue.send(message, stream);
         } catch (error) {
             this.emit('log', 'error', `Failed to send message to client: ${error.message}`, { error });
             this.#clients.delete(client);
@@ -280,6 +440,7 @@ class WebSocketService extends EventEmitter {
 
         await Promise.all(closePromises);
         this.#clients.clear();
+        this.#clientsById.clear();
     }
 }
 
@@ -0,0 +1,532 @@
+const EventEmitter = require('events');
+const { performance } = require('perf_hooks');
+const { Worker } = require('worker_threads');
+
+/**
+ * How frames are assigned to idle workers
+ */
+const DISPATCH_STRATEGIES = {
+    ROUND_ROBIN: 'roundRobin', // Rotate through the workers in order
+    LEAST_BUSY: 'leastBusy' // Prefer the idle worker with the lowest utilization
+};
+
+const DEFAULT_OPTIONS = {
+    size: 1,
+    strategy: DISPATCH_STRATEGIES.ROUND_ROBIN,
+    maxQueueSize: 3,
+    frameTimeout: 0,
+    healthCheckInterval: 0,
+    healthCheckTimeout: 0
+};
+
+/**
+ * Why a worker was found unhealthy
+ */
+const FAILURE_REASONS = {
+    CRASHED: 'crashed', // The thread threw or exited
+    FRAME_TIMEOUT: 'frameTimeout', // A frame took longer than frameTimeout
+    HEALTH_CHECK_TIMEOUT: 'healthCheckTimeout' // No reply to a health check within healthCheckTimeout
+};
+
+// Fastest the watchdog checks deadlines, so short timeouts do not spin the event loop
+const MIN_WATCHDOG_INTERVAL = 50;
+
+/**
+ * Pool of worker threads running the same worker script. Each worker handles
+ * one frame at a time; frames arriving while every worker is busy wait in a
+ * bounded queue that drops its oldest frame when full. Results are re-emitted
+ * in the order their frames were dispatched, so a slow frame on one worker
+ * holds back later frames finished by another.
+ *
+ * Frames are tagged with a sequence id which the worker echoes in its reply
+ * (see BaseWorker). Replies without an id, such as body gestures, are passed
+ * through as soon as they arrive.
+ *
+ * With frameTimeout or healthCheckInterval set, a watchdog also fails workers
+ * that hang: a frame still running after frameTimeout, or a worker that has
+ * not answered a health check within healthCheckTimeout. A worker busy with a
+ * frame cannot answer until the frame is done, so it is judged by
+ * frameTimeout alone when that is set. Hung workers are terminated and
+ * reported like crashed ones.
+ * @extends EventEmitter
+ * @fires WorkerPool#message - With a worker reply, frame results in dispatch order
+ * @fires WorkerPool#frameDropped - When a queued frame is discarded or its worker fails
+ * @fires WorkerPool#error - When a worker thread fails or hangs; the worker is not replaced
+ * @fires WorkerPool#workerRecovered - When a restarted worker first answers
+ */
+class WorkerPool extends EventEmitter {
+    #filename;
+    #workerOptions;
+    #options;
+    #slots = [];
+    #queue = [];
+    #results = new Map();
+    #nextId = 0;
+    #nextResult = 0;
+    #cursor = 0;
+    #dropped = 0;
+    #healthCheckTimer = null;
+    #watchdogTimer = null;
+
+    /**
+     * @param {string} filename - Worker script, as accepted by new Worker()
+     * @param {Object} [options] - Pool options (see resolveOptions)
+     * @param {*} [options.workerData] - Passed to every worker
+     * @param {Object} [options.workerOptions] - Extra options for new Worker()
+     * @throws {TypeError} If the filename or options are invalid
+     */
+    constructor(filename, { workerData, workerOptions = {}, ...options } = {}) {
+        super();
+        if (!filename) {
+            throw new TypeError('Worker filename is required');
+        }
+
+        this.#filename = filename;
+        this.#workerOptions = { ...workerOptions, workerData };
+        this.#options = WorkerPool.resolveOptions(options);
+
+        for (let i = 0; i < this.#options.size; i++) {
+            this.#slots.push(this.#createSlot(i));
+        }
+        this.#startTimers();
+    }
+
+    /**
+     * Validate pool options and apply defaults
+     * @param {Object} [options={}] - Options, usually a sensor's performance section
+     * @param {number} [options.size=1] - Number of worker threads
+     * @param {string} [options.strategy='roundRobin'] - One of DISPATCH_STRATEGIES
+     * @param {number} [options.maxQueueSize=3] - Frames kept waiting for a free worker
+     * @param {number} [options.frameTimeout=0] - Longest a frame may take in ms, 0 for no limit
+     * @param {number} [options.healthCheckInterval=0] - Time between health checks in ms, 0 to disable them
+     * @param {number} [options.healthCheckTimeout=0] - Longest wait for a health check reply in ms, 0 for no limit
+     * @returns {Object} Resolved options
+     * @throws {TypeError} If an option is invalid
+     */
+    static resolveOptions(options = {}) {
+        const resolved = { ...DEFAULT_OPTIONS };
+        for (const [key, value] of Object.entries(options)) {
+            if (value !== undefined) resolved[key] = value;
+        }
+
+        if (!Number.isInteger(resolved.size) || resolved.size < 1) {
+            throw new TypeError(`Invalid worker pool size: ${resolved.size}`);
+        }
+        if (!Object.values(DISPATCH_STRATEGIES).includes(resolved.strategy)) {
+            throw new TypeError(`Unknown dispatch strategy: ${resolved.strategy} (available: ${Object.values(DISPATCH_STRATEGIES).join(', ')})`);
+        }
+        if (!Number.isInteger(resolved.maxQueueSize) || resolved.maxQueueSize < 0) {
+            throw new TypeError(`Invalid worker queue size: ${resolved.maxQueueSize}`);
+        }
+        for (const key of ['frameTimeout', 'healthCheckInterval', 'healthCheckTimeout']) {
+            if (!Number.isInteger(resolved[key]) || resolved[key] < 0) {
+                throw new TypeError(`Invalid ${key}: ${resolved[key]}`);
+            }
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Number of workers the pool is configured for
+     * @returns {number}
+     */
+    get size() {
+        return this.#options.size;
+    }
+
+    /**
+     * Send a frame to the next free worker, or queue it until one is free
+     * @param {Object} message - Worker message, usually { frame }
+     * @param {Array} [transferList] - Objects to transfer with the message
+     * @returns {number} Sequence id of the frame
+     * @fires WorkerPool#frameDropped
+     */
+    dispatch(message, transferList) {
+        const id = this.#nextId++;
+        this.#queue.push({ id, message, transferList });
+        this.#assignAll();
+        this.#trimQueue();
+
+        return id;
+    }
+
+    /**
+     * Send a control message, such as new configuration, to every worker
+     * @param {Object} message - Message to send
+     */
+    broadcast(message) {
+        for (const slot of this.#slots) {
+            slot.worker?.postMessage(message);
+        }
+    }
+
+    /**
+     * Change the pool size, dispatch strategy, queue size or health checks.
+     * Extra workers finish their current frame before they are terminated.
+     * @param {Object} options - Options to change (see resolveOptions)
+     * @throws {TypeError} If an option is invalid
+     */
+    configure(options) {
+        this.#options = WorkerPool.resolveOptions({ ...this.#options, ...options });
+
+        const { size } = this.#options;
+        for (const slot of this.#slots) {
+            slot.retiring = slot.index >= size;
+        }
+        for (let index = 0; index < size; index++) {
+            if (!this.#slots.some(slot => slot.index === index)) {
+                this.#slots.push(this.#createSlot(index));
+            }
+        }
+        this.#slots.sort((a, b) => a.index - b.index);
+        for (const slot of this.#slots.filter(s => s.retiring && !s.current)) {
+            this.#retire(slot);
+        }
+
+        this.#startTimers();
+        this.#assignAll();
+        this.#trimQueue();
+    }
+
+    /**
+     * Replace a worker, e.g. after it failed. Its in-flight frame is skipped.
+     * The new worker is health checked at once when health checks are on, and
+     * reported with workerRecovered on its first reply.
+     * @param {number} index - Worker index
+     * @returns {Promise<void>}
+     * @throws {RangeError} If there is no worker at the index
+     */
+    async restartWorker(index) {
+        const slot = this.#slots.find(s => s.index === index);
+        if (!slot || slot.retiring) {
+            throw new RangeError(`No worker at index ${index}`);
+        }
+
+        // The frame is only abandoned once the worker can no longer touch it
+        const { worker } = slot;
+        slot.worker = null;
+        if (worker) {
+            await worker.terminate();
+        }
+        this.#abandon(slot);
+
+        // The pool may have been resized or terminated in the meantime
+        if (!this.#slots.includes(slot) || slot.retiring) return;
+        const replacement = this.#createSlot(index);
+        replacement.recovering = true;
+        this.#slots[this.#slots.indexOf(slot)] = replacement;
+        if (this.#options.healthCheckInterval) {
+            this.#ping(replacement, performance.now());
+        }
+        this.#assignAll();
+    }
+
+    /**
+     * Terminate every worker and discard queued frames and pending results
+     * @returns {Promise<void>}
+     */
+    async terminate() {
+        this.#stopTimers();
+        const workers = this.#slots.map(slot => slot.worker).filter(Boolean);
+        for (const slot of this.#slots) {
+            slot.worker = null;
+        }
+        this.#slots = [];
+        this.#queue = [];
+        this.#results.clear();
+        this.#nextResult = this.#nextId;
+
+        await Promise.all(workers.map(worker => worker.terminate()));
+    }
+
+    /**
+     * Queue and per-worker statistics
+     * @returns {Object} Pool statistics
+     */
+    getStats() {
+        const now = performance.now();
+        return {
+            size: this.#options.size,
+            strategy: this.#options.strategy,
+            queued: this.#queue.length,
+            dropped: this.#dropped,
+            pendingResults: this.#results.size,
+            workers: this.#slots.map(slot => ({
+                index: slot.index,
+                threadId: slot.worker?.threadId ?? null,
+                alive: slot.worker !== null,
+                busy: slot.current !== null,
+                processed: slot.processed,
+                errors: slot.errors,
+                utilization: this.#utilization(slot, now),
+                lastReplyAge: Math.round(now - slot.lastReply)
+            }))
+        };
+    }
+
+    #createSlot(index) {
+        const worker = new Worker(this.#filename, this.#workerOptions);
+        const slot = {
+            index,
+            worker,
+            current: null,
+            retiring: false,
+            recovering: false,
+            healthCheckSentAt: null,
+            processed: 0,
+            errors: 0,
+            busyTime: 0,
+            createdAt: performance.now(),
+            lastReply: performance.now()
+        };
+
+        worker.on('message', message => this.#handleMessage(slot, worker, message));
+        worker.on('error', error => this.#handleFailure(slot, worker, error));
+        worker.on('exit', code => {
+            this.#handleFailure(slot, worker, new Error(`Worker exited with code ${code}`));
+        });
+
+        return slot;
+    }
+
+    #handleMessage(slot, worker, message) {
+        if (slot.worker !== worker) return;
+        slot.lastReply = performance.now();
+
+        if (message?.type === 'healthCheck') {
+            slot.healthCheckSentAt = null;
+            this.#markRecovered(slot);
+            return;
+        }
+        if (message?.id === undefined || message.id !== slot.current?.id) {
+            this.emit('message', message);
+            return;
+        }
+
+        slot.busyTime += performance.now() - slot.current.startedAt;
+        slot.current = null;
+        slot.processed++;
+        if (message.error) {
+            slot.errors++;
+        } else {
+            this.#markRecovered(slot);
+        }
+
+        this.#results.set(message.id, message);
+        this.#flushResults();
+
+        if (slot.retiring) {
+            this.#retire(slot);
+        }
+        this.#assignAll();
+    }
+
+    #handleFailure(slot, worker, error) {
+        // Only the first failure of the current worker counts; exit follows error
+        if (slot.worker !== worker) return;
+
+        slot.worker = null;
+        error.reason = FAILURE_REASONS.CRASHED;
+        this.#fail(slot, error);
+    }
+
+    /**
+     * Terminate a worker that stopped responding, then report it like a crash.
+     * Its frame is only abandoned once the thread can no longer touch it.
+     */
+    async #handleHang(slot, error) {
+        const { worker } = slot;
+        slot.worker = null;
+        await worker.terminate();
+
+        // The pool may have been terminated in the meantime
+        if (this.#slots.includes(slot)) {
+            this.#fail(slot, error);
+        }
+    }
+
+    #fail(slot, error) {
+        slot.errors++;
+        this.#abandon(slot);
+
+        if (slot.retiring) {
+            this.#retire(slot);
+        } else {
+            error.workerIndex = slot.index;
+            this.emit('error', error);
+        }
+        this.#assignAll();
+    }
+
+    #markRecovered(slot) {
+        if (slot.recovering) {
+            slot.recovering = false;
+            this.emit('workerRecovered', { index: slot.index, threadId: slot.worker.threadId });
+        }
+    }
+
+    #startTimers() {
+        this.#stopTimers();
+        const { frameTimeout, healthCheckInterval, healthCheckTimeout } = this.#options;
+
+        if (healthCheckInterval) {
+            this.#healthCheckTimer = setInterval(() => {
+                const now = performance.now();
+                for (const slot of this.#slots) {
+                    this.#ping(slot, now);
+                }
+            }, healthCheckInterval);
+            this.#healthCheckTimer.unref();
+        }
+
+        const deadlines = [frameTimeout, healthCheckInterval && healthCheckTimeout].filter(Boolean);
+        if (deadlines.length) {
+            const interval = Math.max(MIN_WATCHDOG_INTERVAL, Math.min(...deadlines) / 4);
+            this.#watchdogTimer = setInterval(() => this.#checkDeadlines(), interval);
+            this.#watchdogTimer.unref();
+        }
+    }
+
+    #stopTimers() {
+        clearInterval(this.#healthCheckTimer);
+        clearInterval(this.#watchdogTimer);
+        this.#healthCheckTimer = null;
+        this.#watchdogTimer = null;
+    }
+
+    /**
+     * Send a health check unless the worker still owes a reply to the last one
+     */
+    #ping(slot, now) {
+        if (slot.worker && slot.healthCheckSentAt === null) {
+            slot.healthCheckSentAt = now;
+            slot.worker.postMessage({ type: 'healthCheck' });
+        }
+    }
+
+    #checkDeadlines() {
+        const { frameTimeout, healthCheckTimeout } = this.#options;
+        const now = performance.now();
+
+        for (const slot of this.#slots) {
+            if (!slot.worker) continue;
+
+            if (slot.current && frameTimeout) {
+                const elapsed = now - slot.current.startedAt;
+                if (elapsed > frameTimeout) {
+                    this.#reportHang(slot, FAILURE_REASONS.FRAME_TIMEOUT,
+                        `Worker ${slot.index} did not finish frame ${slot.current.id} within ${frameTimeout} ms`);
+                }
+            } else if (slot.healthCheckSentAt !== null && healthCheckTimeout) {
+                // A reply to anything else shows the thread was only busy, not hung
+                const elapsed = now - Math.max(slot.healthCheckSentAt, slot.lastReply);
+                if (elapsed > healthCheckTimeout) {
+                    this.#reportHang(slot, FAILURE_REASONS.HEALTH_CHECK_TIMEOUT,
+                        `Worker ${slot.index} did not answer a health check within ${healthCheckTimeout} ms`);
+                }
+            }
+        }
+    }
+
+    #reportHang(slot, reason, message) {
+        const error = new Error(message);
+        error.reason = reason;
+        this.#handleHang(slot, error);
+    }
+
+    /**
+     * Skip the frame a worker was processing so later results are not held back
+     */
+    #abandon(slot) {
+        if (slot.current) {
+            const { startedAt, ...entry } = slot.current;
+            slot.busyTime += performance.now() - startedAt;
+            slot.current = null;
+            this.#drop(entry, 'workerFailed');
+        }
+    }
+
+    #retire(slot) {
+        const { worker } = slot;
+        slot.worker = null;
+        this.#slots = this.#slots.filter(s => s !== slot);
+        worker?.terminate();
+    }
+
+    #trimQueue() {
+        while (this.#queue.length > this.#options.maxQueueSize) {
+            this.#drop(this.#queue.shift(), 'queueFull');
+        }
+    }
+
+    #drop({ id, message }, reason) {
+        this.#dropped++;
+        this.#results.set(id, null);
+        this.emit('frameDropped', { id, message, reason });
+        this.#flushResults();
+    }
+
+    #flushResults() {
+        while (this.#results.has(this.#nextResult)) {
+            const message = this.#results.get(this.#nextResult);
+            this.#results.delete(this.#nextResult);
+            this.#nextResult++;
+            if (message) {
+                this.emit('message', message);
+            }
+        }
+    }
+
+    #assignAll() {
+        while (this.#assignNext());
+    }
+
+    /**
+     * Hand the oldest queued frame to an idle worker
+     * @returns {boolean} Whether a frame was assigned
+     */
+    #assignNext() {
+        if (!this.#queue.length) return false;
+
+        const slot = this.#selectWorker();
+        if (!slot) return false;
+
+        const { id, message, transferList } = this.#queue.shift();
+        slot.current = { id, message, startedAt: performance.now() };
+        slot.worker.postMessage({ ...message, id }, transferList);
+        return true;
+    }
+
+    #selectWorker() {
+        const idle = this.#slots.filter(slot => slot.worker && !slot.current && !slot.retiring);
+        if (!idle.length) return null;
+
+        if (this.#options.strategy === DISPATCH_STRATEGIES.LEAST_BUSY) {
+            const now = performance.now();
+            return idle.reduce((best, slot) =>
+                this.#utilization(slot, now) < this.#utilization(best, now) ? slot : best);
+        }
+
+        const next = idle.find(slot => slot.index >= this.#cursor) ?? idle[0];
+        this.#cursor = next.index + 1;
+        return next;
+    }
+
+    /**
+     * Fraction of its lifetime a worker has spent processing frames
+     */
+    #utilization(slot, now) {
+        const lifetime = now - slot.createdAt;
+        if (lifetime <= 0) return 0;
+
+        const busy = slot.busyTime + (slot.current ? now - slot.current.startedAt : 0);
+        return Math.min(1, busy / lifetime);
+    }
+}
+
+module.exports = {
+    DISPATCH_STRATEGIES,
+    FAILURE_REASONS,
+    WorkerPool
+};
@@ -1,9 +1,22 @@
-const { parentPort, workerData } = require('worker_threads');
+const { isMainThread, parentPort, workerData } = require('worker_threads');
 const { performance } = require('perf_hooks');
-const config = require('@config.js');
+const { SharedFrameRing, arrayTypeOf } = require('../shared-frame-ring');
+const { Pipeline } = require('./pipeline');
 
 /**
- * Base worker class providing common functionality for sensor workers
+ * Base worker class providing common functionality for sensor workers.
+ * Frames arrive as { id, frame } from a WorkerPool and are answered with
+ * { id, data, processTime } or { id, error, stack }.
+ *
+ * When workerData carries a frameRing handle, frames may instead arrive as
+ * { id, slot, frame }: frame.buffer is then a view of the shared slot and
+ * frame.shared is true, so processFrame may write its result over the input.
+ * A typed array processedFrame is stored in the slot and replaced in the reply
+ * by { arrayType, byteLength }; the reply carries the slot for the sensor.
+ *
+ * Workers that set sensorType run their frames through the pipeline in
+ * processing.pipeline (see Pipeline), or through _getDefaultPipeline when
+ * none is configured.
  * @abstract
  */
 class BaseWorker {
@@ -14,10 +27,23 @@ class BaseWorker {
         this.config = config;
         this.isProcessing = false;
         this.lastProcessTime = 0;
+        this.sensorType = null;
+        this.pipeline = null;
+        this.frameRing = config?.frameRing ? SharedFrameRing.attach(config.frameRing) : null;
 
         this._setupMessageHandler();
     }
 
+    /**
+     * Start the worker when its module is the entry point of a worker thread.
+     * Worker modules call this on their subclass and export the class, so
+     * requiring them from the main thread has no side effects.
+     * @returns {BaseWorker|null} The running worker, or null on the main thread
+     */
+    static runInThread() {
+        return isMainThread ? null : new this();
+    }
+
     /**
      * Set up message handler for parent thread communication
      * @private
@@ -29,25 +55,39 @@ class BaseWorker {
                 return;
             }
 
-            if (this.isProcessing) {
-                return; // Skip if still processing previous frame
+            if (message.type === 'updateConfig') {
+                this.updateConfig(message.config);
+                return;
             }
 
+            // The pool sends one frame at a time, so frames never overlap here
+            const { id, slot } = message;
+            const shared = slot !== undefined ? { slot } : {};
             try {
                 this.isProcessing = true;
                 const startTime = performance.now();
-                
-                const processedData = await this.processFrame(message.frame);
-                
+
+                const frame = slot !== undefined
+                    ? { ...message.frame, buffer: this.frameRing.acquire(slot), shared: true }
+                    : message.frame;
+                let processedData = await this.processFrame(frame);
+                if (slot !== undefined) {
+                    processedData = this._storeResult(slot, processedData);
+                }
+
                 this.lastProcessTime = performance.now() - startTime;
 
                 parentPort.postMessage({
+                    id,
+                    ...shared,
                     data: processedData,
                     processTime: this.lastProcessTime
                 });
 
             } catch (error) {
                 parentPort.postMessage({
+                    id,
+                    ...shared,
                     error: error.message,
                     stack: error.stack
                 });
@@ -57,6 +97,63 @@ class BaseWorker {
         });
     }
 
+    /**
+     * Move a typed array processedFrame into the frame's ring slot
+     * @private
+     * @param {number} slot - Ring slot of the frame
+     * @param {*} processedData - Result of processFrame
+     * @returns {*} Result to post, with processedFrame replaced by its description
+     */
+    _storeResult(slot, processedData) {
+        const arrayType = arrayTypeOf(processedData?.processedFrame);
+        if (!arrayType) {
+            this.frameRing.complete(slot, null);
+            return processedData;
+        }
+
+        const byteLength = this.frameRing.complete(slot, processedData.processedFrame);
+        return { ...processedData, processedFrame: { arrayType, byteLength } };
+    }
+
+    /**
+     * Replace the worker configuration without restarting the thread. Takes
+     * effect from the next frame.
+     * @param {Object} config - New worker configuration, same shape as workerData
+     */
+    updateConfig(config) {
+        this.config = config;
+        this.pipeline = null;
+    }
+
+    /**
+     * Pass a frame result through the processing pipeline. The pipeline is
+     * built on first use and again after a configuration change, so a bad
+     * definition fails frames rather than the thread.
+     * @protected
+     * @param {Object} frame - Result to process, usually { processedFrame, width, height }
+     * @returns {Promise<Object>} Processed result
+     */
+    _runPipeline(frame) {
+        if (!this.pipeline) {
+            const processing = this.config.processing || {};
+            this.pipeline = new Pipeline(processing.pipeline ?? this._getDefaultPipeline(processing), {
+                sensorType: this.sensorType,
+                config: this.config
+            });
+        }
+        return this.pipeline.run(frame);
+    }
+
+    /**
+     * Pipeline used when processing.pipeline is not set
+     * @protected
+     * @param {Object} processing - Processing settings
+     * @returns {Object[]} Pipeline entries
+     */
+    _getDefaultPipeline(processing) {
+        return [];
+    }
+
     /**
      * Process a frame of sensor data
      * @abstract
@@ -1,11 +1,24 @@
+const { parentPort } = require('worker_threads');
 const { performance } = require('perf_hooks');
 const BaseWorker = require('./base-worker');
+const { CoordinateMapper } = require('../coordinate-mapper');
+const { JointFilterBank } = require('./joint-filters');
+const { JOINT_TYPES, jointName } = require('../joint-topology');
+const { GestureEngine } = require('../gestures/gesture-engine');
 
 class BodyWorker extends BaseWorker {
     constructor(config) {
         super(config);
-        // Track previous positions for gesture detection
-        this.previousPositions = new Map();
+        this.mapper = null;
+        this.jointFilters = null;
+        this.gestureEngine = null;
+    }
+
+    updateConfig(config) {
+        super.updateConfig(config);
+        this.mapper = null;
+        this.jointFilters = null;
+        this.gestureEngine = null;
     }
 
     async processFrame(frame) {
@@ -17,10 +30,11 @@ class BodyWorker extends BaseWorker {
         }
 
         const processedBodies = [];
+        const timestamp = frame.timestamp ?? performance.now();
         
         for (const body of bodies) {
             if (body?.tracked) {
-                const processedBody = this._processBody(body, processing);
+                const processedBody = this._processBody(body, processing, timestamp);
                 processedBodies.push(processedBody);
 
                 // Check for movements and gestures if enabled in config
@@ -34,7 +48,7 @@ class BodyWorker extends BaseWorker {
                     }
                 }
 
-                const gestures = this._detectGestures(processedBody, processing);
+                const gestures = this._detectGestures(processedBody, timestamp);
                 if (gestures.length > 0) {
                     parentPort.postMessage({
                         type: 'gesture',
@@ -44,29 +58,44 @@ class BodyWorker extends BaseWorker {
             }
         }
 
+        this._getJointFilters(processing).prune(timestamp);
+        this._getGestureEngine()?.prune(timestamp, processing.tracking?.timeout ?? 5000);
+
         return {
             bodies: processedBodies,
             timestamp: performance.now()
         };
     }
 
-    _processBody(body, config) {
+    /**
+     * Apply the serialisable joint filter from tracking.jointFilter
+     * @param {Object} joint - Joint data
+     * @param {Object} [filter] - Filter spec, e.g. { minTrackingState: 1 }
+     * @returns {boolean} Whether the joint should be kept
+     */
+    _passesJointFilter(joint, { minTrackingState = 1 } = {}) {
+        return joint.trackingState >= minTrackingState;
+    }
+
+    _processBody(body, config, timestamp = performance.now()) {
         if (!body?.joints) {
             throw new Error('Invalid body data');
         }
 
-        const { smoothing, tracking, metrics } = config;
+        const { tracking, metrics } = config;
+        const joints = this._nameJoints(body.joints);
         const processedJoints = {};
         const movements = {};
 
         // Get spine position for relative calculations
-        const spinePosition = body.joints[1]?.position; // Spine mid point
+        const spinePosition = joints.spineMid?.position;
 
-        for (const [jointName, joint] of Object.entries(body.joints)) {
-            if (joint && tracking.jointFilter(joint)) {
-                processedJoints[jointName] = this._smoothJoint(joint, smoothing);
+        for (const [name, joint] of Object.entries(joints)) {
+            if (this._passesJointFilter(joint, tracking.jointFilter)) {
+                const processedJoint = this._smoothJoint(body.trackingId, name, joint, config, timestamp);
+                processedJoints[name] = Object.assign(processedJoint, this._projectJoint(processedJoint.position));
                 if (metrics.trackVelocity) {
-                    movements[jointName] = this._detectMovement(joint, config.movement.threshold, spinePosition);
+                    movements[name] = this._detectMovement(processedJoint, config.movement.threshold, spinePosition);
                 }
             }
         }
@@ -85,34 +114,80 @@ class BodyWorker extends BaseWorker {
         };
     }
 
-    _smoothJoint(joint, smoothing) {
+    /**
+     * Key the joints of a body by joint name. Devices deliver joints as an
+     * array, each with its Kinect jointType; joints already keyed by name
+     * are kept as they are.
+     * @param {Array|Object} joints - Joints of a body
+     * @returns {Object} Joints by name
+     * @throws {RangeError} If a joint type is unknown
+     */
+    _nameJoints(joints) {
+        const named = {};
+        for (const [key, joint] of Object.entries(joints)) {
+            if (!joint) continue;
+
+            const name = Object.hasOwn(JOINT_TYPES, key)
+                ? key
+                : jointName(joint.jointType ?? Number(key));
+            named[name] = joint;
+        }
+        return named;
+    }
+
+    /**
+     * Filter a joint with the state its body kept from earlier frames
+     * @param {*} trackingId - Tracking id of the body
+     * @param {string} jointKey - Joint name
+     * @param {Object} joint - Joint data
+     * @param {Object} config - Processing configuration
+     * @param {number} timestamp - Frame time in milliseconds
+     * @returns {Object} Copy of the joint with the filtered position and,
+     *  after the first frame, the filtered position of the previous frame
+     */
+    _smoothJoint(trackingId, jointKey, joint, config, timestamp) {
         if (!joint?.position) {
             throw new Error('Invalid joint data');
         }
 
-        const { correction, prediction, jitterRadius, maxDeviationRadius } = smoothing;
-        const smoothed = JSON.parse(JSON.stringify(joint));
-        
-        if (joint.previousPosition) {
-            smoothed.position = {
-                x: joint.position.x * (1 - correction) + joint.previousPosition.x * correction,
-                y: joint.position.y * (1 - correction) + joint.previousPosition.y * correction,
-                z: joint.position.z * (1 - correction) + joint.previousPosition.z * correction
-            };
+        const { position, previousPosition } = this._getJointFilters(config).apply(trackingId, jointKey, joint, timestamp);
+        return { ...joint, position, previousPosition };
+    }
 
-            const distance = this._calculateVelocity(smoothed.position, joint.previousPosition);
-            if (distance > maxDeviationRadius) {
-                const scale = maxDeviationRadius / distance;
-                smoothed.position.x = joint.previousPosition.x + (smoothed.position.x - joint.previousPosition.x) * scale;
-                smoothed.position.y = joint.previousPosition.y + (smoothed.position.y - joint.previousPosition.y) * scale;
-                smoothed.position.z = joint.previousPosition.z + (smoothed.position.z - joint.previousPosition.z) * scale;
-            } else if (distance < jitterRadius) {
-                smoothed.position = joint.previousPosition;
-            }
+    /**
+     * Joint filters for processing.smoothing, created on first use and again
+     * after a configuration change
+     * @param {Object} config - Processing configuration
+     * @returns {JointFilterBank} Filters
+     */
+    _getJointFilters(config) {
+        if (!this.jointFilters) {
+            this.jointFilters = new JointFilterBank(config.smoothing, { timeout: config.tracking?.timeout });
+        }
+        return this.jointFilters;
+    }
+
+    /**
+     * Project a camera space joint position into depth and color image pixels
+     * with the calibration from workerData, built into a mapper on first use
+     * @param {Object} position - Joint position in metres, { x, y, z }
+     * @returns {Object} { depthPosition, colorPosition }, each { x, y } in pixels
+     *  of the sensor's frame size, or null when the joint is behind the camera
+     *  or no calibration was provided
+     */
+    _projectJoint(position) {
+        if (!this.mapper && this.config.calibration) {
+            this.mapper = CoordinateMapper.fromCalibration(this.config.calibration);
+        }
+        if (!this.mapper) {
+            return { depthPosition: null, colorPosition: null };
         }
 
-        smoothed.previousPosition = joint.position;
-        return smoothed;
+        const toPixel = point => (point ? { x: point[0], y: point[1] } : null);
+        return {
+            depthPosition: toPixel(this.mapper.cameraToDepth(position.x, position.y, position.z)),
+            colorPosition: toPixel(this.mapper.cameraToColor(position.x, position.y, position.z))
+        };
     }
 
     _detectMovement(joint, threshold, spinePosition) {
@@ -147,8 +222,7 @@ class BodyWorker extends BaseWorker {
     }
 
     _calculateVelocity(current, previous) {
-        if (!current?.x || !current?.y || !current?.z || 
-            !previous?.x || !previous?.y || !previous?.z) {
+        if (!this._isPosition(current) || !this._isPosition(previous)) {
             throw new Error('Invalid position data');
         }
 
@@ -159,8 +233,7 @@ class BodyWorker extends BaseWorker {
     }
 
     _calculateMovementDirection(current, previous) {
-        if (!current?.x || !current?.y || !current?.z || 
-            !previous?.x || !previous?.y || !previous?.z) {
+        if (!this._isPosition(current) || !this._isPosition(previous)) {
             throw new Error('Invalid position data');
         }
 
@@ -171,6 +244,16 @@ class BodyWorker extends BaseWorker {
         };
     }
 
+    /**
+     * Whether a value is a position with finite coordinates; zero is a valid
+     * coordinate, such as a joint relative to itself
+     * @param {Object} position - Candidate position
+     * @returns {boolean} True for { x, y, z } numbers
+     */
+    _isPosition(position) {
+        return Number.isFinite(position?.x) && Number.isFinite(position?.y) && Number.isFinite(position?.z);
+    }
+
     _processHandStates(handStates) {
         if (!handStates?.leftHandState || !handStates?.rightHandState) {
             return {
@@ -292,45 +375,31 @@ class BodyWorker extends BaseWorker {
         return movements;
     }
 
-    _detectGestures(body, config) {
-        const gestures = [];
-        const { joints } = body;
-
-        // Get spine position for relative calculations
-        const spinePosition = joints[1]?.position;
-        if (!spinePosition) return gestures;
-
-        // Detect swipe gestures
-        const rightHand = joints[11]; // Right hand joint
-        if (rightHand?.position) {
-            const relativePos = {
-                x: rightHand.position.x - spinePosition.x,
-                y: rightHand.position.y - spinePosition.y,
-                z: rightHand.position.z - spinePosition.z
-            };
+    /**
+     * Match a processed body against the gesture templates
+     * @param {Object} body - Processed body with joints by name
+     * @param {number} timestamp - Frame time in milliseconds
+     * @returns {Object[]} gestureStarted, gestureCompleted and gestureCancelled events
+     */
+    _detectGestures(body, timestamp) {
+        const engine = this._getGestureEngine();
+        return engine ? engine.update(body.trackingId, body.joints, timestamp) : [];
+    }
 
-            // Check if hand is above waist
-            if (relativePos.y > 0) {
-                const prevPos = this.previousPositions.get(body.trackingId);
-                if (prevPos) {
-                    const relativeSpeed = relativePos.x - prevPos.x;
-                    
-                    if (Math.abs(relativeSpeed) > config.tracking.gestureThreshold) {
-                        gestures.push({
-                            type: relativeSpeed < 0 ? 'swipeLeft' : 'swipeRight',
-                            joint: 'rightHand',
-                            speed: Math.abs(relativeSpeed),
-                            timestamp: performance.now()
-                        });
-                    }
-                }
-            }
-            
-            this.previousPositions.set(body.trackingId, relativePos);
+    /**
+     * Gesture engine for the templates in workerData, created on first use and
+     * again after a configuration change
+     * @returns {GestureEngine|null} Engine, or null without templates
+     */
+    _getGestureEngine() {
+        const { settings, templates } = this.config.gestures ?? {};
+        if (!this.gestureEngine && settings?.enabled && templates?.length > 0) {
+            this.gestureEngine = new GestureEngine(templates, settings);
         }
-
-        return gestures;
+        return this.gestureEngine;
     }
 }
 
-module.exports = BodyWorker;
\ No newline at end of file
+BodyWorker.runInThread();
+
+module.exports = BodyWorker;
@@ -1,42 +1,72 @@
 const BaseWorker = require('./base-worker');
-const { performance } = require('perf_hooks');
 
 class ColorWorker extends BaseWorker {
     constructor(config) {
         super(config);
-        const { frameSize, processing } = config;
+        const { frameSize, processing } = this.config;
         this.frameWidth = frameSize.width;
         this.frameHeight = frameSize.height;
         this.processing = processing;
-        this.chunkSize = 1024; // Match other workers' batch processing approach
+        this.sensorType = 'color';
+    }
+
+    /**
+     * Refresh the processing settings cached by the constructor
+     * @param {Object} config - New worker configuration
+     */
+    updateConfig(config) {
+        super.updateConfig(config);
+        this.processing = this.config.processing;
     }
 
     /**
      * Process a single frame of color data
-     * @param {Object} frame - Frame data object
-     * @param {Buffer} frame.buffer - Raw RGBA color data
-     * @returns {Object} Processed frame data
+     * @param {Object|Uint8Array} frame - Raw RGBA color data, or an object with a buffer property
+     * @param {Buffer} [frame.buffer] - Raw RGBA color data
+     * @returns {Object} Processed frame data; width, height and format describe the output
      */
     async processFrame(frame) {
-        this._validateFrame(frame.buffer);
+        const buffer = this._toBuffer(frame);
+        this._validateFrame(buffer);
 
-        let processedFrame = Buffer.from(frame.buffer);
+        // Copy so the caller's buffer is left untouched, unless it is our shared slot
+        return this._runPipeline({
+            processedFrame: frame.shared ? buffer : Buffer.from(buffer),
+            width: this.frameWidth,
+            height: this.frameHeight,
+            format: this.processing.format,
+            compressed: false
+        });
+    }
 
-        if (this.processing.compression.enabled) {
-            processedFrame = await this._compressFrame(processedFrame);
+    /**
+     * Pipeline matching the processing flags
+     * @protected
+     * @param {Object} processing - Processing settings
+     * @returns {Object[]} Pipeline entries
+     */
+    _getDefaultPipeline(processing) {
+        const pipeline = [];
+        if (processing.forceOpacity) {
+            pipeline.push({ stage: 'opacity' });
         }
-
-        if (this.processing.forceOpacity) {
-            this._enforceOpacity(processedFrame);
+        if (processing.compression?.enabled) {
+            pipeline.push({ stage: 'compress' });
         }
+        return pipeline;
+    }
 
-        return {
-            processedFrame,
-            width: this.frameWidth,
-            height: this.frameHeight,
-            format: this.processing.format,
-            compressed: this.processing.compression.enabled
-        };
+    /**
+     * Accept frames as Buffers, typed arrays (Buffers arrive as Uint8Array after
+     * crossing the worker boundary) or objects with a buffer property
+     * @private
+     */
+    _toBuffer(frame) {
+        const data = ArrayBuffer.isView(frame) ? frame : frame?.buffer;
+        if (ArrayBuffer.isView(data) && !Buffer.isBuffer(data)) {
+            return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+        }
+        return data;
     }
 
     /**
@@ -55,32 +85,8 @@ class ColorWorker extends BaseWorker {
             throw new Error(`Invalid frame size: ${buffer.length}, expected: ${expectedSize}`);
         }
     }
-
-    /**
-     * Ensure full opacity for all pixels in chunks
-     * @private
-     * @param {Buffer} buffer - Frame buffer to process
-     */
-    _enforceOpacity(buffer) {
-        for (let offset = 3; offset < buffer.length; offset += this.chunkSize * 4) {
-            const end = Math.min(offset + (this.chunkSize * 4), buffer.length);
-            for (let i = offset; i < end; i += 4) {
-                buffer[i] = 255; // Set alpha channel to fully opaque
-            }
-        }
-    }
-
-    /**
-     * Compress frame data according to config settings
-     * @private
-     * @param {Buffer} buffer - Frame buffer to compress
-     * @returns {Promise<Buffer>} Compressed frame data
-     */
-    async _compressFrame(buffer) {
-        // TODO: Implement compression using config.sensors.color.processing.compression settings
-        // For now, return uncompressed buffer
-        return buffer;
-    }
 }
 
-module.exports = new ColorWorker();
+ColorWorker.runInThread();
+
+module.exports = ColorWorker;
@@ -0,0 +1,166 @@
+/**
+ * Colormaps for rendering depth frames as RGBA images. Every map is expanded
+ * into a 256 entry lookup table of RGB triples, so colorizing a pixel is one
+ * table lookup.
+ */
+
+const LUT_SIZE = 256;
+
+const clamp01 = value => Math.min(1, Math.max(0, value));
+
+/**
+ * Colour stops sampled evenly from matplotlib's perceptually uniform maps
+ */
+const VIRIDIS = [
+    [68, 1, 84], [72, 40, 120], [62, 73, 137], [49, 104, 142], [38, 130, 142],
+    [31, 158, 137], [53, 183, 121], [110, 206, 88], [253, 231, 37]
+];
+const INFERNO = [
+    [0, 0, 4], [27, 12, 65], [74, 12, 107], [120, 28, 109], [165, 44, 96],
+    [207, 68, 70], [237, 105, 37], [251, 155, 6], [252, 255, 164]
+];
+
+/**
+ * Built-in maps as functions from a position in [0, 1] to RGB in [0, 1]
+ */
+const GENERATORS = {
+    jet: t => [
+        clamp01(1.5 - Math.abs(4 * t - 3)),
+        clamp01(1.5 - Math.abs(4 * t - 2)),
+        clamp01(1.5 - Math.abs(4 * t - 1))
+    ],
+    // Polynomial approximation of Google's Turbo
+    turbo: t => [
+        0.13572138 + t * (4.61539260 + t * (-42.66032258 + t * (132.13108234 + t * (-152.94239396 + t * 59.28637943)))),
+        0.09140261 + t * (2.19418839 + t * (4.84296658 + t * (-14.18503333 + t * (4.27729857 + t * 2.82956604)))),
+        0.10667330 + t * (12.64194608 + t * (-60.58204836 + t * (110.36276771 + t * (-89.90310912 + t * 27.34824973))))
+    ].map(clamp01),
+    viridis: t => interpolate(VIRIDIS, t).map(channel => channel / 255),
+    inferno: t => interpolate(INFERNO, t).map(channel => channel / 255),
+    grayscale: t => [t, t, t]
+};
+
+/**
+ * Colormap names accepted by createColorLut; custom maps supply their own colours
+ */
+const COLOR_MAPS = [...Object.keys(GENERATORS), 'custom'];
+
+/**
+ * Colour at a position along evenly spaced stops
+ * @param {number[][]} stops - RGB stops
+ * @param {number} t - Position in [0, 1]
+ * @returns {number[]} Interpolated RGB
+ */
+function interpolate(stops, t) {
+    const position = t * (stops.length - 1);
+    const index = Math.min(Math.floor(position), stops.length - 2);
+    const fraction = position - index;
+    return [0, 1, 2].map(channel =>
+        stops[index][channel] + (stops[index + 1][channel] - stops[index][channel]) * fraction);
+}
+
+/**
+ * Build the lookup table for a colormap
+ * @param {string} [colorMap='jet'] - One of COLOR_MAPS
+ * @param {number[][]} [colors] - RGB colours (0-255) of a custom map, from nearest
+ *     to farthest; at least two, spread evenly over the range
+ * @returns {Uint8Array} LUT_SIZE RGB triples
+ * @throws {TypeError} If the map is unknown or the custom colours are invalid
+ */
+function createColorLut(colorMap = 'jet', colors) {
+    let generate = GENERATORS[colorMap];
+    if (colorMap === 'custom') {
+        if (!Array.isArray(colors) || colors.length < 2) {
+            throw new TypeError('A custom colormap needs at least two colors');
+        }
+        colors.forEach((color, index) => {
+            if (!isColor(color) || color.length !== 3) {
+                throw new TypeError(`Invalid color at index ${index}: expected [r, g, b] with values 0-255`);
+            }
+        });
+        generate = t => interpolate(colors, t).map(channel => channel / 255);
+    }
+    if (!generate) {
+        throw new TypeError(`Unknown colormap: ${colorMap} (available: ${COLOR_MAPS.join(', ')})`);
+    }
+
+    const lut = new Uint8Array(LUT_SIZE * 3);
+    for (let i = 0; i < LUT_SIZE; i++) {
+        const rgb = generate(i / (LUT_SIZE - 1));
+        for (let channel = 0; channel < 3; channel++) {
+            lut[i * 3 + channel] = Math.round(rgb[channel] * 255);
+        }
+    }
+    return lut;
+}
+
+/**
+ * Check for an RGB or RGBA colour with byte channels
+ * @param {*} color - Candidate colour
+ * @returns {boolean}
+ */
+function isColor(color) {
+    return Array.isArray(color) && (color.length === 3 || color.length === 4) &&
+        color.every(channel => Number.isInteger(channel) && channel >= 0 && channel <= 255);
+}
+
+/**
+ * Nearest and farthest valid depth in a frame
+ * @param {Uint16Array} depths - Depths in mm, 0 for no reading
+ * @returns {{min: number, max: number}|null} Extent, or null if no pixel has a reading
+ */
+function depthExtent(depths) {
+    let min = Infinity;
+    let max = 0;
+    for (let i = 0; i < depths.length; i++) {
+        const depth = depths[i];
+        if (depth === 0) continue;
+        if (depth < min) min = depth;
+        if (depth > max) max = depth;
+    }
+    return max > 0 ? { min, max } : null;
+}
+
+/**
+ * Render depths as RGBA. Depths at or below min get the first colour, at or
+ * above max the last one.
+ * @param {Uint16Array} depths - Depths in mm, 0 for no reading
+ * @param {Object} options - Rendering options
+ * @param {Uint8Array} options.lut - Table from createColorLut
+ * @param {number} options.min - Depth drawn with the first colour
+ * @param {number} options.max - Depth drawn with the last colour
+ * @param {number[]} [options.invalidColor=[0, 0, 0, 0]] - RGB(A) of pixels without a reading
+ * @returns {Buffer} 4 bytes per pixel
+ */
+function colorizeDepth(depths, { lut, min, max, invalidColor = [0, 0, 0, 0] }) {
+    const rgba = Buffer.allocUnsafe(depths.length * 4);
+    const scale = (LUT_SIZE - 1) / Math.max(1, max - min);
+    const [invalidR, invalidG, invalidB, invalidA = 255] = invalidColor;
+
+    for (let i = 0, offset = 0; i < depths.length; i++, offset += 4) {
+        const depth = depths[i];
+        if (depth === 0) {
+            rgba[offset] = invalidR;
+            rgba[offset + 1] = invalidG;
+            rgba[offset + 2] = invalidB;
+            rgba[offset + 3] = invalidA;
+            continue;
+        }
+
+        const entry = Math.min(LUT_SIZE - 1, Math.max(0, Math.round((depth - min) * scale))) * 3;
+        rgba[offset] = lut[entry];
+        rgba[offset + 1] = lut[entry + 1];
+        rgba[offset + 2] = lut[entry + 2];
+        rgba[offset + 3] = 255;
+    }
+    return rgba;
+}
+
+module.exports = {
+    COLOR_MAPS,
+    LUT_SIZE,
+    colorizeDepth,
+    createColorLut,
+    depthExtent,
+    isColor
+};
@@ -0,0 +1,96 @@
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+
+/**
+ * Image formats supported by encodeImage
+ */
+const IMAGE_FORMATS = ['jpeg', 'png'];
+
+/**
+ * Downscale an RGBA image by averaging the source pixels covered by each
+ * destination pixel
+ * @param {Buffer} rgba - Source pixels, 4 bytes per pixel
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {number} scale - Scale factor in (0, 1]
+ * @returns {{data: Buffer, width: number, height: number}} Scaled image
+ * @throws {RangeError} If the scale is out of range
+ */
+function downscale(rgba, width, height, scale) {
+    if (typeof scale !== 'number' || !(scale > 0) || scale > 1) {
+        throw new RangeError('Scale must be a number in (0, 1]');
+    }
+    if (scale === 1) {
+        return { data: rgba, width, height };
+    }
+
+    const outWidth = Math.max(1, Math.round(width * scale));
+    const outHeight = Math.max(1, Math.round(height * scale));
+    const out = Buffer.alloc(outWidth * outHeight * 4);
+    const sums = new Float64Array(4);
+
+    for (let y = 0; y < outHeight; y++) {
+        const y0 = Math.floor(y * height / outHeight);
+        const y1 = Math.max(y0 + 1, Math.floor((y + 1) * height / outHeight));
+
+        for (let x = 0; x < outWidth; x++) {
+            const x0 = Math.floor(x * width / outWidth);
+            const x1 = Math.max(x0 + 1, Math.floor((x + 1) * width / outWidth));
+
+            sums.fill(0);
+            for (let sy = y0; sy < y1; sy++) {
+                let offset = (sy * width + x0) * 4;
+                for (let sx = x0; sx < x1; sx++, offset += 4) {
+                    sums[0] += rgba[offset];
+                    sums[1] += rgba[offset + 1];
+                    sums[2] += rgba[offset + 2];
+                    sums[3] += rgba[offset + 3];
+                }
+            }
+
+            const count = (y1 - y0) * (x1 - x0);
+            const target = (y * outWidth + x) * 4;
+            out[target] = Math.round(sums[0] / count);
+            out[target + 1] = Math.round(sums[1] / count);
+            out[target + 2] = Math.round(sums[2] / count);
+            out[target + 3] = Math.round(sums[3] / count);
+        }
+    }
+
+    return { data: out, width: outWidth, height: outHeight };
+}
+
+/**
+ * Encode an RGBA image
+ * @param {Buffer} rgba - Pixels, 4 bytes per pixel
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} options - Encoding options
+ * @param {string} options.format - 'jpeg' (lossy, alpha dropped) or 'png' (lossless)
+ * @param {number} [options.quality=0.8] - JPEG quality in (0, 1]
+ * @returns {Buffer} Encoded image
+ * @throws {Error} If the format or quality is invalid
+ */
+function encodeImage(rgba, width, height, { format, quality = 0.8 } = {}) {
+    switch (format) {
+        case 'jpeg': {
+            if (typeof quality !== 'number' || !(quality > 0) || quality > 1) {
+                throw new RangeError('JPEG quality must be a number in (0, 1]');
+            }
+            return jpeg.encode({ data: rgba, width, height }, Math.round(quality * 100)).data;
+        }
+        case 'png': {
+            const png = new PNG({ width, height });
+            rgba.copy(png.data);
+            return PNG.sync.write(png);
+        }
+        default:
+            throw new Error(`Unsupported image format: ${format} (available: ${IMAGE_FORMATS.join(', ')})`);
+    }
+}
+
+module.exports = {
+    IMAGE_FORMATS,
+    downscale,
+    encodeImage
+};
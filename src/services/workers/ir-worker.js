@@ -1,30 +1,46 @@
 const BaseWorker = require('./base-worker');
-const { performance } = require('perf_hooks');
 
 class IRWorker extends BaseWorker {
     constructor(config) {
         super(config);
-        const { frameSize, processing } = config;
+        const { frameSize, processing } = this.config;
         this.frameWidth = frameSize.width;
         this.frameHeight = frameSize.height;
         this.processing = processing;
-        this.chunkSize = 1024;
+        this.sensorType = 'infrared';
+    }
+
+    /**
+     * Refresh the processing settings cached by the constructor
+     * @param {Object} config - New worker configuration
+     */
+    updateConfig(config) {
+        super.updateConfig(config);
+        this.processing = this.config.processing;
     }
 
     async processFrame(frame) {
         this._validateFrame(frame.buffer);
 
-        const sourceFrame = new Uint16Array(frame.buffer);
-        const processed = new Uint16Array(sourceFrame.length);
-
-        this._processFrameChunks(sourceFrame, processed);
+        const sourceFrame = this._toUint16(frame.buffer);
 
-        return {
-            processedFrame: processed,
+        // Stages work in place, so a shared slot is processed without a copy
+        return this._runPipeline({
+            processedFrame: frame.shared ? sourceFrame : sourceFrame.slice(),
             width: this.frameWidth,
             height: this.frameHeight,
             format: this.processing.format
-        };
+        });
+    }
+
+    /**
+     * Pipeline matching the processing flags
+     * @protected
+     * @param {Object} processing - Processing settings
+     * @returns {Object[]} Pipeline entries
+     */
+    _getDefaultPipeline(processing) {
+        return processing.gammaCorrection ? [{ stage: 'gamma', options: { gamma: 0.5 } }] : [];
     }
 
     _validateFrame(buffer) {
@@ -32,32 +48,27 @@ class IRWorker extends BaseWorker {
             throw new Error('Invalid frame data: missing buffer');
         }
 
-        const frame = new Uint16Array(buffer);
+        const frame = this._toUint16(buffer);
         const expectedSize = this.frameWidth * this.frameHeight;
         if (frame.length !== expectedSize) {
             throw new Error(`Invalid frame size: ${frame.length}, expected: ${expectedSize}`);
         }
     }
 
-    _processFrameChunks(frame, processed) {
-        for (let offset = 0; offset < frame.length; offset += this.chunkSize) {
-            const end = Math.min(offset + this.chunkSize, frame.length);
-            for (let i = offset; i < end; i++) {
-                processed[i] = frame[i];
-            }
-        }
-
-        if (this.processing.gammaCorrection) {
-            this._applyGammaCorrection(processed);
-        }
-    }
-
-    _applyGammaCorrection(data) {
-        const gamma = 0.5;
-        for (let i = 0; i < data.length; i++) {
-            data[i] = Math.pow(data[i] / 65535, gamma) * 65535;
+    /**
+     * View frame bytes as 16-bit pixels without copying
+     * @private
+     * @param {ArrayBuffer|ArrayBufferView} buffer - Frame bytes
+     * @returns {Uint16Array} Pixels
+     */
+    _toUint16(buffer) {
+        if (ArrayBuffer.isView(buffer)) {
+            return new Uint16Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 2);
         }
+        return new Uint16Array(buffer);
     }
 }
 
-module.exports = new IRWorker();
+IRWorker.runInThread();
+
+module.exports = IRWorker;
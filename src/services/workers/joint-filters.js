@@ -0,0 +1,282 @@
+/**
+ * Stateful joint position filters for body tracking. Each tracked body keeps
+ * one filter per joint across frames, so smoothing works from the positions
+ * the body had in earlier frames rather than from fields on the frame itself.
+ */
+
+const { JOINT_GROUP_OF } = require('../joint-topology');
+
+const FILTER_TYPES = ['holt', 'oneEuro', 'none'];
+
+/**
+ * Tracking state of joints the device inferred rather than saw
+ */
+const TRACKING_STATE_INFERRED = 1;
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+
+const lerp = (from, to, t) => ({
+    x: from.x + (to.x - from.x) * t,
+    y: from.y + (to.y - from.y) * t,
+    z: from.z + (to.z - from.z) * t
+});
+
+/**
+ * Holt double exponential filter as used by the Kinect SDK: the position is
+ * smoothed together with its trend, jitter below jitterRadius is damped, the
+ * output is predicted ahead along the trend and never strays further than
+ * maxDeviationRadius from the raw position. Inferred joints use doubled radii.
+ */
+class HoltFilter {
+    /**
+     * @param {Object} params - Filter parameters
+     * @param {number} [params.smoothing=0.5] - Weight of the prediction from earlier frames [0, 1]
+     * @param {number} params.correction - How quickly the trend follows the data [0, 1]
+     * @param {number} params.prediction - Frames to predict ahead along the trend [0, 1]
+     * @param {number} params.jitterRadius - Movement in metres treated as jitter
+     * @param {number} params.maxDeviationRadius - Largest distance in metres from the raw position
+     */
+    constructor({ smoothing = 0.5, correction, prediction, jitterRadius, maxDeviationRadius }) {
+        this.params = { smoothing, correction, prediction, jitterRadius, maxDeviationRadius };
+        this.reset();
+    }
+
+    reset() {
+        this.raw = null;
+        this.filtered = null;
+        this.trend = { x: 0, y: 0, z: 0 };
+        this.frames = 0;
+    }
+
+    /**
+     * @param {Object} position - Raw position in metres, { x, y, z }
+     * @param {Object} [options]
+     * @param {number} [options.trackingState] - Tracking state of the joint
+     * @returns {Object} Filtered position
+     */
+    update(position, { trackingState } = {}) {
+        const { smoothing, correction, prediction } = this.params;
+        const radiusScale = trackingState === TRACKING_STATE_INFERRED ? 2 : 1;
+        const jitterRadius = this.params.jitterRadius * radiusScale;
+        const maxDeviationRadius = this.params.maxDeviationRadius * radiusScale;
+
+        let filtered;
+        if (this.frames === 0) {
+            filtered = position;
+        } else if (this.frames === 1) {
+            filtered = lerp(this.raw, position, 0.5);
+            this.#updateTrend(filtered, correction);
+        } else {
+            // Damp movements inside the jitter radius
+            const jitter = distance(position, this.filtered);
+            const damped = jitter <= jitterRadius && jitterRadius > 0
+                ? lerp(this.filtered, position, jitter / jitterRadius)
+                : position;
+
+            const expected = {
+                x: this.filtered.x + this.trend.x,
+                y: this.filtered.y + this.trend.y,
+                z: this.filtered.z + this.trend.z
+            };
+            filtered = lerp(damped, expected, smoothing);
+            this.#updateTrend(filtered, correction);
+        }
+
+        this.raw = position;
+        this.filtered = filtered;
+        this.frames = Math.min(this.frames + 1, 2);
+
+        let predicted = {
+            x: filtered.x + this.trend.x * prediction,
+            y: filtered.y + this.trend.y * prediction,
+            z: filtered.z + this.trend.z * prediction
+        };
+        const deviation = distance(predicted, position);
+        if (deviation > maxDeviationRadius) {
+            predicted = lerp(position, predicted, maxDeviationRadius / deviation);
+        }
+        return predicted;
+    }
+
+    #updateTrend(filtered, correction) {
+        this.trend = lerp(this.trend, {
+            x: filtered.x - this.filtered.x,
+            y: filtered.y - this.filtered.y,
+            z: filtered.z - this.filtered.z
+        }, correction);
+    }
+}
+
+/**
+ * One Euro filter (Casiez et al., 2012): a low-pass filter whose cutoff rises
+ * with speed, so slow movements are smoothed hard and fast ones lag little
+ */
+class OneEuroFilter {
+    /**
+     * @param {Object} params - Filter parameters
+     * @param {number} params.minCutoff - Cutoff frequency in Hz at rest; lower smooths more
+     * @param {number} params.beta - Cutoff increase per m/s of speed; higher lags less
+     * @param {number} params.derivativeCutoff - Cutoff frequency in Hz of the speed estimate
+     */
+    constructor({ minCutoff, beta, derivativeCutoff }) {
+        this.params = { minCutoff, beta, derivativeCutoff };
+        this.reset();
+    }
+
+    reset() {
+        this.filtered = null;
+        this.velocity = { x: 0, y: 0, z: 0 };
+        this.timestamp = null;
+    }
+
+    /**
+     * @param {Object} position - Raw position in metres, { x, y, z }
+     * @param {Object} options
+     * @param {number} options.timestamp - Frame time in milliseconds
+     * @returns {Object} Filtered position
+     */
+    update(position, { timestamp }) {
+        const elapsed = this.timestamp === null ? 0 : (timestamp - this.timestamp) / 1000;
+        if (this.filtered === null || !(elapsed > 0)) {
+            // Repeated timestamps carry no speed information
+            this.filtered ??= position;
+            this.timestamp ??= timestamp;
+            return this.filtered;
+        }
+
+        const { minCutoff, beta, derivativeCutoff } = this.params;
+        const rawVelocity = {
+            x: (position.x - this.filtered.x) / elapsed,
+            y: (position.y - this.filtered.y) / elapsed,
+            z: (position.z - this.filtered.z) / elapsed
+        };
+        this.velocity = lerp(this.velocity, rawVelocity, OneEuroFilter.#alpha(derivativeCutoff, elapsed));
+
+        const speed = Math.hypot(this.velocity.x, this.velocity.y, this.velocity.z);
+        const cutoff = minCutoff + beta * speed;
+        this.filtered = lerp(this.filtered, position, OneEuroFilter.#alpha(cutoff, elapsed));
+        this.timestamp = timestamp;
+        return this.filtered;
+    }
+
+    static #alpha(cutoff, elapsed) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / elapsed);
+    }
+}
+
+const FILTERS = {
+    holt: HoltFilter,
+    oneEuro: OneEuroFilter
+};
+
+/**
+ * Filter settings of a joint group: the smoothing settings with the group's
+ * overrides from smoothing.groups applied
+ * @param {Object} smoothing - processing.smoothing
+ * @param {string} [group] - Joint group, a key of JOINT_GROUPS in joint-topology
+ * @returns {Object} Settings with filter, the Holt parameters and oneEuro
+ */
+function resolveFilterSettings(smoothing = {}, group) {
+    const { groups, ...base } = smoothing;
+    const override = (group && groups?.[group]) || {};
+    return {
+        ...base,
+        ...override,
+        filter: override.filter ?? base.filter ?? 'holt',
+        oneEuro: { ...base.oneEuro, ...override.oneEuro }
+    };
+}
+
+/**
+ * Per-body, per-joint filter state kept across frames by trackingId. Bodies
+ * that are not seen for timeout milliseconds are forgotten, so a returning
+ * trackingId starts from fresh filters.
+ */
+class JointFilterBank {
+    /**
+     * @param {Object} smoothing - processing.smoothing
+     * @param {Object} [options]
+     * @param {number} [options.timeout=5000] - Milliseconds to keep the state of unseen bodies
+     */
+    constructor(smoothing, { timeout = 5000 } = {}) {
+        this.smoothing = smoothing;
+        this.timeout = timeout;
+        this.bodies = new Map();
+        this.settings = new Map();
+    }
+
+    /**
+     * Filter one joint of a body
+     * @param {*} trackingId - Tracking id of the body
+     * @param {string} jointKey - Joint name the filter state is kept under
+     * @param {Object} joint - Joint with position and trackingState
+     * @param {number} timestamp - Frame time in milliseconds
+     * @returns {Object} { position, previousPosition }, previousPosition being
+     *  the filtered position of the previous frame, or undefined on the first
+     */
+    apply(trackingId, jointKey, joint, timestamp) {
+        let body = this.bodies.get(trackingId);
+        if (!body) {
+            body = { joints: new Map(), lastSeen: timestamp };
+            this.bodies.set(trackingId, body);
+        }
+        body.lastSeen = timestamp;
+
+        let state = body.joints.get(jointKey);
+        if (!state) {
+            state = { filter: this.#createFilter(jointKey), position: undefined };
+            body.joints.set(jointKey, state);
+        }
+
+        const previousPosition = state.position;
+        state.position = state.filter
+            ? state.filter.update(joint.position, { timestamp, trackingState: joint.trackingState })
+            : joint.position;
+        return { position: state.position, previousPosition };
+    }
+
+    /**
+     * Forget bodies not seen within the timeout
+     * @param {number} timestamp - Current frame time in milliseconds
+     */
+    prune(timestamp) {
+        for (const [trackingId, body] of this.bodies) {
+            if (timestamp - body.lastSeen > this.timeout) {
+                this.bodies.delete(trackingId);
+            }
+        }
+    }
+
+    /**
+     * Forget every body, for example after the settings changed
+     */
+    clear() {
+        this.bodies.clear();
+        this.settings.clear();
+    }
+
+    #createFilter(jointKey) {
+        const group = JOINT_GROUP_OF[jointKey];
+        if (!this.settings.has(group)) {
+            this.settings.set(group, resolveFilterSettings(this.smoothing, group));
+        }
+
+        const settings = this.settings.get(group);
+        if (!FILTER_TYPES.includes(settings.filter)) {
+            throw new Error(`Unknown joint filter: ${settings.filter} (available: ${FILTER_TYPES.join(', ')})`);
+        }
+
+        const Filter = FILTERS[settings.filter];
+        if (!Filter) return null;
+        return new Filter(settings.filter === 'oneEuro' ? settings.oneEuro : settings);
+    }
+}
+
+module.exports = {
+    FILTER_TYPES,
+    HoltFilter,
+    JointFilterBank,
+    OneEuroFilter,
+    resolveFilterSettings
+};
@@ -0,0 +1,172 @@
+const path = require('path');
+
+/**
+ * A named frame transform that can appear in a sensor's processing pipeline.
+ * Stage modules export one definition or an array of them.
+ * @typedef {Object} StageDefinition
+ * @property {string} name - Name used in pipeline definitions
+ * @property {string[]} [sensors] - Sensor types the stage works on; every type when omitted
+ * @property {function(Object, Object): function(Object): (Object|void|Promise<Object|void>)} create -
+ *     Builds the stage from its options and the worker context ({ sensorType, config }).
+ *     The returned function receives the frame result ({ processedFrame, width, height, ... }),
+ *     and either changes it in place or returns a replacement.
+ */
+
+/**
+ * Named pipeline stages available to a worker thread. Each thread has its own
+ * registry, so stages reach workers by module path rather than by registering
+ * them on the main thread.
+ */
+class StageRegistry {
+    #stages = new Map();
+
+    /**
+     * Add a stage
+     * @param {StageDefinition} definition - Stage to add
+     * @returns {StageRegistry} The registry, for chaining
+     * @throws {TypeError} If the definition is invalid or the name is taken
+     */
+    register(definition) {
+        if (typeof definition?.name !== 'string' || !definition.name) {
+            throw new TypeError('Pipeline stage name is required');
+        }
+        if (typeof definition.create !== 'function') {
+            throw new TypeError(`Pipeline stage ${definition.name} must have a create function`);
+        }
+        if (this.#stages.has(definition.name)) {
+            throw new TypeError(`Pipeline stage already registered: ${definition.name}`);
+        }
+
+        this.#stages.set(definition.name, definition);
+        return this;
+    }
+
+    /**
+     * Register the stages exported by a module. Loading the same module again
+     * is a no-op.
+     * @param {string} modulePath - Module file, relative to the working directory
+     * @returns {string[]} Names of the stages the module provides
+     * @throws {Error} If the module cannot be loaded or a stage name is taken
+     */
+    load(modulePath) {
+        const exported = require(path.resolve(modulePath));
+        const definitions = Array.isArray(exported) ? exported : [exported];
+
+        for (const definition of definitions) {
+            if (this.#stages.get(definition?.name) !== definition) {
+                this.register(definition);
+            }
+        }
+        return definitions.map(definition => definition.name);
+    }
+
+    /**
+     * Look up a stage by name
+     * @param {string} name - Stage name
+     * @param {string} [sensorType] - Sensor the stage must support
+     * @returns {StageDefinition} Stage definition
+     * @throws {TypeError} If the stage is unknown or does not support the sensor
+     */
+    get(name, sensorType) {
+        const definition = this.#stages.get(name);
+        if (!definition || !this.#supports(definition, sensorType)) {
+            throw new TypeError(`Unknown ${sensorType ? `${sensorType} ` : ''}pipeline stage: ${name} (available: ${this.names(sensorType).join(', ')})`);
+        }
+        return definition;
+    }
+
+    /**
+     * Names of the registered stages
+     * @param {string} [sensorType] - Only list stages supporting this sensor
+     * @returns {string[]} Stage names
+     */
+    names(sensorType) {
+        return [...this.#stages.values()]
+            .filter(definition => this.#supports(definition, sensorType))
+            .map(definition => definition.name);
+    }
+
+    #supports(definition, sensorType) {
+        return !sensorType || !definition.sensors || definition.sensors.includes(sensorType);
+    }
+}
+
+/**
+ * Ordered stages built from a pipeline definition such as
+ * [{ stage: 'depthRange', options: { min: 800 } }, { module: './filters/fill.js' }].
+ * Entries with a module load it into the registry first and use its only
+ * stage, or the one named by stage.
+ */
+class Pipeline {
+    #stages;
+
+    /**
+     * @param {Object[]} definition - Pipeline entries
+     * @param {Object} context - Worker context passed to every stage
+     * @param {string} context.sensorType - Sensor the worker processes
+     * @param {Object} context.config - Worker configuration
+     * @param {StageRegistry} [registry=stageRegistry] - Where stages are looked up
+     * @throws {Error} If a stage is unknown or its options are invalid
+     */
+    constructor(definition, context, registry = stageRegistry) {
+        this.#stages = definition.map(({ stage, module, options = {} }) => {
+            let name = stage;
+            if (module) {
+                const names = registry.load(module);
+                if (!name && names.length !== 1) {
+                    throw new TypeError(`Pipeline module ${module} provides ${names.length} stages; choose one with stage`);
+                }
+                name = name || names[0];
+            }
+
+            const { create } = registry.get(name, context.sensorType);
+            try {
+                return { name, run: create(options, context) };
+            } catch (error) {
+                error.message = `Invalid options for pipeline stage ${name}: ${error.message}`;
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Names of the stages, in order
+     * @returns {string[]}
+     */
+    get stages() {
+        return this.#stages.map(stage => stage.name);
+    }
+
+    /**
+     * Pass a frame result through every stage
+     * @param {Object} frame - Result to process, usually { processedFrame, width, height }
+     * @returns {Promise<Object>} Processed result
+     * @throws {Error} Naming the stage that failed
+     */
+    async run(frame) {
+        let result = frame;
+        for (const { name, run } of this.#stages) {
+            try {
+                result = (await run(result)) ?? result;
+            } catch (error) {
+                error.message = `Pipeline stage ${name} failed: ${error.message}`;
+                throw error;
+            }
+        }
+        return result;
+    }
+}
+
+/**
+ * Registry with the built-in stages, shared by the workers of a thread
+ */
+const stageRegistry = new StageRegistry();
+for (const definition of require('./stages')) {
+    stageRegistry.register(definition);
+}
+
+module.exports = {
+    Pipeline,
+    StageRegistry,
+    stageRegistry
+};
@@ -0,0 +1,54 @@
+const { downscale, encodeImage } = require('../image-encoder');
+
+/**
+ * Built-in stages for RGBA color frames
+ */
+
+const opacity = {
+    name: 'opacity',
+    sensors: ['color'],
+
+    /**
+     * Make every pixel fully opaque
+     */
+    create() {
+        return ({ processedFrame: pixels }) => {
+            for (let i = 3; i < pixels.length; i += 4) {
+                pixels[i] = 255;
+            }
+        };
+    }
+};
+
+const compress = {
+    name: 'compress',
+    sensors: ['color'],
+
+    /**
+     * Encode the frame as an image, downscaling first when scale is below 1.
+     * Later stages receive the encoded bytes.
+     * @param {Object} options - Stage options, defaulting to processing.compression
+     * @param {string} [options.format='jpeg'] - One of IMAGE_FORMATS
+     * @param {number} [options.quality=0.8] - JPEG quality in (0, 1]
+     * @param {number} [options.scale=1] - Scale factor in (0, 1]
+     * @param {Object} context - Worker context
+     */
+    create(options = {}, { config }) {
+        const { format = 'jpeg', quality = 0.8, scale = 1 } = { ...config.processing?.compression, ...options };
+
+        return frame => {
+            const image = downscale(frame.processedFrame, frame.width, frame.height, scale);
+            return {
+                ...frame,
+                processedFrame: encodeImage(image.data, image.width, image.height, { format, quality }),
+                width: image.width,
+                height: image.height,
+                format,
+                compressed: true,
+                quality: format === 'jpeg' ? quality : null
+            };
+        };
+    }
+};
+
+module.exports = [opacity, compress];
@@ -0,0 +1,178 @@
+/**
+ * Built-in stages for depth frames: 16-bit distances in millimetres, with 0
+ * marking pixels that have no valid reading
+ */
+
+const { CameraIntrinsics } = require('../../camera-intrinsics');
+const { colorizeDepth, createColorLut, depthExtent, isColor } = require('../colormap');
+
+const depthRange = {
+    name: 'depthRange',
+    sensors: ['depth'],
+
+    /**
+     * Zero pixels outside the reliable range
+     * @param {Object} options - Stage options
+     * @param {number} [options.min] - Nearest valid depth in mm (default calibration.minReliableDistance)
+     * @param {number} [options.max] - Farthest valid depth in mm (default calibration.maxReliableDistance)
+     * @param {number} [options.confidenceThreshold] - Also drop depths below this fraction of max
+     * @param {Object} context - Worker context
+     */
+    create({ min, max, confidenceThreshold } = {}, { config }) {
+        const far = max ?? config.calibration.maxReliableDistance;
+        const near = Math.max(1, min ?? config.calibration.minReliableDistance, (confidenceThreshold || 0) * far);
+
+        return ({ processedFrame: pixels }) => {
+            for (let i = 0; i < pixels.length; i++) {
+                if (pixels[i] < near || pixels[i] > far) {
+                    pixels[i] = 0;
+                }
+            }
+        };
+    }
+};
+
+const normalize = {
+    name: 'normalize',
+    sensors: ['depth'],
+
+    /**
+     * Stretch depths between min and max over the full 16-bit range. Pixels
+     * without a reading stay 0.
+     * @param {Object} options - Stage options
+     * @param {number} [options.min] - Depth mapped to 0 (default calibration.minReliableDistance)
+     * @param {number} [options.max] - Depth mapped to 65535 (default calibration.maxReliableDistance)
+     * @param {number} [options.gamma=1] - Exponent applied to the normalised value
+     * @param {Object} context - Worker context
+     */
+    create({ min, max, gamma = 1 } = {}, { config }) {
+        const near = min ?? config.calibration.minReliableDistance;
+        const far = max ?? config.calibration.maxReliableDistance;
+        if (!(far > near)) {
+            throw new RangeError(`max (${far}) must be greater than min (${near})`);
+        }
+
+        return ({ processedFrame: pixels }) => {
+            for (let i = 0; i < pixels.length; i++) {
+                if (pixels[i] === 0) continue;
+                const normalized = Math.min(1, Math.max(0, (pixels[i] - near) / (far - near)));
+                pixels[i] = Math.round(normalized ** gamma * 65535);
+            }
+        };
+    }
+};
+
+/**
+ * Point cloud layouts produced by the pointCloud stage
+ */
+const POINT_CLOUD_OUTPUTS = ['packed', 'organized', 'both'];
+
+const pointCloud = {
+    name: 'pointCloud',
+    sensors: ['depth'],
+
+    /**
+     * Deproject depths into camera space points in metres (x right, y up,
+     * z ahead). Run it before normalize, while the frame still holds
+     * millimetres.
+     *
+     * The packed output attaches pointCloud, [x, y, z] triples of the valid
+     * pixels only. The organized output attaches organizedPointCloud, one
+     * triple per pixel in row-major order with NaN where there is no
+     * reading, and pointValidity, 1 for pixels with a point and 0 otherwise.
+     * @param {Object} options - Stage options
+     * @param {string} [options.output='packed'] - One of POINT_CLOUD_OUTPUTS
+     * @param {Object} [options.intrinsics] - Partial intrinsics overriding calibration.intrinsics
+     * @param {Object} context - Worker context
+     */
+    create({ output = 'packed', intrinsics } = {}, { config }) {
+        if (!POINT_CLOUD_OUTPUTS.includes(output)) {
+            throw new RangeError(`Invalid output: ${output} (expected ${POINT_CLOUD_OUTPUTS.join(', ')})`);
+        }
+
+        const { width, height } = config.frameSize;
+        const rays = CameraIntrinsics.forCamera('depth', config.calibration.intrinsics, intrinsics)
+            .scale(width, height)
+            .rays();
+        const packed = output !== 'organized';
+        const organized = output !== 'packed';
+
+        return frame => {
+            const depths = frame.processedFrame;
+            if (depths.length !== width * height) {
+                throw new RangeError(`Frame of ${depths.length} pixels does not match the ${width}x${height} intrinsics`);
+            }
+
+            let valid = 0;
+            for (let i = 0; i < depths.length; i++) {
+                if (depths[i] > 0) valid++;
+            }
+
+            const points = packed ? new Float32Array(valid * 3) : null;
+            const grid = organized ? new Float32Array(depths.length * 3).fill(NaN) : null;
+            const validity = organized ? new Uint8Array(depths.length) : null;
+
+            for (let i = 0, pointIndex = 0; i < depths.length; i++) {
+                if (depths[i] === 0) continue;
+
+                const z = depths[i] / 1000;
+                const x = rays[i * 2] * z;
+                const y = rays[i * 2 + 1] * z;
+                if (packed) {
+                    points[pointIndex++] = x;
+                    points[pointIndex++] = y;
+                    points[pointIndex++] = z;
+                }
+                if (organized) {
+                    grid[i * 3] = x;
+                    grid[i * 3 + 1] = y;
+                    grid[i * 3 + 2] = z;
+                    validity[i] = 1;
+                }
+            }
+
+            if (packed) frame.pointCloud = points;
+            if (organized) {
+                frame.organizedPointCloud = grid;
+                frame.pointValidity = validity;
+            }
+        };
+    }
+};
+
+const colorize = {
+    name: 'colorize',
+    sensors: ['depth'],
+
+    /**
+     * Attach colorized, an RGBA rendering of the depths. Run it before
+     * normalize, while the frame still holds millimetres.
+     * @param {Object} options - Stage options
+     * @param {string} [options.colorMap='jet'] - One of COLOR_MAPS
+     * @param {number[][]} [options.colors] - RGB stops of the custom colormap
+     * @param {boolean} [options.auto=false] - Stretch the colours over each frame's nearest and farthest depth
+     * @param {number} [options.min] - Depth drawn with the first colour (default calibration.minReliableDistance)
+     * @param {number} [options.max] - Depth drawn with the last colour (default calibration.maxReliableDistance)
+     * @param {number[]} [options.invalidColor=[0, 0, 0, 0]] - RGB(A) of pixels without a reading
+     * @param {Object} context - Worker context
+     */
+    create({ colorMap, colors, auto = false, min, max, invalidColor = [0, 0, 0, 0] } = {}, { config }) {
+        const lut = createColorLut(colorMap, colors);
+        const near = min ?? config.calibration.minReliableDistance;
+        const far = max ?? config.calibration.maxReliableDistance;
+        if (!auto && !(far > near)) {
+            throw new RangeError(`max (${far}) must be greater than min (${near})`);
+        }
+        if (!isColor(invalidColor)) {
+            throw new TypeError('Invalid invalidColor: expected [r, g, b] or [r, g, b, a] with values 0-255');
+        }
+
+        return frame => {
+            const range = auto ? depthExtent(frame.processedFrame) ?? { min: near, max: far } : { min: near, max: far };
+            frame.colorized = colorizeDepth(frame.processedFrame, { lut, ...range, invalidColor });
+            frame.colorRange = range;
+        };
+    }
+};
+
+module.exports = [depthRange, normalize, pointCloud, colorize];
@@ -0,0 +1,9 @@
+/**
+ * Stages registered with every worker's StageRegistry
+ */
+module.exports = [
+    ...require('./depth-stages'),
+    ...require('./infrared-stages'),
+    ...require('./color-stages'),
+    ...require('./sync-stages')
+];
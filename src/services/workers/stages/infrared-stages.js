@@ -0,0 +1,28 @@
+/**
+ * Built-in stages for 16-bit intensity frames
+ */
+
+const gamma = {
+    name: 'gamma',
+    sensors: ['infrared', 'depth'],
+
+    /**
+     * Apply a gamma curve over the full 16-bit range; values below 1 brighten
+     * dark pixels
+     * @param {Object} options - Stage options
+     * @param {number} [options.gamma=0.5] - Exponent
+     */
+    create({ gamma: exponent = 0.5 } = {}) {
+        if (!(exponent > 0)) {
+            throw new RangeError(`Invalid gamma: ${exponent}`);
+        }
+
+        return ({ processedFrame: pixels }) => {
+            for (let i = 0; i < pixels.length; i++) {
+                pixels[i] = Math.pow(pixels[i] / 65535, exponent) * 65535;
+            }
+        };
+    }
+};
+
+module.exports = [gamma];
@@ -0,0 +1,49 @@
+const { CoordinateMapper } = require('../../coordinate-mapper');
+
+/**
+ * Built-in stages for synchronized frames ({ timestamp, frames }), which
+ * carry the raw device frame of each sensor. They run on the main thread in
+ * the MultiSourceReader, whose context config is frameSync with the resolved
+ * camera calibration added.
+ */
+
+const registration = {
+    name: 'registration',
+    sensors: ['frameSync'],
+
+    /**
+     * Align depth and color. registeredColor attaches the color frame
+     * resampled into depth space, an RGBA image at the depth frame size.
+     * registeredDepth attaches the depth frame resampled into color space,
+     * distances from the color camera in mm at the color frame size.
+     * @param {Object} options - Stage options
+     * @param {boolean} [options.registeredColor=true] - Attach registeredColor
+     * @param {boolean} [options.registeredDepth=false] - Attach registeredDepth
+     * @param {Object} [options.extrinsics] - Depth to color transform overriding calibration.extrinsics
+     * @param {Object} context - Reader context
+     */
+    create({ registeredColor = true, registeredDepth = false, extrinsics } = {}, { config }) {
+        const mapper = CoordinateMapper.fromCalibration({
+            ...config.calibration,
+            extrinsics: { ...config.calibration.extrinsics, ...extrinsics }
+        });
+
+        return frame => {
+            const { depth, color } = frame.frames;
+            if (!depth) {
+                throw new Error('Synchronized frame has no depth frame to register');
+            }
+            if (registeredColor) {
+                if (!color) {
+                    throw new Error('Synchronized frame has no color frame to register');
+                }
+                frame.registeredColor = mapper.registerColor(depth, color);
+            }
+            if (registeredDepth) {
+                frame.registeredDepth = mapper.registerDepth(depth);
+            }
+        };
+    }
+};
+
+module.exports = [registration];
@@ -238,4 +238,27 @@ describe('BufferPool', () => {
             expect(stats.pools.depth.inUse).to.equal(1);
         });
     });
-});
\ No newline at end of file
+
+    describe('shared rings', () => {
+        it('should size ring slots for the buffer type', () => {
+            const ring = pool.createRing('depth', 3);
+
+            expect(ring.slotCount).to.equal(3);
+            expect(ring.slotSize).to.equal(512 * 424 * 2);
+            expect(() => pool.createRing('invalid', 1)).to.throw('Unknown buffer type: invalid');
+        });
+
+        it('should track rings until they are released', () => {
+            const ring = pool.createRing('infrared', 2);
+            expect(pool.getStats().sharedRings).to.deep.equal({ count: 1, slots: 2, byteLength: ring.byteLength });
+
+            pool.releaseRing(ring);
+            expect(pool.getStats().sharedRings.count).to.equal(0);
+        });
+
+        it('should let sensors opt out of shared frames', () => {
+            expect(pool.sharedFrames).to.equal(true);
+            expect(new BufferPool({ sharedFrames: false }).sharedFrames).to.equal(false);
+        });
+    });
+});
@@ -0,0 +1,102 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CameraIntrinsics, KINECT_V2_INTRINSICS, readIntrinsicsFile } = require('../src/services/camera-intrinsics');
+
+describe('CameraIntrinsics', () => {
+    const pinhole = { width: 8, height: 6, fx: 4, fy: 4, cx: 3.5, cy: 2.5 };
+
+    it('should validate its values', () => {
+        expect(() => new CameraIntrinsics({ ...pinhole, fx: 0 }))
+            .to.throw(TypeError, 'Invalid intrinsics: fx must be a positive number, got 0');
+        expect(() => new CameraIntrinsics({ ...pinhole, width: 1.5 }))
+            .to.throw(TypeError, 'Invalid intrinsics: width must be a positive integer, got 1.5');
+        expect(() => new CameraIntrinsics({ ...pinhole, distortion: { k4: 0.1 } }))
+            .to.throw(TypeError, 'Invalid intrinsics: unknown distortion term k4');
+        expect(new CameraIntrinsics(pinhole).distortion).to.deep.equal({ k1: 0, k2: 0, k3: 0, p1: 0, p2: 0 });
+    });
+
+    it('should overlay overrides on the Kinect v2 defaults', () => {
+        const intrinsics = CameraIntrinsics.forCamera('depth', null, { fx: 360, distortion: { k1: 0 } }, { fx: 370 });
+
+        expect(intrinsics.fx).to.equal(370);
+        expect(intrinsics.fy).to.equal(KINECT_V2_INTRINSICS.depth.fy);
+        expect(intrinsics.distortion).to.deep.include({ k1: 0, k2: KINECT_V2_INTRINSICS.depth.distortion.k2 });
+        expect(() => CameraIntrinsics.forCamera('infrared')).to.throw(TypeError, 'Unknown camera: infrared (expected depth or color)');
+    });
+
+    it('should project camera space points with y up', () => {
+        const intrinsics = new CameraIntrinsics(pinhole);
+
+        expect(intrinsics.project(0.5, 0.5, 1)).to.deep.equal([5.5, 0.5]);
+        expect(intrinsics.deproject(5.5, 0.5, 2)).to.deep.equal([1, 1, 2]);
+        expect(intrinsics.project(0, 0, -1)).to.equal(null);
+    });
+
+    it('should undo lens distortion when deprojecting', () => {
+        const intrinsics = CameraIntrinsics.forCamera('depth');
+
+        for (const [u, v] of [[0, 0], [511, 423], [100, 300]]) {
+            const [x, y] = intrinsics.project(...intrinsics.deproject(u, v, 2.5));
+            expect(x).to.be.closeTo(u, 0.01);
+            expect(y).to.be.closeTo(v, 0.01);
+        }
+    });
+
+    it('should scale to other resolutions', () => {
+        const half = new CameraIntrinsics(pinhole).scale(4, 3);
+
+        expect(half.toJSON()).to.deep.include({ width: 4, height: 3, fx: 2, fy: 2, cx: 1.5, cy: 1 });
+        expect(half.scale(4, 3)).to.equal(half);
+    });
+
+    it('should cache a ray per pixel', () => {
+        const intrinsics = new CameraIntrinsics(pinhole);
+        const rays = intrinsics.rays();
+
+        expect(rays).to.have.length(8 * 6 * 2);
+        expect([rays[0], rays[1]]).to.deep.equal([-3.5 / 4, 2.5 / 4]);
+        expect(intrinsics.rays()).to.equal(rays);
+    });
+
+    describe('readIntrinsicsFile', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'intrinsics-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        function writeFile(contents) {
+            const file = path.join(dir, 'intrinsics.json');
+            fs.writeFileSync(file, contents);
+            return file;
+        }
+
+        it('should read intrinsics keyed by camera', async () => {
+            const file = writeFile(JSON.stringify({ depth: { fx: 366 }, color: { cx: 960 } }));
+
+            expect(await readIntrinsicsFile(file)).to.deep.equal({ depth: { fx: 366 }, color: { cx: 960 } });
+        });
+
+        it('should reject malformed files and unknown cameras', async () => {
+            for (const [contents, message] of [
+                ['{', `Cannot read intrinsics file ${path.join(dir, 'intrinsics.json')}: `],
+                ['{"ir": {}}', 'must map depth and color to intrinsics, got ir'],
+                ['[1]', 'must map depth and color to intrinsics']
+            ]) {
+                const file = writeFile(contents);
+                try {
+                    await readIntrinsicsFile(file);
+                    expect.fail('Expected the file to be rejected');
+                } catch (error) {
+                    expect(error.message).to.include(message);
+                }
+            }
+        });
+    });
+});
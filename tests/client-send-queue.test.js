@@ -0,0 +1,162 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const WebSocket = require('ws');
+const { ClientSendQueue, POLICIES } = require('../src/services/client-send-queue');
+
+describe('ClientSendQueue', () => {
+    let ws;
+    let pending;
+
+    beforeEach(() => {
+        pending = [];
+        ws = {
+            readyState: WebSocket.OPEN,
+            bufferedAmount: 0,
+            written: [],
+            send: sinon.spy((message, callback) => {
+                ws.written.push(message);
+                ws.bufferedAmount += message.length;
+                pending.push({ message, callback });
+            })
+        };
+    });
+
+    /**
+     * Complete the oldest outstanding socket write
+     */
+    function drainOne() {
+        const { message, callback } = pending.shift();
+        ws.bufferedAmount -= message.length;
+        callback();
+    }
+
+    function drainAll() {
+        while (pending.length) drainOne();
+    }
+
+    describe('options', () => {
+        it('should apply defaults', () => {
+            expect(ClientSendQueue.resolveOptions()).to.include({ policy: POLICIES.DROP_OLDEST, maxQueuedFrames: 4 });
+        });
+
+        it('should reject invalid options', () => {
+            expect(() => ClientSendQueue.resolveOptions({ policy: 'block' })).to.throw(TypeError, 'Unknown backpressure policy: block');
+            expect(() => ClientSendQueue.resolveOptions({ highWaterMark: -1 })).to.throw(TypeError);
+            expect(() => ClientSendQueue.resolveOptions({ maxQueuedFrames: 0 })).to.throw(TypeError);
+        });
+    });
+
+    describe('delivery', () => {
+        it('should write directly while the socket buffer is below the high water mark', () => {
+            const queue = new ClientSendQueue(ws, { highWaterMark: 10 });
+
+            queue.send('aaaa', 'depth');
+            queue.send('bbbb', 'depth');
+
+            expect(ws.written).to.deep.equal(['aaaa', 'bbbb']);
+            expect(queue.queued).to.equal(0);
+        });
+
+        it('should queue behind a full socket buffer and flush in order as writes complete', () => {
+            const queue = new ClientSendQueue(ws, { highWaterMark: 4 });
+
+            queue.send('11111', 'depth');
+            queue.send('22', 'body');
+            queue.send('{"type":"status"}');
+            queue.send('33', 'depth');
+
+            expect(ws.written).to.deep.equal(['11111']);
+            expect(queue.getStats()).to.include({ queued: 3, queuedBytes: 21 });
+
+            drainAll();
+            expect(ws.written).to.deep.equal(['11111', '22', '{"type":"status"}', '33']);
+            expect(queue.getStats()).to.include({ queued: 0, queuedBytes: 0, sent: 4 });
+        });
+
+        it('should not write to closed sockets', () => {
+            ws.readyState = WebSocket.CLOSED;
+            const queue = new ClientSendQueue(ws);
+
+            queue.send('message');
+            expect(ws.send.called).to.equal(false);
+        });
+
+        it('should report failed writes', () => {
+            const queue = new ClientSendQueue(ws);
+            const onError = sinon.spy();
+            queue.on('error', onError);
+
+            queue.send('message');
+            pending.shift().callback(new Error('socket reset'));
+
+            expect(onError.firstCall.args[0].message).to.equal('socket reset');
+        });
+    });
+
+    describe('policies', () => {
+        function fillSocket(queue) {
+            queue.send('x'.repeat(100), 'color');
+        }
+
+        it('should drop the oldest frames per stream', () => {
+            const queue = new ClientSendQueue(ws, { highWaterMark: 10, maxQueuedFrames: 2 });
+            const onDropped = sinon.spy();
+            queue.on('dropped', onDropped);
+            fillSocket(queue);
+
+            ['d1', 'd2', 'd3', 'd4'].forEach(frame => queue.send(frame, 'depth'));
+            queue.send('b1', 'body');
+
+            expect(queue.getStats()).to.include({ queued: 3, dropped: 2 });
+            expect(queue.getStats().droppedByStream).to.deep.equal({ depth: 2 });
+            expect(onDropped.alwaysCalledWith('depth')).to.equal(true);
+
+            drainAll();
+            expect(ws.written.slice(1)).to.deep.equal(['d3', 'd4', 'b1']);
+        });
+
+        it('should keep only the latest frame per stream', () => {
+            const queue = new ClientSendQueue(ws, { policy: POLICIES.LATEST, highWaterMark: 10 });
+            fillSocket(queue);
+
+            ['d1', 'd2', 'd3'].forEach(frame => queue.send(frame, 'depth'));
+            ['c1', 'c2'].forEach(frame => queue.send(frame, 'color'));
+
+            drainAll();
+            expect(ws.written.slice(1)).to.deep.equal(['d3', 'c2']);
+            expect(queue.getStats().droppedByStream).to.deep.equal({ depth: 2, color: 1 });
+        });
+
+        it('should never drop control messages', () => {
+            const queue = new ClientSendQueue(ws, { policy: POLICIES.LATEST, highWaterMark: 10 });
+            fillSocket(queue);
+
+            ['s1', 's2', 's3'].forEach(message => queue.send(message));
+
+            drainAll();
+            expect(ws.written.slice(1)).to.deep.equal(['s1', 's2', 's3']);
+        });
+
+        it('should signal overflow past the disconnect threshold', () => {
+            const queue = new ClientSendQueue(ws, {
+                policy: POLICIES.DISCONNECT,
+                highWaterMark: 10,
+                disconnectThreshold: 150
+            });
+            const onOverflow = sinon.spy();
+            queue.on('overflow', onOverflow);
+            fillSocket(queue);
+
+            queue.send('y'.repeat(40), 'depth');
+            expect(onOverflow.called).to.equal(false);
+
+            queue.send('z'.repeat(40), 'depth');
+            expect(onOverflow.calledOnceWith(180)).to.equal(true);
+            expect(queue.queued).to.equal(0);
+
+            queue.send('after', 'depth');
+            drainAll();
+            expect(ws.written).to.have.lengthOf(1);
+        });
+    });
+});
@@ -0,0 +1,92 @@
+const { expect } = require('chai');
+const { ClientSubscriptions, STREAMS } = require('../src/services/client-subscriptions');
+
+describe('ClientSubscriptions', () => {
+    let subscriptions;
+
+    beforeEach(() => {
+        subscriptions = new ClientSubscriptions();
+    });
+
+    describe('subscribe', () => {
+        it('should accept every published stream', () => {
+            for (const stream of STREAMS) {
+                subscriptions.subscribe(stream);
+            }
+            expect(subscriptions.streams()).to.deep.equal(STREAMS);
+        });
+
+        it('should normalise options', () => {
+            expect(subscriptions.subscribe('body')).to.deep.equal({ maxFps: null, format: null });
+            expect(subscriptions.subscribe('depth', { maxFps: 10, format: 'json' }))
+                .to.deep.equal({ maxFps: 10, format: 'json' });
+        });
+
+        it('should reject unknown streams and invalid options', () => {
+            expect(() => subscriptions.subscribe('audio')).to.throw(TypeError, 'Unknown stream: audio');
+            expect(() => subscriptions.subscribe('depth', { maxFps: 0 })).to.throw(TypeError, 'maxFps must be a positive number');
+            expect(() => subscriptions.subscribe('depth', { maxFps: '30' })).to.throw(TypeError);
+            expect(() => subscriptions.subscribe('depth', { format: 'xml' })).to.throw(TypeError, 'Unknown format: xml');
+            expect(subscriptions.has('depth')).to.equal(false);
+        });
+
+        it('should replace the options of an existing subscription', () => {
+            subscriptions.subscribe('color', { maxFps: 5 });
+            subscriptions.subscribe('color', { format: 'json' });
+
+            expect(subscriptions.toJSON()).to.deep.equal({ color: { maxFps: null, format: 'json' } });
+        });
+    });
+
+    describe('unsubscribe', () => {
+        it('should report whether the stream was subscribed', () => {
+            subscriptions.subscribe('body');
+
+            expect(subscriptions.unsubscribe('body')).to.equal(true);
+            expect(subscriptions.unsubscribe('body')).to.equal(false);
+        });
+
+        it('should clear all subscriptions', () => {
+            subscriptions.subscribe('body');
+            subscriptions.subscribe('gesture');
+
+            expect(subscriptions.clear()).to.deep.equal(['body', 'gesture']);
+            expect(subscriptions.streams()).to.deep.equal([]);
+        });
+    });
+
+    describe('accept', () => {
+        it('should only accept subscribed streams', () => {
+            subscriptions.subscribe('body');
+
+            expect(subscriptions.accept('body', 0)).to.deep.equal({ maxFps: null, format: null });
+            expect(subscriptions.accept('color', 0)).to.equal(null);
+        });
+
+        it('should deliver every frame without a rate limit', () => {
+            subscriptions.subscribe('depth');
+            const accepted = [0, 1, 2, 3].filter(time => subscriptions.accept('depth', time));
+
+            expect(accepted).to.have.lengthOf(4);
+        });
+
+        it('should limit delivery to maxFps', () => {
+            subscriptions.subscribe('depth', { maxFps: 15 });
+
+            // 30 fps source over one second
+            const times = Array.from({ length: 30 }, (_, i) => Math.round(i * 1000 / 30));
+            const accepted = times.filter(time => subscriptions.accept('depth', time));
+
+            expect(accepted).to.have.lengthOf(15);
+        });
+
+        it('should tolerate jitter when the source matches maxFps', () => {
+            subscriptions.subscribe('body', { maxFps: 30 });
+
+            const times = [0, 32, 67, 99, 133, 165, 200];
+            const accepted = times.filter(time => subscriptions.accept('body', time));
+
+            expect(accepted).to.deep.equal(times);
+        });
+    });
+});
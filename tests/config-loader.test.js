@@ -0,0 +1,200 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { defaultConfig } = require('../src/services/service-config');
+const {
+    ConfigError,
+    loadConfig,
+    mergeConfig,
+    parseEnvOverrides,
+    patchSection
+} = require('../src/services/config-loader');
+
+describe('config loader', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kinect-config-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function writeConfig(name, contents) {
+        const file = path.join(dir, name);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, typeof contents === 'string' ? contents : JSON.stringify(contents));
+        return file;
+    }
+
+    function captureError(fn) {
+        try {
+            fn();
+        } catch (error) {
+            return error;
+        }
+        throw new Error('Expected a ConfigError');
+    }
+
+    describe('loadConfig', () => {
+        it('should return the defaults when no file or overrides exist', () => {
+            const config = loadConfig({ argv: [], env: {}, cwd: dir });
+
+            expect(config).to.deep.equal(defaultConfig);
+            expect(config).to.not.equal(defaultConfig);
+        });
+
+        it('should pick up config.json from the working directory', () => {
+            writeConfig('config.json', { frameSync: { syncWindow: 50 } });
+
+            const config = loadConfig({ argv: [], env: {}, cwd: dir });
+            expect(config.frameSync.syncWindow).to.equal(50);
+            expect(config.frameSync.dropAfter).to.equal(defaultConfig.frameSync.dropAfter);
+        });
+
+        it('should prefer --config over KINECT_CONFIG', () => {
+            writeConfig('cli.json', { debug: { logLevel: 'info' } });
+            writeConfig('env.json', { debug: { logLevel: 'warn' } });
+
+            const env = { KINECT_CONFIG: 'env.json' };
+            expect(loadConfig({ argv: ['--config', 'cli.json'], env, cwd: dir }).debug.logLevel).to.equal('info');
+            expect(loadConfig({ argv: ['--config=cli.json'], env, cwd: dir }).debug.logLevel).to.equal('info');
+            expect(loadConfig({ argv: [], env, cwd: dir }).debug.logLevel).to.equal('warn');
+        });
+
+        it('should apply environment overrides on top of the file', () => {
+            writeConfig('config.json', { network: { websocket: { port: 9000, host: '0.0.0.0' } } });
+
+            const config = loadConfig({ argv: [], env: { KINECT_NETWORK__WEBSOCKET__PORT: '9100' }, cwd: dir });
+            expect(config.network.websocket).to.include({ port: 9100, host: '0.0.0.0' });
+        });
+
+        it('should fail when an explicit config file is missing', () => {
+            const error = captureError(() => loadConfig({ argv: ['--config', 'missing.json'], env: {}, cwd: dir }));
+
+            expect(error).to.be.instanceOf(ConfigError);
+            expect(error.message).to.include('Cannot read config file');
+            expect(error.message).to.include('missing.json');
+        });
+
+        it('should fail on malformed JSON', () => {
+            writeConfig('config.json', '{ "device": ');
+
+            expect(() => loadConfig({ argv: [], env: {}, cwd: dir })).to.throw(ConfigError, 'is not valid JSON');
+        });
+
+        it('should reject files that do not match the schema', () => {
+            writeConfig('config.json', { frameSync: { syncWindow: 50, dropAfter: 40 }, netwrok: {} });
+
+            const error = captureError(() => loadConfig({ argv: [], env: {}, cwd: dir }));
+            expect(error).to.be.instanceOf(ConfigError);
+            expect(error.errors).to.deep.equal([
+                'frameSync.dropAfter: must be at least syncWindow',
+                'netwrok: unknown key'
+            ]);
+        });
+
+        it('should overlay a preset between the file and the environment', () => {
+            writeConfig('config.json', { sensors: { depth: { enabled: true }, color: { performance: { fps: 30 } } } });
+
+            const config = loadConfig({
+                argv: ['--preset', 'low-bandwidth'],
+                env: { KINECT_SENSORS__COLOR__PERFORMANCE__FPS: '10' },
+                cwd: dir
+            });
+            expect(config.persistence.preset).to.equal('low-bandwidth');
+            expect(config.sensors.color.processing.compression.scale).to.equal(0.5);
+            expect(config.sensors.color.performance.fps).to.equal(10);
+            expect(config.sensors.depth.enabled).to.equal(true);
+        });
+
+        it('should load saved presets named in the config file', () => {
+            writeConfig('presets/kiosk.json', { config: { sensors: { infrared: { enabled: true } } } });
+            writeConfig('config.json', { persistence: { preset: 'kiosk' } });
+
+            expect(loadConfig({ argv: [], env: {}, cwd: dir }).sensors.infrared.enabled).to.equal(true);
+            expect(loadConfig({ argv: [], env: { KINECT_PRESET: 'body-only' }, cwd: dir }).sensors.infrared.enabled).to.equal(false);
+        });
+
+        it('should name unknown presets', () => {
+            expect(() => loadConfig({ argv: ['--preset=nope'], env: {}, cwd: dir }))
+                .to.throw(ConfigError, 'persistence.preset: Unknown preset: nope');
+        });
+
+        it('should load the shipped config.json', () => {
+            const cwd = path.join(__dirname, '..');
+            expect(() => loadConfig({ argv: [], env: {}, cwd })).to.not.throw();
+        });
+    });
+
+    describe('parseEnvOverrides', () => {
+        it('should match keys case-insensitively and parse JSON values', () => {
+            const overrides = parseEnvOverrides({
+                KINECT_FRAMESYNC__ENABLED: 'false',
+                KINECT_DEBUG__LOGLEVEL: 'info',
+                KINECT_DEVICE__SIMULATION__FPS: '{"depth": 15}',
+                PATH: '/usr/bin'
+            });
+
+            expect(overrides).to.deep.equal({
+                frameSync: { enabled: false },
+                debug: { logLevel: 'info' },
+                device: { simulation: { fps: { depth: 15 } } }
+            });
+        });
+
+        it('should name variables that do not match a key', () => {
+            const error = captureError(() => parseEnvOverrides({ KINECT_NETWORK__PORTT: '1' }));
+
+            expect(error.errors).to.deep.equal(['KINECT_NETWORK__PORTT does not match a configuration key']);
+        });
+    });
+
+    describe('mergeConfig', () => {
+        it('should merge objects deeply and replace other values', () => {
+            const merged = mergeConfig(
+                { a: { b: 1, c: [1, 2] }, d: 'x' },
+                { a: { c: [3] } },
+                { a: { b: 2 } }
+            );
+
+            expect(merged).to.deep.equal({ a: { b: 2, c: [3] }, d: 'x' });
+        });
+
+        it('should not mutate its inputs', () => {
+            const base = { a: { b: 1 } };
+            mergeConfig(base, { a: { b: 2 } });
+
+            expect(base).to.deep.equal({ a: { b: 1 } });
+        });
+    });
+
+    describe('patchSection', () => {
+        it('should merge a patch into one section without touching the config', () => {
+            const config = mergeConfig(defaultConfig);
+            const section = patchSection(config, 'sensors.body.processing', { smoothing: { correction: 0.8 } });
+
+            expect(section.smoothing).to.deep.equal({ ...defaultConfig.sensors.body.processing.smoothing, correction: 0.8 });
+            expect(section.tracking).to.deep.equal(defaultConfig.sensors.body.processing.tracking);
+            expect(config).to.deep.equal(defaultConfig);
+        });
+
+        it('should validate the merged section', () => {
+            const error = captureError(() => patchSection(defaultConfig, 'sensors.depth.processing', { colorMap: 'rainbow', blur: 2 }));
+
+            expect(error).to.be.instanceOf(ConfigError);
+            expect(error.errors).to.deep.equal([
+                'sensors.depth.processing.colorMap: must be one of jet, turbo, viridis, inferno, grayscale, custom, got "rainbow"',
+                'sensors.depth.processing.blur: unknown key'
+            ]);
+        });
+
+        it('should reject unknown sections and non-object patches', () => {
+            expect(() => patchSection(defaultConfig, 'sensors.audio.processing', {})).to.throw(ConfigError, 'not a configuration section');
+            expect(() => patchSection(defaultConfig, 'sensors.depth.enabled', {})).to.throw(ConfigError, 'not a configuration section');
+            expect(() => patchSection(defaultConfig, 'sensors.depth.processing', [])).to.throw(ConfigError, 'patch must be an object');
+        });
+    });
+});
@@ -0,0 +1,104 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { defaultConfig } = require('../src/services/service-config');
+const { mergeConfig } = require('../src/services/config-loader');
+const { validateConfig, ConfigError } = require('../src/services/config-schema');
+const {
+    BUILTIN_PRESETS,
+    PresetStore,
+    validatePreset,
+    writeJsonFile
+} = require('../src/services/config-presets');
+
+describe('config presets', () => {
+    let dir;
+    let store;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kinect-presets-'));
+        store = new PresetStore(dir);
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('built-in presets', () => {
+        for (const [name, preset] of Object.entries(BUILTIN_PRESETS)) {
+            it(`should produce a valid configuration from ${name}`, () => {
+                expect(() => validatePreset(preset, name)).to.not.throw();
+                expect(() => validateConfig(mergeConfig(defaultConfig, preset.config))).to.not.throw();
+            });
+        }
+    });
+
+    describe('validatePreset', () => {
+        it('should only allow the sensors and network sections', () => {
+            expect(() => validatePreset({ config: { debug: { logLevel: 'info' } } }, 'noisy'))
+                .to.throw(ConfigError, 'preset noisy: debug: presets may only change sensors, network');
+        });
+
+        it('should validate values against the schema', () => {
+            expect(() => validatePreset({ config: { sensors: { depth: { performance: { fps: 0 } } } } }, 'slow'))
+                .to.throw(ConfigError, 'preset slow: sensors.depth.performance.fps: must be greater than 0, got 0');
+        });
+    });
+
+    describe('PresetStore', () => {
+        it('should list built-in presets before saved ones', async () => {
+            await store.save('gallery', { description: 'Gallery install', config: { sensors: { color: { enabled: false } } } });
+
+            const presets = await store.list();
+            expect(presets.map(p => p.name)).to.deep.equal([...Object.keys(BUILTIN_PRESETS), 'gallery']);
+            expect(presets[presets.length - 1]).to.deep.equal({ name: 'gallery', description: 'Gallery install', builtin: false });
+        });
+
+        it('should round-trip saved presets', async () => {
+            const config = { network: { websocket: { backpressure: { policy: 'latest' } } } };
+            const file = await store.save('lobby', { config });
+
+            expect(file).to.equal(path.join(dir, 'lobby.json'));
+            expect(await store.get('lobby')).to.deep.equal({ description: '', config });
+            expect(PresetStore.loadSync(dir, 'lobby').config).to.deep.equal(config);
+        });
+
+        it('should refuse to overwrite built-in presets', async () => {
+            try {
+                await store.save('body-only', { config: {} });
+                expect.fail('Expected save to fail');
+            } catch (error) {
+                expect(error.message).to.equal('Cannot overwrite built-in preset: body-only');
+            }
+        });
+
+        it('should reject unknown and unsafe names', async () => {
+            for (const name of ['missing', '../config']) {
+                try {
+                    await store.get(name);
+                    expect.fail('Expected get to fail');
+                } catch (error) {
+                    expect(error.message).to.match(/Unknown preset|Invalid preset name/);
+                }
+            }
+        });
+
+        it('should skip invalid preset files when listing', async () => {
+            fs.writeFileSync(path.join(dir, 'broken.json'), '{');
+
+            const names = (await store.list()).map(p => p.name);
+            expect(names).to.not.include('broken');
+        });
+    });
+
+    describe('writeJsonFile', () => {
+        it('should create parent directories and leave no temporary files', async () => {
+            const file = path.join(dir, 'nested', 'config.json');
+            await writeJsonFile(file, { a: 1 });
+
+            expect(JSON.parse(fs.readFileSync(file, 'utf8'))).to.deep.equal({ a: 1 });
+            expect(fs.readdirSync(path.dirname(file))).to.deep.equal(['config.json']);
+        });
+    });
+});
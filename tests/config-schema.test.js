@@ -0,0 +1,203 @@
+const { expect } = require('chai');
+const { defaultConfig } = require('../src/services/service-config');
+const { mergeConfig } = require('../src/services/config-loader');
+const {
+    ConfigError,
+    getSchema,
+    validate,
+    validateConfig
+} = require('../src/services/config-schema');
+
+describe('config schema', () => {
+    const withOverrides = overrides => mergeConfig(defaultConfig, overrides);
+
+    describe('validateConfig', () => {
+        it('should accept the defaults', () => {
+            expect(() => validateConfig(defaultConfig)).to.not.throw();
+        });
+
+        it('should report every bad key in one error', () => {
+            const config = withOverrides({
+                sensors: { depth: { frameSize: { width: '512' } } },
+                network: { websocket: { prot: 9000 } }
+            });
+
+            try {
+                validateConfig(config);
+                expect.fail('Expected a ConfigError');
+            } catch (error) {
+                expect(error).to.be.instanceOf(ConfigError);
+                expect(error.errors).to.deep.equal([
+                    'sensors.depth.frameSize.width: expected number, got string',
+                    'network.websocket.prot: unknown key'
+                ]);
+                expect(error.message).to.include('network.websocket.prot: unknown key');
+            }
+        });
+    });
+
+    describe('validate', () => {
+        it('should check ranges, integers and allowed values', () => {
+            const errors = validate(withOverrides({
+                network: { websocket: { port: 70000, backpressure: { policy: 'block' } } },
+                sensors: {
+                    color: { processing: { compression: { quality: 0 } } },
+                    body: { performance: { maxWorkers: 1.5 } }
+                },
+                debug: { logLevel: 'verbose' }
+            }));
+
+            expect(errors).to.deep.equal([
+                'sensors.color.processing.compression.quality: must be greater than 0, got 0',
+                'sensors.body.performance.maxWorkers: expected an integer, got 1.5',
+                'network.websocket.port: must be at most 65535, got 70000',
+                'network.websocket.backpressure.policy: must be one of dropOldest, latest, disconnect, got "block"',
+                'debug.logLevel: must be one of error, warn, info, debug, got "verbose"'
+            ]);
+        });
+
+        it('should reject impossible combinations', () => {
+            const errors = validate(withOverrides({
+                frameSync: { syncWindow: 50, dropAfter: 40 },
+                service: { bufferPool: { initialSize: 30 } },
+                sensors: { depth: { processing: { colorMap: 'rainbow' } } },
+                device: { type: 'playback' }
+            }));
+
+            expect(errors).to.deep.equal([
+                'service.bufferPool.maxPoolSize: must be at least initialSize',
+                'sensors.depth.processing.colorMap: must be one of jet, turbo, viridis, inferno, grayscale, custom, got "rainbow"',
+                'device.playback.file: is required when device.type is playback',
+                'frameSync.dropAfter: must be at least syncWindow'
+            ]);
+        });
+
+        it('should accept null where allowed', () => {
+            expect(validate(withOverrides({ device: { playback: { file: null } } }))).to.deep.equal([]);
+            expect(validate(withOverrides({ debug: { logLevel: null } }))).to.deep.equal([
+                'debug.logLevel: expected string, got null'
+            ]);
+        });
+
+        it('should point legacy joint filters at the serialisable form', () => {
+            const errors = validate(withOverrides({
+                sensors: { body: { processing: { tracking: { jointFilter: 'joint => joint.trackingState > 0' } } } }
+            }));
+
+            expect(errors).to.deep.equal([
+                'sensors.body.processing.tracking.jointFilter: expected object, got string ' +
+                '(use a filter spec such as { "minTrackingState": 1 })'
+            ]);
+        });
+
+        it('should check joint filters and their groups', () => {
+            const errors = validate(withOverrides({
+                sensors: {
+                    body: {
+                        processing: {
+                            smoothing: {
+                                filter: 'kalman',
+                                oneEuro: { minCutoff: 0 },
+                                groups: { hands: { filter: 'oneEuro', oneEuro: { beta: -1 } }, fingers: {} }
+                            }
+                        }
+                    }
+                }
+            }));
+
+            expect(errors).to.deep.equal([
+                'sensors.body.processing.smoothing.filter: must be one of holt, oneEuro, none, got "kalman"',
+                'sensors.body.processing.smoothing.oneEuro.minCutoff: must be greater than 0, got 0',
+                'sensors.body.processing.smoothing.groups.hands.oneEuro.beta: must be at least 0, got -1',
+                'sensors.body.processing.smoothing.groups.fingers: unknown key'
+            ]);
+        });
+
+        it('should check gesture recognition settings', () => {
+            const errors = validate(withOverrides({
+                sensors: { body: { gestures: { threshold: 0, cooldown: 0.5, directory: null, startAt: 1.5 } } }
+            }));
+
+            expect(errors).to.deep.equal([
+                'sensors.body.gestures.threshold: must be greater than 0, got 0',
+                'sensors.body.gestures.cooldown: expected an integer, got 0.5',
+                'sensors.body.gestures.startAt: must be at most 1, got 1.5'
+            ]);
+        });
+
+        it('should check pipeline entries against the stages of their sensor', () => {
+            const errors = validate(withOverrides({
+                sensors: {
+                    depth: { processing: { pipeline: [{ stage: 'normalize', options: { gamma: 0.5 } }, { stage: 'opacity' }] } },
+                    color: { processing: { pipeline: [{ module: './stages/tint.js', options: { hue: 30 } }, { options: {} }] } },
+                    infrared: { processing: { pipeline: { stage: 'gamma' } } }
+                }
+            }));
+
+            expect(errors).to.deep.equal([
+                'sensors.depth.processing.pipeline[1].stage: must be a depth stage ' +
+                '(available: depthRange, normalize, pointCloud, colorize, gamma) or come with a module',
+                'sensors.color.processing.pipeline[1].stage: must be a color stage (available: opacity, compress) or come with a module',
+                'sensors.infrared.processing.pipeline: expected array, got object'
+            ]);
+        });
+
+        it('should check depth colorization settings', () => {
+            const errors = validate(withOverrides({
+                sensors: {
+                    depth: {
+                        processing: {
+                            colorMap: 'custom',
+                            colorRange: { min: 2000, max: 1000 },
+                            invalidColor: [0, 0, 0, 0, 0]
+                        }
+                    }
+                }
+            }));
+
+            expect(errors).to.deep.equal([
+                'sensors.depth.processing.colorRange.max: must be greater than min',
+                'sensors.depth.processing.invalidColor: must have at most 4 items, got 5'
+            ]);
+            expect(validate(withOverrides({
+                sensors: { depth: { processing: { colorMap: 'custom', customColors: [[0, 0, 0]] } } }
+            }))).to.deep.equal(['sensors.depth.processing.customColors: must have at least 2 items, got 1']);
+            expect(validate(withOverrides({
+                sensors: { depth: { processing: { colorMap: 'custom' } } }
+            }))).to.deep.equal(['sensors.depth.processing.customColors: is required when colorMap is custom']);
+        });
+
+        it('should check export encodings against the format', () => {
+            expect(validate(withOverrides({ export: { format: 'xyz', encoding: 'binary' } })))
+                .to.deep.equal(['export.encoding: is not supported by the export format']);
+            expect(validate(withOverrides({ export: { format: 'obj' } })))
+                .to.deep.equal(['export.format: must be one of ply, pcd, xyz, got "obj"']);
+        });
+
+        it('should check registration settings and synchronized frame stages', () => {
+            expect(validate(withOverrides({
+                frameSync: {
+                    registration: { enabled: true, extrinsics: { rotation: [1, 0, 0], translation: [0, 0, 0] } },
+                    pipeline: [{ stage: 'depthRange' }]
+                }
+            }))).to.deep.equal([
+                'frameSync.registration.extrinsics.rotation: must have at least 9 items, got 3',
+                'frameSync.pipeline[0].stage: must be a frameSync stage (available: registration) or come with a module'
+            ]);
+            expect(validate(withOverrides({
+                sensors: { color: { calibration: { intrinsics: { fx: 1050, cx: 960 } } } },
+                frameSync: { pipeline: [{ stage: 'registration', options: { registeredDepth: true } }] }
+            }))).to.deep.equal([]);
+        });
+
+        it('should validate partial sections against a subtree', () => {
+            const schema = getSchema('frameSync');
+
+            expect(validate({ dropAfter: 10 }, schema, 'frameSync')).to.deep.equal([]);
+            expect(validate({ syncWindow: 40, dropAfter: 10 }, schema, 'frameSync')).to.deep.equal([
+                'frameSync.dropAfter: must be at least syncWindow'
+            ]);
+            expect(getSchema('frameSync.unknown')).to.equal(null);
+        });
+    });
+});
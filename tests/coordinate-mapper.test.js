@@ -0,0 +1,172 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CameraIntrinsics } = require('../src/services/camera-intrinsics');
+const { CoordinateMapper, KINECT_V2_EXTRINSICS, loadCalibration } = require('../src/services/coordinate-mapper');
+
+describe('CoordinateMapper', () => {
+    // The color camera has twice the resolution over the same field of view
+    const depth = new CameraIntrinsics({ width: 4, height: 4, fx: 4, fy: 4, cx: 1.5, cy: 1.5 });
+    const color = new CameraIntrinsics({ width: 8, height: 8, fx: 8, fy: 8, cx: 3.5, cy: 3.5 });
+    const identity = { rotation: [1, 0, 0, 0, 1, 0, 0, 0, 1], translation: [0, 0, 0] };
+    const mapper = new CoordinateMapper({ depth, color, extrinsics: identity });
+
+    // Red holds the column and green the row of each color pixel
+    const colorFrame = Buffer.alloc(8 * 8 * 4);
+    for (let i = 0; i < 64; i++) {
+        colorFrame.set([(i % 8) * 10, Math.floor(i / 8) * 10, 7, 255], i * 4);
+    }
+
+    it('should validate its calibration', () => {
+        expect(() => new CoordinateMapper({ depth: depth.toJSON(), color }))
+            .to.throw(TypeError, 'depth intrinsics must be a CameraIntrinsics');
+        expect(() => new CoordinateMapper({ depth, color, extrinsics: { ...identity, rotation: [1, 0, 0] } }))
+            .to.throw(TypeError, 'Invalid extrinsics: rotation must be 9 numbers, a row-major 3x3 matrix');
+        expect(() => new CoordinateMapper({ depth, color, extrinsics: { ...identity, translation: [0, NaN, 0] } }))
+            .to.throw(TypeError, 'Invalid extrinsics: translation must be 3 numbers in metres');
+    });
+
+    it('should transform between camera spaces in both directions', () => {
+        // 90 degrees about y, then 10 cm to the right
+        const rotated = new CoordinateMapper({
+            depth,
+            color,
+            extrinsics: { rotation: [0, 0, 1, 0, 1, 0, -1, 0, 0], translation: [0.1, 0, 0] }
+        });
+
+        expect(rotated.depthToColorSpace(1, 2, 3)).to.deep.equal([3.1, 2, -1]);
+        expect(rotated.colorToDepthSpace(3.1, 2, -1)).to.deep.equal([1, 2, 3]);
+    });
+
+    it('should project camera space points into either frame', () => {
+        const shifted = new CoordinateMapper({ depth, color, extrinsics: { ...identity, translation: [0.1, 0, 0] } });
+
+        expect(shifted.cameraToDepth(0.25, 0.25, 1)).to.deep.equal([2.5, 0.5]);
+        expect(shifted.cameraToColor(0, 0, 1)).to.deep.equal([4.3, 3.5]);
+        expect(shifted.cameraToColor(0, 0, -1)).to.equal(null);
+    });
+
+    it('should look up points in both directions', () => {
+        const registeredDepth = mapper.registerDepth(new Uint16Array(16).fill(1000));
+
+        expect(mapper.depthToColor(1, 2, 1000)).to.deep.equal([2.5, 4.5]);
+        expect(mapper.depthToColor(1, 2, 0)).to.equal(null);
+        expect(mapper.colorToDepth(2.5, 4.5, registeredDepth)).to.deep.equal([1, 2]);
+        expect(mapper.colorToDepth(-1, 0, registeredDepth)).to.equal(null);
+        expect(mapper.colorToDepth(2.5, 4.5, new Uint16Array(64))).to.equal(null);
+    });
+
+    it('should resample color into depth space', () => {
+        const depths = new Uint16Array(16).fill(1000);
+        depths[5] = 0;
+
+        const registered = mapper.registerColor(depths, colorFrame);
+
+        expect(registered).to.have.length(16 * 4);
+        // Depth pixel (2, 1) lands on color pixel (5, 3)
+        expect([...registered.subarray(6 * 4, 7 * 4)]).to.deep.equal([50, 30, 7, 255]);
+        expect([...registered.subarray(5 * 4, 6 * 4)]).to.deep.equal([0, 0, 0, 0]);
+    });
+
+    it('should leave pixels the color camera cannot see transparent', () => {
+        const offset = new CoordinateMapper({ depth, color, extrinsics: { ...identity, translation: [1, 0, 0] } });
+
+        const registered = offset.registerColor(new Uint16Array(16).fill(1000), colorFrame);
+
+        expect([...registered.subarray(3, 4)]).to.deep.equal([0]);
+    });
+
+    it('should resample depth into color space without gaps', () => {
+        const depths = new Uint16Array(16).fill(1000);
+        depths[0] = 0;
+        depths[15] = 2000;
+
+        const registered = mapper.registerDepth(depths);
+
+        expect(registered).to.have.length(64);
+        // Each depth pixel covers a 2x2 block of color pixels
+        expect([registered[0], registered[1], registered[8], registered[9]]).to.deep.equal([0, 0, 0, 0]);
+        expect([registered[2], registered[10]]).to.deep.equal([1000, 1000]);
+        expect([registered[54], registered[55], registered[62], registered[63]]).to.deep.equal([2000, 2000, 2000, 2000]);
+        expect(registered.filter(value => value === 0)).to.have.length(4);
+    });
+
+    it('should keep the nearest depth where footprints overlap', () => {
+        const shifted = new CoordinateMapper({ depth, color, extrinsics: { ...identity, translation: [0.25, 0, 0] } });
+        const depths = new Uint16Array(16);
+        // The nearer pixel shifts one depth pixel further, onto the same color pixels as its neighbour
+        depths[0] = 500;
+        depths[1] = 1000;
+
+        const registered = shifted.registerDepth(depths);
+
+        expect([registered[4], registered[5], registered[12], registered[13]]).to.deep.equal([500, 500, 500, 500]);
+        expect(registered.filter(value => value > 0)).to.have.length(4);
+    });
+
+    it('should reject frames that do not match the cameras', () => {
+        expect(() => mapper.registerDepth(new Uint16Array(15)))
+            .to.throw(RangeError, 'Depth frame of 15 pixels does not match the 4x4 intrinsics');
+        expect(() => mapper.registerColor(new Uint16Array(16), Buffer.alloc(16)))
+            .to.throw(RangeError, 'Color frame of 16 bytes does not match the 8x8 intrinsics');
+        expect(() => mapper.colorToDepth(0, 0, new Uint16Array(16)))
+            .to.throw(RangeError, 'Registered depth frame of 16 pixels does not match the 8x8 intrinsics');
+        expect(() => mapper.registerDepth([1000])).to.throw(TypeError, 'Frame must be a Buffer or typed array');
+    });
+
+    it('should read raw depth at an odd byte offset', () => {
+        const bytes = Buffer.alloc(33);
+        new Uint16Array(16).fill(1000).forEach((value, index) => bytes.writeUInt16LE(value, 1 + index * 2));
+
+        expect(mapper.registerDepth(bytes.subarray(1)).every(value => value === 1000)).to.equal(true);
+    });
+
+    it('should round-trip its calibration', () => {
+        const copy = CoordinateMapper.fromCalibration(JSON.parse(JSON.stringify(mapper)));
+
+        expect(copy.toJSON()).to.deep.equal(mapper.toJSON());
+        expect(CoordinateMapper.fromCalibration({ depth: depth.toJSON(), color: color.toJSON() }).toJSON().extrinsics)
+            .to.deep.equal(KINECT_V2_EXTRINSICS);
+    });
+
+    describe('loadCalibration', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calibration-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('should layer device, file and configured values', async () => {
+            const intrinsicsFile = path.join(dir, 'intrinsics.json');
+            fs.writeFileSync(intrinsicsFile, JSON.stringify({ depth: { fx: 360 }, color: { fx: 1000, cx: 950 } }));
+            const device = {
+                getIntrinsics: camera => (camera === 'depth' ? { width: 256, height: 212, fx: 180, cx: 128 } : null),
+                getExtrinsics: () => ({ translation: [0.05, 0, 0] })
+            };
+            const config = {
+                sensors: {
+                    depth: { calibration: { intrinsicsFile, intrinsics: { cy: 100 } } },
+                    color: { calibration: { intrinsics: { cx: 960 } } }
+                }
+            };
+
+            const calibration = await loadCalibration(device, config, { translation: [0.06, 0, 0] });
+
+            expect(calibration.depth).to.deep.include({ width: 256, height: 212, fx: 360, cx: 128, cy: 100 });
+            expect(calibration.color).to.deep.include({ width: 1920, fx: 1000, cx: 960 });
+            expect(calibration.extrinsics).to.deep.equal({ rotation: KINECT_V2_EXTRINSICS.rotation, translation: [0.06, 0, 0] });
+        });
+
+        it('should fall back to the Kinect v2 defaults', async () => {
+            const calibration = await loadCalibration({}, {});
+
+            expect(calibration.depth).to.deep.include({ width: 512, height: 424 });
+            expect(calibration.extrinsics).to.deep.equal(KINECT_V2_EXTRINSICS);
+        });
+    });
+});
@@ -0,0 +1,45 @@
+const { expect } = require('chai');
+const { createDevice, registerDeviceType } = require('../../src/services/devices/device-factory');
+const { BaseDevice } = require('../../src/services/devices/base-device');
+const SimulatedDevice = require('../../src/services/devices/simulated-device');
+const { defaultConfig } = require('../../src/services/service-config');
+
+describe('device factory', () => {
+    it('should create the simulated device when selected in config', () => {
+        const device = createDevice({
+            ...defaultConfig,
+            device: { ...defaultConfig.device, type: 'simulated' }
+        });
+
+        expect(device).to.be.instanceOf(SimulatedDevice);
+        expect(device).to.be.instanceOf(BaseDevice);
+    });
+
+    it('should pass sensor frame sizes to the simulated device', () => {
+        const device = createDevice({
+            device: { type: 'simulated' },
+            sensors: { depth: { frameSize: { width: 32, height: 24 } } }
+        });
+        device.open();
+
+        expect(device.generateFrame('depth').length).to.equal(32 * 24 * 2);
+        expect(device.generateFrame('color').length).to.equal(1920 * 1080 * 4);
+    });
+
+    it('should reject unknown device types', () => {
+        expect(() => createDevice({ device: { type: 'missing' } }))
+            .to.throw('Unknown device type: missing');
+    });
+
+    it('should allow registering custom device types', () => {
+        class CustomDevice extends BaseDevice {}
+        registerDeviceType('custom', () => new CustomDevice());
+
+        expect(createDevice({ device: { type: 'custom' } })).to.be.instanceOf(CustomDevice);
+    });
+
+    it('should validate registrations', () => {
+        expect(() => registerDeviceType('', () => null)).to.throw(TypeError);
+        expect(() => registerDeviceType('broken')).to.throw(TypeError);
+    });
+});
@@ -0,0 +1,186 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const PlaybackDevice = require('../../src/services/devices/playback-device');
+const CaptureWriter = require('../../src/services/recording/capture-writer');
+const { RECORD_KINDS } = require('../../src/services/recording/capture-format');
+const { FRAME_TYPES } = require('../../src/services/devices/base-device');
+
+describe('PlaybackDevice', () => {
+    const FRAME_INTERVAL = 20;
+    const FRAME_COUNT = 5;
+
+    let directory;
+    let filePath;
+    let device;
+
+    async function writeCapture(records) {
+        const writer = new CaptureWriter(filePath);
+        await writer.open({ format: 'kinect-node-capture', device: { type: 'simulated' } });
+        for (const [kind, stream, timestamp, frame] of records) {
+            writer.write(kind, stream, timestamp, frame);
+        }
+        await writer.close();
+    }
+
+    function depthRecords() {
+        return Array.from({ length: FRAME_COUNT }, (_, i) => [
+            RECORD_KINDS.RAW_FRAME,
+            'depth',
+            1000 + i * FRAME_INTERVAL,
+            Buffer.from([i, 0])
+        ]);
+    }
+
+    function waitFor(emitter, event) {
+        return new Promise(resolve => emitter.once(event, resolve));
+    }
+
+    beforeEach(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'kinect-playback-'));
+        filePath = path.join(directory, 'session.kncap');
+        await writeCapture(depthRecords());
+    });
+
+    afterEach(async () => {
+        await device?.close();
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    describe('initialization', () => {
+        it('should require a capture file', () => {
+            expect(() => new PlaybackDevice({})).to.throw(TypeError, 'Playback device requires a capture file');
+        });
+
+        it('should reject invalid speeds', () => {
+            expect(() => new PlaybackDevice({ file: filePath, speed: 0 })).to.throw(RangeError);
+        });
+
+        it('should expose the recorded session', async () => {
+            device = new PlaybackDevice({ file: filePath, autoPlay: false });
+            await device.open();
+
+            expect(device.header.device).to.deep.equal({ type: 'simulated' });
+            expect(device.getIntrinsics('depth')).to.equal(null);
+            expect(device.getExtrinsics()).to.equal(null);
+            expect(device.getStatus()).to.include({ frames: FRAME_COUNT, startTime: 1000, playing: false });
+        });
+    });
+
+    describe('playback', () => {
+        it('should replay frames to open readers in order', async () => {
+            device = new PlaybackDevice({ file: filePath, speed: 10 });
+            const frames = [];
+            device.on('depth', frame => frames.push(frame[0]));
+
+            await device.open();
+            device.openDepthReader();
+            await waitFor(device, 'ended');
+
+            expect(frames).to.deep.equal([0, 1, 2, 3, 4]);
+        });
+
+        it('should preserve the recorded timing scaled by speed', async () => {
+            device = new PlaybackDevice({ file: filePath, speed: 1 });
+            await device.open();
+            device.openDepthReader();
+
+            const started = Date.now();
+            await waitFor(device, 'ended');
+            const elapsed = Date.now() - started;
+
+            expect(elapsed).to.be.at.least((FRAME_COUNT - 1) * FRAME_INTERVAL - 5);
+        });
+
+        it('should not emit frames for closed readers', async () => {
+            device = new PlaybackDevice({ file: filePath, speed: 10 });
+            const onDepth = sinon.spy();
+            device.on('depth', onDepth);
+
+            await device.open();
+            await waitFor(device, 'ended');
+
+            expect(onDepth.called).to.be.false;
+        });
+
+        it('should loop when enabled', async () => {
+            device = new PlaybackDevice({ file: filePath, speed: 10, loop: true });
+            await device.open();
+
+            await waitFor(device, 'looped');
+            expect(device.getStatus().playing).to.be.true;
+        });
+    });
+
+    describe('controls', () => {
+        beforeEach(async () => {
+            device = new PlaybackDevice({ file: filePath, autoPlay: false });
+            await device.open();
+            device.openDepthReader();
+        });
+
+        it('should step one frame at a time', async () => {
+            const frames = [];
+            device.on('depth', frame => frames.push(frame[0]));
+
+            await device.step();
+            await device.step();
+
+            expect(frames).to.deep.equal([0, 1]);
+            expect(device.getStatus().playing).to.be.false;
+        });
+
+        it('should seek to the first frame at or after a timestamp', async () => {
+            const frames = [];
+            device.on('depth', frame => frames.push(frame[0]));
+
+            device.seek(1000 + 2.5 * FRAME_INTERVAL);
+            await device.step();
+
+            expect(frames).to.deep.equal([3]);
+            expect(device.getStatus().position).to.equal(1000 + 3 * FRAME_INTERVAL);
+        });
+
+        it('should report the end of the capture when stepping past it', async () => {
+            device.seek(Infinity);
+            expect(await device.step()).to.be.false;
+        });
+
+        it('should pause and resume', async () => {
+            device.setSpeed(10);
+            device.play();
+            device.pause();
+
+            expect(device.getStatus().playing).to.be.false;
+            device.play();
+            await waitFor(device, 'ended');
+            expect(device.getStatus().frame).to.equal(FRAME_COUNT);
+        });
+    });
+
+    describe('synchronized frame fallback', () => {
+        it('should replay synchronized frames as multi-source frames', async () => {
+            await fs.rm(filePath);
+            await writeCapture([
+                [RECORD_KINDS.SENSOR_FRAME, 'depth', 1000, { type: 'depth' }],
+                [RECORD_KINDS.SYNC_FRAME, 'frameSync', 1000, {
+                    timestamp: 1000,
+                    frames: { depth: Buffer.from([1, 2]), body: { bodies: [] } }
+                }]
+            ]);
+
+            device = new PlaybackDevice({ file: filePath, autoPlay: false });
+            await device.open();
+            device.openMultiSourceReader({ frameTypes: FRAME_TYPES.depth });
+
+            const onFrame = sinon.spy();
+            device.on('multiSourceFrame', onFrame);
+            await device.step();
+
+            expect(onFrame.calledOnce).to.be.true;
+            expect(Object.keys(onFrame.firstCall.args[0])).to.deep.equal(['depth']);
+        });
+    });
+});
@@ -0,0 +1,174 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const SimulatedDevice = require('../../src/services/devices/simulated-device');
+const { FRAME_TYPES } = require('../../src/services/devices/base-device');
+
+describe('SimulatedDevice', () => {
+    const frameSizes = {
+        depth: { width: 64, height: 53 },
+        color: { width: 96, height: 54 },
+        infrared: { width: 64, height: 53 }
+    };
+
+    let device;
+    let clock;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers();
+        device = new SimulatedDevice({
+            frameSizes,
+            fps: { depth: 30, color: 10, body: 30, infrared: 30 },
+            bodies: 2
+        });
+    });
+
+    afterEach(async () => {
+        await device.close();
+        clock.restore();
+    });
+
+    describe('initialization', () => {
+        it('should report itself as a simulated device', () => {
+            device.open();
+            const info = device.getInfo();
+
+            expect(info.type).to.equal('simulated');
+            expect(info.simulated).to.be.true;
+            expect(info.isOpen).to.be.true;
+            expect(info.bodies).to.equal(2);
+        });
+
+        it('should describe the pinhole camera it renders through', () => {
+            expect(device.getIntrinsics('depth')).to.deep.equal({
+                width: 64,
+                height: 53,
+                fx: 365.456 / 8,
+                fy: 365.456 / 8,
+                cx: 32,
+                cy: 26.5,
+                distortion: { k1: 0, k2: 0, k3: 0, p1: 0, p2: 0 }
+            });
+            expect(device.getIntrinsics('color').fx).to.be.closeTo(1081.37 / 20, 1e-9);
+            expect(device.getIntrinsics('body')).to.equal(null);
+            expect(device.getExtrinsics()).to.deep.equal({ rotation: [1, 0, 0, 0, 1, 0, 0, 0, 1], translation: [0, 0, 0] });
+        });
+
+        it('should reject invalid body counts', () => {
+            expect(() => new SimulatedDevice({ bodies: 7 }))
+                .to.throw(RangeError, 'Simulated body count');
+        });
+
+        it('should not open readers before the device is opened', () => {
+            expect(device.openDepthReader()).to.be.false;
+        });
+    });
+
+    describe('frame generation', () => {
+        beforeEach(() => {
+            device.open();
+        });
+
+        it('should generate depth frames in millimetres with scene geometry', () => {
+            const frame = device.generateFrame('depth');
+            const depth = new Uint16Array(frame.buffer, frame.byteOffset, frame.length / 2);
+
+            expect(Buffer.isBuffer(frame)).to.be.true;
+            expect(frame.length).to.equal(64 * 53 * 2);
+
+            const valid = Array.from(depth).filter(value => value > 0);
+            expect(valid.length).to.be.above(depth.length * 0.9);
+            expect(Math.max(...valid)).to.be.at.most(4100);
+            expect(Math.min(...valid)).to.be.below(3000); // Bodies and floor in front of the wall
+        });
+
+        it('should generate RGBA color frames', () => {
+            const frame = device.generateFrame('color');
+
+            expect(frame.length).to.equal(96 * 54 * 4);
+            expect(frame[3]).to.equal(255);
+        });
+
+        it('should generate infrared frames', () => {
+            const frame = device.generateFrame('infrared');
+            expect(frame.length).to.equal(64 * 53 * 2);
+        });
+
+        it('should generate tracked skeletons with 25 joints', () => {
+            const frame = device.generateFrame('body');
+            const tracked = frame.bodies.filter(body => body.tracked);
+
+            expect(frame.bodies).to.have.length(6);
+            expect(tracked).to.have.length(2);
+            expect(tracked[0].joints).to.have.length(25);
+            expect(tracked[0].joints[3].position.y).to.be.above(tracked[0].joints[0].position.y);
+            expect(frame.buffer).to.be.instanceOf(Float32Array);
+            expect(tracked[0].trackingId).to.not.equal(tracked[1].trackingId);
+        });
+
+        it('should animate skeletons over time', () => {
+            const first = device.generateFrame('body', Date.now());
+            const later = device.generateFrame('body', Date.now() + 1000);
+
+            const hand = frame => frame.bodies[0].joints[11].position;
+            expect(hand(later).y).to.not.be.closeTo(hand(first).y, 0.001);
+        });
+
+        it('should be reproducible for a given seed', () => {
+            const other = new SimulatedDevice({ frameSizes, bodies: 2 });
+            other.open();
+
+            expect(device.generateFrame('depth', 0).equals(other.generateFrame('depth', 0))).to.be.true;
+        });
+    });
+
+    describe('readers', () => {
+        beforeEach(() => {
+            device.open();
+        });
+
+        it('should emit frames at the configured rate', () => {
+            const onDepth = sinon.spy();
+            device.on('depth', onDepth);
+
+            expect(device.openDepthReader()).to.be.true;
+            clock.tick(1000);
+
+            expect(onDepth.callCount).to.be.within(29, 30);
+        });
+
+        it('should stop emitting when a reader is closed', async () => {
+            const onColor = sinon.spy();
+            device.on('colorFrame', onColor);
+
+            device.openColorReader();
+            clock.tick(200);
+            await device.closeColorReader();
+            clock.tick(1000);
+
+            expect(onColor.callCount).to.equal(2);
+        });
+
+        it('should emit multi-source frames with all requested types', () => {
+            const onFrame = sinon.spy();
+            device.on('multiSourceFrame', onFrame);
+
+            device.openMultiSourceReader({ frameTypes: FRAME_TYPES.depth | FRAME_TYPES.body });
+            clock.tick(34);
+
+            expect(onFrame.calledOnce).to.be.true;
+            const frame = onFrame.firstCall.args[0];
+            expect(frame).to.have.keys('depth', 'body');
+        });
+
+        it('should emit errors from frame generation instead of throwing', () => {
+            const onError = sinon.spy();
+            device.on('error', onError);
+            sinon.stub(device, 'generateFrame').throws(new Error('render failed'));
+
+            device.openBodyReader();
+            clock.tick(34);
+
+            expect(onError.calledOnce).to.be.true;
+        });
+    });
+});
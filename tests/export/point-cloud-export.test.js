@@ -0,0 +1,202 @@
+const { expect } = require('chai');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const CaptureWriter = require('../../src/services/recording/capture-writer');
+const { RECORD_KINDS } = require('../../src/services/recording/capture-format');
+const { CameraIntrinsics } = require('../../src/services/camera-intrinsics');
+const {
+    captureIntrinsics,
+    exportCapture,
+    pointCloudFromFrame,
+    writePointCloud
+} = require('../../src/services/export/point-cloud-export');
+
+describe('point cloud export', () => {
+    const intrinsics = new CameraIntrinsics({ width: 2, height: 2, fx: 2, fy: 2, cx: 0.5, cy: 0.5 });
+    const depth = Uint16Array.from([1000, 0, 2000, 500]);
+    const registeredColor = Uint8Array.from([
+        10, 11, 12, 255,
+        20, 21, 22, 255,
+        30, 31, 32, 255,
+        40, 41, 42, 255
+    ]);
+
+    let directory;
+
+    beforeEach(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'kinect-export-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    describe('pointCloudFromFrame', () => {
+        it('should deproject raw depth, skipping pixels without a reading', () => {
+            const { points, colors } = pointCloudFromFrame(depth, { intrinsics });
+
+            expect(colors).to.equal(undefined);
+            expect([...points]).to.deep.equal([-0.25, 0.25, 1, -0.5, -0.5, 2, 0.125, -0.125, 0.5]);
+        });
+
+        it('should read raw depth that starts at an odd byte offset', () => {
+            const bytes = Buffer.alloc(depth.byteLength + 1);
+            bytes.set(new Uint8Array(depth.buffer), 1);
+
+            const { points } = pointCloudFromFrame(bytes.subarray(1), { intrinsics });
+
+            expect(points[2]).to.equal(1);
+            expect(points[8]).to.equal(0.5);
+        });
+
+        it('should colour points of synchronized frames from the registered colour', () => {
+            const { points, colors } = pointCloudFromFrame({ frames: { depth }, registeredColor }, { intrinsics, color: true });
+
+            expect(points).to.have.length(9);
+            expect([...colors]).to.deep.equal([10, 11, 12, 30, 31, 32, 40, 41, 42]);
+        });
+
+        it('should keep only the valid points of an organized cloud', () => {
+            const frame = {
+                organizedPointCloud: Float32Array.from([1, 2, 3, NaN, NaN, NaN, 4, 5, 6, 7, 8, 9]),
+                pointValidity: Uint8Array.from([1, 0, 0, 1]),
+                registeredColor
+            };
+
+            const { points, colors } = pointCloudFromFrame(frame, { color: true });
+
+            expect([...points]).to.deep.equal([1, 2, 3, 7, 8, 9]);
+            expect([...colors]).to.deep.equal([10, 11, 12, 40, 41, 42]);
+        });
+
+        it('should pass a packed cloud through', () => {
+            const pointCloud = Float32Array.from([1, 2, 3]);
+
+            expect(pointCloudFromFrame({ pointCloud }).points).to.equal(pointCloud);
+        });
+
+        it('should explain why a frame cannot be exported', () => {
+            expect(() => pointCloudFromFrame(depth)).to.throw(TypeError, 'Intrinsics are required to deproject raw depth');
+            expect(() => pointCloudFromFrame({ data: depth }))
+                .to.throw('Depth frame has no point cloud; enable generatePointCloud or export raw depth');
+            expect(() => pointCloudFromFrame({ frames: { depth } }, { intrinsics, color: true }))
+                .to.throw('Depth frame has no registered color image to color the points with');
+            expect(() => pointCloudFromFrame({ pointCloud: new Float32Array(3), registeredColor }, { color: true }))
+                .to.throw('A packed point cloud cannot be colored; use the organized output or raw depth');
+            expect(() => pointCloudFromFrame(new Uint16Array(3), { intrinsics }))
+                .to.throw(RangeError, 'Depth frame of 3 pixels does not match the 2x2 intrinsics');
+        });
+    });
+
+    describe('writePointCloud', () => {
+        it('should create the directory and report what was written', async () => {
+            const file = path.join(directory, 'nested', 'cloud.xyz');
+
+            const written = await writePointCloud(file, { points: Float32Array.from([1, 2, 3]) }, { format: 'xyz' });
+
+            expect(written).to.deep.equal({ file, points: 1, bytes: 6 });
+            expect(await fs.readFile(file, 'utf8')).to.equal('1 2 3\n');
+        });
+    });
+
+    describe('captureIntrinsics', () => {
+        it('should prefer the intrinsics resolved by the depth sensor', () => {
+            const header = {
+                config: { sensors: { depth: { frameSize: { width: 2, height: 2 }, calibration: { intrinsics: { fx: 100 } } } } },
+                sensors: { depth: { status: { intrinsics: intrinsics.toJSON() } } }
+            };
+
+            expect(captureIntrinsics(header).toJSON()).to.deep.equal(intrinsics.toJSON());
+        });
+
+        it('should use the registration calibration for device frames', () => {
+            const header = {
+                config: { sensors: { depth: { frameSize: { width: 256, height: 212 } } } },
+                registration: { depth: intrinsics.toJSON() }
+            };
+
+            expect(captureIntrinsics(header, RECORD_KINDS.SYNC_FRAME).toJSON()).to.deep.equal(intrinsics.toJSON());
+            expect(captureIntrinsics(header, RECORD_KINDS.RAW_FRAME).width).to.equal(2);
+            expect(captureIntrinsics(header).width).to.equal(256);
+        });
+
+        it('should fall back to the configured calibration at the recorded frame size', () => {
+            const header = { config: { sensors: { depth: { frameSize: { width: 256, height: 212 }, calibration: { intrinsics: { fx: 400 } } } } } };
+
+            const result = captureIntrinsics(header);
+
+            expect(result.width).to.equal(256);
+            expect(result.fx).to.equal(200);
+        });
+    });
+
+    describe('exportCapture', () => {
+        async function writeCapture(records) {
+            const file = path.join(directory, 'session.kncap');
+            const writer = new CaptureWriter(file);
+            await writer.open({ config: {}, sensors: { depth: { status: { intrinsics: intrinsics.toJSON() } } } });
+            records.forEach(([kind, stream, frame], index) => writer.write(kind, stream, index, frame));
+            await writer.close();
+            return file;
+        }
+
+        it('should write one file per depth frame of the first available source', async () => {
+            const file = await writeCapture([
+                [RECORD_KINDS.SENSOR_FRAME, 'color', {}],
+                [RECORD_KINDS.SENSOR_FRAME, 'depth', { pointCloud: Float32Array.from([1, 2, 3]) }],
+                [RECORD_KINDS.RAW_FRAME, 'depth', Buffer.from(depth.buffer)],
+                [RECORD_KINDS.SENSOR_FRAME, 'depth', { pointCloud: Float32Array.from([4, 5, 6, 7, 8, 9]) }]
+            ]);
+
+            const written = await exportCapture(file, { format: 'xyz' });
+
+            expect(written.map(entry => [path.basename(entry.file), entry.points])).to.deep.equal([
+                ['session_1.xyz', 1],
+                ['session_3.xyz', 2]
+            ]);
+            expect(await fs.readFile(path.join(directory, 'session_3.xyz'), 'utf8')).to.equal('4 5 6\n7 8 9\n');
+        });
+
+        it('should deproject raw frames with the recorded intrinsics', async () => {
+            const file = await writeCapture([
+                [RECORD_KINDS.SENSOR_FRAME, 'color', { data: Buffer.from([1]) }],
+                [RECORD_KINDS.RAW_FRAME, 'depth', Buffer.from(depth.buffer)]
+            ]);
+            const out = path.join(directory, 'out');
+
+            const [written] = await exportCapture(file, { source: 'raw', directory: out, format: 'pcd', encoding: 'ascii' });
+
+            expect(written.file).to.equal(path.join(out, 'session_1.pcd'));
+            expect(written.points).to.equal(3);
+        });
+
+        it('should thin and limit the exported frames', async () => {
+            const frame = { pointCloud: Float32Array.from([1, 2, 3]) };
+            const file = await writeCapture(Array.from({ length: 6 }, () => [RECORD_KINDS.SENSOR_FRAME, 'depth', frame]));
+
+            const written = await exportCapture(file, { every: 2, limit: 2 });
+
+            expect(written.map(entry => path.basename(entry.file))).to.deep.equal(['session_0.ply', 'session_2.ply']);
+        });
+
+        it('should reject invalid options and captures without depth', async () => {
+            const file = await writeCapture([[RECORD_KINDS.SENSOR_FRAME, 'body', { bodies: [] }]]);
+
+            await expectRejection(exportCapture(file, { source: 'infrared' }),
+                'Unknown capture source: infrared (available: sensor, raw, sync)');
+            await expectRejection(exportCapture(file, { every: 0 }), 'Invalid every: 0');
+            await expectRejection(exportCapture(file), `Capture ${file} has no depth frames`);
+        });
+
+        async function expectRejection(promise, message) {
+            try {
+                await promise;
+            } catch (error) {
+                expect(error.message).to.equal(message);
+                return;
+            }
+            expect.fail(`Expected rejection: ${message}`);
+        }
+    });
+});
@@ -0,0 +1,76 @@
+const { expect } = require('chai');
+const { POINT_CLOUD_FORMATS, encodePointCloud } = require('../../src/services/export/point-cloud-formats');
+
+describe('point cloud formats', () => {
+    const cloud = {
+        points: Float32Array.from([0.5, -0.25, 1, 0.125, 0.75, 2.5]),
+        colors: Uint8Array.from([255, 128, 0, 1, 2, 3])
+    };
+
+    function splitHeader(contents, marker) {
+        const end = contents.indexOf(marker) + marker.length;
+        return { header: contents.subarray(0, end).toString('latin1'), body: contents.subarray(end) };
+    }
+
+    it('should list the encodings of every format', () => {
+        expect(POINT_CLOUD_FORMATS).to.deep.equal({ ply: ['ascii', 'binary'], pcd: ['ascii', 'binary'], xyz: ['ascii'] });
+    });
+
+    it('should write ASCII PLY with colours', () => {
+        const text = encodePointCloud(cloud, { format: 'ply', encoding: 'ascii' }).toString('latin1');
+
+        expect(text).to.equal([
+            'ply',
+            'format ascii 1.0',
+            'comment kinect-node point cloud, metres, y up',
+            'element vertex 2',
+            'property float x',
+            'property float y',
+            'property float z',
+            'property uchar red',
+            'property uchar green',
+            'property uchar blue',
+            'end_header',
+            '0.5 -0.25 1 255 128 0',
+            '0.125 0.75 2.5 1 2 3',
+            ''
+        ].join('\n'));
+    });
+
+    it('should write binary little endian PLY by default', () => {
+        const { header, body } = splitHeader(encodePointCloud({ points: cloud.points }), 'end_header\n');
+
+        expect(header).to.include('format binary_little_endian 1.0');
+        expect(header).to.not.include('red');
+        expect(body).to.have.length(2 * 12);
+        expect(body.readFloatLE(12)).to.equal(0.125);
+        expect(body.readFloatLE(20)).to.equal(2.5);
+    });
+
+    it('should write PCD with packed rgb', () => {
+        const ascii = encodePointCloud(cloud, { format: 'pcd', encoding: 'ascii' }).toString('latin1');
+        const { header, body } = splitHeader(encodePointCloud(cloud, { format: 'pcd' }), 'DATA binary\n');
+
+        expect(ascii).to.include('FIELDS x y z rgb\nSIZE 4 4 4 4\nTYPE F F F U\nCOUNT 1 1 1 1\nWIDTH 2\nHEIGHT 1\n');
+        expect(ascii).to.include('POINTS 2\nDATA ascii\n0.5 -0.25 1 16744448\n0.125 0.75 2.5 66051\n');
+        expect(header).to.include('POINTS 2');
+        expect(body).to.have.length(2 * 16);
+        expect(body.readUInt32LE(12)).to.equal(0xFF8000);
+    });
+
+    it('should write XYZ as plain text', () => {
+        expect(encodePointCloud({ points: cloud.points }, { format: 'xyz' }).toString()).to.equal('0.5 -0.25 1\n0.125 0.75 2.5\n');
+        expect(encodePointCloud(cloud, { format: 'xyz' }).toString()).to.equal('0.5 -0.25 1 255 128 0\n0.125 0.75 2.5 1 2 3\n');
+    });
+
+    it('should reject unknown formats, unsupported encodings and malformed clouds', () => {
+        expect(() => encodePointCloud(cloud, { format: 'obj' }))
+            .to.throw(TypeError, 'Unknown point cloud format: obj (available: ply, pcd, xyz)');
+        expect(() => encodePointCloud(cloud, { format: 'xyz', encoding: 'binary' }))
+            .to.throw(TypeError, 'Point cloud format xyz does not support binary encoding (available: ascii)');
+        expect(() => encodePointCloud({ points: [0, 0, 1] }))
+            .to.throw(TypeError, 'Point cloud points must be a Float32Array of [x, y, z] triples');
+        expect(() => encodePointCloud({ points: cloud.points, colors: new Uint8Array(3) }))
+            .to.throw(TypeError, 'Point cloud colors must be a Uint8Array of 2 [r, g, b] triples');
+    });
+});
@@ -0,0 +1,142 @@
+const { expect } = require('chai');
+const {
+    PROTOCOL_VERSION,
+    HEADER_SIZE,
+    isBinaryMessage,
+    encodeMessage,
+    decodeMessage
+} = require('../src/services/frame-protocol');
+
+describe('frame protocol', () => {
+    function depthMessage() {
+        return {
+            type: 'frame',
+            sensorType: 'depth',
+            data: {
+                type: 'depth',
+                data: new Uint16Array([0, 500, 4500, 8000]),
+                timestamp: 1700000000123.5,
+                frameNumber: 42,
+                width: 2,
+                height: 2,
+                format: 'uint16',
+                processTime: 1.25,
+                metadata: { dropped: 0 }
+            }
+        };
+    }
+
+    describe('isBinaryMessage', () => {
+        it('should accept frame and synchronized frame messages', () => {
+            expect(isBinaryMessage(depthMessage())).to.be.true;
+            expect(isBinaryMessage({ type: 'frameSync', frame: { timestamp: 1, frames: {} } })).to.be.true;
+        });
+
+        it('should reject other messages', () => {
+            expect(isBinaryMessage({ type: 'status', data: {} })).to.be.false;
+            expect(isBinaryMessage({ type: 'frame', sensorType: 'audio', data: {} })).to.be.false;
+            expect(isBinaryMessage({ type: 'frame', sensorType: 'depth', data: [1, 2, 3] })).to.be.false;
+            expect(isBinaryMessage(null)).to.be.false;
+        });
+    });
+
+    describe('encoding', () => {
+        it('should store the frame data as raw bytes after the header', () => {
+            const message = depthMessage();
+            const encoded = encodeMessage(message);
+
+            expect(encoded.toString('latin1', 0, 4)).to.equal('KNFE');
+            expect(encoded.readUInt8(4)).to.equal(PROTOCOL_VERSION);
+
+            const dataStart = HEADER_SIZE + encoded.readUInt32LE(28);
+            const dataLength = encoded.readUInt32LE(32);
+            expect(dataLength).to.equal(message.data.data.byteLength);
+            expect(encoded.subarray(dataStart, dataStart + dataLength)).to.deep.equal(
+                Buffer.from(message.data.data.buffer)
+            );
+        });
+
+        it('should be much smaller than JSON for pixel data', () => {
+            const message = depthMessage();
+            message.data.data = new Uint16Array(512 * 424).fill(4000);
+            message.data.width = 512;
+            message.data.height = 424;
+
+            const binary = encodeMessage(message);
+            expect(binary.length).to.be.below(message.data.data.byteLength + 512);
+            expect(binary.length).to.be.below(JSON.stringify(message).length / 4);
+        });
+
+        it('should reject messages that cannot be enveloped', () => {
+            expect(() => encodeMessage({ type: 'status' })).to.throw('Message cannot be sent as a binary frame: status');
+        });
+    });
+
+    describe('decoding', () => {
+        it('should round-trip frame messages with typed arrays', () => {
+            const message = depthMessage();
+            const decoded = decodeMessage(encodeMessage(message));
+
+            expect(decoded.type).to.equal('frame');
+            expect(decoded.sensorType).to.equal('depth');
+            expect(decoded.data.data).to.be.instanceOf(Uint16Array);
+            expect(decoded.data).to.deep.equal(message.data);
+        });
+
+        it('should keep fields that do not fit the header in the metadata', () => {
+            const message = depthMessage();
+            message.data.format = 'custom';
+            message.data.width = 100000;
+
+            const decoded = decodeMessage(encodeMessage(message));
+            expect(decoded.data.format).to.equal('custom');
+            expect(decoded.data.width).to.equal(100000);
+        });
+
+        it('should round-trip synchronized frames with nested buffers', () => {
+            const message = {
+                type: 'frameSync',
+                frame: {
+                    timestamp: 1000,
+                    frames: {
+                        depth: new Uint16Array([1, 2, 3]),
+                        color: Buffer.from([255, 0, 0, 255]),
+                        body: { bodies: [{ tracked: true }] }
+                    }
+                }
+            };
+
+            const decoded = decodeMessage(encodeMessage(message));
+            expect(decoded).to.deep.equal(message);
+            expect(decoded.frames).to.be.undefined;
+            expect(decoded.frame.frames.depth).to.be.instanceOf(Uint16Array);
+        });
+
+        it('should decode from an unaligned view', () => {
+            const encoded = encodeMessage(depthMessage());
+            const shifted = Buffer.alloc(encoded.length + 1);
+            encoded.copy(shifted, 1);
+
+            const decoded = decodeMessage(shifted.subarray(1));
+            expect(Array.from(decoded.data.data)).to.deep.equal([0, 500, 4500, 8000]);
+        });
+
+        it('should decode from an ArrayBuffer', () => {
+            const encoded = encodeMessage(depthMessage());
+            const arrayBuffer = new Uint8Array(encoded).buffer;
+
+            expect(decodeMessage(arrayBuffer).data.frameNumber).to.equal(42);
+        });
+
+        it('should reject malformed envelopes', () => {
+            const encoded = encodeMessage(depthMessage());
+
+            expect(() => decodeMessage(Buffer.from('not a frame'))).to.throw('Invalid binary frame envelope');
+            expect(() => decodeMessage(encoded.subarray(0, encoded.length - 1))).to.throw('Truncated binary frame envelope');
+
+            const future = Buffer.from(encoded);
+            future.writeUInt8(PROTOCOL_VERSION + 1, 4);
+            expect(() => decodeMessage(future)).to.throw(`Unsupported binary frame version: ${PROTOCOL_VERSION + 1}`);
+        });
+    });
+});
@@ -0,0 +1,129 @@
+const { expect } = require('chai');
+const {
+    GestureRecording,
+    GestureTest,
+    createTemplate,
+    selectBody
+} = require('../../src/services/gestures/gesture-authoring');
+const { GESTURE_EVENTS, GestureEngine } = require('../../src/services/gestures/gesture-engine');
+const push = require('../../src/services/gestures/templates/push.json');
+
+describe('gesture authoring', () => {
+    const TORSO = 0.5;
+
+    // A body 2 m from the sensor holding one frame of a template
+    const bodyAt = (frame, trackingId = 1) => {
+        const joints = {
+            spineBase: { position: { x: 0, y: -TORSO, z: 2 } },
+            spineShoulder: { position: { x: 0, y: 0, z: 2 } },
+            shoulderLeft: { position: { x: -0.2, y: 0, z: 2 } },
+            shoulderRight: { position: { x: 0.2, y: 0, z: 2 } }
+        };
+        push.joints.forEach((name, index) => {
+            const [x, y, z] = frame.slice(index * 3, index * 3 + 3);
+            joints[name] = { position: { x: x * TORSO, y: y * TORSO, z: 2 + z * TORSO } };
+        });
+        return { trackingId, tracked: true, joints };
+    };
+
+    // Body frames of someone standing still, pushing, then standing still again
+    const performance = (trackingId = 1) => {
+        const frames = [];
+        const still = count => Array.from({ length: count }, () => push.frames[0]);
+        const moving = Array.from({ length: 22 }, (unused, i) => push.frames[Math.round((i / 21) * (push.frames.length - 1))]);
+        [...still(10), ...moving, ...Array.from({ length: 10 }, () => push.frames.at(-1))]
+            .forEach((frame, i) => frames.push({ bodies: [bodyAt(frame, trackingId)], timestamp: 1000 + i * 33 }));
+        return frames;
+    };
+
+    describe('selectBody', () => {
+        it('should follow the requested body or the first tracked one', () => {
+            const bodies = [{ trackingId: 1, tracked: false }, { trackingId: 2, tracked: true }, { trackingId: 3, tracked: true }];
+
+            expect(selectBody(bodies).trackingId).to.equal(2);
+            expect(selectBody(bodies, 3).trackingId).to.equal(3);
+            expect(selectBody(bodies, 4)).to.equal(undefined);
+        });
+    });
+
+    describe('createTemplate', () => {
+        it('should trim standing still and resample the movement', () => {
+            const samples = [0, 0, 0, 0.25, 0.5, 0.75, 1, 1, 1].map((x, i) => ({ timestamp: i * 100, features: [x, 0, 0] }));
+
+            const template = createTemplate(samples, { name: 'slide', joints: ['handRight'], frames: 5, mirror: true });
+
+            expect(template).to.deep.equal({
+                name: 'slide',
+                joints: ['handRight'],
+                duration: 400,
+                mirror: true,
+                frames: [[0, 0, 0], [0.25, 0, 0], [0.5, 0, 0], [0.75, 0, 0], [1, 0, 0]]
+            });
+        });
+
+        it('should reject recordings without movement', () => {
+            const samples = [0, 0.01, 0].map((x, i) => ({ timestamp: i * 100, features: [x, 0, 0] }));
+
+            expect(() => createTemplate(samples, { name: 'still', joints: ['handRight'] }))
+                .to.throw('Gesture recording still has no movement');
+            expect(() => createTemplate([], { name: 'empty', joints: ['handRight'] })).to.throw('has no movement');
+        });
+    });
+
+    describe('GestureRecording', () => {
+        it('should check its options', () => {
+            expect(() => new GestureRecording({ name: 'a b' })).to.throw(TypeError, 'Invalid gesture name: a b');
+            expect(() => new GestureRecording({ name: 'tail', joints: ['tail'] })).to.throw(TypeError, 'Unknown joint: tail');
+            expect(() => new GestureRecording({ name: 'short', frames: 1 })).to.throw(TypeError, 'Invalid gesture frames: 1');
+        });
+
+        it('should record a template that recognises the recorded gesture', () => {
+            const recording = new GestureRecording({ name: 'shove', joints: push.joints, mirror: true });
+            performance(7).forEach(({ bodies, timestamp }) => recording.addFrame(bodies, timestamp));
+
+            const template = recording.finish();
+            expect(recording.getStatus()).to.include({ name: 'shove', trackingId: 7, frames: 42 });
+            expect(template.frames).to.have.length(20);
+            expect(template.duration).to.be.within(400, 700);
+
+            const engine = new GestureEngine([template]);
+            const events = performance(1).flatMap(({ bodies, timestamp }) => engine.update(1, bodies[0].joints, timestamp));
+            expect(events.map(event => event.type)).to.include(GESTURE_EVENTS.COMPLETED);
+        });
+
+        it('should keep following the first body it recorded', () => {
+            const recording = new GestureRecording({ name: 'shove', joints: push.joints });
+
+            expect(recording.addFrame([bodyAt(push.frames[0], 5)], 0)).to.equal(true);
+            expect(recording.addFrame([bodyAt(push.frames[1], 6)], 33)).to.equal(false);
+            expect(recording.addFrame([{ trackingId: 5, tracked: true, joints: {} }], 66)).to.equal(false);
+            expect(recording.getStatus()).to.include({ trackingId: 5, frames: 1 });
+        });
+    });
+
+    describe('GestureTest', () => {
+        it('should score a live body against the template', () => {
+            const test = new GestureTest(push);
+
+            const scores = performance().map(({ bodies, timestamp }) => test.update(bodies, timestamp));
+
+            const last = scores.at(-1);
+            expect(last).to.include({ gesture: 'push', trackingId: 1, mirrored: false, threshold: 0.7 });
+            expect(last.best).to.be.above(0.7);
+            expect(scores.some(score => score.matched)).to.equal(true);
+            expect(scores[0].confidence).to.be.below(0.7);
+        });
+
+        it('should wait for a requested body and start over when the followed body leaves', () => {
+            const requested = new GestureTest(push, { trackingId: 2 });
+            expect(requested.update([bodyAt(push.frames[0], 1)], 0)).to.equal(null);
+
+            const test = new GestureTest(push);
+            performance(1).forEach(({ bodies, timestamp }) => test.update(bodies, timestamp));
+            const score = test.update([bodyAt(push.frames[0], 3)], 5000);
+
+            expect(score).to.include({ trackingId: 3 });
+            expect(score.best).to.equal(score.confidence);
+        });
+    });
+});
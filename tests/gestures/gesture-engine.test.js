@@ -0,0 +1,177 @@
+const { expect } = require('chai');
+const {
+    GESTURE_EVENTS,
+    GestureEngine,
+    TemplateMatcher,
+    extractFeatures,
+    mirrorTemplate
+} = require('../../src/services/gestures/gesture-engine');
+const push = require('../../src/services/gestures/templates/push.json');
+const clap = require('../../src/services/gestures/templates/clap.json');
+
+describe('gesture engine', () => {
+    const TORSO = 0.5;
+
+    // A person standing 2 m from the sensor, facing it
+    const standing = () => ({
+        spineBase: { position: { x: 0, y: -TORSO, z: 2 } },
+        spineShoulder: { position: { x: 0, y: 0, z: 2 } },
+        shoulderLeft: { position: { x: -0.2, y: 0, z: 2 } },
+        shoulderRight: { position: { x: 0.2, y: 0, z: 2 } }
+    });
+
+    // Joints that reproduce one frame of a template
+    const pose = (template, frame) => {
+        const joints = standing();
+        template.joints.forEach((name, index) => {
+            const [x, y, z] = frame.slice(index * 3, index * 3 + 3);
+            joints[name] = { position: { x: x * TORSO, y: y * TORSO, z: 2 + z * TORSO } };
+        });
+        return joints;
+    };
+
+    // Play a template back at the given speed, one frame every 33 ms
+    const perform = (engine, template, { speed = 1, from = 0, trackingId = 1 } = {}) => {
+        const frameCount = Math.round(template.duration / speed / 33);
+        const events = [];
+        for (let i = 0; i <= frameCount; i++) {
+            const position = (i / frameCount) * (template.frames.length - 1);
+            const before = template.frames[Math.floor(position)];
+            const after = template.frames[Math.ceil(position)];
+            const t = position - Math.floor(position);
+            const frame = before.map((value, index) => value + (after[index] - value) * t);
+            events.push(...engine.update(trackingId, pose(template, frame), from + i * 33));
+        }
+        return events;
+    };
+
+    describe('extractFeatures', () => {
+        it('should measure joints from the shoulders in torso lengths', () => {
+            const joints = { ...standing(), handRight: { position: { x: 0.5, y: 0.25, z: 1.5 } } };
+
+            expect(extractFeatures(joints, ['handRight'])).to.deep.equal([1, 0.5, -1]);
+        });
+
+        it('should give the same features wherever the person stands and faces, however tall', () => {
+            const joints = { ...standing(), handRight: { position: { x: 0.5, y: 0.25, z: 1.5 } } };
+            const yaw = Math.PI / 6;
+            // Turned by yaw, twice the size and standing elsewhere
+            const moved = Object.fromEntries(Object.entries(joints).map(([name, { position: { x, y, z } }]) => {
+                const dz = z - 2;
+                const position = {
+                    x: 1 + 2 * (x * Math.cos(yaw) - dz * Math.sin(yaw)),
+                    y: 0.3 + 2 * y,
+                    z: 3 + 2 * (x * Math.sin(yaw) + dz * Math.cos(yaw))
+                };
+                return [name, { position }];
+            }));
+
+            const features = extractFeatures(moved, ['handRight']);
+
+            [1, 0.5, -1].forEach((value, index) => expect(features[index]).to.be.closeTo(value, 1e-9));
+        });
+
+        it('should return null when a joint is missing', () => {
+            expect(extractFeatures(standing(), ['handRight'])).to.equal(null);
+            expect(extractFeatures({ handRight: { position: { x: 0, y: 0, z: 2 } } }, ['handRight'])).to.equal(null);
+        });
+    });
+
+    describe('mirrorTemplate', () => {
+        it('should use the joints of the other side with x negated', () => {
+            const mirrored = mirrorTemplate({ name: 'point', joints: ['handRight'], frames: [[0.5, 0.1, -0.2]], duration: 100 });
+
+            expect(mirrored.joints).to.deep.equal(['handLeft']);
+            expect(mirrored.frames).to.deep.equal([[-0.5, 0.1, -0.2]]);
+        });
+    });
+
+    describe('TemplateMatcher', () => {
+        it('should match a template performed slower or faster', () => {
+            [0.6, 1, 1.8].forEach(speed => {
+                const matcher = new TemplateMatcher(push, false);
+                const frameCount = Math.round(push.duration / speed / 33);
+                for (let i = 0; i <= frameCount; i++) {
+                    const frame = push.frames[Math.round((i / frameCount) * (push.frames.length - 1))];
+                    matcher.update(frame, i * 33);
+                }
+
+                expect(matcher.match(push.frames.length, 0.35).confidence).to.be.above(0.9);
+            });
+        });
+
+        it('should drop matches that started too long ago', () => {
+            const matcher = new TemplateMatcher(push, false);
+            push.frames.forEach((frame, index) => matcher.update(frame, index * 1000));
+
+            // Only a match squeezed into the last frame remains
+            const match = matcher.match(push.frames.length, 0.35);
+            expect(match.startedAt).to.equal((push.frames.length - 1) * 1000);
+            expect(match.confidence).to.be.below(0.1);
+        });
+    });
+
+    describe('GestureEngine', () => {
+        it('should report a performed gesture as started, then completed', () => {
+            const engine = new GestureEngine([push]);
+
+            const events = perform(engine, push);
+
+            expect(events.map(event => event.type)).to.deep.equal([GESTURE_EVENTS.STARTED, GESTURE_EVENTS.COMPLETED]);
+            expect(events[1]).to.include({ gesture: 'push', trackingId: 1, mirrored: false });
+            expect(events[1].confidence).to.be.above(0.7);
+            expect(events[1].duration).to.be.within(350, 1400);
+        });
+
+        it('should recognise mirrored templates with the other hand', () => {
+            const engine = new GestureEngine([push]);
+
+            const events = perform(engine, mirrorTemplate(push));
+
+            expect(events.map(event => event.type)).to.include(GESTURE_EVENTS.COMPLETED);
+            expect(events.every(event => event.mirrored)).to.equal(true);
+        });
+
+        it('should not repeat a gesture within its cooldown', () => {
+            const engine = new GestureEngine([{ ...push, cooldown: 5000 }]);
+            const completed = events => events.filter(event => event.type === GESTURE_EVENTS.COMPLETED);
+
+            expect(completed(perform(engine, push))).to.have.length(1);
+            expect(completed(perform(engine, push, { from: 1000 }))).to.have.length(0);
+            expect(completed(perform(engine, push, { from: 6000 }))).to.have.length(1);
+            // Other bodies have their own cooldown
+            expect(completed(perform(engine, push, { from: 1000, trackingId: 2 }))).to.have.length(1);
+        });
+
+        it('should cancel a gesture that is not completed in time', () => {
+            const engine = new GestureEngine([push], { startAt: 0.4 });
+            const half = { ...push, frames: push.frames.slice(0, 8), duration: 350 };
+
+            const events = perform(engine, half);
+            const still = pose(push, push.frames[7]);
+            for (let time = 400; time <= 2000; time += 33) {
+                events.push(...engine.update(1, still, time));
+            }
+
+            expect(events.map(event => event.type)).to.deep.equal([GESTURE_EVENTS.STARTED, GESTURE_EVENTS.CANCELLED]);
+        });
+
+        it('should not recognise other movements', () => {
+            const engine = new GestureEngine([push]);
+
+            const events = perform(engine, { ...clap, joints: ['handRight', 'elbowRight'] });
+
+            expect(events).to.deep.equal([]);
+        });
+
+        it('should forget bodies that were not seen within the timeout', () => {
+            const engine = new GestureEngine([push]);
+            engine.update(1, standing(), 0);
+            engine.update(2, standing(), 150);
+
+            engine.prune(150, 100);
+
+            expect([...engine.bodies.keys()]).to.deep.equal([2]);
+        });
+    });
+});
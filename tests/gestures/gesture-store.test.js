@@ -0,0 +1,107 @@
+const { expect } = require('chai');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const GestureStore = require('../../src/services/gestures/gesture-store');
+
+describe('GestureStore', () => {
+    const template = {
+        name: 'point',
+        description: 'Point at the sensor',
+        joints: ['handRight'],
+        duration: 500,
+        frames: [[0.4, 0, -0.2], [0.4, 0, -0.9]]
+    };
+
+    let directory;
+    let store;
+
+    beforeEach(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'kinect-gesture-store-'));
+        store = new GestureStore(path.join(directory, 'gestures'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('should require a directory', () => {
+        expect(() => new GestureStore()).to.throw(TypeError, 'Gesture directory is required');
+    });
+
+    it('should save templates as JSON and list them after the built-in ones', async () => {
+        const file = await store.save(template);
+
+        expect(file).to.equal(path.join(directory, 'gestures', 'point.json'));
+        expect(JSON.parse(await fs.readFile(file, 'utf8'))).to.deep.equal(template);
+        const list = await store.list();
+        expect(list.map(each => each.name)).to.deep.equal(['clap', 'push', 'raiseBothHands', 'wave', 'point']);
+        expect(list[4]).to.deep.equal({
+            name: 'point',
+            description: 'Point at the sensor',
+            joints: ['handRight'],
+            duration: 500,
+            frames: 2,
+            mirror: false,
+            builtIn: false
+        });
+    });
+
+    it('should not overwrite a saved template unless asked to', async () => {
+        await store.save(template);
+
+        try {
+            await store.save(template);
+            expect.fail('Expected save to fail');
+        } catch (error) {
+            expect(error.message).to.equal('Gesture already exists: point');
+        }
+        await store.save({ ...template, duration: 800 }, { replace: true });
+        expect((await store.get('point')).duration).to.equal(800);
+    });
+
+    it('should replace built-in templates of the same name', async () => {
+        await store.save({ ...template, name: 'push' });
+
+        const list = await store.list();
+        expect(list.filter(each => each.name === 'push')).to.deep.equal([{ ...list.at(-1), builtIn: false }]);
+        expect((await store.get('push')).joints).to.deep.equal(['handRight']);
+        expect(await store.has('push')).to.equal(true);
+        expect(await store.has('wave')).to.equal(false);
+    });
+
+    it('should leave the built-in templates out when they are not in use', async () => {
+        const saved = new GestureStore(path.join(directory, 'gestures'), { builtIn: false });
+
+        expect(await saved.list()).to.deep.equal([]);
+        try {
+            await saved.get('wave');
+            expect.fail('Expected get to fail');
+        } catch (error) {
+            expect(error.message).to.equal('Unknown gesture: wave');
+        }
+    });
+
+    it('should delete and rename saved templates', async () => {
+        await store.save(template);
+
+        const file = await store.rename('point', 'aim');
+        expect(path.basename(file)).to.equal('aim.json');
+        expect((await store.get('aim')).name).to.equal('aim');
+        expect(await store.has('point')).to.equal(false);
+
+        await store.delete('aim');
+        expect((await store.list()).map(each => each.name)).to.not.include('aim');
+    });
+
+    it('should explain why a template cannot be deleted or renamed', async () => {
+        await store.save(template);
+        const failure = async promise => promise.then(() => expect.fail('Expected a failure'), error => error.message);
+
+        expect(await failure(store.delete('wave'))).to.equal('Cannot delete built-in gesture: wave');
+        expect(await failure(store.rename('missing', 'other'))).to.equal('Unknown gesture: missing');
+        expect(await failure(store.rename('point', '../point'))).to.match(/^Invalid gesture name: \.\.\/point/);
+        await store.save({ ...template, name: 'aim' });
+        expect(await failure(store.rename('point', 'aim'))).to.equal('Gesture already exists: aim');
+    });
+});
@@ -0,0 +1,82 @@
+const { expect } = require('chai');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {
+    BUILT_IN_DIRECTORY,
+    loadTemplates,
+    readTemplate,
+    validateTemplate
+} = require('../../src/services/gestures/gesture-templates');
+
+describe('gesture templates', () => {
+    const template = {
+        name: 'point',
+        description: 'Point at the sensor',
+        joints: ['handRight'],
+        duration: 500,
+        frames: [[0.4, 0, -0.2], [0.4, 0, -0.9]]
+    };
+
+    let directory;
+
+    beforeEach(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'kinect-gestures-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    describe('validateTemplate', () => {
+        it('should keep the fields the engine uses', () => {
+            const validated = validateTemplate({ ...template, threshold: 0.8, recordedBy: 'someone', mirror: undefined });
+
+            expect(validated).to.deep.equal({ ...template, threshold: 0.8 });
+        });
+
+        it('should list every problem with a template', () => {
+            const invalid = { ...template, joints: ['handRight', 'tail'], frames: [[0, 0, 0]], threshold: 2 };
+
+            expect(() => validateTemplate(invalid)).to.throw(TypeError,
+                'Invalid gesture template point: unknown joints: tail; frames must have at least 2 frames; threshold must be in (0, 1]');
+            expect(() => validateTemplate({ ...template, name: '../point' })).to.throw(TypeError, 'name must be letters, digits, _ or -');
+            expect(() => validateTemplate({ ...template, frames: [[0, 0], [0, 0]] }))
+                .to.throw(TypeError, 'every frame must be 3 numbers, x, y and z of each joint');
+            expect(() => validateTemplate([])).to.throw(TypeError, 'expected an object');
+        });
+
+        it('should accept the built-in templates', async () => {
+            const files = await fs.readdir(BUILT_IN_DIRECTORY);
+            const templates = await Promise.all(files.map(file => readTemplate(path.join(BUILT_IN_DIRECTORY, file))));
+
+            expect(templates.map(each => each.name)).to.have.members(['clap', 'push', 'raiseBothHands', 'wave']);
+        });
+    });
+
+    describe('loadTemplates', () => {
+        it('should let later directories replace templates by name', async () => {
+            await fs.writeFile(path.join(directory, 'push.json'), JSON.stringify({ ...template, name: 'push' }));
+            await fs.writeFile(path.join(directory, 'point.json'), JSON.stringify(template));
+
+            const { templates, errors } = await loadTemplates([BUILT_IN_DIRECTORY, directory]);
+            const byName = Object.fromEntries(templates.map(each => [each.name, each]));
+
+            expect(errors).to.deep.equal([]);
+            expect(Object.keys(byName)).to.have.members(['clap', 'point', 'push', 'raiseBothHands', 'wave']);
+            expect(byName.push.joints).to.deep.equal(['handRight']);
+        });
+
+        it('should report files that fail to load and skip missing directories', async () => {
+            await fs.writeFile(path.join(directory, 'broken.json'), '{');
+            await fs.writeFile(path.join(directory, 'point.json'), JSON.stringify(template));
+            await fs.writeFile(path.join(directory, 'notes.txt'), 'not a template');
+
+            const { templates, errors } = await loadTemplates([path.join(directory, 'missing'), directory]);
+
+            expect(templates.map(each => each.name)).to.deep.equal(['point']);
+            expect(errors).to.have.length(1);
+            expect(errors[0].file).to.equal(path.join(directory, 'broken.json'));
+        });
+    });
+});
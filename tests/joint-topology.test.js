@@ -0,0 +1,65 @@
+const { expect } = require('chai');
+const {
+    BONES,
+    JOINT_CHILDREN,
+    JOINT_COUNT,
+    JOINT_GROUP_OF,
+    JOINT_MIRRORS,
+    JOINT_NAMES,
+    JOINT_PARENTS,
+    getTopology,
+    jointName,
+    jointType
+} = require('../src/services/joint-topology');
+
+describe('joint topology', () => {
+    it('should name the 25 Kinect v2 joints in joint type order', () => {
+        expect(JOINT_COUNT).to.equal(25);
+        expect(jointName(1)).to.equal('spineMid');
+        expect(jointName(11)).to.equal('handRight');
+        expect(jointType('spineShoulder')).to.equal(20);
+        expect(JOINT_NAMES.every((name, index) => jointType(name) === index)).to.equal(true);
+    });
+
+    it('should reject unknown joints', () => {
+        expect(() => jointName(25)).to.throw(RangeError, 'Unknown joint type: 25 (expected 0 to 24)');
+        expect(() => jointName(1.5)).to.throw(RangeError);
+        expect(() => jointType('toString')).to.throw(TypeError, 'Unknown joint: toString');
+    });
+
+    it('should form one tree rooted at spineBase', () => {
+        const roots = JOINT_NAMES.filter(name => JOINT_PARENTS[name] === null);
+        const depth = name => (JOINT_PARENTS[name] ? 1 + depth(JOINT_PARENTS[name]) : 0);
+
+        expect(roots).to.deep.equal(['spineBase']);
+        expect(BONES).to.have.length(24);
+        expect(depth('handTipRight')).to.equal(7);
+        expect(JOINT_CHILDREN.spineShoulder).to.deep.equal(['neck', 'shoulderLeft', 'shoulderRight']);
+        expect(JOINT_CHILDREN.head).to.deep.equal([]);
+    });
+
+    it('should mirror joints across the body', () => {
+        expect(JOINT_MIRRORS.handLeft).to.equal('handRight');
+        expect(JOINT_MIRRORS.thumbRight).to.equal('thumbLeft');
+        expect(JOINT_MIRRORS.head).to.equal('head');
+        expect(JOINT_NAMES.every(name => JOINT_MIRRORS[JOINT_MIRRORS[name]] === name)).to.equal(true);
+        // Mirrored bones connect mirrored joints
+        expect(JOINT_NAMES.every(name => JOINT_PARENTS[JOINT_MIRRORS[name]] === (JOINT_MIRRORS[JOINT_PARENTS[name]] ?? null)))
+            .to.equal(true);
+    });
+
+    it('should put every joint in one group', () => {
+        expect(Object.keys(JOINT_GROUP_OF)).to.have.members([...JOINT_NAMES]);
+        expect(JOINT_GROUP_OF.thumbLeft).to.equal('hands');
+    });
+
+    it('should describe itself as plain data for clients', () => {
+        const topology = JSON.parse(JSON.stringify(getTopology()));
+
+        expect(topology.joints).to.deep.equal([...JOINT_NAMES]);
+        expect(topology.bones[0]).to.deep.equal(['spineBase', 'spineMid']);
+        expect(topology.mirrors.elbowLeft).to.equal('elbowRight');
+        expect(topology.groups.head).to.deep.equal(['neck', 'head']);
+        expect(topology.parents.spineBase).to.equal(null);
+    });
+});
@@ -0,0 +1,218 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const SimulatedDevice = require('../src/services/devices/simulated-device');
+const { ConfigError } = require('../src/services/config-schema');
+const { KinectService, createKinectService } = require('../src/services/kinect-service');
+
+describe('KinectService', () => {
+    const port = 8150;
+    let logsDir;
+    let service;
+
+    function createService(overrides = {}, options = {}) {
+        return createKinectService({
+            config: {
+                device: { type: 'simulated' },
+                frameSync: { enabled: false },
+                network: { websocket: { port } },
+                debug: {
+                    logLevel: 'error',
+                    logging: { logsDir, saveImmediately: false }
+                },
+                ...overrides
+            },
+            ...options
+        });
+    }
+
+    beforeEach(() => {
+        logsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kinect-service-'));
+    });
+
+    afterEach(async () => {
+        await service?.stop();
+        service = null;
+        fs.rmSync(logsDir, { recursive: true, force: true });
+    });
+
+    describe('createKinectService', () => {
+        it('should create a service without touching the process', () => {
+            const listeners = ['SIGINT', 'SIGTERM', 'uncaughtException', 'exit']
+                .map(event => process.listenerCount(event));
+
+            service = createService();
+
+            expect(service).to.be.instanceOf(KinectService);
+            expect(['SIGINT', 'SIGTERM', 'uncaughtException', 'exit'].map(event => process.listenerCount(event)))
+                .to.deep.equal(listeners);
+        });
+
+        it('should validate the merged configuration', () => {
+            expect(() => createService({ frameSync: { syncWindow: 50, dropAfter: 10 } }))
+                .to.throw(ConfigError, 'frameSync.dropAfter: must be at least syncWindow');
+        });
+
+        it('should require a configuration when constructed directly', () => {
+            expect(() => new KinectService()).to.throw(TypeError, 'Service configuration is required');
+        });
+    });
+
+    describe('lifecycle', () => {
+        it('should start and stop an injected device without exiting', async () => {
+            const device = new SimulatedDevice();
+            service = createService({ device: { type: 'kinect2' } }, { device });
+
+            await service.start();
+            expect(device.isOpen).to.equal(true);
+
+            const client = new WebSocket(`ws://127.0.0.1:${port}`);
+            await new Promise((resolve, reject) => {
+                client.once('open', resolve);
+                client.once('error', reject);
+            });
+            const closed = new Promise(resolve => client.once('close', resolve));
+
+            await service.stop();
+            await closed;
+            expect(device.isOpen).to.equal(false);
+        });
+
+        it('should reject start failures instead of exiting', async () => {
+            const device = new SimulatedDevice();
+            device.open = () => false;
+            service = createService({}, { device });
+
+            try {
+                await service.start();
+                expect.fail('Expected start to fail');
+            } catch (error) {
+                expect(error.message).to.equal('Failed to open Kinect device');
+            }
+        });
+    });
+
+    describe('snapshot', () => {
+        it('should reject snapshots before any depth frame arrived', async () => {
+            service = createService({ export: { directory: logsDir } });
+
+            try {
+                await service.snapshot();
+                expect.fail('Expected snapshot to fail');
+            } catch (error) {
+                expect(error.message).to.equal('No depth frame to snapshot; subscribe to depth first');
+            }
+        });
+
+        it('should need registered frames for colored snapshots', async () => {
+            service = createService({ export: { directory: logsDir } });
+
+            try {
+                await service.snapshot({ color: true });
+                expect.fail('Expected snapshot to fail');
+            } catch (error) {
+                expect(error.message).to.equal('No registered color frame to snapshot; enable frameSync.registration');
+            }
+        });
+    });
+
+    describe('gestures', () => {
+        const template = {
+            name: 'point',
+            joints: ['handRight'],
+            duration: 500,
+            frames: [[0.4, 0, -0.2], [0.4, 0, -0.9]]
+        };
+        const failure = promise => promise.then(() => expect.fail('Expected a failure'), error => error.message);
+
+        const createGestureService = () => createService({
+            sensors: { body: { gestures: { directory: path.join(logsDir, 'gestures') } } }
+        });
+
+        // Identified client that collects the messages it receives
+        async function connectClient() {
+            const client = new WebSocket(`ws://127.0.0.1:${port}`);
+            client.received = [];
+            client.on('message', message => {
+                const data = JSON.parse(message);
+                client.received.push(data);
+                if (data.type === 'identify') {
+                    client.send(JSON.stringify({ type: 'identify', name: 'Designer', version: '1.0.0', capabilities: {} }));
+                }
+            });
+            await new Promise((resolve, reject) => {
+                client.once('error', reject);
+                client.on('message', message => {
+                    if (JSON.parse(message).type === 'deviceInfo') resolve();
+                });
+            });
+            client.waitFor = type => new Promise(resolve => {
+                const check = () => {
+                    const found = client.received.find(message => message.type === type);
+                    if (found) {
+                        resolve(found);
+                    } else {
+                        setTimeout(check, 20);
+                    }
+                };
+                check();
+            });
+            return client;
+        }
+
+        it('should list, rename and delete saved templates', async () => {
+            service = createGestureService();
+            fs.mkdirSync(path.join(logsDir, 'gestures'));
+            fs.writeFileSync(path.join(logsDir, 'gestures', 'point.json'), JSON.stringify(template));
+
+            expect((await service.listGestures()).map(gesture => gesture.name)).to.include('point');
+
+            const file = await service.renameGesture('point', 'aim');
+            expect(file).to.equal(path.join(logsDir, 'gestures', 'aim.json'));
+
+            await service.deleteGesture('aim');
+            expect(await failure(service.deleteGesture('wave'))).to.equal('Cannot delete built-in gesture: wave');
+            expect((await service.listGestures()).map(gesture => gesture.name)).to.deep.equal(['clap', 'push', 'raiseBothHands', 'wave']);
+        });
+
+        it('should only record while the body sensor runs', async () => {
+            service = createGestureService();
+
+            expect(await failure(service.startGestureRecording({ name: 'point' })))
+                .to.equal('Body sensor is not running; subscribe to body or gesture first');
+            expect(await failure(service.stopGestureRecording())).to.equal('No gesture recording is running');
+        });
+
+        it('should need a directory to manage templates', async () => {
+            service = createService({ sensors: { body: { gestures: { directory: null } } } });
+
+            expect(() => service.listGestures()).to.throw('Gesture templates cannot be saved without sensors.body.gestures.directory');
+        });
+
+        it('should record and test gestures for clients of the gesture stream', async () => {
+            service = createGestureService();
+            await service.start();
+            const client = await connectClient();
+
+            client.send(JSON.stringify({ type: 'subscribe', stream: 'gesture' }));
+            await client.waitFor('subscribed');
+            await new Promise(resolve => setTimeout(resolve, 300));
+
+            client.send(JSON.stringify({ type: 'testGesture', name: 'wave' }));
+            const score = await client.waitFor('gestureScore');
+            expect(score).to.include({ gesture: 'wave', threshold: 0.6 });
+            expect(score.confidence).to.be.within(0, 1);
+
+            client.send(JSON.stringify({ type: 'startGestureRecording', name: 'point', joints: ['handRight'] }));
+            const { status } = await client.waitFor('gestureRecordingStatus');
+            expect(status).to.include({ recording: true, name: 'point' });
+
+            client.received.length = 0;
+            client.send(JSON.stringify({ type: 'stopGestureRecording', cancel: true }));
+            expect((await client.waitFor('gestureRecordingStatus')).status).to.deep.equal({ recording: false });
+            client.close();
+        });
+    });
+});
@@ -1,6 +1,5 @@
 const { expect } = require('chai');
 const sinon = require('sinon');
-const Kinect2 = require('kinect2');
 const MultiSourceReader = require('../src/services/multi-source-reader');
 
 describe('MultiSourceReader', () => {
@@ -18,7 +17,6 @@ describe('MultiSourceReader', () => {
             on: sinon.stub(),
             removeListener: sinon.stub()
         };
-        Object.setPrototypeOf(mockKinect, Kinect2.prototype);
 
         config = {
             frameSync: {
@@ -194,4 +192,66 @@ describe('MultiSourceReader', () => {
             expect(stats.frameDelays.color).to.equal(10);
         });
     });
-});
\ No newline at end of file
+
+    describe('registration', () => {
+        const depthIntrinsics = { width: 2, height: 1, fx: 2, fy: 2, cx: 0.5, cy: 0, distortion: {} };
+        const colorIntrinsics = { width: 2, height: 1, fx: 2, fy: 2, cx: 0.5, cy: 0, distortion: {} };
+
+        beforeEach(() => {
+            mockKinect.getIntrinsics = camera => (camera === 'depth' ? depthIntrinsics : colorIntrinsics);
+            mockKinect.getExtrinsics = () => ({ rotation: [1, 0, 0, 0, 1, 0, 0, 0, 1], translation: [0, 0, 0] });
+            config.frameSync.registration = { enabled: true, registeredColor: true, registeredDepth: false };
+            reader = new MultiSourceReader(mockKinect, config);
+        });
+
+        it('should attach registered color to synchronized frames', async () => {
+            await reader.start();
+            const emitted = new Promise(resolve => reader.once('synchronizedFrame', resolve));
+
+            mockKinect.on.args[0][1]({
+                depth: Buffer.from(Uint16Array.from([1000, 2000]).buffer),
+                color: Buffer.from([1, 2, 3, 4, 5, 6, 7, 8]),
+                body: { bodies: [] }
+            });
+            const frame = await emitted;
+
+            expect([...frame.registeredColor]).to.deep.equal([1, 2, 3, 255, 5, 6, 7, 255]);
+            expect(frame.registeredDepth).to.equal(undefined);
+            expect(reader.getStats().pipeline).to.deep.equal(['registration']);
+            expect(reader.calibration.depth).to.deep.include({ width: 2, fx: 2 });
+        });
+
+        it('should report frames that fail to register', async () => {
+            await reader.start();
+            const failed = new Promise(resolve => reader.once('error', resolve));
+
+            mockKinect.on.args[0][1]({ depth: Buffer.alloc(6), color: Buffer.alloc(8), body: { bodies: [] } });
+            const event = await failed;
+
+            expect(event.message).to.equal('Frame processing error');
+            expect(event.error.message).to.equal('Pipeline stage registration failed: Depth frame of 3 pixels does not match the 2x1 intrinsics');
+        });
+
+        it('should need the sensors it registers', async () => {
+            config.sensors.color.enabled = false;
+            reader = new MultiSourceReader(mockKinect, config);
+            reader.on('error', () => {});
+
+            try {
+                await reader.start();
+                expect.fail('Expected start to fail');
+            } catch (error) {
+                expect(error.message).to.equal('Registration needs the depth and color sensors enabled');
+            }
+        });
+
+        it('should leave frames alone without a pipeline', async () => {
+            delete config.frameSync.registration;
+            reader = new MultiSourceReader(mockKinect, config);
+            await reader.start();
+
+            expect(reader.calibration).to.equal(null);
+            expect(reader.getStats().pipeline).to.deep.equal([]);
+        });
+    });
+});
@@ -0,0 +1,130 @@
+const { expect } = require('chai');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const CaptureWriter = require('../../src/services/recording/capture-writer');
+const CaptureReader = require('../../src/services/recording/capture-reader');
+const { RECORD_KINDS, encodeFrame, decodeFrame } = require('../../src/services/recording/capture-format');
+
+describe('Capture file', () => {
+    let directory;
+    let filePath;
+
+    beforeEach(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'kinect-capture-'));
+        filePath = path.join(directory, 'test.kncap');
+    });
+
+    afterEach(async () => {
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    describe('frame encoding', () => {
+        it('should round-trip typed arrays, buffers and nested values', () => {
+            const frame = {
+                type: 'depth',
+                processedFrame: new Uint16Array([1, 2, 65535]),
+                pointCloud: new Float32Array([0.5, -1.25]),
+                data: Buffer.from([7, 8, 9]),
+                bodies: [{ trackingId: 3, joints: [{ position: { x: 1 } }] }],
+                filter: () => true
+            };
+
+            const { meta, chunks } = encodeFrame(frame);
+            const decoded = decodeFrame(JSON.parse(JSON.stringify(meta)), Buffer.concat(chunks));
+
+            expect(decoded.processedFrame).to.be.instanceOf(Uint16Array);
+            expect(Array.from(decoded.processedFrame)).to.deep.equal([1, 2, 65535]);
+            expect(Array.from(decoded.pointCloud)).to.deep.equal([0.5, -1.25]);
+            expect(Buffer.isBuffer(decoded.data)).to.be.true;
+            expect(decoded.bodies).to.deep.equal(frame.bodies);
+            expect(decoded).to.not.have.property('filter');
+        });
+    });
+
+    describe('writing and reading', () => {
+        it('should write a header, records and index', async () => {
+            const writer = new CaptureWriter(filePath);
+            await writer.open({ format: 'kinect-node-capture', config: { a: 1 } });
+
+            writer.write(RECORD_KINDS.SENSOR_FRAME, 'depth', 1000, { data: new Uint16Array([1, 2]) });
+            writer.write(RECORD_KINDS.SENSOR_FRAME, 'body', 1010, { bodies: [] });
+            writer.write(RECORD_KINDS.SYNC_FRAME, 'frameSync', 1020, { frames: {} });
+            const stats = await writer.close();
+
+            expect(stats.frames).to.equal(3);
+            expect(stats.droppedFrames).to.equal(0);
+
+            const reader = await CaptureReader.open(filePath);
+            expect(reader.header.config).to.deep.equal({ a: 1 });
+            expect(reader.index).to.have.length(3);
+            expect(reader.recovered).to.be.false;
+
+            const record = await reader.readRecord(reader.index[0]);
+            expect(record.stream).to.equal('depth');
+            expect(record.timestamp).to.equal(1000);
+            expect(Array.from(record.frame.data)).to.deep.equal([1, 2]);
+
+            const summary = reader.getSummary();
+            expect(summary.frames).to.equal(3);
+            expect(summary.startTime).to.equal(1000);
+            expect(summary.endTime).to.equal(1020);
+            await reader.close();
+        });
+
+        it('should filter records by stream', async () => {
+            const writer = new CaptureWriter(filePath);
+            await writer.open({});
+            writer.write(RECORD_KINDS.SENSOR_FRAME, 'depth', 1, {});
+            writer.write(RECORD_KINDS.SENSOR_FRAME, 'color', 2, {});
+            writer.write(RECORD_KINDS.SENSOR_FRAME, 'depth', 3, {});
+            await writer.close();
+
+            const reader = await CaptureReader.open(filePath);
+            const records = [];
+            for await (const record of reader.records({ streams: ['depth'] })) {
+                records.push(record);
+            }
+            await reader.close();
+
+            expect(records.map(record => record.timestamp)).to.deep.equal([1, 3]);
+        });
+
+        it('should rebuild the index of an interrupted recording', async () => {
+            const writer = new CaptureWriter(filePath);
+            await writer.open({});
+            writer.write(RECORD_KINDS.RAW_FRAME, 'depth', 1, { data: Buffer.alloc(16) });
+            writer.write(RECORD_KINDS.RAW_FRAME, 'depth', 2, { data: Buffer.alloc(16) });
+            await writer.close();
+
+            // Cut the file inside the index to simulate a crash before finalising
+            const { size } = await fs.stat(filePath);
+            await fs.truncate(filePath, size - 20);
+
+            const reader = await CaptureReader.open(filePath);
+            expect(reader.recovered).to.be.true;
+            expect(reader.index).to.have.length(2);
+            await reader.close();
+        });
+
+        it('should drop frames when too much data is pending', async () => {
+            const writer = new CaptureWriter(filePath, { maxPendingBytes: 1024 });
+            await writer.open({});
+
+            expect(writer.write(RECORD_KINDS.RAW_FRAME, 'color', 1, Buffer.alloc(2048))).to.be.false;
+            const stats = await writer.close();
+            expect(stats.droppedFrames).to.equal(1);
+        });
+
+        it('should reject files that are not captures', async () => {
+            await fs.writeFile(filePath, 'not a capture file at all');
+
+            try {
+                await CaptureReader.open(filePath);
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error.message).to.equal('Not a kinect-node capture file');
+            }
+        });
+    });
+});
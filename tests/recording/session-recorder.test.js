@@ -0,0 +1,117 @@
+const { expect } = require('chai');
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const SessionRecorder = require('../../src/services/recording/session-recorder');
+const CaptureReader = require('../../src/services/recording/capture-reader');
+const { RECORD_KINDS } = require('../../src/services/recording/capture-format');
+
+describe('SessionRecorder', () => {
+    let directory;
+    let recorder;
+    let depthSensor;
+    let reader;
+    let device;
+
+    beforeEach(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'kinect-recorder-'));
+        recorder = new SessionRecorder({ directory });
+
+        depthSensor = new EventEmitter();
+        depthSensor.getStatus = () => ({ type: 'depth', isRunning: true });
+        reader = new EventEmitter();
+        device = new EventEmitter();
+        device.getInfo = () => ({ type: 'simulated' });
+    });
+
+    afterEach(async () => {
+        await recorder.stop();
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    function start(options = {}) {
+        return recorder.start({
+            config: { sensors: { depth: { enabled: true, filter: joint => joint } } },
+            sensors: new Map([['depth', depthSensor]]),
+            multiSourceReader: reader,
+            device,
+            ...options
+        });
+    }
+
+    it('should record sensor, synchronized and raw frames', async () => {
+        const filePath = await start();
+        expect(recorder.isRecording).to.be.true;
+
+        depthSensor.emit('frame', { type: 'depth', timestamp: 100, data: new Uint16Array([5]) });
+        reader.emit('synchronizedFrame', { timestamp: 110, frames: { depth: Buffer.alloc(4) } });
+        device.emit('depth', Buffer.alloc(4));
+
+        const stats = await recorder.stop();
+        expect(stats.frames).to.equal(3);
+        expect(recorder.isRecording).to.be.false;
+
+        const capture = await CaptureReader.open(filePath);
+        const kinds = capture.index.map(entry => entry.kind);
+        expect(kinds).to.deep.equal([RECORD_KINDS.SENSOR_FRAME, RECORD_KINDS.SYNC_FRAME, RECORD_KINDS.RAW_FRAME]);
+        await capture.close();
+    });
+
+    it('should store a self-describing header', async () => {
+        const filePath = await start();
+        await recorder.stop();
+
+        const capture = await CaptureReader.open(filePath);
+        expect(capture.header.format).to.equal('kinect-node-capture');
+        expect(capture.header.device).to.deep.equal({ type: 'simulated' });
+        expect(capture.header.sensors.depth.status.isRunning).to.be.true;
+        expect(capture.header.config.sensors.depth.filter).to.equal('joint => joint');
+        expect(capture.header.registration).to.equal(null);
+        await capture.close();
+    });
+
+    it('should store the calibration synchronized frames are registered with', async () => {
+        reader.calibration = { depth: { width: 2 }, color: { width: 4 }, extrinsics: { translation: [0, 0, 0] } };
+        const filePath = await start();
+        await recorder.stop();
+
+        const capture = await CaptureReader.open(filePath);
+        expect(capture.header.registration).to.deep.equal(reader.calibration);
+        await capture.close();
+    });
+
+    it('should stop listening after recording stops', async () => {
+        await start();
+        await recorder.stop();
+
+        expect(depthSensor.listenerCount('frame')).to.equal(0);
+        expect(reader.listenerCount('synchronizedFrame')).to.equal(0);
+        expect(device.listenerCount('depth')).to.equal(0);
+    });
+
+    it('should skip raw frames when disabled', async () => {
+        recorder = new SessionRecorder({ directory, includeRaw: false });
+        await start();
+
+        expect(device.listenerCount('depth')).to.equal(0);
+    });
+
+    it('should sanitise the file name', async () => {
+        const filePath = await start({ name: '../../etc/passwd' });
+
+        expect(path.dirname(filePath)).to.equal(directory);
+        expect(path.basename(filePath)).to.match(/^______etc_passwd_.*\.kncap$/);
+    });
+
+    it('should reject concurrent recordings', async () => {
+        await start();
+
+        try {
+            await start();
+            expect.fail('Should have thrown error');
+        } catch (error) {
+            expect(error.message).to.equal('Recording already in progress');
+        }
+    });
+});
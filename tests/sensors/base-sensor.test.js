@@ -62,7 +62,7 @@ describe('BaseSensor', () => {
             expect(sensor.workerRestartAttempts).to.equal(0);
             expect(sensor.maxWorkerRestarts).to.equal(3);
             expect(sensor.frameTimeout).to.equal(5000);
-            expect(sensor.worker).to.be.null;
+            expect(sensor.workerPool).to.be.null;
             expect(sensor.currentBuffer).to.be.null;
             expect(sensor.bufferPool).to.exist;
             expect(sensor.performanceStats).to.exist;
@@ -85,7 +85,7 @@ describe('BaseSensor', () => {
             
             expect(sensor.isRunning).to.be.true;
             expect(sensor.frameCount).to.equal(0);
-            expect(sensor.worker).to.exist;
+            expect(sensor.workerPool).to.exist;
         });
 
         it('should not restart if already running', async () => {
@@ -103,7 +103,7 @@ describe('BaseSensor', () => {
             await sensor.stop();
             
             expect(sensor.isRunning).to.be.false;
-            expect(sensor.worker).to.be.null;
+            expect(sensor.workerPool).to.be.null;
         });
 
         it('should handle cleanup', async () => {
@@ -112,8 +112,8 @@ describe('BaseSensor', () => {
             await sensor.cleanup();
             
             expect(sensor.isRunning).to.be.false;
-            expect(sensor.worker).to.be.null;
-            expect(sensor.healthCheckInterval).to.be.null;
+            expect(sensor.workerPool).to.be.null;
+            expect(sensor.pendingRestarts.size).to.equal(0);
             expect(sensor.currentBuffer).to.be.null;
         });
     });
@@ -124,7 +124,7 @@ describe('BaseSensor', () => {
             await sensor._handleWorkerError();
             
             expect(sensor.workerRestartAttempts).to.equal(1);
-            expect(sensor.worker).to.exist;
+            expect(sensor.workerPool).to.exist;
         });
 
         it('should stop after max worker restarts', async () => {
@@ -2,8 +2,10 @@ const { expect } = require('chai');
 const sinon = require('sinon');
 const BodySensor = require('../../src/services/sensors/body-sensor');
 const { Worker } = require('worker_threads');
+const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
-const config = require('../../src/services/service-config');
+const { defaultConfig: config } = require('../../src/services/service-config');
 
 describe('BodySensor', () => {
     let sensor;
@@ -17,7 +19,7 @@ describe('BodySensor', () => {
             removeAllListeners: sinon.stub()
         };
 
-        sensor = new BodySensor(mockKinect);
+        sensor = new BodySensor(config, mockKinect);
     });
 
     afterEach(async () => {
@@ -36,7 +38,7 @@ describe('BodySensor', () => {
         });
 
         it('should throw if kinect is missing', () => {
-            expect(() => new BodySensor(null))
+            expect(() => new BodySensor(config, null))
                 .to.throw(TypeError, 'Valid Kinect device instance is required');
         });
     });
@@ -142,12 +144,134 @@ describe('BodySensor', () => {
         });
     });
 
+    describe('calibration', () => {
+        it('should scale the calibration to the depth and color frame sizes', async () => {
+            const scaled = {
+                ...config,
+                sensors: { ...config.sensors, depth: { ...config.sensors.depth, frameSize: { width: 256, height: 212 } } }
+            };
+            mockKinect.getIntrinsics = sinon.stub().returns(null);
+            const scaledSensor = new BodySensor(scaled, mockKinect);
+
+            const calibration = await scaledSensor._loadCalibration();
+
+            expect(mockKinect.getIntrinsics.calledWith('depth')).to.be.true;
+            expect(calibration.depth).to.include({ width: 256, height: 212 });
+            expect(calibration.color).to.include({ width: 1920, height: 1080 });
+            expect(calibration.extrinsics.translation).to.have.length(3);
+        });
+
+        it('should pass the calibration to the workers and report it', async () => {
+            await sensor.start();
+
+            expect(sensor._getWorkerData().calibration).to.equal(sensor.calibration);
+            expect(sensor.getStatus().calibration.depth).to.include({ width: 512, height: 424 });
+        });
+
+        it('should report the skeleton topology', () => {
+            const { topology } = sensor.getStatus();
+
+            expect(topology.joints).to.have.length(25);
+            expect(topology.parents.handRight).to.equal('wristRight');
+        });
+    });
+
+    describe('gesture templates', () => {
+        it('should load the built-in templates and pass them to the workers', async () => {
+            await sensor.start();
+
+            const { gestures } = sensor._getWorkerData();
+            expect(gestures.settings).to.equal(config.sensors.body.gestures);
+            expect(gestures.templates.map(template => template.name)).to.include.members(['wave', 'push']);
+            expect(sensor.getStatus().gestures).to.deep.include({
+                name: 'clap',
+                description: sensor.gestureTemplates.find(template => template.name === 'clap').description
+            });
+        });
+
+        it('should load no templates when gestures are disabled', async () => {
+            const disabled = {
+                ...config,
+                sensors: { ...config.sensors, body: { ...config.sensors.body, gestures: { enabled: false } } }
+            };
+
+            expect(await new BodySensor(disabled, mockKinect)._loadGestureTemplates()).to.deep.equal([]);
+        });
+    });
+
+    describe('gesture template reloading', () => {
+        const template = {
+            name: 'point',
+            joints: ['handRight'],
+            duration: 500,
+            frames: [[0.4, 0, -0.2], [0.4, 0, -0.9]]
+        };
+        let directory;
+        let watched;
+
+        beforeEach(async () => {
+            directory = await fs.mkdtemp(path.join(os.tmpdir(), 'kinect-body-gestures-'));
+            const gestures = { ...config.sensors.body.gestures, builtIn: false, directory };
+            watched = new BodySensor({
+                ...config,
+                sensors: { ...config.sensors, body: { ...config.sensors.body, gestures } }
+            }, mockKinect);
+        });
+
+        afterEach(async () => {
+            await watched.cleanup();
+            await fs.rm(directory, { recursive: true, force: true });
+        });
+
+        it('should hand changed templates to the running workers', async () => {
+            const changed = sinon.spy();
+            watched.on('gesturesChanged', changed);
+            watched.workerPool = { broadcast: sinon.spy(), terminate: sinon.stub().resolves() };
+            await fs.writeFile(path.join(directory, 'point.json'), JSON.stringify(template));
+
+            expect(await watched.reloadGestureTemplates()).to.equal(true);
+            expect(await watched.reloadGestureTemplates()).to.equal(false);
+
+            expect(changed.calledOnceWith([{ name: 'point', description: undefined }])).to.equal(true);
+            const [message] = watched.workerPool.broadcast.firstCall.args;
+            expect(message.type).to.equal('updateConfig');
+            expect(message.config.gestures.templates).to.deep.equal([template]);
+        });
+
+        it('should reload when the gesture directory changes while running', async () => {
+            await watched.start();
+            const changed = new Promise(resolve => watched.once('gesturesChanged', resolve));
+
+            await fs.writeFile(path.join(directory, 'point.json'), JSON.stringify(template));
+
+            expect(await changed).to.deep.equal([{ name: 'point', description: undefined }]);
+            await watched.stop();
+            expect(watched.gestureWatcher).to.equal(null);
+        });
+    });
+
+    describe('worker results', () => {
+        it('should emit frames for untyped pool results and errors for failed ones', () => {
+            const frame = sinon.spy();
+            const error = sinon.spy();
+            sensor.on('frame', frame);
+            sensor.on('error', error);
+
+            sensor._handleWorkerMessage({ id: 1, data: { bodies: [], timestamp: 1 }, processTime: 4 });
+            sensor._handleWorkerMessage({ id: 2, error: 'Invalid frame data' });
+
+            expect(frame.firstCall.args[0]).to.deep.include({ type: 'body', bodies: [] });
+            expect(frame.firstCall.args[0].metadata.processTime).to.equal(4);
+            expect(error.firstCall.args[0].message).to.equal('Invalid frame data');
+        });
+    });
+
     describe('cleanup', () => {
         it('should cleanup all resources', async () => {
             await sensor.start();
             await sensor.cleanup();
             
-            expect(sensor.worker).to.be.null;
+            expect(sensor.workerPool).to.be.null;
             expect(sensor.isRunning).to.be.false;
             expect(mockKinect.removeAllListeners.calledWith('bodyFrame')).to.be.true;
             expect(mockKinect.closeBodyReader.calledOnce).to.be.true;
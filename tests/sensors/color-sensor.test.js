@@ -75,7 +75,7 @@ describe('ColorSensor', () => {
             });
             expect(sensor.isRunning).to.be.false;
             expect(sensor.frameCount).to.equal(0);
-            expect(sensor.worker).to.be.null;
+            expect(sensor.workerPool).to.be.null;
             expect(sensor.workerRestartAttempts).to.equal(0);
         });
 
@@ -97,7 +97,7 @@ describe('ColorSensor', () => {
             expect(mockKinect.openColorReader.calledOnce).to.be.true;
             expect(mockKinect.on.calledWith('colorFrame')).to.be.true;
             expect(sensor.isRunning).to.be.true;
-            expect(sensor.worker).to.exist;
+            expect(sensor.workerPool).to.exist;
         });
 
         it('should stop color sensor correctly', async () => {
@@ -107,7 +107,7 @@ describe('ColorSensor', () => {
             expect(mockKinect.closeColorReader.calledOnce).to.be.true;
             expect(mockKinect.removeAllListeners.calledWith('colorFrame')).to.be.true;
             expect(sensor.isRunning).to.be.false;
-            expect(sensor.worker).to.be.null;
+            expect(sensor.workerPool).to.be.null;
         });
 
         it('should handle initialization errors', async () => {
@@ -124,6 +124,15 @@ describe('ColorSensor', () => {
     });
 
     describe('frame processing', () => {
+        const encodedFrame = () => ({
+            processedFrame: Buffer.from([0xff, 0xd8, 0xff]),
+            width: 1920,
+            height: 1080,
+            format: 'jpeg',
+            compressed: true,
+            quality: 0.8
+        });
+
         it('should process color frames correctly', async () => {
             let frameEmitted = false;
             sensor.on('frame', frame => {
@@ -131,7 +140,7 @@ describe('ColorSensor', () => {
                     type: 'color',
                     width: 1920,
                     height: 1080,
-                    format: 'rgba',
+                    format: 'jpeg',
                     frameNumber: 0,
                     metadata: {
                         processTime: 16,
@@ -148,18 +157,39 @@ describe('ColorSensor', () => {
             await sensor.start();
             
             sensor._handleWorkerMessage({
-                data: Buffer.alloc(1920 * 1080 * 4),
+                data: encodedFrame(),
                 processTime: 16
             });
 
             expect(frameEmitted).to.be.true;
         });
 
+        it('should report the dimensions and format of uncompressed frames', async () => {
+            const onFrame = sinon.spy();
+            sensor.on('frame', onFrame);
+            await sensor.start();
+
+            sensor._handleWorkerMessage({
+                data: {
+                    processedFrame: Buffer.alloc(960 * 540 * 4),
+                    width: 960,
+                    height: 540,
+                    format: 'rgba',
+                    compressed: false
+                },
+                processTime: 4
+            });
+
+            const frame = onFrame.firstCall.args[0];
+            expect(frame).to.deep.include({ width: 960, height: 540, format: 'rgba' });
+            expect(frame.metadata).to.deep.include({ compressed: false, compressionFormat: null, quality: null });
+        });
+
         it('should update metrics after frame processing', async () => {
             await sensor.start();
             
             sensor._handleWorkerMessage({
-                data: Buffer.alloc(1920 * 1080 * 4),
+                data: encodedFrame(),
                 processTime: 16
             });
 
@@ -168,4 +198,32 @@ describe('ColorSensor', () => {
             expect(status.frameCount).to.equal(1);
         });
     });
+
+    describe('runtime configuration', () => {
+        it('should forward new processing settings to the running worker', async () => {
+            await sensor.start();
+            const broadcast = sinon.stub(sensor.workerPool, 'broadcast');
+            const onChanged = sinon.spy();
+            sensor.on('configChanged', onChanged);
+
+            const processing = {
+                ...config.sensors.color.processing,
+                compression: { enabled: true, quality: 0.5, format: 'png' }
+            };
+            sensor.updateConfig('processing', processing);
+
+            expect(sensor.compression).to.deep.equal({ enabled: true, quality: 0.5, format: 'png' });
+            expect(broadcast.calledOnceWith({
+                type: 'updateConfig',
+                config: { frameSize: { width: 1920, height: 1080 }, processing }
+            })).to.equal(true);
+            expect(onChanged.calledOnceWith({ section: 'processing', config: processing })).to.equal(true);
+        });
+
+        it('should apply settings to a stopped sensor on its next start', () => {
+            sensor.updateConfig('processing', { ...config.sensors.color.processing, format: 'rgba', forceOpacity: false });
+
+            expect(sensor._getWorkerData().processing.forceOpacity).to.equal(false);
+        });
+    });
 });
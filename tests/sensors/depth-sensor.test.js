@@ -1,5 +1,9 @@
 const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const sinon = require('sinon');
+const BufferPool = require('../../src/services/buffer-pool');
 const DepthSensor = require('../../src/services/sensors/depth-sensor');
 
 describe('DepthSensor', () => {
@@ -27,6 +31,7 @@ describe('DepthSensor', () => {
                 },
                 logger: {
                     debug: sinon.stub(),
+                    info: sinon.stub(),
                     error: sinon.stub(),
                     warn: sinon.stub()
                 }
@@ -51,15 +56,15 @@ describe('DepthSensor', () => {
         sensor = new DepthSensor(config, mockKinect);
     });
 
-    afterEach(() => {
+    afterEach(async () => {
         sinon.restore();
+        await sensor.cleanup();
     });
 
     describe('initialization', () => {
         it('should initialize with correct configuration', () => {
             expect(sensor.config).to.equal(config.sensors.depth);
-            expect(sensor.frameQueue).to.deep.equal([]);
-            expect(sensor.maxQueueSize).to.equal(3);
+            expect(sensor.workerPool).to.be.null;
             expect(sensor.isRunning).to.be.false;
         });
 
@@ -108,11 +113,8 @@ describe('DepthSensor', () => {
     });
 
     describe('frame processing', () => {
-        let mockFrame;
-
-        beforeEach(() => {
-            mockFrame = Buffer.alloc(512 * 424 * 2);
-            sensor.start();
+        beforeEach(async () => {
+            await sensor.start();
         });
 
         it('should process depth frames correctly', () => {
@@ -148,27 +150,238 @@ describe('DepthSensor', () => {
             sensor._processFrame(Buffer.alloc(10));
             expect(errorEmitted).to.be.true;
         });
+    });
+
+    describe('worker pool', () => {
+        it('should count frames dropped by the worker pool', async () => {
+            await sensor.start();
+            const onMissed = sinon.spy();
+            sensor.on('frameMissed', onMissed);
+
+            sensor.workerPool.emit('frameDropped', { id: 4, message: { frame: {} }, reason: 'queueFull' });
+
+            expect(sensor.performanceStats.missedFrames).to.equal(1);
+            expect(onMissed.calledOnceWith({ type: 'depth', id: 4 })).to.be.true;
+        });
+
+        it('should resize the pool when the performance section changes', async () => {
+            await sensor.start();
+
+            sensor.updateConfig('performance', { maxQueueSize: 3, maxWorkers: 2, dispatchStrategy: 'leastBusy' });
+
+            const { workerPool } = sensor.getStatus();
+            expect(workerPool.workers).to.have.length(2);
+            expect(workerPool.strategy).to.equal('leastBusy');
+        });
+
+        it('should hand frames to workers through a shared ring', async () => {
+            const bufferPool = new BufferPool({ initialSize: 1 });
+            const depthConfig = {
+                ...config.sensors.depth,
+                processing: { normalize: false },
+                calibration: { minReliableDistance: 500, maxReliableDistance: 4500 }
+            };
+            sensor = new DepthSensor({ ...config, sensors: { depth: depthConfig } }, mockKinect, { bufferPool });
+            await sensor.start();
+            expect(bufferPool.getStats().sharedRings).to.include({ count: 1, slots: 4 });
+
+            const raw = new Uint16Array(512 * 424);
+            raw[0] = 1000;
+            raw[1] = 100;
+            const received = new Promise(resolve => sensor.once('frame', frame => {
+                resolve({ shared: frame.data.buffer instanceof SharedArrayBuffer, pixels: Array.from(frame.data.subarray(0, 2)) });
+            }));
+            sensor._processFrame(Buffer.from(raw.buffer));
+
+            expect(await received).to.deep.equal({ shared: true, pixels: [1000, 0] });
+            expect(sensor.frameRing.getStats().free).to.equal(4);
+
+            await sensor.cleanup();
+            expect(bufferPool.getStats().sharedRings.count).to.equal(0);
+        });
+
+        it('should run the configured pipeline with stages loaded by path', async () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'depth-stages-'));
+            const stageFile = path.join(dir, 'invert.js');
+            fs.writeFileSync(stageFile, `
+                module.exports = {
+                    name: 'invert',
+                    sensors: ['depth'],
+                    create: ({ max }) => frame => {
+                        const pixels = frame.processedFrame;
+                        for (let i = 0; i < pixels.length; i++) pixels[i] = pixels[i] ? max - pixels[i] : 0;
+                    }
+                };
+            `);
+
+            try {
+                const depthConfig = {
+                    ...config.sensors.depth,
+                    processing: {
+                        pipeline: [
+                            { stage: 'depthRange' },
+                            { module: stageFile, options: { max: 5000 } }
+                        ]
+                    },
+                    calibration: { minReliableDistance: 500, maxReliableDistance: 4500 }
+                };
+                sensor = new DepthSensor({ ...config, sensors: { depth: depthConfig } }, mockKinect);
+                await sensor.start();
+
+                const raw = new Uint16Array(512 * 424);
+                raw[0] = 1000;
+                raw[1] = 100;
+                const received = new Promise(resolve => sensor.once('frame', frame => {
+                    resolve(Array.from(frame.data.subarray(0, 2)));
+                }));
+                sensor._processFrame(Buffer.from(raw.buffer));
+
+                expect(await received).to.deep.equal([4000, 0]);
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe('intrinsics', () => {
+        it('should layer device, file and inline intrinsics over the defaults', async () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'depth-intrinsics-'));
+            const intrinsicsFile = path.join(dir, 'intrinsics.json');
+            fs.writeFileSync(intrinsicsFile, JSON.stringify({ depth: { fx: 360, distortion: { k1: 0.1 } } }));
+            mockKinect.getIntrinsics = sinon.stub().returns({ fx: 350, fy: 350, cx: 256 });
+
+            try {
+                sensor.config = {
+                    ...config.sensors.depth,
+                    frameSize: { width: 256, height: 212 },
+                    calibration: { intrinsicsFile, intrinsics: { cy: 211.5 } }
+                };
+                const intrinsics = (await sensor._loadIntrinsics()).toJSON();
+
+                expect(mockKinect.getIntrinsics.calledWith('depth')).to.be.true;
+                expect(intrinsics).to.deep.include({ width: 256, height: 212, fx: 180, fy: 175, cx: 127.75, cy: 105.5 });
+                expect(intrinsics.distortion).to.deep.include({ k1: 0.1, k2: -0.26819 });
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+
+        it('should name an unreadable intrinsics file', async () => {
+            sensor.config = { ...config.sensors.depth, calibration: { intrinsicsFile: '/missing/intrinsics.json' } };
 
-        it('should handle frame queue backpressure', () => {
-            // Fill queue to max
-            for (let i = 0; i <= sensor.maxQueueSize; i++) {
-                sensor._processFrame(mockFrame);
+            try {
+                await sensor._loadIntrinsics();
+                expect.fail('Expected the intrinsics file to be missing');
+            } catch (error) {
+                expect(error.message).to.match(/^Cannot read intrinsics file \/missing\/intrinsics.json: ENOENT/);
             }
+        });
+
+        it('should build point clouds in metres from raw depth', async () => {
+            const depthConfig = {
+                ...config.sensors.depth,
+                processing: { generatePointCloud: true, pointCloudOutput: 'both', normalize: true, confidenceThreshold: 0 },
+                calibration: { minReliableDistance: 500, maxReliableDistance: 4500, intrinsics: { distortion: { k1: 0, k2: 0, k3: 0 } } }
+            };
+            sensor = new DepthSensor({ ...config, sensors: { depth: depthConfig } }, mockKinect);
+            await sensor.start();
+
+            const raw = new Uint16Array(512 * 424);
+            raw[205 * 512 + 255] = 2000;
+            const received = new Promise(resolve => sensor.once('frame', resolve));
+            sensor._processFrame(Buffer.from(raw.buffer));
+            const frame = await received;
 
-            expect(sensor.performanceStats.missedFrames).to.be.above(0);
-            expect(sensor.logger.warn.called).to.be.true;
+            expect(frame.pointCloud).to.have.length(3);
+            expect(frame.pointCloud[0]).to.be.closeTo(0.0007, 0.0001);
+            expect(frame.pointCloud[1]).to.be.closeTo(0.0022, 0.0001);
+            expect(frame.pointCloud[2]).to.equal(2);
+            expect(frame.pointValidity[205 * 512 + 255]).to.equal(1);
+            expect(frame.organizedPointCloud).to.have.length(512 * 424 * 3);
+            expect(frame.data[205 * 512 + 255]).to.be.above(2000);
+        });
+    });
+
+    describe('worker health', () => {
+        function timeoutError(index) {
+            const error = new Error(`Worker ${index} did not finish frame 7 within 5000 ms`);
+            error.reason = 'frameTimeout';
+            error.workerIndex = index;
+            return error;
+        }
+
+        beforeEach(async () => {
+            await sensor.start();
+            sensor.on('error', () => {});
+        });
+
+        it('should restart a failed worker with exponential backoff', async () => {
+            const clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+            const restart = sinon.stub(sensor.workerPool, 'restartWorker').resolves();
+            const onUnhealthy = sinon.spy();
+            sensor.on('workerUnhealthy', onUnhealthy);
+
+            sensor.workerPool.emit('error', timeoutError(0));
+            expect(onUnhealthy.firstCall.args[0]).to.deep.equal({
+                type: 'depth',
+                workerIndex: 0,
+                reason: 'frameTimeout',
+                error: 'Worker 0 did not finish frame 7 within 5000 ms',
+                attempt: 1,
+                restartIn: 1000
+            });
+            expect(sensor.getStatus().workerStatus.pendingRestarts).to.deep.equal([0]);
+
+            clock.tick(999);
+            expect(restart.called).to.be.false;
+            clock.tick(1);
+            expect(restart.calledOnceWith(0)).to.be.true;
+
+            sensor.workerPool.emit('error', timeoutError(0));
+            expect(onUnhealthy.secondCall.args[0]).to.include({ attempt: 2, restartIn: 2000 });
+        });
+
+        it('should reset the backoff once a restarted worker recovers', () => {
+            const onRecovered = sinon.spy();
+            sensor.on('workerRecovered', onRecovered);
+            sensor.workerRestartAttempts = 2;
+
+            sensor.workerPool.emit('workerRecovered', { index: 0, threadId: 12 });
+
+            expect(sensor.workerRestartAttempts).to.equal(0);
+            expect(onRecovered.calledOnceWith({ type: 'depth', workerIndex: 0, threadId: 12 })).to.be.true;
+        });
+
+        it('should stop the sensor when restarts run out', async () => {
+            const onUnhealthy = sinon.spy();
+            sensor.on('workerUnhealthy', onUnhealthy);
+            sensor.workerRestartAttempts = sensor.maxWorkerRestarts;
+
+            await sensor._handleWorkerError(0, timeoutError(0));
+
+            expect(onUnhealthy.firstCall.args[0]).to.include({ attempt: null, restartIn: null });
+            expect(sensor.isRunning).to.be.false;
+            expect(sensor.workerPool).to.be.null;
+        });
+
+        it('should pass the worker deadlines to the pool', () => {
+            expect(sensor._getPoolOptions()).to.include({
+                frameTimeout: 5000,
+                healthCheckInterval: 30000,
+                healthCheckTimeout: 5000
+            });
         });
     });
 
     describe('cleanup', () => {
         it('should cleanup resources properly', async () => {
-            sensor.frameQueue = [Buffer.alloc(10), Buffer.alloc(10)];
-            const releaseSpy = sinon.spy(sensor, 'releaseBuffer');
+            await sensor.start();
+            const terminate = sinon.spy(sensor.workerPool, 'terminate');
 
             await sensor.cleanup();
 
-            expect(releaseSpy.callCount).to.equal(2);
-            expect(sensor.frameQueue).to.have.length(0);
+            expect(terminate.calledOnce).to.be.true;
+            expect(sensor.workerPool).to.be.null;
         });
     });
 });
\ No newline at end of file
@@ -37,7 +37,7 @@ describe('IRSensor', () => {
             }
         };
 
-        sensor = new IRSensor(mockKinect, config);
+        sensor = new IRSensor(config, mockKinect);
     });
 
     afterEach(async () => {
@@ -55,7 +55,7 @@ describe('IRSensor', () => {
         });
 
         it('should throw if kinect is missing', () => {
-            expect(() => new IRSensor(null))
+            expect(() => new IRSensor(config, null))
                 .to.throw(TypeError, 'Valid Kinect device instance is required');
         });
     });
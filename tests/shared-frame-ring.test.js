@@ -0,0 +1,104 @@
+const { expect } = require('chai');
+const { once } = require('events');
+const { Worker } = require('worker_threads');
+const { SLOT_STATES, SharedFrameRing, arrayTypeOf } = require('../src/services/shared-frame-ring');
+
+describe('SharedFrameRing', () => {
+    let ring;
+
+    beforeEach(() => {
+        ring = new SharedFrameRing({ slotCount: 2, slotSize: 6 });
+    });
+
+    it('should validate its size and align slots', () => {
+        expect(() => new SharedFrameRing({ slotCount: 0, slotSize: 8 })).to.throw(TypeError, 'Invalid slot count: 0');
+        expect(() => new SharedFrameRing({ slotCount: 1 })).to.throw(TypeError, 'Invalid slot size: undefined');
+        expect(ring.slotSize).to.equal(8);
+        expect(ring.handle.data).to.be.instanceOf(SharedArrayBuffer);
+    });
+
+    it('should hand a frame through write, acquire, complete and read', () => {
+        const slot = ring.write(Buffer.from([1, 0, 2, 0]));
+
+        const input = ring.acquire(slot);
+        expect([...input]).to.deep.equal([1, 0, 2, 0]);
+
+        // Results written over the input view are not copied again
+        const pixels = new Uint16Array(input.buffer, input.byteOffset, 2);
+        pixels[0] = 10;
+        pixels[1] = 20;
+        expect(ring.complete(slot, pixels)).to.equal(4);
+
+        expect([...ring.read(slot, 'Uint16Array')]).to.deep.equal([10, 20]);
+    });
+
+    it('should copy results that live elsewhere into the slot', () => {
+        const slot = ring.write(Buffer.alloc(4));
+        ring.acquire(slot);
+        ring.complete(slot, Buffer.from('jpeg'));
+
+        expect(ring.read(slot).toString()).to.equal('jpeg');
+    });
+
+    it('should report a full ring and reuse released slots', () => {
+        const first = ring.write(Buffer.alloc(1));
+        ring.write(Buffer.alloc(1));
+
+        expect(ring.write(Buffer.alloc(1))).to.equal(-1);
+        expect(ring.getStats()).to.deep.equal({ slots: 2, free: 0, inUse: 2 });
+
+        ring.release(first);
+        expect(ring.write(Buffer.alloc(1))).to.equal(first);
+    });
+
+    it('should enforce slot ownership', () => {
+        const slot = ring.write(Buffer.alloc(2));
+
+        expect(() => ring.read(slot)).to.throw(`Slot ${slot} has no result`);
+        ring.acquire(slot);
+        expect(() => ring.acquire(slot))
+            .to.throw(`Slot ${slot} is in state ${SLOT_STATES.PROCESSING}, expected ${SLOT_STATES.READY}`);
+        expect(() => ring.acquire(5)).to.throw(RangeError, 'Invalid slot: 5');
+    });
+
+    it('should reject frames and results larger than a slot', () => {
+        expect(() => ring.write(Buffer.alloc(9))).to.throw(RangeError, 'does not fit a 8 byte slot');
+
+        const slot = ring.write(Buffer.alloc(1));
+        ring.acquire(slot);
+        expect(() => ring.complete(slot, Buffer.alloc(9))).to.throw(RangeError);
+    });
+
+    it('should share slots with a worker thread', async () => {
+        const worker = new Worker(`
+            const { parentPort, workerData } = require('worker_threads');
+            const { SharedFrameRing } = require(${JSON.stringify(require.resolve('../src/services/shared-frame-ring'))});
+            const ring = SharedFrameRing.attach(workerData);
+            parentPort.on('message', slot => {
+                const bytes = ring.acquire(slot);
+                for (let i = 0; i < bytes.length; i++) bytes[i] *= 2;
+                parentPort.postMessage(ring.complete(slot, bytes));
+            });
+        `, { eval: true, workerData: ring.handle });
+
+        try {
+            const slot = ring.write(Buffer.from([1, 2, 3]));
+            worker.postMessage(slot);
+            const [length] = await once(worker, 'message');
+
+            expect(length).to.equal(3);
+            expect([...ring.read(slot)]).to.deep.equal([2, 4, 6]);
+        } finally {
+            await worker.terminate();
+        }
+    });
+
+    describe('arrayTypeOf', () => {
+        it('should name shareable views only', () => {
+            expect(arrayTypeOf(Buffer.alloc(1))).to.equal('Buffer');
+            expect(arrayTypeOf(new Uint16Array(1))).to.equal('Uint16Array');
+            expect(arrayTypeOf(new Int32Array(1))).to.equal(null);
+            expect(arrayTypeOf({ length: 1 })).to.equal(null);
+        });
+    });
+});
@@ -1,6 +1,7 @@
 const { expect } = require('chai');
 const WebSocket = require('ws');
 const WebSocketService = require('../src/services/websocket-service');
+const { PROTOCOL_VERSION, decodeMessage } = require('../src/services/frame-protocol');
 
 describe('WebSocketService', () => {
     let wsService;
@@ -168,6 +169,50 @@ describe('WebSocketService', () => {
             }
         });
 
+        it('should send frames as binary envelopes to capable clients', done => {
+            const depth = new Uint16Array([500, 1000, 4500]);
+            let jsonReceived = false;
+            let binaryReceived = false;
+
+            const finish = () => {
+                if (jsonReceived && binaryReceived) {
+                    clients.forEach(c => c.close());
+                    done();
+                }
+            };
+
+            const connect = capabilities => {
+                const ws = new WebSocket(`ws://localhost:${config.network.port}`);
+                ws.on('message', (message, isBinary) => {
+                    if (isBinary) {
+                        const { data } = decodeMessage(message);
+                        expect(data.data).to.be.instanceOf(Uint16Array);
+                        expect(Array.from(data.data)).to.deep.equal([500, 1000, 4500]);
+                        binaryReceived = true;
+                        return finish();
+                    }
+
+                    const data = JSON.parse(message);
+                    if (data.type === 'identify') {
+                        ws.send(JSON.stringify({ type: 'identify', name: 'Test Client', capabilities }));
+                    } else if (data.type === 'frame') {
+                        expect(capabilities.binaryFrames).to.be.undefined;
+                        jsonReceived = true;
+                        finish();
+                    }
+                });
+                return ws;
+            };
+
+            const clients = [connect({}), connect({ binaryFrames: PROTOCOL_VERSION })];
+            let identifiedCount = 0;
+            wsService.on('clientConnected', () => {
+                if (++identifiedCount === clients.length) {
+                    wsService.broadcast({ type: 'frame', sensorType: 'depth', data: { type: 'depth', data: depth } });
+                }
+            });
+        });
+
         it('should handle invalid messages gracefully', done => {
             wsService.once('log', (type, message) => {
                 if (type === 'error' && message.includes('Invalid message format')) {
@@ -185,6 +230,126 @@ describe('WebSocketService', () => {
         });
     });
 
+    describe('subscriptions', () => {
+        let clients;
+
+        function connectClient() {
+            return new Promise(resolve => {
+                const ws = new WebSocket(`ws://localhost:${config.network.port}`);
+                ws.received = [];
+                ws.on('message', message => {
+                    const data = JSON.parse(message);
+                    if (data.type === 'identify') {
+                        ws.clientId = data.clientId;
+                        ws.send(JSON.stringify({ type: 'identify', name: 'Test Client', capabilities: {} }));
+                    } else if (data.type === 'welcome') {
+                        resolve(ws);
+                    } else {
+                        ws.received.push(data);
+                    }
+                });
+                clients.push(ws);
+            });
+        }
+
+        function nextEvent(event) {
+            return new Promise(resolve => wsService.once(event, (...args) => resolve(args)));
+        }
+
+        const flush = () => new Promise(resolve => setTimeout(resolve, 50));
+
+        beforeEach(() => {
+            clients = [];
+        });
+
+        afterEach(() => {
+            clients.forEach(c => c.close());
+        });
+
+        it('should only publish to subscribed clients', async () => {
+            const dashboard = await connectClient();
+            const viewer = await connectClient();
+
+            dashboard.send(JSON.stringify({ type: 'subscribe', stream: 'body' }));
+            viewer.send(JSON.stringify({ type: 'subscribe', stream: 'color' }));
+            await flush();
+
+            expect(wsService.publish('body', { type: 'frame', sensorType: 'body', data: { bodies: [] } })).to.equal(1);
+            await flush();
+
+            expect(dashboard.received.map(m => m.type)).to.deep.equal(['subscribed', 'frame']);
+            expect(viewer.received.map(m => m.type)).to.deep.equal(['subscribed']);
+        });
+
+        it('should emit subscription changes once per client and stream', async () => {
+            const ws = await connectClient();
+
+            const subscribed = nextEvent('subscribed');
+            ws.send(JSON.stringify({ type: 'subscribe', stream: 'depth', options: { maxFps: 5 } }));
+            expect(await subscribed).to.deep.equal([ws.clientId, 'depth', { maxFps: 5, format: null }]);
+            expect(wsService.getSubscriberCount('depth')).to.equal(1);
+
+            const unsubscribed = nextEvent('unsubscribed');
+            ws.send(JSON.stringify({ type: 'unsubscribe', stream: 'depth' }));
+            expect(await unsubscribed).to.deep.equal([ws.clientId, 'depth']);
+            expect(wsService.getSubscriberCount('depth')).to.equal(0);
+        });
+
+        it('should release subscriptions when a client disconnects', async () => {
+            const ws = await connectClient();
+            wsService.subscribe(ws.clientId, 'body');
+            wsService.subscribe(ws.clientId, 'gesture');
+
+            const released = [];
+            wsService.on('unsubscribed', (clientId, stream) => released.push(stream));
+            const disconnected = nextEvent('clientDisconnected');
+            ws.close();
+            await disconnected;
+
+            expect(released).to.deep.equal(['body', 'gesture']);
+            expect(wsService.getSubscriberCount('body')).to.equal(0);
+        });
+
+        it('should apply the subscription rate limit', async () => {
+            const ws = await connectClient();
+            wsService.subscribe(ws.clientId, 'depth', { maxFps: 1 });
+
+            const message = { type: 'frame', sensorType: 'depth', data: { width: 1 } };
+            expect(wsService.publish('depth', message)).to.equal(1);
+            expect(wsService.publish('depth', message)).to.equal(0);
+        });
+
+        it('should reject invalid subscriptions with an error message', async () => {
+            const ws = await connectClient();
+            ws.send(JSON.stringify({ type: 'subscribe', stream: 'audio' }));
+            await flush();
+
+            expect(ws.received).to.have.lengthOf(1);
+            expect(ws.received[0].type).to.equal('error');
+            expect(ws.received[0].error).to.include('Unknown stream: audio');
+        });
+
+        it('should report per-client queue statistics', async () => {
+            const ws = await connectClient();
+            wsService.subscribe(ws.clientId, 'body', { maxFps: 10 });
+            wsService.publish('body', { type: 'frame', sensorType: 'body', data: { bodies: [] } });
+
+            const stats = wsService.getStats().clients[ws.clientId];
+            expect(stats.subscriptions).to.deep.equal({ body: { maxFps: 10, format: null } });
+            expect(stats).to.include({ policy: 'dropOldest', sent: 4, dropped: 0 });
+            expect(stats).to.have.property('queued');
+            expect(stats).to.have.property('bufferedAmount');
+        });
+
+        it('should send to clients by ID', async () => {
+            const ws = await connectClient();
+            wsService.send(ws.clientId, { type: 'status', ok: true });
+            await flush();
+
+            expect(ws.received).to.deep.equal([{ type: 'status', ok: true }]);
+        });
+    });
+
     describe('cleanup', () => {
         it('should close all client connections on stop', async () => {
             const clients = [];
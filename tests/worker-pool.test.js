@@ -0,0 +1,303 @@
+const { expect } = require('chai');
+const { once } = require('events');
+const { DISPATCH_STRATEGIES, FAILURE_REASONS, WorkerPool } = require('../src/services/worker-pool');
+
+// Replies like BaseWorker: echoes the id with { data } after frame.delay ms,
+// reports the thread it ran on, and crashes or hangs the thread on request
+const ECHO_WORKER = `
+const { parentPort, threadId, workerData } = require('worker_threads');
+parentPort.on('message', message => {
+    if (message.type === 'healthCheck') {
+        parentPort.postMessage({ type: 'healthCheck', status: 'ok' });
+        return;
+    }
+    if (message.type === 'updateConfig') {
+        parentPort.postMessage({ type: 'configured', config: message.config, threadId });
+        return;
+    }
+    const { frame } = message;
+    if (frame.crash) {
+        throw new Error('worker crashed');
+    }
+    if (frame.hang) {
+        while (true);
+    }
+    if (frame.block) {
+        // Answer the frame, then stop answering anything
+        parentPort.postMessage({ id: message.id, data: { value: frame.value, threadId } });
+        setImmediate(() => { while (true); });
+        return;
+    }
+    setTimeout(() => {
+        if (frame.fail) {
+            parentPort.postMessage({ id: message.id, error: 'bad frame' });
+            return;
+        }
+        parentPort.postMessage({
+            id: message.id,
+            data: { value: frame.value, threadId, prefix: workerData?.prefix },
+            processTime: frame.delay || 0
+        });
+    }, frame.delay || 0);
+});
+`;
+
+describe('WorkerPool', () => {
+    let pool;
+
+    function createPool(options = {}) {
+        pool = new WorkerPool(ECHO_WORKER, { workerOptions: { eval: true }, ...options });
+        return pool;
+    }
+
+    function collect(count) {
+        const messages = [];
+        return new Promise(resolve => {
+            pool.on('message', message => {
+                messages.push(message);
+                if (messages.length === count) resolve(messages);
+            });
+        });
+    }
+
+    afterEach(async () => {
+        await pool?.terminate();
+        pool = null;
+    });
+
+    describe('options', () => {
+        it('should reject invalid options', () => {
+            expect(() => WorkerPool.resolveOptions({ size: 0 })).to.throw(TypeError, 'Invalid worker pool size: 0');
+            expect(() => WorkerPool.resolveOptions({ strategy: 'random' }))
+                .to.throw(TypeError, 'Unknown dispatch strategy: random (available: roundRobin, leastBusy)');
+            expect(() => WorkerPool.resolveOptions({ maxQueueSize: -1 })).to.throw(TypeError, 'Invalid worker queue size: -1');
+            expect(() => WorkerPool.resolveOptions({ frameTimeout: 0.5 })).to.throw(TypeError, 'Invalid frameTimeout: 0.5');
+        });
+
+        it('should apply defaults for undefined options', () => {
+            expect(WorkerPool.resolveOptions({ size: undefined, strategy: undefined }))
+                .to.deep.equal({
+                    size: 1,
+                    strategy: DISPATCH_STRATEGIES.ROUND_ROBIN,
+                    maxQueueSize: 3,
+                    frameTimeout: 0,
+                    healthCheckInterval: 0,
+                    healthCheckTimeout: 0
+                });
+        });
+    });
+
+    describe('dispatch', () => {
+        it('should pass worker data to every worker', async () => {
+            createPool({ size: 2, workerData: { prefix: 'depth' } });
+            const results = collect(2);
+
+            pool.dispatch({ frame: { value: 1 } });
+            pool.dispatch({ frame: { value: 2 } });
+
+            expect((await results).map(m => m.data.prefix)).to.deep.equal(['depth', 'depth']);
+        });
+
+        it('should emit results in dispatch order when workers finish out of order', async () => {
+            createPool({ size: 3, maxQueueSize: 10 });
+            const results = collect(3);
+
+            pool.dispatch({ frame: { value: 'a', delay: 80 } });
+            pool.dispatch({ frame: { value: 'b', delay: 10 } });
+            pool.dispatch({ frame: { value: 'c', delay: 0 } });
+
+            const messages = await results;
+            expect(messages.map(m => m.data.value)).to.deep.equal(['a', 'b', 'c']);
+            expect(messages.map(m => m.id)).to.deep.equal([0, 1, 2]);
+            expect(new Set(messages.map(m => m.data.threadId)).size).to.equal(3);
+        });
+
+        it('should rotate through workers with roundRobin', async () => {
+            createPool({ size: 2, strategy: 'roundRobin' });
+            const threads = [];
+            for (let i = 0; i < 4; i++) {
+                const result = once(pool, 'message');
+                pool.dispatch({ frame: { value: i } });
+                threads.push((await result)[0].data.threadId);
+            }
+
+            expect(threads[0]).to.not.equal(threads[1]);
+            expect(threads[2]).to.equal(threads[0]);
+            expect(threads[3]).to.equal(threads[1]);
+        });
+
+        it('should prefer the least utilized idle worker with leastBusy', async () => {
+            createPool({ size: 2, strategy: 'leastBusy' });
+            const first = once(pool, 'message');
+            pool.dispatch({ frame: { value: 0, delay: 60 } });
+            const busyThread = (await first)[0].data.threadId;
+
+            const second = once(pool, 'message');
+            pool.dispatch({ frame: { value: 1 } });
+            expect((await second)[0].data.threadId).to.not.equal(busyThread);
+        });
+
+        it('should drop the oldest queued frame when the queue is full', async () => {
+            createPool({ size: 1, maxQueueSize: 1 });
+            const dropped = [];
+            pool.on('frameDropped', ({ id }) => dropped.push(id));
+            const results = collect(2);
+
+            pool.dispatch({ frame: { value: 'busy', delay: 30 } });
+            pool.dispatch({ frame: { value: 'stale' } });
+            pool.dispatch({ frame: { value: 'fresh' } });
+
+            expect(dropped).to.deep.equal([1]);
+            expect((await results).map(m => m.data.value)).to.deep.equal(['busy', 'fresh']);
+            expect(pool.getStats().dropped).to.equal(1);
+        });
+
+        it('should keep error replies in order', async () => {
+            createPool({ size: 2 });
+            const results = collect(2);
+
+            pool.dispatch({ frame: { fail: true, delay: 20 } });
+            pool.dispatch({ frame: { value: 'ok' } });
+
+            const messages = await results;
+            expect(messages[0].error).to.equal('bad frame');
+            expect(messages[1].data.value).to.equal('ok');
+            expect(pool.getStats().workers.reduce((sum, w) => sum + w.errors, 0)).to.equal(1);
+        });
+    });
+
+    describe('broadcast', () => {
+        it('should send control messages to every worker', async () => {
+            createPool({ size: 2 });
+            const replies = collect(2);
+
+            pool.broadcast({ type: 'updateConfig', config: { fps: 15 } });
+
+            const messages = await replies;
+            expect(messages.map(m => m.config)).to.deep.equal([{ fps: 15 }, { fps: 15 }]);
+            expect(messages[0].threadId).to.not.equal(messages[1].threadId);
+        });
+    });
+
+    describe('failures', () => {
+        it('should report a crashed worker and skip its frame', async () => {
+            createPool({ size: 2 });
+            const results = collect(1);
+            const failure = once(pool, 'error');
+
+            pool.dispatch({ frame: { crash: true } });
+            pool.dispatch({ frame: { value: 'after' } });
+
+            const [error] = await failure;
+            expect(error.message).to.equal('worker crashed');
+            expect(error.reason).to.equal(FAILURE_REASONS.CRASHED);
+            expect(error.workerIndex).to.equal(0);
+            expect((await results)[0].data.value).to.equal('after');
+            expect(pool.getStats().workers[0].alive).to.equal(false);
+        });
+
+        it('should replace a worker on restart', async () => {
+            createPool({ size: 1 });
+            const failure = once(pool, 'error');
+            pool.dispatch({ frame: { crash: true } });
+            await failure;
+
+            await pool.restartWorker(0);
+            const results = collect(1);
+            pool.dispatch({ frame: { value: 'recovered' } });
+
+            expect((await results)[0].data.value).to.equal('recovered');
+            expect(pool.getStats().workers[0].alive).to.equal(true);
+        });
+    });
+
+    describe('health checks', () => {
+        it('should terminate a worker stuck on a frame', async () => {
+            createPool({ size: 2, frameTimeout: 100 });
+            const dropped = once(pool, 'frameDropped');
+            const failure = once(pool, 'error');
+
+            pool.dispatch({ frame: { hang: true } });
+            const results = collect(1);
+            pool.dispatch({ frame: { value: 'next' } });
+
+            const [error] = await failure;
+            expect(error.reason).to.equal(FAILURE_REASONS.FRAME_TIMEOUT);
+            expect(error.message).to.equal('Worker 0 did not finish frame 0 within 100 ms');
+            expect(error.workerIndex).to.equal(0);
+            expect((await dropped)[0]).to.include({ id: 0, reason: 'workerFailed' });
+            expect((await results)[0].data.value).to.equal('next');
+            expect(pool.getStats().workers[0].alive).to.equal(false);
+        });
+
+        it('should terminate an idle worker that stops answering health checks', async () => {
+            createPool({ size: 1, healthCheckInterval: 50, healthCheckTimeout: 100 });
+            const results = collect(1);
+            const failure = once(pool, 'error');
+
+            pool.dispatch({ frame: { value: 'last', block: true } });
+            expect((await results)[0].data.value).to.equal('last');
+
+            const [error] = await failure;
+            expect(error.reason).to.equal(FAILURE_REASONS.HEALTH_CHECK_TIMEOUT);
+            expect(error.message).to.equal('Worker 0 did not answer a health check within 100 ms');
+        });
+
+        it('should keep healthy workers and hide health check replies', async () => {
+            createPool({ size: 1, healthCheckInterval: 20, healthCheckTimeout: 50 });
+            const messages = [];
+            pool.on('message', message => messages.push(message));
+            pool.on('error', error => expect.fail(error.message));
+
+            await new Promise(resolve => setTimeout(resolve, 200));
+
+            expect(messages).to.deep.equal([]);
+            expect(pool.getStats().workers[0].alive).to.equal(true);
+            expect(pool.getStats().workers[0].lastReplyAge).to.be.below(50);
+        });
+
+        it('should report a restarted worker once it answers', async () => {
+            createPool({ size: 1, frameTimeout: 100, healthCheckInterval: 10000, healthCheckTimeout: 1000 });
+            const failure = once(pool, 'error');
+            pool.dispatch({ frame: { hang: true } });
+            await failure;
+
+            const recovered = once(pool, 'workerRecovered');
+            await pool.restartWorker(0);
+
+            const [event] = await recovered;
+            expect(event.index).to.equal(0);
+            expect(event.threadId).to.equal(pool.getStats().workers[0].threadId);
+        });
+    });
+
+    describe('configure', () => {
+        it('should grow and shrink the pool', async () => {
+            createPool({ size: 1 });
+
+            pool.configure({ size: 3, strategy: 'leastBusy' });
+            expect(pool.getStats().workers).to.have.length(3);
+            expect(pool.getStats().strategy).to.equal('leastBusy');
+
+            pool.configure({ size: 1 });
+            expect(pool.size).to.equal(1);
+            expect(pool.getStats().workers.map(w => w.index)).to.deep.equal([0]);
+        });
+    });
+
+    describe('getStats', () => {
+        it('should report per-worker utilization', async () => {
+            createPool({ size: 2 });
+            const results = collect(1);
+            pool.dispatch({ frame: { value: 0, delay: 40 } });
+            await results;
+
+            const { workers, queued, pendingResults } = pool.getStats();
+            expect(queued).to.equal(0);
+            expect(pendingResults).to.equal(0);
+            expect(workers[0]).to.include({ index: 0, alive: true, busy: false, processed: 1, errors: 0 });
+            expect(workers[0].utilization).to.be.above(0).and.at.most(1);
+            expect(workers[1].utilization).to.equal(0);
+        });
+    });
+});
@@ -178,4 +178,183 @@ describe('BodyWorker', () => {
             });
         });
     });
-});
\ No newline at end of file
+
+    describe('worker instance', () => {
+        const BaseWorker = require('../../src/services/workers/base-worker');
+        const BodyWorker = require('../../src/services/workers/body-worker');
+        const calibration = {
+            depth: { width: 256, height: 212, fx: 180, fy: 180, cx: 128, cy: 106 },
+            color: { width: 1920, height: 1080, fx: 1060, fy: 1060, cx: 960, cy: 540 },
+            extrinsics: { rotation: [1, 0, 0, 0, 1, 0, 0, 0, 1], translation: [-0.05, 0, 0] }
+        };
+        const processing = {
+            smoothing: { correction: 0.5, prediction: 0.5, jitterRadius: 0.05, maxDeviationRadius: 0.04 },
+            tracking: { jointFilter: { minTrackingState: 1 } },
+            metrics: {}
+        };
+
+        // Worker threads post through parentPort, which the main thread lacks
+        const createWorker = config => {
+            sinon.stub(BaseWorker.prototype, '_setupMessageHandler');
+            return new BodyWorker(config);
+        };
+
+        describe('joint names', () => {
+            it('should key device joints by joint name', async () => {
+                const worker = createWorker({ processing });
+                const joints = [
+                    { jointType: 11, position: { x: 0.3, y: 0.1, z: 2 }, trackingState: 2 },
+                    { jointType: 1, position: { x: 0, y: 0, z: 2 }, trackingState: 2 }
+                ];
+
+                const { bodies: [body] } = await worker.processFrame({ buffer: mockBuffer, bodies: [createMockBody({ joints })] });
+
+                expect(body.joints).to.have.all.keys('handRight', 'spineMid');
+                expect(body.joints.handRight.jointType).to.equal(11);
+            });
+
+            it('should reject unknown joint types', () => {
+                const worker = createWorker({ processing });
+
+                expect(() => worker._nameJoints([{ jointType: 30 }])).to.throw(RangeError, 'Unknown joint type: 30');
+            });
+        });
+
+        describe('joint smoothing', () => {
+            const frameAt = (timestamp, x, trackingId = 1) => ({
+                buffer: mockBuffer,
+                timestamp,
+                bodies: [createMockBody({
+                    trackingId,
+                    joints: [{ jointType: 1, position: { x, y: 0, z: 2 }, trackingState: 2, confidence: 0.8 }]
+                })]
+            });
+
+            it('should filter joints with the state of earlier frames of the same body', async () => {
+                const worker = createWorker({ processing });
+
+                await worker.processFrame(frameAt(0, 0));
+                await worker.processFrame(frameAt(33, 0, 2));
+                const { bodies: [body] } = await worker.processFrame(frameAt(66, 0.1));
+
+                expect(body.joints.spineMid.position.x).to.be.closeTo(0.0625, 1e-9);
+                expect(body.joints.spineMid.previousPosition).to.deep.equal({ x: 0, y: 0, z: 2 });
+            });
+
+            it('should use the filter chosen for the joint group', async () => {
+                const worker = createWorker({
+                    processing: { ...processing, smoothing: { ...processing.smoothing, groups: { torso: { filter: 'none' } } } }
+                });
+
+                await worker.processFrame(frameAt(0, 0));
+                const { bodies: [body] } = await worker.processFrame(frameAt(33, 0.1));
+
+                expect(body.joints.spineMid.position.x).to.equal(0.1);
+            });
+
+            it('should start over after a configuration change', async () => {
+                const worker = createWorker({ processing });
+                await worker.processFrame(frameAt(0, 0));
+
+                worker.updateConfig({ processing });
+                const { bodies: [body] } = await worker.processFrame(frameAt(33, 0.1));
+
+                expect(body.joints.spineMid.position.x).to.equal(0.1);
+                expect(body.joints.spineMid.previousPosition).to.equal(undefined);
+            });
+        });
+
+        describe('gestures', () => {
+            const { jointType } = require('../../src/services/joint-topology');
+            const clap = require('../../src/services/gestures/templates/clap.json');
+            const gestures = { settings: { enabled: true }, templates: [clap] };
+
+            // Device joints of a person 2 m away performing one frame of the clap template
+            const clapFrame = (frame, timestamp) => {
+                const torso = 0.5;
+                const at = (jointType, x, y, z = 0) => ({ jointType, position: { x, y, z: 2 + z }, trackingState: 2, confidence: 0.9 });
+                const joints = [at(0, 0, -torso), at(20, 0, 0), at(4, -0.2, 0), at(8, 0.2, 0)];
+                clap.joints.forEach((name, index) => {
+                    const [x, y, z] = frame.slice(index * 3, index * 3 + 3);
+                    joints.push(at(jointType(name), x * torso, y * torso, z * torso));
+                });
+                return { buffer: mockBuffer, timestamp, bodies: [createMockBody({ joints })] };
+            };
+
+            it('should recognise template gestures on processed joints', async () => {
+                const worker = createWorker({ processing: { ...processing, smoothing: { filter: 'none' } }, gestures });
+                // Collect the events rather than posting them to the absent parent port
+                const events = [];
+                const detect = worker._detectGestures.bind(worker);
+                sinon.stub(worker, '_detectGestures').callsFake((...args) => {
+                    events.push(...detect(...args));
+                    return [];
+                });
+
+                const frameCount = Math.round(clap.duration / 33);
+                for (let i = 0; i <= frameCount; i++) {
+                    const frame = clap.frames[Math.round((i / frameCount) * (clap.frames.length - 1))];
+                    await worker.processFrame(clapFrame(frame, i * 33));
+                }
+
+                expect(events.map(event => event.type)).to.deep.equal(['gestureStarted', 'gestureCompleted']);
+                expect(events[1]).to.include({ gesture: 'clap', trackingId: 1, mirrored: false });
+            });
+
+            it('should not match gestures without templates or when disabled', () => {
+                expect(createWorker({ processing })._getGestureEngine()).to.equal(null);
+                sinon.restore();
+                expect(createWorker({ processing, gestures: { ...gestures, settings: { enabled: false } } })._getGestureEngine())
+                    .to.equal(null);
+            });
+
+            it('should rebuild the engine after a configuration change', () => {
+                const worker = createWorker({ processing, gestures });
+                const engine = worker._getGestureEngine();
+
+                worker.updateConfig({ processing, gestures });
+
+                expect(worker._getGestureEngine()).to.be.an.instanceOf(engine.constructor).and.not.equal(engine);
+            });
+        });
+
+        describe('joint projection', () => {
+            it('should add depth and color pixels to every joint', async () => {
+                const worker = createWorker({ processing, calibration });
+                const body = createMockBody({
+                    joints: [
+                        { position: { x: 0, y: 0, z: 2 }, trackingState: 2, confidence: 0.8 },
+                        { position: { x: 0.4, y: 0.2, z: 2 }, trackingState: 2, confidence: 0.9 }
+                    ]
+                });
+
+                const { bodies: [processed] } = await worker.processFrame({ buffer: mockBuffer, bodies: [body] });
+
+                expect(processed.joints.spineBase.depthPosition).to.deep.equal({ x: 128, y: 106 });
+                expect(processed.joints.spineBase.colorPosition).to.deep.equal({ x: 933.5, y: 540 });
+                expect(processed.joints.spineMid.depthPosition).to.deep.equal({ x: 164, y: 88 });
+                expect(processed.joints.spineMid.colorPosition.y).to.be.closeTo(434, 1e-9);
+            });
+
+            it('should leave joints unprojected without a calibration or behind the camera', () => {
+                const unprojected = { depthPosition: null, colorPosition: null };
+
+                expect(createWorker({ processing })._projectJoint({ x: 0, y: 0, z: 2 })).to.deep.equal(unprojected);
+                sinon.restore();
+                expect(createWorker({ processing, calibration })._projectJoint({ x: 0, y: 0, z: -1 })).to.deep.equal(unprojected);
+            });
+
+            it('should rebuild the mapper when the calibration changes', () => {
+                const worker = createWorker({ processing, calibration });
+                worker._projectJoint({ x: 0, y: 0, z: 2 });
+
+                worker.updateConfig({
+                    processing,
+                    calibration: { ...calibration, depth: { ...calibration.depth, cx: 100 } }
+                });
+
+                expect(worker._projectJoint({ x: 0, y: 0, z: 2 }).depthPosition).to.deep.equal({ x: 100, y: 106 });
+            });
+        });
+    });
+});
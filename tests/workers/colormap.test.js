@@ -0,0 +1,75 @@
+const { expect } = require('chai');
+const {
+    COLOR_MAPS,
+    LUT_SIZE,
+    colorizeDepth,
+    createColorLut,
+    depthExtent
+} = require('../../src/services/workers/colormap');
+
+describe('colormap', () => {
+    const entry = (lut, index) => [...lut.subarray(index * 3, index * 3 + 3)];
+
+    describe('createColorLut', () => {
+        it('should build a table for every built-in map', () => {
+            for (const name of COLOR_MAPS.filter(name => name !== 'custom')) {
+                expect(createColorLut(name)).to.have.length(LUT_SIZE * 3);
+            }
+        });
+
+        it('should run from near to far colours', () => {
+            expect(entry(createColorLut('jet'), 0)).to.deep.equal([0, 0, 128]);
+            expect(entry(createColorLut('jet'), LUT_SIZE - 1)).to.deep.equal([128, 0, 0]);
+            expect(entry(createColorLut('grayscale'), LUT_SIZE - 1)).to.deep.equal([255, 255, 255]);
+            expect(entry(createColorLut('viridis'), 0)).to.deep.equal([68, 1, 84]);
+            expect(entry(createColorLut('inferno'), LUT_SIZE - 1)).to.deep.equal([252, 255, 164]);
+        });
+
+        it('should spread custom colours evenly', () => {
+            const lut = createColorLut('custom', [[255, 0, 0], [0, 0, 255]]);
+
+            expect(entry(lut, 0)).to.deep.equal([255, 0, 0]);
+            expect(entry(lut, 51)).to.deep.equal([204, 0, 51]);
+            expect(entry(lut, LUT_SIZE - 1)).to.deep.equal([0, 0, 255]);
+        });
+
+        it('should reject unknown maps and invalid colours', () => {
+            expect(() => createColorLut('rainbow'))
+                .to.throw(TypeError, 'Unknown colormap: rainbow (available: jet, turbo, viridis, inferno, grayscale, custom)');
+            expect(() => createColorLut('custom', [[0, 0, 0]])).to.throw(TypeError, 'A custom colormap needs at least two colors');
+            expect(() => createColorLut('custom', [[0, 0, 0], [0, 256, 0]]))
+                .to.throw(TypeError, 'Invalid color at index 1');
+        });
+    });
+
+    describe('colorizeDepth', () => {
+        const lut = createColorLut('grayscale');
+
+        it('should map the range onto the table and mark missing readings', () => {
+            const rgba = colorizeDepth(Uint16Array.from([0, 500, 1000, 1500, 9000]), {
+                lut, min: 1000, max: 2000, invalidColor: [255, 0, 255]
+            });
+
+            expect([...rgba]).to.deep.equal([
+                255, 0, 255, 255,
+                0, 0, 0, 255,
+                0, 0, 0, 255,
+                128, 128, 128, 255,
+                255, 255, 255, 255
+            ]);
+        });
+
+        it('should leave missing readings transparent by default', () => {
+            const rgba = colorizeDepth(Uint16Array.from([0]), { lut, min: 0, max: 1 });
+
+            expect([...rgba]).to.deep.equal([0, 0, 0, 0]);
+        });
+    });
+
+    describe('depthExtent', () => {
+        it('should ignore pixels without a reading', () => {
+            expect(depthExtent(Uint16Array.from([0, 1200, 800, 0, 3000]))).to.deep.equal({ min: 800, max: 3000 });
+            expect(depthExtent(new Uint16Array(4))).to.equal(null);
+        });
+    });
+});
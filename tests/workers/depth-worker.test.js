@@ -36,9 +36,14 @@ describe('DepthWorker', () => {
                 calibration: {
                     minReliableDistance: 500,
                     maxReliableDistance: 4500,
-                    focalLength: 365.456,
-                    principalPointX: FRAME_WIDTH / 2,
-                    principalPointY: FRAME_HEIGHT / 2
+                    intrinsics: {
+                        width: FRAME_WIDTH,
+                        height: FRAME_HEIGHT,
+                        fx: 365.456,
+                        fy: 365.456,
+                        cx: FRAME_WIDTH / 2,
+                        cy: FRAME_HEIGHT / 2
+                    }
                 }
             }
         };
@@ -62,7 +67,6 @@ describe('DepthWorker', () => {
             expect(worker.frameHeight).to.equal(FRAME_HEIGHT);
             expect(worker.processing).to.deep.equal(workerData.config.processing);
             expect(worker.calibration).to.deep.equal(workerData.config.calibration);
-            expect(worker.chunkSize).to.equal(1024);
         });
     });
 
@@ -0,0 +1,90 @@
+const { expect } = require('chai');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const { downscale, encodeImage } = require('../../src/services/workers/image-encoder');
+
+describe('image encoder', () => {
+    const width = 64;
+    const height = 32;
+    let rgba;
+
+    beforeEach(() => {
+        // Horizontal gradient with a varying alpha channel
+        rgba = Buffer.alloc(width * height * 4);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const offset = (y * width + x) * 4;
+                rgba[offset] = x * 4;
+                rgba[offset + 1] = 128;
+                rgba[offset + 2] = 255 - x * 4;
+                rgba[offset + 3] = y < height / 2 ? 255 : 128;
+            }
+        }
+    });
+
+    describe('downscale', () => {
+        it('should return the source image at scale 1', () => {
+            const image = downscale(rgba, width, height, 1);
+            expect(image).to.deep.equal({ data: rgba, width, height });
+        });
+
+        it('should average the covered source pixels', () => {
+            const image = downscale(rgba, width, height, 0.5);
+
+            expect(image.width).to.equal(32);
+            expect(image.height).to.equal(16);
+            expect(image.data.length).to.equal(32 * 16 * 4);
+
+            // Pixel (1, 0) covers source columns 2 and 3
+            expect(Array.from(image.data.subarray(4, 8))).to.deep.equal([Math.round((8 + 12) / 2), 128, Math.round((247 + 243) / 2), 255]);
+        });
+
+        it('should handle non-integer scale factors', () => {
+            const image = downscale(rgba, width, height, 0.3);
+
+            expect(image.width).to.equal(19);
+            expect(image.height).to.equal(10);
+            expect(image.data.length).to.equal(19 * 10 * 4);
+        });
+
+        it('should reject out of range scales', () => {
+            expect(() => downscale(rgba, width, height, 0)).to.throw(RangeError);
+            expect(() => downscale(rgba, width, height, 2)).to.throw(RangeError);
+        });
+    });
+
+    describe('encodeImage', () => {
+        it('should encode decodable JPEG images', () => {
+            const encoded = encodeImage(rgba, width, height, { format: 'jpeg', quality: 0.9 });
+
+            expect(encoded.subarray(0, 2).toString('hex')).to.equal('ffd8');
+            const decoded = jpeg.decode(encoded, { useTArray: true });
+            expect(decoded.width).to.equal(width);
+            expect(decoded.height).to.equal(height);
+            expect(Math.abs(decoded.data[4 * 10] - rgba[4 * 10])).to.be.below(8);
+        });
+
+        it('should honour JPEG quality', () => {
+            const low = encodeImage(rgba, width, height, { format: 'jpeg', quality: 0.1 });
+            const high = encodeImage(rgba, width, height, { format: 'jpeg', quality: 1 });
+
+            expect(low.length).to.be.below(high.length);
+        });
+
+        it('should encode lossless PNG images', () => {
+            const encoded = encodeImage(rgba, width, height, { format: 'png' });
+
+            const decoded = PNG.sync.read(encoded);
+            expect(decoded.width).to.equal(width);
+            expect(decoded.height).to.equal(height);
+            expect(decoded.data.equals(rgba)).to.equal(true);
+        });
+
+        it('should reject unsupported formats and qualities', () => {
+            expect(() => encodeImage(rgba, width, height, { format: 'webp' }))
+                .to.throw('Unsupported image format: webp');
+            expect(() => encodeImage(rgba, width, height, { format: 'jpeg', quality: 80 }))
+                .to.throw(RangeError, 'JPEG quality must be a number in (0, 1]');
+        });
+    });
+});
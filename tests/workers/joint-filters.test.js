@@ -0,0 +1,131 @@
+const { expect } = require('chai');
+const {
+    HoltFilter,
+    JointFilterBank,
+    OneEuroFilter,
+    resolveFilterSettings
+} = require('../../src/services/workers/joint-filters');
+
+describe('joint filters', () => {
+    const holt = { smoothing: 0.5, correction: 0.5, prediction: 0.5, jitterRadius: 0.05, maxDeviationRadius: 0.04 };
+    const oneEuro = { minCutoff: 1, beta: 0, derivativeCutoff: 1 };
+    const at = x => ({ x, y: 0, z: 2 });
+
+    describe('HoltFilter', () => {
+        it('should follow the Kinect double exponential filter', () => {
+            const filter = new HoltFilter(holt);
+
+            expect(filter.update(at(0))).to.deep.equal(at(0));
+            // Second frame: the mean of both frames plus half the trend
+            expect(filter.update(at(0.1)).x).to.be.closeTo(0.0625, 1e-9);
+            expect(filter.trend.x).to.be.closeTo(0.025, 1e-9);
+        });
+
+        it('should damp jitter inside the jitter radius', () => {
+            const filter = new HoltFilter({ ...holt, smoothing: 0, prediction: 0 });
+            filter.update(at(1));
+            filter.update(at(1));
+
+            // Moving half the jitter radius only moves half as far again
+            expect(filter.update(at(1.025)).x).to.be.closeTo(1.0125, 1e-9);
+        });
+
+        it('should keep the output within the deviation radius of the raw position', () => {
+            const filter = new HoltFilter({ ...holt, jitterRadius: 0 });
+            filter.update(at(0));
+            filter.update(at(0));
+
+            expect(filter.update(at(1)).x).to.be.closeTo(0.96, 1e-9);
+
+            const inferred = new HoltFilter({ ...holt, jitterRadius: 0 });
+            inferred.update(at(0));
+            inferred.update(at(0));
+            expect(inferred.update(at(1), { trackingState: 1 }).x).to.be.closeTo(0.92, 1e-9);
+        });
+    });
+
+    describe('OneEuroFilter', () => {
+        it('should smooth with the cutoff frequency at rest', () => {
+            const filter = new OneEuroFilter(oneEuro);
+
+            expect(filter.update(at(0), { timestamp: 0 })).to.deep.equal(at(0));
+            const alpha = 1 / (1 + 1 / (2 * Math.PI) / 0.1);
+            expect(filter.update(at(1), { timestamp: 100 }).x).to.be.closeTo(alpha, 1e-9);
+        });
+
+        it('should lag less on fast movements with a higher beta', () => {
+            const steady = new OneEuroFilter(oneEuro);
+            const responsive = new OneEuroFilter({ ...oneEuro, beta: 10 });
+            [steady, responsive].forEach(filter => filter.update(at(0), { timestamp: 0 }));
+
+            const slow = steady.update(at(1), { timestamp: 33 }).x;
+            const fast = responsive.update(at(1), { timestamp: 33 }).x;
+
+            expect(fast).to.be.above(slow);
+        });
+
+        it('should ignore frames without elapsed time', () => {
+            const filter = new OneEuroFilter(oneEuro);
+            filter.update(at(0), { timestamp: 10 });
+
+            expect(filter.update(at(1), { timestamp: 10 })).to.deep.equal(at(0));
+        });
+    });
+
+    describe('resolveFilterSettings', () => {
+        it('should apply joint group overrides', () => {
+            const smoothing = { filter: 'holt', ...holt, oneEuro, groups: { hands: { filter: 'oneEuro', oneEuro: { beta: 2 } } } };
+
+            expect(resolveFilterSettings(smoothing, 'torso')).to.deep.include({ filter: 'holt', correction: 0.5 });
+            expect(resolveFilterSettings(smoothing, 'hands')).to.deep.include({
+                filter: 'oneEuro',
+                oneEuro: { minCutoff: 1, beta: 2, derivativeCutoff: 1 }
+            });
+            expect(resolveFilterSettings({}).filter).to.equal('holt');
+        });
+    });
+
+    describe('JointFilterBank', () => {
+        it('should keep filter state per body and joint across frames', () => {
+            const bank = new JointFilterBank({ filter: 'holt', ...holt });
+            const joint = { position: at(0), trackingState: 2 };
+
+            expect(bank.apply(1, 'head', joint, 0)).to.deep.equal({ position: at(0), previousPosition: undefined });
+            expect(bank.apply(2, 'head', { ...joint, position: at(5) }, 0).previousPosition).to.equal(undefined);
+
+            const second = bank.apply(1, 'head', { ...joint, position: at(0.1) }, 33);
+            expect(second.previousPosition).to.deep.equal(at(0));
+            expect(second.position.x).to.be.closeTo(0.0625, 1e-9);
+        });
+
+        it('should filter each joint group with its own filter', () => {
+            const bank = new JointFilterBank({ filter: 'holt', ...holt, oneEuro, groups: { hands: { filter: 'none' } } });
+            const joint = { position: at(0), trackingState: 2 };
+            ['handLeft', 'spineMid'].forEach(name => bank.apply(1, name, joint, 0));
+            ['handLeft', 'spineMid'].forEach(name => bank.apply(1, name, joint, 33));
+
+            const hand = bank.apply(1, 'handLeft', { ...joint, position: at(1) }, 66);
+            const spine = bank.apply(1, 'spineMid', { ...joint, position: at(1) }, 66);
+
+            expect(hand.position).to.deep.equal(at(1));
+            expect(spine.position.x).to.be.below(1);
+        });
+
+        it('should forget bodies that were not seen within the timeout', () => {
+            const bank = new JointFilterBank({ filter: 'holt', ...holt }, { timeout: 100 });
+            bank.apply(1, 'head', { position: at(0) }, 0);
+            bank.apply(2, 'head', { position: at(0) }, 150);
+
+            bank.prune(150);
+
+            expect([...bank.bodies.keys()]).to.deep.equal([2]);
+        });
+
+        it('should reject unknown filters', () => {
+            const bank = new JointFilterBank({ filter: 'kalman' });
+
+            expect(() => bank.apply(1, 'head', { position: at(0) }, 0))
+                .to.throw('Unknown joint filter: kalman (available: holt, oneEuro, none)');
+        });
+    });
+});
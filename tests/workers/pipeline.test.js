@@ -0,0 +1,224 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Pipeline, StageRegistry, stageRegistry } = require('../../src/services/workers/pipeline');
+
+describe('Pipeline', () => {
+    const context = {
+        sensorType: 'depth',
+        config: {
+            frameSize: { width: 4, height: 1 },
+            calibration: { minReliableDistance: 500, maxReliableDistance: 4500 }
+        }
+    };
+
+    function depthFrame(values) {
+        return { processedFrame: Uint16Array.from(values), width: values.length, height: 1 };
+    }
+
+    describe('StageRegistry', () => {
+        let registry;
+
+        beforeEach(() => {
+            registry = new StageRegistry();
+        });
+
+        it('should reject invalid and duplicate stages', () => {
+            const stage = { name: 'invert', create: () => () => {} };
+            registry.register(stage);
+
+            expect(() => registry.register({ create: () => {} })).to.throw(TypeError, 'Pipeline stage name is required');
+            expect(() => registry.register({ name: 'broken' })).to.throw(TypeError, 'Pipeline stage broken must have a create function');
+            expect(() => registry.register(stage)).to.throw(TypeError, 'Pipeline stage already registered: invert');
+        });
+
+        it('should only offer stages to the sensors they support', () => {
+            registry.register({ name: 'any', create: () => () => {} });
+            registry.register({ name: 'rgb', sensors: ['color'], create: () => () => {} });
+
+            expect(registry.names('depth')).to.deep.equal(['any']);
+            expect(registry.names()).to.deep.equal(['any', 'rgb']);
+            expect(() => registry.get('rgb', 'depth')).to.throw(TypeError, 'Unknown depth pipeline stage: rgb (available: any)');
+        });
+
+        it('should register the built-in stages', () => {
+            expect(stageRegistry.names('depth')).to.deep.equal(['depthRange', 'normalize', 'pointCloud', 'colorize', 'gamma']);
+            expect(stageRegistry.names('color')).to.deep.equal(['opacity', 'compress']);
+            expect(stageRegistry.names('infrared')).to.deep.equal(['gamma']);
+            expect(stageRegistry.names('frameSync')).to.deep.equal(['registration']);
+        });
+    });
+
+    describe('stage modules', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        function writeModule(name, source) {
+            const file = path.join(dir, name);
+            fs.writeFileSync(file, source);
+            return file;
+        }
+
+        it('should load a stage by path and pass it its options', async () => {
+            const file = writeModule('offset.js', `
+                module.exports = {
+                    name: 'offset',
+                    create: ({ by }) => frame => {
+                        for (let i = 0; i < frame.processedFrame.length; i++) frame.processedFrame[i] += by;
+                    }
+                };
+            `);
+            const registry = new StageRegistry();
+            const pipeline = new Pipeline([{ module: file, options: { by: 5 } }], context, registry);
+
+            const result = await pipeline.run(depthFrame([1, 2]));
+
+            expect(pipeline.stages).to.deep.equal(['offset']);
+            expect([...result.processedFrame]).to.deep.equal([6, 7]);
+            expect(() => new Pipeline([{ module: file, options: { by: 1 } }], context, registry)).to.not.throw();
+        });
+
+        it('should require a stage name for modules with several stages', () => {
+            const file = writeModule('pair.js', `
+                module.exports = [
+                    { name: 'first', create: () => () => {} },
+                    { name: 'second', create: () => () => {} }
+                ];
+            `);
+            const registry = new StageRegistry();
+
+            expect(() => new Pipeline([{ module: file }], context, registry))
+                .to.throw(TypeError, `Pipeline module ${file} provides 2 stages; choose one with stage`);
+            expect(new Pipeline([{ module: file, stage: 'second' }], context, registry).stages).to.deep.equal(['second']);
+        });
+    });
+
+    describe('run', () => {
+        it('should run stages in order and keep replacements', async () => {
+            const registry = new StageRegistry()
+                .register({ name: 'tag', create: ({ label }) => frame => ({ ...frame, tags: [...frame.tags, label] }) });
+            const pipeline = new Pipeline([
+                { stage: 'tag', options: { label: 'a' } },
+                { stage: 'tag', options: { label: 'b' } }
+            ], context, registry);
+
+            expect((await pipeline.run({ tags: [] })).tags).to.deep.equal(['a', 'b']);
+        });
+
+        it('should name the stage that failed', async () => {
+            const registry = new StageRegistry().register({
+                name: 'explode',
+                create: ({ when }) => {
+                    if (!when) throw new Error('when is required');
+                    return () => { throw new Error('boom'); };
+                }
+            });
+
+            expect(() => new Pipeline([{ stage: 'explode' }], context, registry))
+                .to.throw('Invalid options for pipeline stage explode: when is required');
+            try {
+                await new Pipeline([{ stage: 'explode', options: { when: 'now' } }], context, registry).run({});
+                expect.fail('Expected the pipeline to fail');
+            } catch (error) {
+                expect(error.message).to.equal('Pipeline stage explode failed: boom');
+            }
+        });
+    });
+
+    describe('built-in stages', () => {
+        it('should drop unreliable depths and normalize the rest', async () => {
+            const pipeline = new Pipeline([
+                { stage: 'depthRange', options: { max: 4000 } },
+                { stage: 'normalize', options: { min: 500, max: 4500 } }
+            ], context);
+
+            const result = await pipeline.run(depthFrame([100, 500, 2500, 4200]));
+
+            expect([...result.processedFrame]).to.deep.equal([0, 0, 32768, 0]);
+        });
+
+        it('should build packed and organized point clouds in metres', async () => {
+            const intrinsics = { width: 4, height: 1, fx: 100, fy: 100, cx: 0, cy: 0, distortion: { k1: 0, k2: 0, k3: 0 } };
+            const pipeline = new Pipeline([{ stage: 'pointCloud', options: { output: 'both', intrinsics } }], context);
+
+            const result = await pipeline.run(depthFrame([0, 1000, 0, 2000]));
+
+            expect([...result.pointCloud]).to.deep.equal([0.01, -0, 1, 0.06, -0, 2].map(Math.fround));
+            expect([...result.pointValidity]).to.deep.equal([0, 1, 0, 1]);
+            expect(result.organizedPointCloud).to.have.length(12);
+            expect(result.organizedPointCloud[0]).to.be.NaN;
+            expect([...result.organizedPointCloud.subarray(9)]).to.deep.equal([0.06, -0, 2].map(Math.fround));
+        });
+
+        it('should default to the calibration intrinsics and check the output', async () => {
+            const pipeline = new Pipeline([{ stage: 'pointCloud', options: { output: 'organized' } }], context);
+
+            const result = await pipeline.run(depthFrame([1000, 1000, 1000, 1000]));
+
+            expect(result.pointCloud).to.equal(undefined);
+            expect([...result.pointValidity]).to.deep.equal([1, 1, 1, 1]);
+            expect(() => new Pipeline([{ stage: 'pointCloud', options: { output: 'dense' } }], context))
+                .to.throw('Invalid output: dense (expected packed, organized, both)');
+            await pipeline.run(depthFrame([1000, 1000])).then(
+                () => expect.fail('Expected a size mismatch'),
+                error => expect(error.message).to.equal('Pipeline stage pointCloud failed: Frame of 2 pixels does not match the 4x1 intrinsics')
+            );
+        });
+
+        it('should colorize depths over a fixed or automatic range', async () => {
+            const fixed = new Pipeline([{ stage: 'colorize', options: { colorMap: 'grayscale' } }], context);
+            const auto = new Pipeline([{ stage: 'colorize', options: { colorMap: 'grayscale', auto: true } }], context);
+
+            const fixedResult = await fixed.run(depthFrame([0, 500, 2500, 4500]));
+            const autoResult = await auto.run(depthFrame([0, 1000, 1500, 2000]));
+
+            expect([...fixedResult.colorized]).to.deep.equal([0, 0, 0, 0, 0, 0, 0, 255, 128, 128, 128, 255, 255, 255, 255, 255]);
+            expect(fixedResult.colorRange).to.deep.equal({ min: 500, max: 4500 });
+            expect([...autoResult.colorized.subarray(4)]).to.deep.equal([0, 0, 0, 255, 128, 128, 128, 255, 255, 255, 255, 255]);
+            expect(autoResult.colorRange).to.deep.equal({ min: 1000, max: 2000 });
+            expect(() => new Pipeline([{ stage: 'colorize', options: { invalidColor: [0, 0] } }], context))
+                .to.throw('Invalid options for pipeline stage colorize: Invalid invalidColor');
+        });
+
+        it('should force opacity on color frames', async () => {
+            const pipeline = new Pipeline([{ stage: 'opacity' }], { sensorType: 'color', config: {} });
+
+            const result = await pipeline.run({ processedFrame: Buffer.from([1, 2, 3, 4]), width: 1, height: 1 });
+
+            expect([...result.processedFrame]).to.deep.equal([1, 2, 3, 255]);
+        });
+
+        it('should register depth and color on synchronized frames', async () => {
+            const syncContext = {
+                sensorType: 'frameSync',
+                config: {
+                    calibration: {
+                        depth: { width: 2, height: 1, fx: 2, fy: 2, cx: 0.5, cy: 0 },
+                        color: { width: 4, height: 2, fx: 4, fy: 4, cx: 1.5, cy: 0.5 },
+                        extrinsics: { rotation: [1, 0, 0, 0, 1, 0, 0, 0, 1], translation: [0, 0, 0] }
+                    }
+                }
+            };
+            const pipeline = new Pipeline([{ stage: 'registration', options: { registeredDepth: true } }], syncContext);
+            const color = Buffer.alloc(4 * 2 * 4);
+            color.set([1, 2, 3, 4], 5 * 4); // Pixel (1, 1), where depth pixel (0, 0) lands
+
+            const result = await pipeline.run({ timestamp: 1, frames: { depth: Buffer.from(Uint16Array.from([1000, 0]).buffer), color } });
+
+            expect([...result.registeredColor]).to.deep.equal([1, 2, 3, 255, 0, 0, 0, 0]);
+            expect([...result.registeredDepth]).to.deep.equal([1000, 1000, 0, 0, 1000, 1000, 0, 0]);
+            await pipeline.run({ timestamp: 2, frames: { depth: Buffer.alloc(4) } }).then(
+                () => expect.fail('Expected a missing color frame'),
+                error => expect(error.message).to.equal('Pipeline stage registration failed: Synchronized frame has no color frame to register')
+            );
+        });
+    });
+});